@@ -0,0 +1,359 @@
+// accounting.js
+// Issued invoices and received payments as import files for Pohoda (XML dataPack) and Money S3 (MoneyData XML)
+//
+// Both programs file documents by codes the accountant sets up in them - number series,
+// předkontace (accounting code) and VAT classification - so those come from the mapping
+// saved on the profile (business.accounting_export) rather than being guessed here.
+
+import { buildInvoiceDocument, invoiceParties, parseAddress, partyIds, partyRegistration, paymentAccount } from './invoice.js';
+import { parseCzechAccount } from './iban.js';
+import { variableSymbol } from './qrpay.js';
+import { REVERSE_CHARGE, round } from './vat.js';
+import { renderXml, xmlDate, xmlDecimal } from './xml.js';
+
+export const ACCOUNTING_FORMATS = ['pohoda', 'money'];
+
+export const MAPPING_FIELDS = [
+  'number_series', 'accounting', 'vat_domestic', 'vat_reverse_charge', 'vat_none',
+  'bank_account', 'payment_accounting'
+];
+
+// Codes from a freshly installed Pohoda / Money S3 agenda
+export const ACCOUNTING_DEFAULTS = {
+  pohoda: {
+    number_series: '',
+    accounting: '3Fv',
+    vat_domestic: 'UD',
+    vat_reverse_charge: 'UDA5',
+    vat_none: 'UN',
+    bank_account: '',
+    payment_accounting: ''
+  },
+  money: {
+    number_series: 'FV',
+    accounting: 'PRODEJ',
+    vat_domestic: '19Ř01,02',
+    vat_reverse_charge: '19Ř21',
+    vat_none: '19Ř00',
+    bank_account: '',
+    payment_accounting: ''
+  }
+};
+
+export function accountingMapping(profile, format) {
+  return { ...ACCOUNTING_DEFAULTS[format], ...(profile?.accounting_export?.[format] || {}) };
+}
+
+function vatClassification(doc, mapping) {
+  if (!doc.vat) return mapping.vat_none;
+  return doc.vat.reverseCharge ? mapping.vat_reverse_charge : mapping.vat_domestic;
+}
+
+// One-line description; credit notes say which invoice they correct, tax documents which advance was paid
+function documentText(doc) {
+  if (doc.creditNote) return `Dobropis k faktuře ${doc.creditNote.originalNumber}`;
+  if (doc.advanceTax) return `Daňový doklad k přijaté platbě zálohy ${doc.advanceTax.advanceNumber}`;
+  if (doc.advance) return `Zálohová faktura ${doc.job?.name || doc.number}`;
+  return doc.job?.name || doc.items[0]?.description || `Faktura ${doc.number}`;
+}
+
+// What a final invoice deducts: advances with a tax document per VAT rate as the tax documents
+// declared them (like the ISDOC TaxedDeposits), so their VAT is not declared a second time; other
+// advances and plain deposits as paid, without VAT
+function deductions(doc) {
+  const taxed = doc.advances.flatMap(advance => advance.vat.map(line => ({
+    ...line,
+    text: `Odpočet zálohy / Deposit ${advance.taxDocuments.join(', ') || advance.number}`
+  })));
+  const nonTaxed = doc.advances.filter(advance => !advance.vat.length);
+  const rest = round(doc.totals.deposits - taxed.reduce((sum, line) => sum + line.total, 0));
+  return rest > 0 ? [...taxed, {
+    rate: null,
+    base: rest,
+    tax: 0,
+    total: rest,
+    text: ['Odpočet zálohy / Deposit', ...nonTaxed.map(advance => advance.number)].join(' ')
+  }] : taxed;
+}
+
+// VAT of the document per rate, less what its advances' tax documents declared
+function vatDue(doc, rates, key) {
+  const sum = lines => lines.filter(line => rates.includes(line.rate)).reduce((total, line) => total + line[key], 0);
+  return round(sum(doc.vat?.recap || []) - sum(deductions(doc)));
+}
+
+// The invoice as rendered, with the profile and client it was issued to
+function documentFor(inv, context) {
+  const parties = invoiceParties(inv, { profile: context.profile, client: context.clients.find(c => c.id === inv.client_id) });
+  return { doc: buildInvoiceDocument(inv, parties), ...parties };
+}
+
+// --- Pohoda ------------------------------------------------------------------------------------
+
+const POHODA_NAMESPACES = {
+  'xmlns:dat': 'http://www.stormware.cz/schema/version_2/data.xsd',
+  'xmlns:inv': 'http://www.stormware.cz/schema/version_2/invoice.xsd',
+  'xmlns:bnk': 'http://www.stormware.cz/schema/version_2/bank.xsd',
+  'xmlns:typ': 'http://www.stormware.cz/schema/version_2/type.xsd'
+};
+
+// Pohoda names VAT rates rather than numbering them
+function pohodaRate(doc, vatRate) {
+  if (!doc.vat || vatRate === REVERSE_CHARGE) return 'none';
+  return { 21: 'high', 12: 'low' }[vatRate] || 'none';
+}
+
+function pohodaPartner(party) {
+  const { companyId, vatId } = partyRegistration(party.ids);
+  const address = parseAddress(party.address);
+  return ['typ:address',
+    ['typ:company', party.name],
+    ['typ:city', address.city],
+    ['typ:street', [address.street, address.building].filter(Boolean).join(' ')],
+    ['typ:zip', address.postalZone],
+    companyId ? ['typ:ico', companyId] : null,
+    vatId ? ['typ:dic', vatId] : null
+  ];
+}
+
+// Domestic accounts by number and bank code, anything else by IBAN
+function pohodaAccount(account) {
+  const domestic = parseCzechAccount(account.number);
+  return domestic
+    ? [['typ:accountNo', [domestic.prefix, domestic.number].filter(Boolean).join('-')], ['typ:bankCode', domestic.bank]]
+    : [['typ:accountNo', account.iban], ['typ:bankCode', '']];
+}
+
+// Prices go in the home currency block for CZK invoices and the foreign one otherwise
+function pohodaCurrencyBlock(doc, content) {
+  return [doc.currency === 'CZK' ? 'inv:homeCurrency' : 'inv:foreignCurrency', ...content];
+}
+
+function pohodaInvoice(inv, context, mapping) {
+  const { doc, profile } = documentFor(inv, context);
+  const account = paymentAccount(profile, doc.currency);
+  const items = doc.items.map(item => ['inv:invoiceItem',
+    ['inv:text', item.description.slice(0, 90)],
+    ['inv:quantity', xmlDecimal(item.hours ?? 1, 4)],
+    item.hours !== null ? ['inv:unit', 'h'] : null,
+    ['inv:payVAT', 'false'],
+    ['inv:rateVAT', pohodaRate(doc, item.vatRate)],
+    pohodaCurrencyBlock(doc, [['typ:unitPrice', xmlDecimal(item.rate ?? item.amount, 4)]])
+  ]);
+  // Deposits already received come off as negative lines (see deductions)
+  items.push(...deductions(doc).map(line => ['inv:invoiceItem',
+    ['inv:text', line.text.slice(0, 90)],
+    ['inv:quantity', '1'],
+    ['inv:payVAT', 'false'],
+    ['inv:rateVAT', line.rate ? pohodaRate(doc, line.rate) : 'none'],
+    pohodaCurrencyBlock(doc, [['typ:unitPrice', xmlDecimal(-line.base, 4)]])
+  ]));
+
+  return ['dat:dataPackItem', { id: `INV-${doc.number}`, version: '2.0' },
+    ['inv:invoice', { version: '2.0' },
+      ['inv:invoiceHeader',
+        ['inv:invoiceType', doc.creditNote ? 'issuedCreditNotice' : doc.advance ? 'issuedAdvanceInvoice' : 'issuedInvoice'],
+        ['inv:number',
+          mapping.number_series ? ['typ:ids', mapping.number_series] : null,
+          ['typ:numberRequested', doc.number]
+        ],
+        ['inv:symVar', variableSymbol(doc.number)],
+        ['inv:date', xmlDate(doc.issueDate)],
+        ['inv:dateTax', xmlDate(doc.taxableSupplyDate || doc.issueDate)],
+        ['inv:dateAccounting', xmlDate(doc.issueDate)],
+        ['inv:dateDue', xmlDate(doc.dueDate)],
+        mapping.accounting ? ['inv:accounting', ['typ:ids', mapping.accounting]] : null,
+        ['inv:classificationVAT', ['typ:ids', vatClassification(doc, mapping)]],
+        ['inv:text', documentText(doc)],
+        ['inv:partnerIdentity', pohodaPartner(doc.customer)],
+        ['inv:paymentType', ['typ:paymentType', 'draft']],
+        account ? ['inv:account', ...pohodaAccount(account)] : null,
+        ['inv:note', 'BizzHub']
+      ],
+      ['inv:invoiceDetail', ...items],
+      ['inv:invoiceSummary',
+        ['inv:roundingDocument', 'none'],
+        doc.currency !== 'CZK' ? ['inv:foreignCurrency',
+          ['typ:currency', ['typ:ids', doc.currency]],
+          // No exchange rates in the app; Pohoda fills in the rate for the document date
+          ['typ:amount', '1']
+        ] : null
+      ]
+    ]
+  ];
+}
+
+function pohodaPayment(payment, context, mapping) {
+  const { doc } = documentFor(payment.invoice, context);
+  const amount = xmlDecimal(payment.amount);
+  return ['dat:dataPackItem', { id: `PAY-${payment.id}`, version: '2.0' },
+    ['bnk:bank', { version: '2.0' },
+      ['bnk:bankHeader',
+        ['bnk:bankType', 'receipt'],
+        mapping.bank_account ? ['bnk:account', ['typ:ids', mapping.bank_account]] : null,
+        ['bnk:symVar', variableSymbol(doc.number)],
+        ['bnk:dateStatement', xmlDate(payment.date)],
+        ['bnk:datePayment', xmlDate(payment.date)],
+        mapping.payment_accounting ? ['bnk:accounting', ['typ:ids', mapping.payment_accounting]] : null,
+        ['bnk:text', `Úhrada faktury ${doc.number}`],
+        ['bnk:partnerIdentity', pohodaPartner(doc.customer)]
+      ],
+      ['bnk:bankSummary',
+        doc.currency === 'CZK'
+          ? ['bnk:homeCurrency', ['typ:priceNone', amount]]
+          : ['bnk:foreignCurrency', ['typ:currency', ['typ:ids', doc.currency]], ['typ:amount', '1'], ['typ:priceSum', amount]]
+      ]
+    ]
+  ];
+}
+
+export function buildPohodaXml({ invoices, payments = [], profile, clients }) {
+  const mapping = accountingMapping(profile, 'pohoda');
+  const context = { profile, clients };
+  const { companyId } = partyRegistration(partyIds(profile));
+
+  return renderXml(['dat:dataPack', {
+    ...POHODA_NAMESPACES,
+    id: `BizzHub-${xmlDate(new Date())}`,
+    ico: companyId,
+    application: 'BizzHub',
+    version: '2.0',
+    note: 'Export z BizzHub'
+  },
+  ...invoices.map(inv => pohodaInvoice(inv, context, mapping)),
+  ...payments.map(payment => pohodaPayment(payment, context, mapping))
+  ]);
+}
+
+// --- Money S3 ----------------------------------------------------------------------------------
+
+// Money keeps the reduced and the basic rate in fixed fields whatever their current percentage.
+// A final invoice declares what is left after its advances' tax documents.
+function moneyVatSummary(doc) {
+  const zero = doc.vat ? vatDue(doc, ['0', REVERSE_CHARGE], 'base') : doc.totals.invoiceAmount;
+
+  return ['SouhrnDPH',
+    ['Zaklad0', xmlDecimal(zero)],
+    ['Zaklad5', xmlDecimal(vatDue(doc, ['12'], 'base'))],
+    ['Zaklad22', xmlDecimal(vatDue(doc, ['21'], 'base'))],
+    ['DPH5', xmlDecimal(vatDue(doc, ['12'], 'tax'))],
+    ['DPH22', xmlDecimal(vatDue(doc, ['21'], 'tax'))]
+  ];
+}
+
+// Druh of an issued invoice: N invoice, L advance invoice, Z tax document for a received advance
+// payment, D credit note
+function moneyKind(doc) {
+  if (doc.creditNote) return 'D';
+  if (doc.advance) return 'L';
+  if (doc.advanceTax) return 'Z';
+  return 'N';
+}
+
+function moneyVatRate(doc, vatRate) {
+  return doc.vat && vatRate && vatRate !== REVERSE_CHARGE ? String(parseFloat(vatRate) || 0) : '0';
+}
+
+function moneyPartner(party) {
+  const { companyId, vatId } = partyRegistration(party.ids);
+  const address = parseAddress(party.address);
+  return ['DodOdb',
+    ['ObchNazev', party.name],
+    ['ObchAdresa',
+      ['Ulice', [address.street, address.building].filter(Boolean).join(' ')],
+      ['Misto', address.city],
+      ['PSC', address.postalZone],
+      ['Stat', address.country]
+    ],
+    ['ICO', companyId],
+    ['DIC', vatId]
+  ];
+}
+
+function moneyCurrency(doc, total) {
+  if (doc.currency === 'CZK') return null;
+  return ['Valuty', ['Mena', ['Kod', doc.currency], ['Mnozstvi', '1'], ['Kurs', '1']], ['Celkem', xmlDecimal(total)]];
+}
+
+function moneyInvoice(inv, context, mapping) {
+  const { doc, profile } = documentFor(inv, context);
+  const account = paymentAccount(profile, doc.currency);
+  const domestic = account && parseCzechAccount(account.number);
+  const taxed = deductions(doc).filter(line => line.rate);
+  // The taxed deposits are deducted as lines below; Proplatit also takes off the rest
+  const total = round(doc.totals.invoiceAmount - taxed.reduce((sum, line) => sum + line.total, 0));
+
+  return ['FaktVyd',
+    ['Doklad', doc.number],
+    mapping.number_series ? ['Rada', mapping.number_series] : null,
+    ['Popis', documentText(doc)],
+    ['Druh', moneyKind(doc)],
+    ['DatUcPr', xmlDate(doc.issueDate)],
+    ['DatVyst', xmlDate(doc.issueDate)],
+    ['DatPln', xmlDate(doc.taxableSupplyDate || doc.issueDate)],
+    ['DatSplat', xmlDate(doc.dueDate)],
+    ['VarSymbol', variableSymbol(doc.number)],
+    mapping.accounting ? ['PrKont', mapping.accounting] : null,
+    ['Cleneni', vatClassification(doc, mapping)],
+    ['Uhrada', 'příkazem'],
+    domestic ? ['Ucet', [domestic.prefix, domestic.number].filter(Boolean).join('-')] : null,
+    domestic ? ['KodBanky', domestic.bank] : null,
+    moneyVatSummary(doc),
+    ['Celkem', xmlDecimal(total)],
+    doc.totals.deposits > 0 ? ['Proplatit', xmlDecimal(doc.totals.total)] : null,
+    moneyCurrency(doc, total),
+    moneyPartner(doc.customer),
+    ...doc.items.map(item => ['Polozka',
+      ['Popis', item.description],
+      ['PocetMJ', xmlDecimal(item.hours ?? 1, 4)],
+      item.hours !== null ? ['JednotkaMJ', 'h'] : null,
+      ['Cena', xmlDecimal(item.rate ?? item.amount, 4)],
+      ['SazbaDPH', moneyVatRate(doc, item.vatRate)],
+      // 0: the price is without VAT
+      ['TypCeny', '0']
+    ]),
+    ...taxed.map(line => ['Polozka',
+      ['Popis', line.text],
+      ['PocetMJ', '1'],
+      ['Cena', xmlDecimal(-line.base, 4)],
+      ['SazbaDPH', moneyVatRate(doc, line.rate)],
+      ['TypCeny', '0']
+    ])
+  ];
+}
+
+function moneyPayment(payment, context, mapping) {
+  const { doc } = documentFor(payment.invoice, context);
+  return ['BankDokl',
+    ['Doklad', `${doc.number}-${xmlDate(payment.date)}`],
+    ['Popis', `Úhrada faktury ${doc.number}`],
+    ['DatUcPr', xmlDate(payment.date)],
+    ['DatVyst', xmlDate(payment.date)],
+    ['DatPlat', xmlDate(payment.date)],
+    ['Vydej', '0'],
+    ['VarSym', variableSymbol(doc.number)],
+    mapping.payment_accounting ? ['PrKont', mapping.payment_accounting] : null,
+    mapping.bank_account ? ['Ucet', mapping.bank_account] : null,
+    ['Castka', xmlDecimal(payment.amount)],
+    moneyCurrency(doc, payment.amount),
+    moneyPartner(doc.customer)
+  ];
+}
+
+export function buildMoneyS3Xml({ invoices, payments = [], profile, clients }) {
+  const mapping = accountingMapping(profile, 'money');
+  const context = { profile, clients };
+  const { companyId } = partyRegistration(partyIds(profile));
+  const now = new Date();
+
+  return renderXml(['MoneyData', {
+    ICAgendy: companyId,
+    description: 'Export z BizzHub',
+    ExpZkratka: 'BizzHub',
+    ExpDate: xmlDate(now),
+    ExpTime: now.toTimeString().slice(0, 8)
+  },
+  invoices.length ? ['SeznamFaktVyd', ...invoices.map(inv => moneyInvoice(inv, context, mapping))] : null,
+  payments.length ? ['SeznamBankDokl', ...payments.map(payment => moneyPayment(payment, context, mapping))] : null
+  ]);
+}
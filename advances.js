@@ -0,0 +1,189 @@
+// advances.js
+// Advance invoices (zálohové faktury) and how their payments are settled on the final invoice
+//
+// An advance invoice asks for money before the job is done. It is an invoices row of kind 'advance'
+// with the job's job_id, numbered from its own series, and no tax document: its payments are
+// recorded like any other. When a VAT payer receives one, a tax document for the received payment
+// (daňový doklad k přijaté platbě, kind 'advance_tax') taxes it as of the payment date; it points at
+// the advance with original_invoice_id and at the payment with meta.payment_id. A non-payer's
+// payment needs no such document.
+// The job's final invoice bills all the work and deducts what was paid on its advances, listing
+// each advance and tax document by number in meta.advances.
+
+import { addDays, parseJson, partySnapshots } from './invoice.js';
+import { invoicePayments, paidAmount } from './payments.js';
+import { resolveVatRate, round, vatPercent } from './vat.js';
+
+export const ADVANCE = 'advance';
+export const ADVANCE_TAX = 'advance_tax';
+
+export function isAdvance(inv) {
+  return inv?.kind === ADVANCE;
+}
+
+export function isAdvanceTax(inv) {
+  return inv?.kind === ADVANCE_TAX;
+}
+
+// Documents of the advance chain, which are no claim of their own on top of the final invoice
+export function isAdvanceDocument(inv) {
+  return isAdvance(inv) || isAdvanceTax(inv);
+}
+
+function isLive(inv) {
+  return !inv.deleted && inv.status !== 'cancelled';
+}
+
+// The advance invoice for `amount` (VAT included) on a job, still without its number.
+// A payer's advance records the rate its payments will be taxed at.
+export function buildAdvance(job, { amount, profile, client, dueDays, date = new Date() }) {
+  const vatPayer = !!profile?.vat_payer;
+  const due = addDays(date, parseInt(dueDays ?? client.due_date_days, 10) || 14);
+  const total = round(parseFloat(amount) || 0);
+
+  return {
+    kind: ADVANCE,
+    client_id: job.client_id,
+    job_id: job.id,
+    items: JSON.stringify([{
+      description: job.name ? `Záloha na zakázku ${job.name} / Advance payment for ${job.name}` : 'Záloha / Advance payment',
+      hours: null,
+      rate: null,
+      amount: total
+    }]),
+    subtotal: total,
+    tax: 0,
+    total,
+    currency: job.currency || client.currency || 'CZK',
+    status: 'issued',
+    due_date: due,
+    taxable_supply_date: null,
+    meta: JSON.stringify({
+      job_name: job.name,
+      job_address: job.address,
+      // Not a tax document, whatever the supplier is; the rate is for the tax document
+      vat_payer: false,
+      tax_document: vatPayer,
+      vat_rate: vatPayer ? resolveVatRate(job.vat_rate, client?.vat_rate, profile.default_vat_rate) : null,
+      invoice_amount: total
+    }),
+    ...partySnapshots({ profile, client })
+  };
+}
+
+// Whether a payment on this advance calls for a tax document
+export function needsTaxDocument(advance) {
+  return isAdvance(advance) && !!parseJson(advance.meta, {}).tax_document;
+}
+
+// A received amount split into base and VAT, the tax being worked out from the gross amount
+export function splitReceived(amount, vatRate) {
+  const percent = vatPercent(vatRate);
+  const tax = round(amount * percent / (100 + percent));
+  return { base: round(amount - tax), tax };
+}
+
+// The tax document for one payment received on an advance, still without its number
+export function buildAdvanceTax(advance, payment) {
+  const meta = parseJson(advance.meta, {});
+  const amount = round(parseFloat(payment.amount) || 0);
+  const { base, tax } = splitReceived(amount, meta.vat_rate);
+
+  return {
+    kind: ADVANCE_TAX,
+    original_invoice_id: advance.id,
+    client_id: advance.client_id,
+    job_id: advance.job_id || null,
+    items: JSON.stringify([{
+      description: `Přijatá záloha k faktuře ${advance.invoice_number} / Advance received`,
+      hours: null,
+      rate: null,
+      amount: base,
+      vat_rate: meta.vat_rate
+    }]),
+    subtotal: base,
+    tax,
+    total: amount,
+    currency: advance.currency || null,
+    status: 'issued',
+    due_date: payment.date,
+    taxable_supply_date: payment.date,
+    meta: JSON.stringify({
+      job_name: meta.job_name,
+      job_address: meta.job_address,
+      advance_number: advance.invoice_number,
+      payment_id: payment.id,
+      payment_date: payment.date,
+      invoice_amount: amount,
+      vat_payer: true
+    }),
+    supplier_snapshot: advance.supplier_snapshot ?? null,
+    customer_snapshot: advance.customer_snapshot ?? null
+  };
+}
+
+// The live tax document issued for a payment, if any
+export function taxDocumentFor(payment, invoices) {
+  return invoices.find(inv =>
+    isAdvanceTax(inv) && isLive(inv) && parseJson(inv.meta, {}).payment_id === payment.id
+  ) || null;
+}
+
+// Live advance invoices of a job
+export function jobAdvances(job, invoices) {
+  return invoices.filter(inv => isAdvance(inv) && inv.job_id === job.id && isLive(inv));
+}
+
+// Advances already deducted on a live final invoice
+function deductedAdvanceIds(invoices) {
+  return new Set(invoices
+    .filter(inv => !isAdvanceDocument(inv) && isLive(inv))
+    .flatMap(inv => (parseJson(inv.meta, {}).advances || []).map(advance => advance.id)));
+}
+
+// Once deducted, whatever is left unpaid on an advance is billed by the final invoice instead
+export function isDeducted(advance, invoices) {
+  return deductedAdvanceIds(invoices).has(advance.id);
+}
+
+// Base and VAT per rate as the tax documents declared them; each has a single line
+function declaredVat(taxDocuments) {
+  const rates = new Map();
+  for (const doc of taxDocuments) {
+    const rate = String(parseJson(doc.items, [])[0]?.vat_rate);
+    const sum = rates.get(rate) || { rate, base: 0, tax: 0 };
+    sum.base = round(sum.base + (Number(doc.subtotal) || 0));
+    sum.tax = round(sum.tax + (Number(doc.tax) || 0));
+    rates.set(rate, sum);
+  }
+  return [...rates.values()].map(line => ({ ...line, total: round(line.base + line.tax) }));
+}
+
+// What the job's final invoice deducts: every paid advance not deducted elsewhere, with its tax
+// documents and the VAT they already declared. Stored as the final invoice's meta.advances.
+export function settledAdvances(job, { invoices = [], payments = [] }) {
+  const deducted = deductedAdvanceIds(invoices);
+  return jobAdvances(job, invoices)
+    .filter(advance => !deducted.has(advance.id))
+    .map(advance => {
+      const own = invoicePayments(payments, advance.id);
+      const taxDocuments = own.map(payment => taxDocumentFor(payment, invoices)).filter(Boolean);
+      return {
+        id: advance.id,
+        number: advance.invoice_number,
+        tax_documents: taxDocuments.map(doc => doc.invoice_number),
+        amount: paidAmount(own),
+        vat: declaredVat(taxDocuments)
+      };
+    })
+    .filter(advance => advance.amount > 0);
+}
+
+export function advancesTotal(advances) {
+  return round(advances.reduce((sum, advance) => sum + advance.amount, 0));
+}
+
+// VAT the advances' tax documents have declared already, which the final invoice no longer owes
+export function advancesTax(advances) {
+  return round(advances.flatMap(advance => advance.vat).reduce((sum, line) => sum + line.tax, 0));
+}
@@ -0,0 +1,72 @@
+// aging.js
+// Accounts receivable aging: what each client still owes, by how long it has been past due
+//
+// Invoices not yet due count as 0 days and land in the first bucket.
+
+import { t } from './lang.js';
+import { daysOverdue, invoiceState, isOutstanding } from './lifecycle.js';
+import { balanceDue } from './payments.js';
+import { round } from './vat.js';
+
+export const AGING_BUCKETS = [
+  { label: '0–30', max: 30 },
+  { label: '31–60', max: 60 },
+  { label: '61–90', max: 90 },
+  { label: '90+', max: Infinity }
+];
+
+export function agingBucket(days) {
+  return AGING_BUCKETS.findIndex(bucket => days <= bucket.max);
+}
+
+// One row per client and currency (amounts in different currencies are never added up),
+// ordered by client name
+export function agingReport(invoices, { clients, payments = [], today = new Date() }) {
+  const rows = new Map();
+
+  invoices.forEach(inv => {
+    if (!isOutstanding(invoiceState(inv, { payments, invoices }, today))) return;
+    const balance = balanceDue(inv, payments, invoices);
+    if (balance <= 0) return;
+
+    const client = clients.find(c => c.id === inv.client_id);
+    const currency = inv.currency || client?.currency || 'CZK';
+    const key = `${inv.client_id}:${currency}`;
+    if (!rows.has(key)) {
+      rows.set(key, { client: client?.name || '-', currency, buckets: AGING_BUCKETS.map(() => 0), total: 0 });
+    }
+
+    const row = rows.get(key);
+    const bucket = agingBucket(daysOverdue(inv, today));
+    row.buckets[bucket] = round(row.buckets[bucket] + balance);
+    row.total = round(row.total + balance);
+  });
+
+  return [...rows.values()].sort((a, b) => a.client.localeCompare(b.client) || a.currency.localeCompare(b.currency));
+}
+
+// Totals per currency across all clients
+export function agingTotals(report) {
+  const totals = new Map();
+  report.forEach(row => {
+    const sum = totals.get(row.currency) || { currency: row.currency, buckets: AGING_BUCKETS.map(() => 0), total: 0 };
+    row.buckets.forEach((amount, i) => { sum.buckets[i] = round(sum.buckets[i] + amount); });
+    sum.total = round(sum.total + row.total);
+    totals.set(row.currency, sum);
+  });
+  return [...totals.values()];
+}
+
+export function agingSheet(report) {
+  return [
+    [t('client'), t('currency'), ...AGING_BUCKETS.map(bucket => `${bucket.label} ${t('days')}`), t('total')],
+    ...report.map(row => [row.client, row.currency, ...row.buckets, row.total]),
+    ...agingTotals(report).map(sum => [t('total'), sum.currency, ...sum.buckets, sum.total])
+  ];
+}
+
+export function agingWorkbook(XLSX, report) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(agingSheet(report)), t('agingReport'));
+  return wb;
+}
@@ -3,30 +3,106 @@ const state = {
   jobs: [],
   timesheets: [],
   invoices: [],
+  payments: [],
+  quotes: [],
+  recurringInvoices: [],
   profile: {},
+  ledgerFilter: { from: '', to: '' },
+  ledgerColumns: [],
   currentView: 'dashboard'
 };
 
-import { database } from './db.js';
+import { database, AuthError } from './db.js';
+import { BACKENDS } from './backends/index.js';
 import { t, setLanguage } from './lang.js';
+import { DEFAULT_SERIES, SERIES_KINDS, isValidPattern, nextInSeries, previewNumber, rewindsSeries, seriesPeriod } from './numbering.js';
+import { LABELS, buildInvoiceDocument, documentTitle, formatCurrency, formatDate, newInvoice, parseJson, partySnapshots, paymentAccount, vatNote, vatRateLabel } from './invoice.js';
+import { REVERSE_CHARGE, VAT_RATES, invoiceTotals, resolveVatRate, round } from './vat.js';
+import { formatIban, isValidAccountNumber, isValidBic, isValidIban, normalizeBic, normalizeIban } from './iban.js';
+import { qrSvg } from './qrpay.js';
+import { downloadInvoicePdf, downloadQuotePdf, downloadReminderPdf, invoicePdfAttachment } from './pdf.js';
+import { buildIsdoc, isdocFileName } from './isdoc.js';
+import { xmlDate } from './xml.js';
+import { DEFAULT_LEDGER_COLUMNS, LEDGER_COLUMNS, invoiceSheet, ledgerWorkbook, toCsv } from './ledger.js';
+import { ACCOUNTING_FORMATS, MAPPING_FIELDS, accountingMapping, buildMoneyS3Xml, buildPohodaXml } from './accounting.js';
+import { PAYMENT_METHODS, balanceDue, invoicePayments, paidAmount, paymentStatus, receivedPayments } from './payments.js';
+import { STATE_BADGES, TRANSITIONS, invoiceState, isOutstanding, storedState } from './lifecycle.js';
+import { AGING_BUCKETS, agingReport, agingTotals, agingWorkbook } from './aging.js';
+import { buildCreditNote, creditLines, isCreditNote } from './creditnotes.js';
+import { advancesTax, advancesTotal, buildAdvance, isAdvance, isAdvanceDocument, isAdvanceTax, jobAdvances, settledAdvances, taxDocumentFor } from './advances.js';
+import { isLocked, lockViolation } from './lock.js';
+import { REMINDER_LEVELS, buildReminder, buildReminderDocument, invoiceReminders, nextReminderLevel, remindersDue, repoRateKnown, repoRates, statutoryRate } from './reminders.js';
+import { QUOTE_BADGES, QUOTE_VALIDITY_DAYS, buildQuoteDocument, canConvert, quoteConversions, quoteInvoice, quoteJob, quoteRecord, quoteState } from './quotes.js';
+import { RECURRING_INTERVALS, emailQueue, isRunning, recurringAmount, upcomingRuns } from './recurring.js';
+import { EMAIL_LANGUAGES, EMAIL_PLACEHOLDERS, emailLanguage, emailTemplate, emailValues, fillEmail } from './emails.js';
 
 
 // Utility Functions
-function formatCurrency(amount) {
-  return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-function formatDate(dateString) {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${day}.${month}.${year}`;
+// <option>s for a VAT rate select; inherit labels the empty "use the default" choice
+function vatRateOptions(selected, inherit = null) {
+  const current = selected === null || selected === undefined ? '' : String(selected);
+  return [
+    ...(inherit ? [`<option value="">${inherit}</option>`] : []),
+    ...VAT_RATES.map(rate => `<option value="${rate}" ${current === rate ? 'selected' : ''}>${rate === REVERSE_CHARGE ? t('reverseCharge') : `${rate} %`}</option>`)
+  ].join('');
+}
+
+// Editable lines (description, hours, rate, VAT) for the recurring invoice and quote forms.
+// Blank hours make the rate a flat price.
+function lineItemRow(item = {}) {
+  return `
+    <div class="line-item flex gap-1">
+      <input type="text" data-field="description" placeholder="${t('description')}" value="${escapeHtml(item.description || '')}" style="flex: 3;">
+      <input type="number" data-field="hours" placeholder="${t('hours')}" value="${item.hours ?? ''}" step="0.01" min="0" style="flex: 1;">
+      <input type="number" data-field="rate" placeholder="${t('ratePrice')}" value="${item.rate ?? ''}" step="0.01" style="flex: 1;">
+      ${state.profile?.vat_payer ? `<select data-field="vat_rate" style="flex: 1;">${vatRateOptions(item.vat_rate, t('vatFromClient'))}</select>` : ''}
+      <button type="button" class="action-btn remove-line" title="${t('delete')}">−</button>
+    </div>
+  `;
+}
+
+function lineItemsEditor(items) {
+  return `
+    <div class="line-items">${(items.length ? items : [{}]).map(lineItemRow).join('')}</div>
+    <button type="button" class="btn-secondary add-line">+</button>
+  `;
+}
+
+function bindLineItems(form) {
+  const container = form.querySelector('.line-items');
+  const bindRemove = () => container.querySelectorAll('.remove-line').forEach(btn => {
+    btn.onclick = () => btn.closest('.line-item').remove();
+  });
+  bindRemove();
+  form.querySelector('.add-line').addEventListener('click', () => {
+    container.insertAdjacentHTML('beforeend', lineItemRow());
+    bindRemove();
+  });
+}
+
+// Filled-in lines only; a line needs a description and a rate
+function readLineItems(form) {
+  return [...form.querySelectorAll('.line-item')]
+    .map(row => Object.fromEntries([...row.querySelectorAll('[data-field]')].map(input => [input.dataset.field, input.value])))
+    .filter(line => line.description.trim() && line.rate !== '')
+    .map(line => ({
+      description: line.description.trim(),
+      hours: line.hours === '' ? null : parseFloat(line.hours) || 0,
+      rate: parseFloat(line.rate) || 0,
+      ...(line.vat_rate ? { vat_rate: line.vat_rate } : {})
+    }));
 }
 
 // Custom confirmation modal function to replace native confirm()
-function showConfirmModal(title, message, onConfirm) {
+function showConfirmModal(title, message, onConfirm, confirmLabel = null) {
   const modal = `
     <div class="modal-overlay" id="confirmModalOverlay">
       <div class="modal">
@@ -39,7 +115,7 @@ function showConfirmModal(title, message, onConfirm) {
         </div>
         <div class="modal-footer">
           <button class="btn-secondary" onclick="window.closeModal()">${t('cancel')}</button>
-          <button class="btn-danger" id="modalConfirm">${title.includes(t('forever')) ? t('deleteForever') : t('delete')}</button>
+          <button class="btn-danger" id="modalConfirm">${confirmLabel || (title.includes(t('forever')) ? t('deleteForever') : t('delete'))}</button>
         </div>
       </div>
     </div>
@@ -54,22 +130,93 @@ function showConfirmModal(title, message, onConfirm) {
 }
 
 window.markInvoicePaid = async (id) => {
-  await database.markInvoicePaid(id);
+  try {
+    await database.markInvoicePaid(id);
+    await loadData();
+    showView('dashboard');
+    showToast(t('paymentSaved'));
+  } catch (err) {
+    console.error('Failed to record payment:', err);
+    showError(err);
+  }
+};
+
+window.issueInvoice = async (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  const client = state.clients.find(c => c.id === inv?.client_id);
+  // An issued invoice is final, QR payment code included
+  if (!ensurePaymentAccount()) return;
+
+  try {
+    await database.issueInvoice(id, partySnapshots({ profile: state.profile, client }));
+    await loadData();
+    showView('dashboard');
+    showToast(t('saveSuccess'));
+  } catch (err) {
+    console.error('Failed to issue invoice:', err);
+    showError(err);
+  }
+};
+
+window.markInvoiceSent = async (id) => {
+  await database.markInvoiceSent(id);
   await loadData();
   showView('dashboard');
-  showToast('Invoice marked as paid');
+  showToast(t('saveSuccess'));
 };
 
+// Header indicator for the offline replica / outbox
+function renderSyncStatus({ state: syncState, pending }) {
+  const el = document.getElementById('syncStatus');
+  if (!el) return;
+  el.className = `sync-status sync-${syncState}`;
+  el.textContent = t(`sync_${syncState}`) + (pending ? ` (${pending})` : '');
+}
+
+// Storage backend for this session. ?storage=indexeddb keeps all data in this browser with no
+// account, ?storage=memory is a throwaway store for development. The choice is remembered
+// (except memory); anything else uses the Netlify functions and Supabase.
+function chooseStorage() {
+  const requested = new URLSearchParams(window.location.search).get('storage');
+  if (requested && BACKENDS[requested] && requested !== 'memory') {
+    localStorage.setItem('storage', requested);
+  }
+  const storage = requested || localStorage.getItem('storage');
+  return BACKENDS[storage] ? storage : 'proxy';
+}
+
 // Initialize app
 async function init() {
   setupEventListeners();
+  state.ledgerColumns = savedLedgerColumns();
+
+  database.on('sync', renderSyncStatus);
+  database.on('sync-error', () => showToast(t('syncRejected'), 'error'));
+  // One at a time, deferred so a form that is closing after its failed save doesn't close it too
+  database.on('conflict', (conflict) => {
+    pendingConflicts.push(conflict);
+    if (!document.getElementById('conflictKeepMine')) setTimeout(showNextConflict, 0);
+  });
+  database.on('change', async () => {
+    // Fresh data from another device: redraw lists, but never under an open form
+    if (document.getElementById('modalContainer').innerHTML || state.currentView === 'profile') return;
+    await loadData();
+    showView(state.currentView);
+  });
+
+  const storage = chooseStorage();
+  database.useBackend(storage);
 
   // Set authenticated user on database before loading data
-  if (window.netlifyIdentity) {
+  const emailEl = document.getElementById('userEmail');
+  if (storage !== 'proxy') {
+    // No account in local-only mode; everything belongs to one fixed local user
+    database.setUser('local');
+    if (emailEl) emailEl.textContent = t('localOnly');
+  } else if (window.netlifyIdentity) {
     const user = window.netlifyIdentity.currentUser();
     if (user) {
       database.setUser(user.id);
-      const emailEl = document.getElementById('userEmail');
       if (emailEl) emailEl.textContent = user.email;
     }
   }
@@ -102,7 +249,9 @@ function setupEventListeners() {
   });
 
   document.getElementById('logoutBtn').addEventListener('click', () => {
-    netlifyIdentity.logout();
+    // Leaving local-only mode; its data stays in the browser for ?storage=indexeddb
+    localStorage.removeItem('storage');
+    window.netlifyIdentity?.logout();
     window.location.href = '/index.html';
   });
 
@@ -157,8 +306,16 @@ async function loadData() {
     state.jobs = data.jobs || [];
     state.timesheets = data.timesheets || [];
     state.invoices = data.invoices || [];
+    state.payments = data.payments || [];
+    state.quotes = data.quotes || [];
+    state.recurringInvoices = data.recurring_invoices || [];
     state.profile = data.business;
   } catch (error) {
+    if (error instanceof AuthError) {
+      showToast(t('sessionExpired'), 'error');
+      window.netlifyIdentity?.open('login');
+      return;
+    }
     showToast(t('error'), 'error');
     console.error('Failed to load data:', error);
   }
@@ -188,6 +345,12 @@ function showView(viewName) {
     case 'worklogs':
       renderWorkLogs(mainView);
       break;
+    case 'quotes':
+      renderQuotes(mainView);
+      break;
+    case 'recurring':
+      renderRecurring(mainView);
+      break;
     case 'trash':
       renderTrash(mainView);
       break;
@@ -199,40 +362,95 @@ function showView(viewName) {
 
 // Dashboard View
 function renderDashboard(container) {
-  const totalInvoiced = state.invoices.reduce((sum, inv) => sum + (inv.total || 0), 0);
-  const totalReceived = state.invoices.filter(inv => inv.status === 'paid')
+  const context = { payments: state.payments, invoices: state.invoices };
+  const states = new Map(state.invoices.map(inv => [inv.id, invoiceState(inv, context)]));
+  // Credit notes carry negative totals, so summing them nets them off what was invoiced.
+  // Tax documents for advance payments only tax what their advance invoice already asked for.
+  const totalInvoiced = state.invoices.filter(inv => !['draft', 'cancelled'].includes(states.get(inv.id)) && !isAdvanceTax(inv))
     .reduce((sum, inv) => sum + (inv.total || 0), 0);
-  const totalOverdue = state.invoices.filter(inv =>
-    inv.status === 'unpaid' && new Date(inv.due_date) < new Date()
-  ).reduce((sum, inv) => sum + (inv.total || 0), 0);
+  const totalReceived = paidAmount(receivedPayments(state.invoices, state.payments));
+  const totalOverdue = state.invoices.filter(inv => states.get(inv.id) === 'overdue')
+    .reduce((sum, inv) => sum + balanceDue(inv, state.payments, state.invoices), 0);
+  const aging = agingReport(state.invoices, { clients: state.clients, payments: state.payments });
+  const reminders = remindersDue(state.invoices, { payments: state.payments });
+  const queued = emailQueue(state.invoices);
 
   const defaultCurrency = state.profile?.currency || state.clients[0]?.currency || 'CZK';
+  const ledger = ledgerInvoices();
 
   container.innerHTML = `
-    <div class="stats-grid">
-      <div class="stat-card">
-        <div class="stat-label">${t('totalInvoiced')}</div>
-        <div class="stat-value">${formatCurrency(totalInvoiced)} ${defaultCurrency}</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">${t('totalReceived')}</div>
-        <div class="stat-value">${formatCurrency(totalReceived)} ${defaultCurrency}</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">${t('totalOverdue')}</div>
-        <div class="stat-value">${formatCurrency(totalOverdue)} ${defaultCurrency}</div>
+    <div class="dashboard-top">
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-label">${t('totalInvoiced')}</div>
+          <div class="stat-value">${formatCurrency(totalInvoiced)} ${defaultCurrency}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">${t('totalReceived')}</div>
+          <div class="stat-value">${formatCurrency(totalReceived)} ${defaultCurrency}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">${t('totalOverdue')}</div>
+          <div class="stat-value">${formatCurrency(totalOverdue)} ${defaultCurrency}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-label">${t('clientCount')}</div>
+          <div class="stat-value">${state.clients.length}</div>
+        </div>
       </div>
-      <div class="stat-card">
-        <div class="stat-label">${t('clientCount')}</div>
-        <div class="stat-value">${state.clients.length}</div>
+
+      <div class="card reminders-queue">
+        <h3 class="mb-2">${t('remindersDue')}</h3>
+        ${reminders.length === 0 ? `<p class="text-muted">${t('noRemindersDue')}</p>` : `
+          <table>
+            <tbody>
+              ${reminders.map(({ invoice, level, days, balance }) => {
+                const client = state.clients.find(c => c.id === invoice.client_id);
+                return `
+                <tr>
+                  <td>${invoice.invoice_number || '-'}<br><span class="text-muted">${escapeHtml(client?.name || '-')}</span></td>
+                  <td>${days} ${t('days')}<br><span class="text-muted">${formatCurrency(balance)} ${invoice.currency || client?.currency || 'CZK'}</span></td>
+                  <td><span class="badge badge-${level === 'final' ? 'danger' : 'warning'}">${t(`reminder_${level}`)}</span></td>
+                  <td><button class="action-btn" onclick="window.showReminderForm('${invoice.id}')" title="${t('sendReminder')}">🔔</button></td>
+                </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        `}
+        ${queued.length === 0 ? '' : `
+          <h3 class="mb-2 mt-3">${t('emailQueue')}</h3>
+          <table>
+            <tbody>
+              ${queued.map(invoice => {
+                const client = state.clients.find(c => c.id === invoice.client_id);
+                return `
+                <tr>
+                  <td>${invoice.invoice_number || '-'}<br><span class="text-muted">${escapeHtml(client?.name || '-')}</span></td>
+                  <td>${formatDate(invoice.created_at)}<br><span class="text-muted">${formatCurrency(invoice.total || 0)} ${invoice.currency || client?.currency || 'CZK'}</span></td>
+                  <td><button class="action-btn" onclick="window.showEmailComposer('${invoice.id}')" title="${t('sendEmail')}">✉️</button></td>
+                </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+        `}
       </div>
     </div>
 
     <div class="flex-between mb-3">
       <h2>${t('ledger')}</h2>
-      <div class="flex gap-1">
+      <div class="flex gap-1 ledger-filter">
+        <label for="ledgerFrom">${t('dateFrom')}</label>
+        <input type="date" id="ledgerFrom" value="${state.ledgerFilter.from}">
+        <label for="ledgerTo">${t('dateTo')}</label>
+        <input type="date" id="ledgerTo" value="${state.ledgerFilter.to}">
+        <button id="exportColumns" class="btn-secondary">${t('exportColumns')}</button>
         <button id="exportCsv" class="btn-secondary">${t('exportCsv')}</button>
         <button id="exportXlsx" class="btn-secondary">${t('exportXlsx')}</button>
+        <button id="exportIsdoc" class="btn-secondary">${t('exportIsdoc')}</button>
+        <button id="exportPohoda" class="btn-secondary">${t('format_pohoda')}</button>
+        <button id="exportMoney" class="btn-secondary">${t('format_money')}</button>
       </div>
     </div>
 
@@ -252,32 +470,46 @@ function renderDashboard(container) {
           </tr>
         </thead>
         <tbody>
-          ${state.invoices.length === 0 ? `
+          ${ledger.length === 0 ? `
             <tr><td colspan="9" class="text-center text-muted">${t('noData')}</td></tr>
-          ` : state.invoices.map((inv, i) => {
+          ` : ledger.map((inv, i) => {
             const client = state.clients.find(c => c.id === inv.client_id);
-            const currency = client?.currency || 'CZK';
+            const currency = inv.currency || client?.currency || 'CZK';
             const items = typeof inv.items === 'string' ? JSON.parse(inv.items || '[]') : (inv.items || []);
             const description = items.length > 0 ? items[0].description : '';
+            const status = states.get(inv.id);
+            const payment = isCreditNote(inv) || isAdvanceTax(inv) ? null : paymentStatus(inv, state.payments, state.invoices);
+            const original = isCreditNote(inv) || isAdvanceTax(inv) ? state.invoices.find(o => o.id === inv.original_invoice_id) : null;
             const truncatedDesc = description.length > 30 ? description.substring(0, 30) + '...' : description;
             return `
             <tr>
               <td>${i + 1}</td>
               <td>${formatDate(inv.created_at)}</td>
               <td>${formatDate(inv.due_date)}</td>
-              <td>${inv.invoice_number || '-'}</td>
+              <td>
+                ${inv.invoice_number || '-'}
+                ${isCreditNote(inv) ? `<span class="badge badge-muted" title="${t('originalInvoice')}: ${original?.invoice_number || ''}">${t('creditNote')}</span>` : ''}
+                ${isAdvance(inv) ? `<span class="badge badge-muted">${t('advanceInvoice')}</span>` : ''}
+                ${isAdvanceTax(inv) ? `<span class="badge badge-muted" title="${t('advanceInvoice')}: ${original?.invoice_number || ''}">${t('advanceTaxDocument')}</span>` : ''}
+              </td>
               <td>${client?.name || '-'}</td>
               <td title="${description}">${truncatedDesc || '-'}</td>
               <td>${formatCurrency(inv.total || 0)} ${currency}</td>
               <td>
-                <span class="badge badge-${inv.status === 'paid' ? 'success' : inv.status === 'overdue' ? 'danger' : 'warning'}">
-                  ${t(inv.status || 'pending')}
-                </span>
+                <span class="badge badge-${STATE_BADGES[status]}">${t(status)}</span>
+                ${payment === 'partially_paid' || payment === 'overpaid' ? `<span class="badge badge-warning">${t(payment)}</span>` : ''}
               </td>
               <td>
                 <button class="action-btn" onclick="window.downloadInvoice('${inv.id}')" title="${t('downloadPdf')}">⬇️</button>
-                <button class="action-btn mark-paid-btn" data-id="${inv.id}" title="${t('markPaid')}">✓</button>
-                <button class="action-btn" onclick="window.deleteInvoice('${inv.id}')" title="${t('delete')}">🗑️</button>
+                <button class="action-btn" onclick="window.downloadIsdoc('${inv.id}')" title="${t('downloadIsdoc')}">🧾</button>
+                ${isCreditNote(inv) || isAdvanceTax(inv) ? '' : `<button class="action-btn" onclick="window.showPayments('${inv.id}')" title="${t('paymentHistory')}">💳</button>`}
+                ${TRANSITIONS[storedState(inv)].includes('issued') ? `<button class="action-btn" onclick="window.issueInvoice('${inv.id}')" title="${t('issueInvoice')}">📄</button>` : ''}
+                ${TRANSITIONS[storedState(inv)].includes('sent') ? `<button class="action-btn" onclick="window.markInvoiceSent('${inv.id}')" title="${t('markSent')}">📨</button>` : ''}
+                ${!isCreditNote(inv) && !['draft', 'cancelled'].includes(status) ? `<button class="action-btn" onclick="window.showEmailComposer('${inv.id}')" title="${t('sendEmail')}">✉️</button>` : ''}
+                ${status === 'overdue' && !isCreditNote(inv) ? `<button class="action-btn" onclick="window.showReminderForm('${inv.id}')" title="${t('sendReminder')}">🔔</button>` : ''}
+                ${isOutstanding(status) && !isCreditNote(inv) ? `<button class="action-btn mark-paid-btn" data-id="${inv.id}" title="${t('markPaid')}">✓</button>` : ''}
+                ${!isCreditNote(inv) && !isAdvanceDocument(inv) && !['draft', 'cancelled'].includes(status) ? `<button class="action-btn" onclick="window.showCreditNoteForm('${inv.id}')" title="${t('createCreditNote')}">↩️</button>` : ''}
+                ${TRANSITIONS[storedState(inv)].includes('cancelled') ? `<button class="action-btn" onclick="window.cancelInvoice('${inv.id}')" title="${t('cancelInvoice')}">🚫</button>` : ''}
               </td>
             </tr>
             `;
@@ -285,32 +517,74 @@ function renderDashboard(container) {
         </tbody>
       </table>
     </div>
+
+    <div class="flex-between mb-3 mt-3">
+      <div>
+        <h2>${t('agingReport')}</h2>
+        <p class="text-muted">${t('agingHelp')}</p>
+      </div>
+      <button id="exportAging" class="btn-secondary">${t('exportXlsx')}</button>
+    </div>
+
+    <div class="table-container">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('client')}</th>
+            ${AGING_BUCKETS.map(bucket => `<th>${bucket.label} ${t('days')}</th>`).join('')}
+            <th>${t('total')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${aging.length === 0 ? `
+            <tr><td colspan="${AGING_BUCKETS.length + 2}" class="text-center text-muted">${t('noOutstanding')}</td></tr>
+          ` : [...aging, ...agingTotals(aging).map(sum => ({ ...sum, client: t('total'), isTotal: true }))].map(row => `
+            <tr${row.isTotal ? ' class="aging-total"' : ''}>
+              <td>${escapeHtml(row.client)}</td>
+              ${row.buckets.map(amount => `<td>${amount ? `${formatCurrency(amount)} ${row.currency}` : '-'}</td>`).join('')}
+              <td>${formatCurrency(row.total)} ${row.currency}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
   `;
 
+  document.getElementById('exportAging')?.addEventListener('click', () => exportAging(aging));
+  document.getElementById('exportColumns')?.addEventListener('click', showColumnPicker);
   document.getElementById('exportCsv')?.addEventListener('click', () => exportLedger('csv'));
   document.getElementById('exportXlsx')?.addEventListener('click', () => exportLedger('xlsx'));
+  document.getElementById('exportIsdoc')?.addEventListener('click', () => exportIsdoc(ledgerInvoices()));
+  document.getElementById('exportPohoda')?.addEventListener('click', () => exportAccounting('pohoda'));
+  document.getElementById('exportMoney')?.addEventListener('click', () => exportAccounting('money'));
+
+  ['from', 'to'].forEach(key => {
+    const input = document.getElementById(key === 'from' ? 'ledgerFrom' : 'ledgerTo');
+    input?.addEventListener('change', () => {
+      state.ledgerFilter[key] = input.value;
+      showView('dashboard');
+    });
+  });
 
+  // Records whatever is still owed as one payment received today
   document.querySelectorAll('.mark-paid-btn').forEach(btn => {
     btn.addEventListener('click', async () => {
       const id = btn.getAttribute('data-id');
-      const invoice = state.invoices.find(inv => inv.id === id);
-      if (!invoice) return;
-
-      const newStatus = invoice.status === 'paid' ? 'unpaid' : 'paid';
-
-      try {
-        await database.update('invoices', id, { status: newStatus });
-        await loadData();
-        showView('dashboard');
-        showToast(t('saveSuccess'));
-      } catch (err) {
-        console.error(err);
-        showToast(t('error'), 'error');
-      }
+      if (!state.invoices.some(inv => inv.id === id)) return;
+      await window.markInvoicePaid(id);
     });
   });
 }
 
+// Invoices in the ledger's issue date range (either end may be left open)
+function ledgerInvoices() {
+  const { from, to } = state.ledgerFilter;
+  return state.invoices.filter(inv => {
+    const issued = xmlDate(inv.created_at) || '';
+    return (!from || issued >= from) && (!to || issued <= to);
+  });
+}
+
 // Clients View
 function renderClients(container) {
   container.innerHTML = `
@@ -364,6 +638,7 @@ function renderJobs(container) {
   // FIX 1: Show all jobs (billed and pending), excluding only deleted ones.
   // Original problematic logic: : state.jobs.filter(j => !j.billed && !j.deleted);
   const displayJobs = state.jobs.filter(j => !j.deleted);
+  const quoteOf = (job) => job.quote_id && state.quotes.find(q => q.id === job.quote_id);
 
   container.innerHTML = `
     <div class="flex-between mb-3">
@@ -398,7 +673,10 @@ function renderJobs(container) {
             const client = state.clients.find(c => c.id === job.client_id);
             return `
               <tr>
-                <td>${job.name || '-'}</td>
+                <td>
+                  ${job.name || '-'}
+                  ${quoteOf(job) ? `<span class="badge badge-muted" title="${t('fromQuote')}">${escapeHtml(quoteOf(job).quote_number || '')}</span>` : ''}
+                </td>
                 <td>${client?.name || '-'}</td>
                 <td>${formatDate(job.start_date)}</td>
                 <td>${formatDate(job.end_date)}</td>
@@ -406,6 +684,7 @@ function renderJobs(container) {
                 <td>${job.rate || client?.rate || 0} ${job.currency || client?.currency || 'USD'}</td>
                 <td>${job.billed ? '<span class="badge badge-success">Billed ✓</span>' : '<span class="badge badge-warning">Pending</span>'}</td>
                 <td>
+                  ${!job.billed ? `<button class="action-btn" onclick="window.showAdvanceForm('${job.id}')" title="${t('issueAdvance')}">🧾</button>` : ''}
                   ${!job.billed ? `<button class="action-btn" onclick="window.createInvoiceFromJob('${job.id}')" title="Create Invoice">💰</button>` : ''}
                   <button class="action-btn" onclick="window.editJob('${job.id}')" title="${t('edit')}">✏️</button>
                   <button class="action-btn" onclick="window.deleteJob('${job.id}')" title="${t('delete')}">🗑️</button>
@@ -427,6 +706,166 @@ function renderJobs(container) {
   });
 }
 
+// Quotes View
+function renderQuotes(container) {
+  const quotes = state.quotes.filter(q => !q.deleted);
+  const context = { jobs: state.jobs, invoices: state.invoices };
+  const clientOf = (quote) => state.clients.find(c => c.id === quote.client_id);
+
+  container.innerHTML = `
+    <div class="flex-between mb-3">
+      <div>
+        <h2>${t('quotes')}</h2>
+        <p class="text-muted">${t('quotesHelp')}</p>
+      </div>
+      <button id="addQuote" class="btn-primary">${t('addQuote')}</button>
+    </div>
+
+    <div class="table-container">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('quoteNumber')}</th>
+            <th>${t('date')}</th>
+            <th>${t('client')}</th>
+            <th>${t('jobName')}</th>
+            <th>${t('total')}</th>
+            <th>${t('validUntil')}</th>
+            <th>${t('status')}</th>
+            <th>${t('actions')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${quotes.length === 0 ? `
+            <tr><td colspan="8" class="text-center text-muted">${t('noData')}</td></tr>
+          ` : quotes.map(quote => {
+            const status = quoteState(quote);
+            const { job, invoice } = quoteConversions(quote, context);
+            const convertible = canConvert(quote, context);
+            return `
+              <tr>
+                <td>${escapeHtml(quote.quote_number || '-')}</td>
+                <td>${formatDate(quote.created_at)}</td>
+                <td>${escapeHtml(clientOf(quote)?.name || '-')}</td>
+                <td>${escapeHtml(quote.name || '-')}</td>
+                <td>${formatCurrency(quote.total)} ${quote.currency || ''}</td>
+                <td>${formatDate(quote.valid_until)}</td>
+                <td>
+                  <span class="badge badge-${QUOTE_BADGES[status]}">${t(`quote_${status}`)}</span>
+                  ${job ? `<span class="badge badge-info" title="${t('jobs')}">💼 ${escapeHtml(job.name || '')}</span>` : ''}
+                  ${invoice ? `<span class="badge badge-info" title="${t('invoiceNumber')}">💰 ${escapeHtml(invoice.invoice_number || '')}</span>` : ''}
+                </td>
+                <td>
+                  <button class="action-btn" onclick="window.downloadQuote('${quote.id}')" title="${t('downloadPdf')}">⬇️</button>
+                  ${job || invoice ? '' : `<button class="action-btn" onclick="window.editQuote('${quote.id}')" title="${t('edit')}">✏️</button>`}
+                  ${['draft', 'expired'].includes(status) && !job && !invoice ? `<button class="action-btn" onclick="window.setQuoteStatus('${quote.id}', 'sent')" title="${t('markQuoteSent')}">📨</button>` : ''}
+                  ${['sent', 'expired'].includes(status) ? `
+                    <button class="action-btn" onclick="window.setQuoteStatus('${quote.id}', 'accepted')" title="${t('acceptQuote')}">✓</button>
+                    <button class="action-btn" onclick="window.setQuoteStatus('${quote.id}', 'rejected')" title="${t('rejectQuote')}">✗</button>
+                  ` : ''}
+                  ${convertible ? `
+                    <button class="action-btn" onclick="window.convertQuoteToJob('${quote.id}')" title="${t('convertToJob')}">💼</button>
+                    <button class="action-btn" onclick="window.convertQuoteToInvoice('${quote.id}')" title="${t('convertToInvoice')}">💰</button>
+                  ` : ''}
+                  ${job || invoice ? '' : `<button class="action-btn" onclick="window.deleteQuote('${quote.id}')" title="${t('delete')}">🗑️</button>`}
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  document.getElementById('addQuote')?.addEventListener('click', () => showQuoteForm());
+}
+
+// Recurring Invoices View
+// The invoices themselves are created each day by the recurring-invoices function
+function renderRecurring(container) {
+  const profiles = state.recurringInvoices.filter(p => !p.deleted);
+  const upcoming = upcomingRuns(profiles);
+  const clientOf = (profile) => state.clients.find(c => c.id === profile.client_id);
+  const amount = (profile) => `${formatCurrency(recurringAmount(profile))} ${clientOf(profile)?.currency || 'CZK'}`;
+
+  container.innerHTML = `
+    <div class="flex-between mb-3">
+      <div>
+        <h2>${t('recurringInvoices')}</h2>
+        <p class="text-muted">${t('recurringHelp')}</p>
+      </div>
+      <button id="addRecurring" class="btn-primary">${t('addRecurring')}</button>
+    </div>
+
+    <div class="table-container mb-3">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('recurringName')}</th>
+            <th>${t('client')}</th>
+            <th>${t('interval')}</th>
+            <th>${t('amount')}</th>
+            <th>${t('nextRun')}</th>
+            <th>${t('endDate')}</th>
+            <th>${t('status')}</th>
+            <th>${t('actions')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${profiles.length === 0 ? `
+            <tr><td colspan="8" class="text-center text-muted">${t('noData')}</td></tr>
+          ` : profiles.map(profile => `
+            <tr>
+              <td>${escapeHtml(profile.name || '-')}</td>
+              <td>${escapeHtml(clientOf(profile)?.name || '-')}</td>
+              <td>${t(`interval_${profile.interval}`)}</td>
+              <td>${amount(profile)}</td>
+              <td>${isRunning(profile) ? formatDate(profile.next_run) : '-'}</td>
+              <td>${formatDate(profile.end_date)}</td>
+              <td>
+                ${isRunning(profile) ? `<span class="badge badge-success">${t('recurringActive')}</span>` : `<span class="badge badge-muted">${t(profile.end_date && profile.next_run > profile.end_date ? 'recurringEnded' : 'recurringPaused')}</span>`}
+                ${profile.send_email ? `<span class="badge badge-info" title="${t(profile.auto_send ? 'recurringAutoSend' : 'recurringSendEmail')}">${profile.auto_send ? '📨' : '✉️'}</span>` : ''}
+              </td>
+              <td>
+                <button class="action-btn" onclick="window.editRecurring('${profile.id}')" title="${t('edit')}">✏️</button>
+                <button class="action-btn" onclick="window.deleteRecurring('${profile.id}')" title="${t('delete')}">🗑️</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <h2 class="mb-2">${t('upcomingRuns')}</h2>
+    <div class="table-container">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('date')}</th>
+            <th>${t('recurringName')}</th>
+            <th>${t('client')}</th>
+            <th>${t('amount')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${upcoming.length === 0 ? `
+            <tr><td colspan="4" class="text-center text-muted">${t('noUpcomingRuns')}</td></tr>
+          ` : upcoming.map(({ profile, date }) => `
+            <tr>
+              <td>${formatDate(date)}</td>
+              <td>${escapeHtml(profile.name || '-')}</td>
+              <td>${escapeHtml(clientOf(profile)?.name || '-')}</td>
+              <td>${amount(profile)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  document.getElementById('addRecurring')?.addEventListener('click', () => showRecurringForm());
+}
+
 // Work Logs View
 function renderWorkLogs(container) {
   container.innerHTML = `
@@ -526,7 +965,7 @@ async function renderTrash(container) {
                 <td>${formatDate(item.deleted)}</td>
                 <td>
                   <button class="action-btn" onclick="window.restoreItem('${item._table}', '${item.id}')" title="${t('restore')}">↩️</button>
-                  <button class="action-btn" onclick="window.deleteForever('${item._table}', '${item.id}')" title="${t('deleteForever')}">❌</button>
+                  ${item._table === 'invoices' && isLocked(item) ? '' : `<button class="action-btn" onclick="window.deleteForever('${item._table}', '${item.id}')" title="${t('deleteForever')}">❌</button>`}
                 </td>
               </tr>
             `).join('')}
@@ -538,8 +977,15 @@ async function renderTrash(container) {
 }
 
 // Profile View
-function renderProfile(container) {
+async function renderProfile(container) {
   const profile = state.profile || {};
+  try {
+    state.invoiceSeries = await database.getInvoiceSeries();
+  } catch (err) {
+    console.error('Failed to load invoice series:', err);
+    state.invoiceSeries = [];
+  }
+  const seriesFor = (kind) => ({ ...DEFAULT_SERIES[kind], ...state.invoiceSeries.find(s => s.kind === kind) });
 
   container.innerHTML = `
     <h2 class="mb-3">${t('businessProfile')}</h2>
@@ -562,6 +1008,16 @@ function renderProfile(container) {
             <input type="email" name="email" value="${profile.email || ''}">
           </div>
 
+          <div class="form-group checkbox-group">
+            <input type="checkbox" name="vat_payer" id="vat_payer" ${profile.vat_payer ? 'checked' : ''}>
+            <label for="vat_payer">${t('vatPayer')}</label>
+          </div>
+
+          <div class="form-group">
+            <label>${t('defaultVatRate')}</label>
+            <select name="default_vat_rate">${vatRateOptions(profile.default_vat_rate || '21')}</select>
+          </div>
+
           <div class="form-group full-width">
             <h3 class="mb-2">${t('bankAccounts')}</h3>
             ${[1,2,3].map(i => {
@@ -569,12 +1025,27 @@ function renderProfile(container) {
               return `
               <div class="form-grid">
                 <div class="form-group">
-                  <label>${t('bankLabel')} ${i}</label>
+                  <label>${t('accountLabel')} ${i}</label>
                   <input type="text" name="bank_label_${i}" value="${bank.label || ''}">
                 </div>
                 <div class="form-group">
-                  <label>${t('bankNumber')} ${i}</label>
-                  <input type="text" name="bank_number_${i}" value="${bank.number || ''}">
+                  <label>${t('accountCurrency')}</label>
+                  <select name="bank_currency_${i}">
+                    <option value="">${t('anyCurrency')}</option>
+                    ${['CZK', 'EUR', 'USD', 'GBP'].map(c => `<option value="${c}" ${bank.currency === c ? 'selected' : ''}>${c}</option>`).join('')}
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label>${t('accountNumber')}</label>
+                  <input type="text" name="bank_number_${i}" value="${bank.number || ''}" placeholder="2000145399/0800">
+                </div>
+                <div class="form-group">
+                  <label>IBAN</label>
+                  <input type="text" name="bank_iban_${i}" value="${formatIban(bank.iban || '')}" placeholder="CZ79 0800 0000 0020 0014 5399">
+                </div>
+                <div class="form-group">
+                  <label>BIC / SWIFT</label>
+                  <input type="text" name="bank_bic_${i}" value="${bank.bic || ''}" placeholder="GIBACZPX">
                 </div>
               </div>
               `;
@@ -596,6 +1067,66 @@ function renderProfile(container) {
               </div>
             `).join('')}
           </div>
+
+          <div class="form-group full-width">
+            <h3 class="mb-2">${t('invoiceNumbering')}</h3>
+            <p class="text-muted mb-2">${t('seriesPatternHelp')}</p>
+            ${SERIES_KINDS.map(kind => {
+              const series = seriesFor(kind);
+              return `
+              <h4 class="mb-2">${t(`series_${kind}`)}</h4>
+              <div class="form-grid" data-series="${kind}">
+                <div class="form-group">
+                  <label>${t('seriesPrefix')}</label>
+                  <input type="text" name="series_${kind}_prefix" value="${series.prefix || ''}">
+                </div>
+                <div class="form-group">
+                  <label>${t('seriesPattern')}</label>
+                  <input type="text" name="series_${kind}_pattern" value="${series.pattern}" required>
+                </div>
+                <div class="form-group">
+                  <label>${t('seriesNextNumber')}</label>
+                  <input type="number" name="series_${kind}_next_seq" min="${nextInSeries(series).seq}" value="${nextInSeries(series).seq}">
+                </div>
+                <div class="form-group checkbox-group">
+                  <input type="checkbox" name="series_${kind}_yearly" id="series_${kind}_yearly" ${series.reset !== 'never' ? 'checked' : ''}>
+                  <label for="series_${kind}_yearly">${t('seriesResetYearly')}</label>
+                </div>
+                <div class="form-group">
+                  <label>${t('seriesPreview')}</label>
+                  <span class="series-preview" id="series_${kind}_preview">${previewNumber(series)}</span>
+                </div>
+              </div>
+              `;
+            }).join('')}
+          </div>
+
+          <div class="form-group full-width">
+            <label>${t('repoRates')}</label>
+            <textarea name="repo_rates" rows="3" placeholder="2026-01-01 3.50">${repoRatesText(state.profile)}</textarea>
+            <p class="text-muted">${t('repoRatesHelp')}</p>
+          </div>
+
+          <div class="form-group full-width">
+            <h3 class="mb-2">${t('accountingExport')}</h3>
+            <p class="text-muted mb-2">${t('accountingExportHelp')}</p>
+            <div class="form-grid">
+              ${ACCOUNTING_FORMATS.map(format => {
+                const mapping = accountingMapping(profile, format);
+                return `
+                <div>
+                  <h4 class="mb-2">${t(`format_${format}`)}</h4>
+                  ${MAPPING_FIELDS.map(field => `
+                    <div class="form-group">
+                      <label>${t(`map_${field}`)}</label>
+                      <input type="text" name="acct_${format}_${field}" value="${escapeHtml(mapping[field] || '')}">
+                    </div>
+                  `).join('')}
+                </div>
+                `;
+              }).join('')}
+            </div>
+          </div>
         </div>
 
         <div class="flex gap-2 mt-2">
@@ -606,7 +1137,55 @@ function renderProfile(container) {
     </div>
   `;
 
-  document.getElementById('profileForm').addEventListener('submit', saveProfile);
+  const profileForm = document.getElementById('profileForm');
+  profileForm.addEventListener('submit', saveProfile);
+
+  // Flag IBAN / BIC typos as they are typed rather than on save
+  profileForm.addEventListener('input', (e) => {
+    const field = e.target;
+    if (/^bank_iban_/.test(field.name)) {
+      field.setCustomValidity(!field.value.trim() || isValidIban(field.value) ? '' : t('ibanInvalid'));
+    } else if (/^bank_bic_/.test(field.name)) {
+      field.setCustomValidity(!field.value.trim() || isValidBic(field.value) ? '' : t('bicInvalid'));
+    }
+  });
+
+  // Live preview of the next number for each series
+  profileForm.addEventListener('input', () => {
+    SERIES_KINDS.forEach(kind => {
+      const series = readSeriesForm(profileForm, kind);
+      document.getElementById(`series_${kind}_preview`).textContent =
+        isValidPattern(series.pattern) ? previewNumber(series) : t('seriesPatternInvalid');
+    });
+  });
+}
+
+// The profile's own repo rates, one "YYYY-MM-DD rate" per line
+function repoRatesText(profile) {
+  return parseJson(profile?.repo_rates, []).map(([from, rate]) => `${from} ${rate}`).join('\n');
+}
+
+// Rows back from the textarea, or null if a line is not a date and a rate
+function parseRepoRates(text) {
+  const rows = (text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [from, rate] = line.split(/\s+/);
+    return [from, parseFloat(String(rate).replace(',', '.'))];
+  });
+  return rows.every(([from, rate]) => /^\d{4}-\d{2}-\d{2}$/.test(from) && Number.isFinite(rate)) ? rows : null;
+}
+
+// Number series settings as entered in the profile form
+function readSeriesForm(form, kind) {
+  const field = (name) => form.querySelector(`[name="series_${kind}_${name}"]`);
+  const series = {
+    kind,
+    prefix: field('prefix').value.trim(),
+    pattern: field('pattern').value.trim(),
+    reset: field('yearly').checked ? 'yearly' : 'never',
+    next_seq: Math.max(parseInt(field('next_seq').value, 10) || 1, 1)
+  };
+  series.period = seriesPeriod(series);
+  return series;
 }
 
 // Modal System
@@ -639,40 +1218,135 @@ function showModal(title, content, onSave) {
   }
 }
 
-window.closeModal = function() {
-  document.getElementById('modalContainer').innerHTML = '';
-};
-
-// Client Forms
-function showClientForm(clientId = null) {
-  const client = clientId ? state.clients.find(c => c.id === clientId) : {};
+// Conflicts waiting for the user; the first one is on screen
+const pendingConflicts = [];
 
-  showModal(clientId ? t('editClient') : t('addClient'), `
-    <form id="clientForm">
-      <div class="form-grid">
-        <div class="form-group">
-          <label>${t('clientName')} *</label>
-          <input type="text" name="name" value="${client.name || ''}" required>
-        </div>
+function showNextConflict() {
+  while (pendingConflicts.length && !showConflictModal(pendingConflicts[0])) {
+    pendingConflicts.shift();
+  }
+}
 
-        <div class="form-group">
-          <label>${t('adminEmail')}</label>
-          <input type="email" name="admin_email" value="${client.admin_email || ''}">
-        </div>
+// Field-by-field resolution for an update that lost a race with another device.
+// Returns false when there is nothing to decide.
+function showConflictModal({ table, id, local, remote }) {
+  const ignored = ['id', 'user_id', 'created_at', 'updated_at'];
+  const fields = Object.keys(local).filter(field =>
+    !ignored.includes(field) && !field.startsWith('_') &&
+    JSON.stringify(local[field] ?? null) !== JSON.stringify(remote[field] ?? null)
+  );
 
-        <div class="form-group">
-          <label>${t('invoiceEmail')}</label>
-          <input type="email" name="invoice_email" value="${client.invoice_email || ''}">
-        </div>
+  // Both devices saved the same values - nothing to decide
+  if (fields.length === 0) return false;
 
-        <div class="form-group full-width">
-          <label>${t('address')}</label>
-          <textarea name="address">${client.address || ''}</textarea>
-        </div>
+  const display = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+  };
 
-        <div class="form-group">
-          <label>${t('rate')}</label>
-          <input type="number" name="rate" value="${client.rate || ''}" step="0.01">
+  showModal(t('conflictTitle'), `
+    <p class="mb-2">${t('conflictMessage')}</p>
+    <div class="flex gap-1 mb-2">
+      <button type="button" class="btn-secondary" id="conflictKeepMine">${t('conflictKeepMine')}</button>
+      <button type="button" class="btn-secondary" id="conflictTakeTheirs">${t('conflictTakeTheirs')}</button>
+    </div>
+    <div class="table-container">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('conflictField')}</th>
+            <th>${t('conflictMine')}</th>
+            <th>${t('conflictTheirs')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${fields.map(field => `
+            <tr>
+              <td>${t(field)}</td>
+              <td>
+                <label class="checkbox-group">
+                  <input type="radio" name="conflict_${field}" value="mine" checked>
+                  <span>${display(local[field])}</span>
+                </label>
+              </td>
+              <td>
+                <label class="checkbox-group">
+                  <input type="radio" name="conflict_${field}" value="theirs">
+                  <span>${display(remote[field])}</span>
+                </label>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `, async () => {
+    const merged = {};
+    fields.forEach(field => {
+      if (document.querySelector(`input[name="conflict_${field}"]:checked`)?.value === 'mine') {
+        merged[field] = local[field];
+      }
+    });
+
+    // Their version is already stored locally; only our chosen fields need writing on top
+    if (Object.keys(merged).length) {
+      await database.update(table, id, merged);
+    }
+    await loadData();
+    showView(state.currentView);
+    showToast(t('conflictResolved'));
+  });
+
+  const selectAll = (choice) => {
+    document.querySelectorAll(`#modalContainer input[type="radio"][value="${choice}"]`).forEach(input => {
+      input.checked = true;
+    });
+  };
+  document.getElementById('conflictKeepMine').addEventListener('click', () => selectAll('mine'));
+  document.getElementById('conflictTakeTheirs').addEventListener('click', () => selectAll('theirs'));
+  return true;
+}
+
+window.closeModal = function() {
+  // Resolved or dismissed, a conflict makes way for the next one
+  const conflict = !!document.getElementById('conflictKeepMine');
+  document.getElementById('modalContainer').innerHTML = '';
+  if (conflict) {
+    pendingConflicts.shift();
+    setTimeout(showNextConflict, 0);
+  }
+};
+
+// Client Forms
+function showClientForm(clientId = null) {
+  const client = clientId ? state.clients.find(c => c.id === clientId) : {};
+
+  showModal(clientId ? t('editClient') : t('addClient'), `
+    <form id="clientForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('clientName')} *</label>
+          <input type="text" name="name" value="${client.name || ''}" required>
+        </div>
+
+        <div class="form-group">
+          <label>${t('adminEmail')}</label>
+          <input type="email" name="admin_email" value="${client.admin_email || ''}">
+        </div>
+
+        <div class="form-group">
+          <label>${t('invoiceEmail')}</label>
+          <input type="email" name="invoice_email" value="${client.invoice_email || ''}">
+        </div>
+
+        <div class="form-group full-width">
+          <label>${t('address')}</label>
+          <textarea name="address">${client.address || ''}</textarea>
+        </div>
+
+        <div class="form-group">
+          <label>${t('rate')}</label>
+          <input type="number" name="rate" value="${client.rate || ''}" step="0.01">
         </div>
 
         <div class="form-group">
@@ -699,6 +1373,13 @@ function showClientForm(clientId = null) {
           <input type="number" name="due_date_days" value="${client.due_date_days || 30}" min="0">
         </div>
 
+        ${state.profile?.vat_payer ? `
+          <div class="form-group">
+            <label>${t('vatRate')}</label>
+            <select name="vat_rate">${vatRateOptions(client.vat_rate, t('vatFromProfile'))}</select>
+          </div>
+        ` : ''}
+
         <div class="form-group full-width">
           <h3 class="mb-2">${t('idNumbers')}</h3>
           ${[1,2,3,4].map(i => `
@@ -725,6 +1406,7 @@ function showClientForm(clientId = null) {
 
     if (!data.id) delete data.id;
     if (data.rate === '') delete data.rate;
+    if (data.vat_rate === '') data.vat_rate = null;
 
     // Only include due_date_days if it has a value
     if (data.due_date_days === '' || !data.due_date_days) {
@@ -743,8 +1425,18 @@ function showClientForm(clientId = null) {
     }
   });
 }
-function showJobForm(jobId = null) {
-  const job = jobId ? state.jobs.find(j => j.id === jobId) : {};
+// `draft` pre-fills a new job, e.g. from an accepted quote (quoteJob in quotes.js)
+function showJobForm(jobId = null, draft = {}) {
+  const job = jobId ? state.jobs.find(j => j.id === jobId) : draft;
+  const context = { invoices: state.invoices, payments: state.payments };
+  const advances = jobId ? jobAdvances(job, state.invoices) : [];
+  // What the final invoice will deduct, as paid so far
+  const advancesPaid = jobId ? advancesTotal(settledAdvances(job, context)) : 0;
+  const vatPayer = !!state.profile?.vat_payer;
+  const expenseVatSelect = (rate) => vatPayer ? `
+    <select data-expense-vat style="flex: 0 0 140px; padding: 8px; border: 1px solid #ddd; border-radius: 4px;">
+      ${vatRateOptions(rate, t('vatFromClient'))}
+    </select>` : '';
 
   showModal(jobId ? t('editJob') : t('addJob'), `
     <form id="jobForm">
@@ -811,6 +1503,13 @@ function showJobForm(jobId = null) {
           </select>
         </div>
 
+        ${vatPayer ? `
+          <div class="form-group">
+            <label>${t('vatRate')}</label>
+            <select name="vat_rate">${vatRateOptions(job.vat_rate, t('vatFromClient'))}</select>
+          </div>
+        ` : ''}
+
         <div class="form-group full-width" style="background: #f9f9f9; padding: 15px; border-radius: 8px; margin-top: 20px;">
           <h3 style="margin-top: 0; color: #666;">${t('expenses')}</h3>
           <div id="expensesContainer">
@@ -822,6 +1521,7 @@ function showJobForm(jobId = null) {
                 <input type="number" placeholder="${t('expenseAmount')}" value="${exp.amount || ''}" step="0.01"
                   style="flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 4px;"
                   data-expense-amount="${i}">
+                ${expenseVatSelect(exp.vat_rate)}
                 <button type="button" class="remove-expense" data-index="${i}"
                   style="background: #dc3545; color: white; border: none; width: 35px; height: 35px; border-radius: 50%; cursor: pointer; font-size: 18px;">−</button>
               </div>
@@ -832,7 +1532,22 @@ function showJobForm(jobId = null) {
         </div>
 
         <div class="form-group full-width" style="background: #f9f9f9; padding: 15px; border-radius: 8px; margin-top: 15px;">
-          <h3 style="margin-top: 0; color: #666;">${t('deposits')}</h3>
+          <h3 style="margin-top: 0; color: #666;">${t('advances')}</h3>
+          ${advances.length ? `
+            <table class="mb-2">
+              <tbody>
+                ${advances.map(advance => `
+                  <tr>
+                    <td>${escapeHtml(advance.invoice_number || '')}</td>
+                    <td>${formatDate(advance.created_at)}</td>
+                    <td>${formatCurrency(Number(advance.total) || 0)} ${advance.currency || ''}</td>
+                    <td><span class="badge badge-${STATE_BADGES[invoiceState(advance, context)]}">${t(invoiceState(advance, context))}</span></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : `<p class="text-muted">${t(jobId ? 'noAdvances' : 'advancesAfterSave')}</p>`}
+          <!-- Deposits entered as plain amounts before advance invoices existed -->
           <div id="depositsContainer">
             ${(job.deposits || []).map((dep, i) => `
               <div class="deposit-row" style="display: flex; gap: 10px; margin-bottom: 10px; align-items: center;">
@@ -844,8 +1559,6 @@ function showJobForm(jobId = null) {
               </div>
             `).join('')}
           </div>
-          <button type="button" id="addDeposit"
-            style="background: #28a745; color: white; border: none; width: 35px; height: 35px; border-radius: 50%; cursor: pointer; font-size: 20px; margin-top: 5px;">+</button>
         </div>
 
         <div class="form-group full-width" style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin-top: 15px;">
@@ -858,6 +1571,12 @@ function showJobForm(jobId = null) {
             <span>${t('expensesTotal')}:</span>
             <span id="summaryExpensesTotal">0.00</span>
           </div>
+          ${vatPayer ? `
+            <div style="display: flex; justify-content: space-between; padding: 8px 0; font-size: 15px;">
+              <span>${t('vat')}:</span>
+              <span id="summaryVat">0.00</span>
+            </div>
+          ` : ''}
           <div style="display: flex; justify-content: space-between; padding: 15px 0 10px 0; font-weight: bold; font-size: 18px; border-top: 2px solid #1976d2; margin-top: 10px;">
             <span>${t('invoiceAmount')}:</span>
             <span id="summaryInvoiceAmount">0.00</span>
@@ -875,6 +1594,7 @@ function showJobForm(jobId = null) {
       </div>
 
       <input type="hidden" name="id" value="${job.id || ''}">
+      ${job.quote_id ? `<input type="hidden" name="quote_id" value="${job.quote_id}">` : ''}
     </form>
     `, async () => {
       const form = document.getElementById('jobForm');
@@ -883,14 +1603,16 @@ function showJobForm(jobId = null) {
 
       // Collect expenses
       const expenses = [];
-      document.querySelectorAll('[data-expense-label]').forEach((input, i) => {
-        const label = input.value;
-        const amount = document.querySelector(`[data-expense-amount="${i}"]`)?.value;
+      document.querySelectorAll('#expensesContainer .expense-row').forEach(row => {
+        const label = row.querySelector('[data-expense-label]').value;
+        const amount = row.querySelector('[data-expense-amount]').value;
+        const vatRate = row.querySelector('[data-expense-vat]')?.value;
         if (label || amount) {
-          expenses.push({ label: label || '', amount: parseFloat(amount) || 0 });
+          expenses.push({ label: label || '', amount: parseFloat(amount) || 0, ...(vatRate ? { vat_rate: vatRate } : {}) });
         }
       });
       data.expenses = expenses;
+      if (data.vat_rate === '') data.vat_rate = null;
 
       // Collect deposits
       const deposits = [];
@@ -966,11 +1688,13 @@ function showJobForm(jobId = null) {
         <input type="number" placeholder="${t('expenseAmount')}" step="0.01"
           style="flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 4px;"
           data-expense-amount="${index}">
+        ${expenseVatSelect(null)}
         <button type="button" class="remove-expense" data-index="${index}"
           style="background: #dc3545; color: white; border: none; width: 35px; height: 35px; border-radius: 50%; cursor: pointer; font-size: 18px;">−</button>
       `;
       container.appendChild(row);
       row.querySelector('[data-expense-amount]').addEventListener('input', updateSummary);
+      row.querySelector('[data-expense-vat]')?.addEventListener('change', updateSummary);
       row.querySelector('.remove-expense').addEventListener('click', (e) => {
         e.target.closest('.expense-row').remove();
         updateSummary();
@@ -985,28 +1709,6 @@ function showJobForm(jobId = null) {
       });
     });
 
-    // Add deposit row
-    document.getElementById('addDeposit')?.addEventListener('click', () => {
-      const container = document.getElementById('depositsContainer');
-      const index = container.children.length;
-      const row = document.createElement('div');
-      row.className = 'deposit-row';
-      row.style.cssText = 'display: flex; gap: 10px; margin-bottom: 10px; align-items: center;';
-      row.innerHTML = `
-        <input type="number" placeholder="${t('depositAmount')}" step="0.01"
-          style="flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 4px;"
-          data-deposit-amount="${index}">
-        <button type="button" class="remove-deposit" data-index="${index}"
-          style="background: #dc3545; color: white; border: none; width: 35px; height: 35px; border-radius: 50%; cursor: pointer; font-size: 18px;">−</button>
-      `;
-      container.appendChild(row);
-      row.querySelector('[data-deposit-amount]').addEventListener('input', updateSummary);
-      row.querySelector('.remove-deposit').addEventListener('click', (e) => {
-        e.target.closest('.deposit-row').remove();
-        updateSummary();
-      });
-    });
-
     // Remove deposit handlers
     document.querySelectorAll('.remove-deposit').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -1030,11 +1732,26 @@ function showJobForm(jobId = null) {
         expensesTotal += parseFloat(input.value || 0);
       });
 
+      // VAT on the work and on each expense, at the rates the invoice will use
+      let vatTotal = 0;
+      if (vatPayer) {
+        const client = state.clients.find(c => c.id === clientSelect?.value);
+        const rateOf = (rate) => resolveVatRate(rate, client?.vat_rate, state.profile.default_vat_rate);
+        const lines = [{ amount: jobTotal, vat_rate: rateOf(document.querySelector('#jobForm select[name="vat_rate"]').value) }];
+        document.querySelectorAll('#expensesContainer .expense-row').forEach(row => {
+          lines.push({
+            amount: row.querySelector('[data-expense-amount]').value,
+            vat_rate: rateOf(row.querySelector('[data-expense-vat]').value)
+          });
+        });
+        vatTotal = invoiceTotals(lines).tax;
+      }
+
       // Invoice amount
-      const invoiceAmount = jobTotal + expensesTotal;
+      const invoiceAmount = jobTotal + expensesTotal + vatTotal;
 
-      // Deposits total
-      let depositsTotal = 0;
+      // Paid advances and any plain deposits
+      let depositsTotal = advancesPaid;
       document.querySelectorAll('[data-deposit-amount]').forEach(input => {
         depositsTotal += parseFloat(input.value || 0);
       });
@@ -1045,6 +1762,7 @@ function showJobForm(jobId = null) {
       // Update display
       document.getElementById('summaryJobTotal').textContent = `${formatCurrency(jobTotal)} ${currency}`;
       document.getElementById('summaryExpensesTotal').textContent = `${formatCurrency(expensesTotal)} ${currency}`;
+      if (vatPayer) document.getElementById('summaryVat').textContent = `${formatCurrency(vatTotal)} ${currency}`;
       document.getElementById('summaryInvoiceAmount').textContent = `${formatCurrency(invoiceAmount)} ${currency}`;
       document.getElementById('summaryDepositsTotal').textContent = `${formatCurrency(depositsTotal)} ${currency}`;
       document.getElementById('summaryDueNow').textContent = `${formatCurrency(dueNow)} ${currency}`;
@@ -1058,6 +1776,9 @@ function showJobForm(jobId = null) {
     document.querySelectorAll('[data-expense-amount]').forEach(input => {
       input.addEventListener('input', updateSummary);
     });
+    document.querySelectorAll('[data-expense-vat], #jobForm select[name="vat_rate"]').forEach(select => {
+      select.addEventListener('change', updateSummary);
+    });
 
     document.querySelectorAll('[data-deposit-amount]').forEach(input => {
       input.addEventListener('input', updateSummary);
@@ -1156,9 +1877,24 @@ function showTimesheetForm(timesheetId = null) {
   });
 }
 
+// VAT rate of an invoice line: its own, else the client's, else the profile default.
+// Lines of a non-payer carry no rate at all.
+function lineVatRate(rate, client) {
+  if (!state.profile?.vat_payer) return undefined;
+  return resolveVatRate(rate, client?.vat_rate, state.profile.default_vat_rate);
+}
+
+// Every invoice carries a QR payment code, so the profile needs an account with a valid IBAN first
+function ensurePaymentAccount() {
+  if (paymentAccount(state.profile)) return true;
+  showToast(t('ibanRequired'), 'error');
+  return false;
+}
+
 async function createInvoiceFromJob(jobId) {
   const job = state.jobs.find(j => j.id === jobId);
   if (!job) return;
+  if (!ensurePaymentAccount()) return;
 
   const client = state.clients.find(c => c.id === job.client_id);
   if (!client) {
@@ -1175,13 +1911,12 @@ async function createInvoiceFromJob(jobId) {
   const expenses = job.expenses || [];
   const expensesTotal = expenses.reduce((sum, exp) => sum + (parseFloat(exp.amount) || 0), 0);
 
-  // Calculate deposits total
+  // Paid advance invoices, by number, and plain deposits entered before advance invoices existed
+  const advances = settledAdvances(job, { invoices: state.invoices, payments: state.payments });
   const deposits = job.deposits || [];
-  const depositsTotal = deposits.reduce((sum, dep) => sum + (parseFloat(dep.amount) || 0), 0);
-
-  // Calculate final amounts
-  const invoiceAmount = jobTotal + expensesTotal;
-  const dueNow = invoiceAmount - depositsTotal;
+  const depositsTotal = deposits.reduce((sum, dep) => sum + (parseFloat(dep.amount) || 0), 0) + advancesTotal(advances);
+  // Advances nobody paid are superseded by the final invoice
+  const unpaidAdvances = jobAdvances(job, state.invoices).filter(advance => !invoicePayments(state.payments, advance.id).length);
 
   // Build items array with job work, expenses, and deposits
   const items = [];
@@ -1191,7 +1926,8 @@ async function createInvoiceFromJob(jobId) {
     description: job.description || job.name || 'Job',
     hours: hours,
     rate: rate,
-    amount: jobTotal
+    amount: jobTotal,
+    vat_rate: lineVatRate(job.vat_rate, client)
   });
 
   // Add expenses as line items
@@ -1201,11 +1937,16 @@ async function createInvoiceFromJob(jobId) {
         description: exp.label || 'Expense',
         hours: null,
         rate: null,
-        amount: parseFloat(exp.amount) || 0
+        amount: parseFloat(exp.amount) || 0,
+        vat_rate: lineVatRate(exp.vat_rate, client)
       });
     }
   });
 
+  // Calculate final amounts
+  const totals = invoiceTotals(items, { deposits: depositsTotal });
+  const vatPayer = !!state.profile?.vat_payer;
+
   const invoiceNumber = null; // Placeholder: DB will assign the actual number on insert.
 
 
@@ -1216,12 +1957,17 @@ async function createInvoiceFromJob(jobId) {
     invoice_number: invoiceNumber, // Sending null/blank, DB uses its sequence
     client_id: job.client_id,
     job_id: job.id,
+    quote_id: job.quote_id || null,
     items: JSON.stringify(items),
-    subtotal: jobTotal,
-    total: dueNow,
+    subtotal: totals.subtotal,
+    // Only the VAT still due: the rest was declared on the advances' tax documents
+    tax: round(totals.tax - advancesTax(advances)),
+    total: totals.total,
     currency: currency,
-    status: 'unpaid',
+    status: 'issued',
     due_date: new Date(Date.now() + dueDateDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+    // The supply is complete when the job ends
+    taxable_supply_date: vatPayer ? job.end_date || new Date().toISOString().split('T')[0] : null,
     meta: JSON.stringify({
       job_name: job.name,
       job_description: job.description,
@@ -1230,16 +1976,25 @@ async function createInvoiceFromJob(jobId) {
       job_end_date: job.end_date,
       expenses: expenses,
       deposits: deposits,
+      advances: advances,
       expenses_total: expensesTotal,
       deposits_total: depositsTotal,
-      invoice_amount: invoiceAmount
-    })
+      job_total: jobTotal,
+      invoice_amount: totals.gross,
+      vat_payer: vatPayer
+    }),
+    ...partySnapshots({ profile: state.profile, client })
   };
 
   try {
-    // FIX 2: Capture the returned invoice object which contains the database-assigned invoice_number
-    const savedInvoice = await database.saveInvoice(invoiceData);
-    await database.saveJob({ ...job, billed: true });
+    invoiceData.invoice_number = await database.getNextInvoiceNumber();
+
+    // Invoice and billed flag are written together or not at all
+    const [savedInvoice] = await database.transaction([
+      { type: 'create', table: 'invoices', record: invoiceData },
+      { type: 'update', table: 'jobs', id: job.id, record: { billed: true } },
+      ...unpaidAdvances.map(advance => ({ type: 'update', table: 'invoices', id: advance.id, record: { status: 'cancelled' } }))
+    ]);
     await loadData();
     showView('dashboard');
     // FIX 2: Use the actual invoice number from the database in the success message
@@ -1258,13 +2013,15 @@ async function saveProfile(e) {
 
   const bank_entries = [];
   for (let i = 1; i <= 3; i++) {
-    const label = data[`bank_label_${i}`];
-    const number = data[`bank_number_${i}`];
-    if (label || number) {
-      bank_entries.push({ label: label || '', number: number || '' });
+    const label = data[`bank_label_${i}`].trim();
+    const number = data[`bank_number_${i}`].trim();
+    const iban = normalizeIban(data[`bank_iban_${i}`]);
+    const bic = normalizeBic(data[`bank_bic_${i}`]);
+    const currency = data[`bank_currency_${i}`];
+    if (label || number || iban) {
+      bank_entries.push({ label, number, iban, bic, currency });
     }
-    delete data[`bank_label_${i}`];
-    delete data[`bank_number_${i}`];
+    ['label', 'number', 'iban', 'bic', 'currency'].forEach(field => delete data[`bank_${field}_${i}`]);
   }
 
   const id_entries = [];
@@ -1278,8 +2035,64 @@ async function saveProfile(e) {
 
   data.bank_entries = bank_entries;
   data.id_entries = id_entries;
+  data.vat_payer = form.querySelector('[name="vat_payer"]').checked;
+
+  const repo_rates = parseRepoRates(data.repo_rates);
+  if (!repo_rates) {
+    showToast(t('repoRatesInvalid'), 'error');
+    return;
+  }
+  data.repo_rates = repo_rates;
+
+  data.accounting_export = Object.fromEntries(ACCOUNTING_FORMATS.map(format => [
+    format,
+    Object.fromEntries(MAPPING_FIELDS.map(field => {
+      const key = `acct_${format}_${field}`;
+      const value = (data[key] || '').trim();
+      delete data[key];
+      return [field, value];
+    }))
+  ]));
+
+  if (bank_entries.some(entry => !isValidAccountNumber(entry.number))) {
+    showToast(t('bankNumberInvalid'), 'error');
+    return;
+  }
+  if (bank_entries.some(entry => entry.iban && !isValidIban(entry.iban))) {
+    showToast(t('ibanInvalid'), 'error');
+    return;
+  }
+  if (bank_entries.some(entry => entry.bic && !isValidBic(entry.bic))) {
+    showToast(t('bicInvalid'), 'error');
+    return;
+  }
+
+  const seriesList = SERIES_KINDS.map(kind => readSeriesForm(form, kind));
+  if (seriesList.some(series => !isValidPattern(series.pattern))) {
+    showToast(t('seriesPatternInvalid'), 'error');
+    return;
+  }
+  Object.keys(data).filter(key => key.startsWith('series_')).forEach(key => delete data[key]);
 
   await database.saveProfile(data);
+  for (const series of seriesList) {
+    const existing = (state.invoiceSeries || []).find(s => s.kind === series.kind);
+    const unchangedCounter = existing && existing.period === series.period && existing.next_seq === series.next_seq;
+    // Leave the counter alone unless the user edited it, so we never rewind a concurrent allocation
+    if (unchangedCounter) {
+      delete series.next_seq;
+      delete series.period;
+    }
+    try {
+      await database.saveInvoiceSeries(existing ? { ...series, id: existing.id } : series);
+    } catch (err) {
+      // Numbers below the stored counter may already be on invoices
+      console.error('Saving number series failed:', err);
+      showToast(t(err.code === 'series_rewind' ? 'seriesRewind' : 'error'), 'error');
+      return;
+    }
+  }
+  state.invoiceSeries = await database.getInvoiceSeries();
   state.profile = data;
   showToast(t('saveSuccess'));
 }
@@ -1293,6 +2106,7 @@ async function generateInvoice() {
     showToast(t('error'), 'error');
     return;
   }
+  if (!ensurePaymentAccount()) return;
 
   const client = state.clients.find(c => c.id === clientId);
   const [year, monthNum] = month.split('-');
@@ -1309,72 +2123,112 @@ async function generateInvoice() {
     return;
   }
 
-  const totalHours = timesheets.reduce((sum, ts) => sum + parseFloat(ts.hours || 0), 0);
   const rate = parseFloat(client.rate || 0);
-  const total = totalHours * rate;
-
-  const invoiceNumber = null; // Placeholder: DB will assign the actual number on insert.
-
-  const invoiceId = crypto.randomUUID();
-  const invoice = {
-    id: invoiceId,
-    invoice_number: invoiceNumber, // Sending null/blank, DB uses its sequence
-    client_id: clientId,
-    items: JSON.stringify(timesheets.map(ts => ({
+  // Work billed by the month is supplied on the last day of that month
+  const lastDay = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+  const invoice = newInvoice({
+    profile: state.profile,
+    client,
+    items: timesheets.map(ts => ({
       date: ts.date,
       description: ts.notes || 'Work',
       hours: ts.hours,
-      rate: rate
-    }))),
-    subtotal: total,
-    tax: 0,
-    total: total,
-    status: 'unpaid',
-    due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-    meta: JSON.stringify({ month })
-  };
+      rate: rate,
+      amount: parseFloat(ts.hours || 0) * rate
+    })),
+    dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+    taxableSupplyDate: `${month}-${String(lastDay).padStart(2, '0')}`,
+    meta: { month }
+  });
 
-  // Capture the returned invoice object which contains the database-assigned invoice_number
-  const savedInvoice = await database.saveInvoice(invoice);
-  await loadData();
-  showView('dashboard');
-  // Use the actual invoice number from the database in the success message
-  showToast(`Invoice ${savedInvoice.invoice_number} created successfully`);
+  // Numbers are only handed out online, so this fails while offline
+  try {
+    // Capture the returned invoice object which contains the database-assigned invoice_number
+    const savedInvoice = await database.saveInvoice(invoice);
+    await loadData();
+    showView('dashboard');
+    // Use the actual invoice number from the database in the success message
+    showToast(`Invoice ${savedInvoice.invoice_number} created successfully`);
+  } catch (err) {
+    console.error('Failed to create invoice:', err);
+    showToast('Failed to create invoice', 'error');
+  }
 }
 
 
 // Export Functions
+// The ledger as filtered on the dashboard, in the columns picked for export
 function exportLedger(format) {
-  const data = state.invoices.map((inv, i) => ({
-    '#': i + 1,
-    'Date': formatDate(inv.created_at),
-    'Description': inv.description || '-',
-    'Type': 'Invoice',
-    'Amount': inv.total?.toFixed(2) || '0.00',
-    'Status': inv.status || 'pending'
-  }));
+  const invoices = ledgerInvoices();
+  if (invoices.length === 0) {
+    showToast(t('noData'), 'error');
+    return;
+  }
 
+  const options = { clients: state.clients, payments: state.payments, columns: state.ledgerColumns };
   if (format === 'csv') {
-    const csv = [
-      Object.keys(data[0]).join(','),
-      ...data.map(row => Object.values(row).join(','))
-    ].join('\n');
-
-    downloadFile(csv, 'ledger.csv', 'text/csv');
+    downloadFile(toCsv(invoiceSheet(invoices, options)), 'ledger.csv', 'text/csv;charset=utf-8');
   } else if (format === 'xlsx') {
-    const ws = XLSX.utils.json_to_sheet(data);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, 'Ledger');
-    XLSX.writeFile(wb, 'ledger.xlsx');
+    XLSX.writeFile(ledgerWorkbook(XLSX, invoices, options), 'ledger.xlsx');
+  }
+}
+
+function exportAging(report) {
+  if (report.length === 0) {
+    showToast(t('noData'), 'error');
+    return;
+  }
+  XLSX.writeFile(agingWorkbook(XLSX, report), `aging-${new Date().toISOString().split('T')[0]}.xlsx`);
+}
+
+// Export columns picked earlier on this device; keys an older version saved are dropped
+function savedLedgerColumns() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('ledgerColumns') || 'null');
+    const known = Array.isArray(saved) ? saved.filter(key => LEDGER_COLUMNS.some(column => column.key === key)) : [];
+    return known.length ? known : DEFAULT_LEDGER_COLUMNS;
+  } catch (e) {
+    return DEFAULT_LEDGER_COLUMNS;
   }
 }
 
-function backupData() {
+function showColumnPicker() {
+  showModal(t('exportColumnsTitle'), `
+    <form id="columnsForm">
+      ${LEDGER_COLUMNS.map(column => `
+        <div class="form-group checkbox-group">
+          <input type="checkbox" name="${column.key}" id="column_${column.key}" ${state.ledgerColumns.includes(column.key) ? 'checked' : ''}>
+          <label for="column_${column.key}">${column.key === 'index' ? '#' : t(column.key)}</label>
+        </div>
+      `).join('')}
+    </form>
+  `, () => {
+    const form = document.getElementById('columnsForm');
+    const picked = LEDGER_COLUMNS.map(column => column.key).filter(key => form.elements[key].checked);
+    state.ledgerColumns = picked.length ? picked : DEFAULT_LEDGER_COLUMNS;
+    localStorage.setItem('ledgerColumns', JSON.stringify(state.ledgerColumns));
+  });
+}
+
+async function backupData() {
+  let invoiceSeries;
+  try {
+    invoiceSeries = await database.getInvoiceSeries();
+  } catch (err) {
+    console.error('Backup failed:', err);
+    showToast(t('error'), 'error');
+    return;
+  }
+
   const backup = {
     clients: state.clients,
     jobs: state.jobs,
     timesheets: state.timesheets,
     invoices: state.invoices,
+    payments: state.payments,
+    quotes: state.quotes,
+    recurring_invoices: state.recurringInvoices,
+    invoice_series: invoiceSeries,
     profile: state.profile,
     date: new Date().toISOString()
   };
@@ -1395,21 +2249,72 @@ async function restoreData(file) {
       t('restoreData'),
       t('confirmRestore'),
       async () => {
-        const u = state.currentUser?.id || crypto.randomUUID(); // Use ID if available
-        // 1. profile
-        if (b.profile) await database.saveProfile({...b.profile, user_id: u});
-        // 2. clients
-        for (const c of b.clients) await database.saveClient({...c, user_id: u});
-        // 3. jobs
-        for (const j of b.jobs)       await database.saveJob({...j, user_id: u});
-        // 4. timesheets
-        for (const t of b.timesheets) await database.saveTimesheet({...t, user_id: u});
-        // 5. invoices
-        for (const i of b.invoices)   await database.saveInvoice({...i, user_id: u});
+        const ops = [];
+        if (b.profile) {
+          // The profile is one row per user: merge into the existing one rather than adding a second
+          const existing = await database.getProfile();
+          ops.push({ type: 'upsert', table: 'business', record: { ...b.profile, id: existing?.id || b.profile.id } });
+        }
+        if (b.invoice_series?.length) {
+          // One series per kind, like the profile. A backup older than the stored counter must not
+          // move it back or delete it, so then only the prefix and pattern are restored.
+          const existing = await database.getInvoiceSeries();
+          b.invoice_series.forEach(s => {
+            const stored = existing.find(e => e.kind === s.kind);
+            const record = { ...s, id: stored?.id || s.id };
+            if (stored && rewindsSeries(stored, record)) {
+              delete record.next_seq;
+              delete record.period;
+              delete record.reset;
+              delete record.deleted;
+            }
+            ops.push({ type: 'upsert', table: 'invoice_series', record });
+          });
+        }
+        (b.clients || []).forEach(c => ops.push({ type: 'upsert', table: 'clients', record: c }));
+        (b.quotes || []).forEach(q => ops.push({ type: 'upsert', table: 'quotes', record: q }));
+        (b.jobs || []).forEach(j => ops.push({ type: 'upsert', table: 'jobs', record: j }));
+        (b.timesheets || []).forEach(ts => ops.push({ type: 'upsert', table: 'timesheets', record: ts }));
+        (b.recurring_invoices || []).forEach(r => ops.push({ type: 'upsert', table: 'recurring_invoices', record: r }));
+        // An issued invoice that has moved on since the backup (cancelled, say) stays as it is: the
+        // backup can't overwrite it, and refusing it must not stop the rest of the restore
+        const stored = new Map([
+          ...await database.getInvoices(),
+          ...(await database.getTrash()).filter(row => row._table === 'invoices')
+        ].map(inv => [inv.id, inv]));
+        const kept = [];
+        for (const i of b.invoices || []) {
+          const current = stored.get(i.id);
+          if (current && lockViolation(current, i)) {
+            kept.push(current.invoice_number || current.id);
+            continue;
+          }
+          ops.push({
+            type: 'upsert',
+            table: 'invoices',
+            record: { ...i, invoice_number: i.invoice_number || await database.getNextInvoiceNumber() }
+          });
+        }
+        (b.payments || []).forEach(p => ops.push({ type: 'upsert', table: 'payments', record: p }));
+
+        // Parents before children, in transactions of up to 200 rows. A restore that stops halfway
+        // keeps the chunks before the failure; restoring the same backup again completes it.
+        try {
+          await database.transactionInChunks(ops);
+        } catch (err) {
+          console.error('Restore failed:', err);
+          showToast(t('error'), 'error');
+          return;
+        }
 
         await loadData();
         showView('dashboard');
-        showToast(t('restored'));
+        if (kept.length) {
+          console.warn('Restore kept issued invoices that differ from the backup:', kept);
+          showToast(`${t('restoreKeptIssued')}: ${kept.join(', ')}`, 'error');
+        } else {
+          showToast(t('restored'));
+        }
       }
     );
   };
@@ -1431,46 +2336,374 @@ window.deleteClient = async (id) => {
   );
 };
 
-window.editJob = (id) => showJobForm(id);
-window.createInvoiceFromJob = createInvoiceFromJob;
-window.deleteJob = async (id) => {
-  showConfirmModal(
-    t('deleteJob'),
-    t('confirmDelete'),
-    async () => {
-      await database.deleteJob(id);
+function showRecurringForm(id = null) {
+  const profile = id ? state.recurringInvoices.find(p => p.id === id) : { active: true, interval: 'monthly' };
+  if (!profile) return;
+  showModal(id ? t('editRecurring') : t('addRecurring'), `
+    <form id="recurringForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('client')} *</label>
+          <select name="client_id" required>
+            <option value="">${t('selectClient')}</option>
+            ${state.clients.map(c => `<option value="${c.id}" ${profile.client_id === c.id ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${t('recurringName')} *</label>
+          <input type="text" name="name" value="${escapeHtml(profile.name || '')}" required>
+        </div>
+        <div class="form-group">
+          <label>${t('interval')}</label>
+          <select name="interval">
+            ${RECURRING_INTERVALS.map(interval => `<option value="${interval}" ${profile.interval === interval ? 'selected' : ''}>${t(`interval_${interval}`)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${t('nextRun')} *</label>
+          <input type="date" name="next_run" value="${profile.next_run || ''}" required>
+        </div>
+        <div class="form-group">
+          <label>${t('endDate')}</label>
+          <input type="date" name="end_date" value="${profile.end_date || ''}">
+        </div>
+        <div class="form-group">
+          <label>${t('dueDays')}</label>
+          <input type="number" name="due_days" value="${profile.due_days ?? ''}" min="0" placeholder="${t('fromClient')}">
+        </div>
+        <div class="form-group checkbox-group">
+          <input type="checkbox" name="active" id="recurringActive" ${profile.active ? 'checked' : ''}>
+          <label for="recurringActive">${t('recurringActive')}</label>
+        </div>
+        <div class="form-group checkbox-group">
+          <input type="checkbox" name="send_email" id="recurringSendEmail" ${profile.send_email ? 'checked' : ''}>
+          <label for="recurringSendEmail">${t('recurringSendEmail')}</label>
+        </div>
+        <div class="form-group checkbox-group">
+          <input type="checkbox" name="auto_send" id="recurringAutoSend" ${profile.auto_send ? 'checked' : ''}>
+          <label for="recurringAutoSend">${t('recurringAutoSend')}</label>
+        </div>
+      </div>
+
+      <h3>${t('items')}</h3>
+      <p class="text-muted">${t('recurringItemsHelp')} ${t('lineItemsHelp')}</p>
+      ${lineItemsEditor(parseJson(profile.items, []))}
+    </form>
+  `);
+
+  const form = document.getElementById('recurringForm');
+  bindLineItems(form);
+
+  document.getElementById('modalSave').addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(form));
+    const lines = readLineItems(form);
+
+    if (!data.client_id || !data.name?.trim() || !data.next_run || !lines.length) {
+      showToast(t('recurringIncomplete'), 'error');
+      return;
+    }
+    if (data.end_date && data.end_date < data.next_run) {
+      showToast(t('recurringEndBeforeStart'), 'error');
+      return;
+    }
+
+    // A new next run or interval starts the schedule over from there; otherwise it keeps its day of the month
+    const moved = data.next_run !== profile.next_run || data.interval !== profile.interval;
+    const record = {
+      ...(id ? { id } : {}),
+      client_id: data.client_id,
+      name: data.name.trim(),
+      items: JSON.stringify(lines),
+      interval: data.interval,
+      start_date: moved || !profile.start_date ? data.next_run : profile.start_date,
+      next_run: data.next_run,
+      end_date: data.end_date || null,
+      due_days: data.due_days === '' ? null : parseInt(data.due_days, 10),
+      // Sending automatically needs the queue to fall back on
+      send_email: !!data.send_email || !!data.auto_send,
+      auto_send: !!data.auto_send,
+      active: !!data.active
+    };
+
+    try {
+      await database.saveRecurringInvoice(record);
+      window.closeModal();
       await loadData();
-      showView('jobs');
-      showToast(t('deleteSuccess'));
+      showView('recurring');
+      showToast(t('saveSuccess'));
+    } catch (err) {
+      console.error('Saving the recurring invoice failed:', err);
+      showToast(t('error'), 'error');
     }
-  );
-};
+  });
+}
 
-window.editTimesheet = (id) => showTimesheetForm(id);
-window.deleteTimesheet = async (id) => {
+window.editRecurring = (id) => showRecurringForm(id);
+window.deleteRecurring = async (id) => {
   showConfirmModal(
-    t('deleteLog'),
+    t('deleteRecurring'),
     t('confirmDelete'),
     async () => {
-      await database.deleteTimesheet(id);
+      await database.deleteRecurringInvoice(id);
       await loadData();
-      showView('worklogs');
+      showView('recurring');
       showToast(t('deleteSuccess'));
     }
   );
 };
 
-// FIX: Modified window.viewInvoice to return the new window object, and window.downloadInvoice to use it.
-window.viewInvoice = async (id) => {
-  const inv = state.invoices.find(i => i.id === id);
-  if (!inv) return;
+function showQuoteForm(id = null) {
+  const validUntil = new Date();
+  validUntil.setDate(validUntil.getDate() + QUOTE_VALIDITY_DAYS);
+  const quote = id ? state.quotes.find(q => q.id === id) : { valid_until: validUntil.toISOString().split('T')[0] };
+  if (!quote) return;
+  const currencyOf = (clientId) => quote.currency || state.clients.find(c => c.id === clientId)?.currency || 'CZK';
 
-  const client = state.clients.find(c => c.id === inv.client_id);
-  const items = typeof inv.items === 'string' ? JSON.parse(inv.items || '[]') : (inv.items || []);
-  const meta = typeof inv.meta === 'string' ? JSON.parse(inv.meta || '{}') : (inv.meta || {});
+  showModal(id ? t('editQuote') : t('addQuote'), `
+    <form id="quoteForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('client')} *</label>
+          <select name="client_id" required>
+            <option value="">${t('selectClient')}</option>
+            ${state.clients.map(c => `<option value="${c.id}" ${quote.client_id === c.id ? 'selected' : ''}>${escapeHtml(c.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${t('jobName')} *</label>
+          <input type="text" name="name" value="${escapeHtml(quote.name || '')}" required>
+        </div>
+        <div class="form-group full-width">
+          <label>${t('jobDescription')}</label>
+          <textarea name="description">${escapeHtml(quote.description || '')}</textarea>
+        </div>
+        <div class="form-group full-width">
+          <label>${t('address')}</label>
+          <textarea name="address">${escapeHtml(quote.address || '')}</textarea>
+        </div>
+        <div class="form-group">
+          <label>${t('validUntil')} *</label>
+          <input type="date" name="valid_until" value="${quote.valid_until || ''}" required>
+        </div>
+        <div class="form-group">
+          <label>${t('currency')}</label>
+          <select name="currency">
+            ${['CZK', 'EUR', 'USD', 'GBP'].map(cur => `<option value="${cur}" ${currencyOf(quote.client_id) === cur ? 'selected' : ''}>${cur}</option>`).join('')}
+          </select>
+        </div>
+      </div>
 
+      <h3>${t('items')}</h3>
+      <p class="text-muted">${t('lineItemsHelp')}</p>
+      ${lineItemsEditor(parseJson(quote.items, []))}
+    </form>
+  `);
 
-  const win = window.open('', '_blank');
+  const form = document.getElementById('quoteForm');
+  bindLineItems(form);
+  if (!id) {
+    form.elements.client_id.addEventListener('change', (e) => {
+      form.elements.currency.value = currencyOf(e.target.value);
+    });
+  }
+
+  document.getElementById('modalSave').addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(form));
+    const lines = readLineItems(form);
+
+    if (!data.client_id || !data.name?.trim() || !data.valid_until || !lines.length) {
+      showToast(t('quoteIncomplete'), 'error');
+      return;
+    }
+
+    const client = state.clients.find(c => c.id === data.client_id);
+    const record = quoteRecord({
+      ...(id ? { id } : { status: 'draft' }),
+      client_id: data.client_id,
+      name: data.name.trim(),
+      description: data.description,
+      address: data.address,
+      valid_until: data.valid_until,
+      currency: data.currency
+    }, lines, { profile: state.profile, client });
+
+    try {
+      await database.saveQuote(record);
+      window.closeModal();
+      await loadData();
+      showView('quotes');
+      showToast(t('saveSuccess'));
+    } catch (err) {
+      console.error('Saving the quote failed:', err);
+      showToast(t('error'), 'error');
+    }
+  });
+}
+
+window.editQuote = (id) => showQuoteForm(id);
+window.downloadQuote = async (id) => {
+  const quote = state.quotes.find(q => q.id === id);
+  if (!quote) return;
+  const client = state.clients.find(c => c.id === quote.client_id);
+  try {
+    await downloadQuotePdf(buildQuoteDocument(quote, { profile: state.profile, client }));
+  } catch (error) {
+    console.error('PDF generation failed:', error);
+    showToast(t('pdfFailed'), 'error');
+  }
+};
+window.setQuoteStatus = async (id, status) => {
+  try {
+    await database.saveQuote({ id, status });
+    await loadData();
+    showView('quotes');
+    showToast(t('saveSuccess'));
+  } catch (err) {
+    console.error('Updating the quote failed:', err);
+    showToast(t('error'), 'error');
+  }
+};
+// The job form opens pre-filled; the quote counts as converted once the job is saved
+window.convertQuoteToJob = (id) => {
+  const quote = state.quotes.find(q => q.id === id);
+  if (!quote) return;
+  if (!canConvert(quote, { jobs: state.jobs, invoices: state.invoices })) {
+    showToast(t('quoteConverted'), 'error');
+    return;
+  }
+  showJobForm(null, quoteJob(quote));
+};
+window.convertQuoteToInvoice = async (id) => {
+  const quote = state.quotes.find(q => q.id === id);
+  const client = state.clients.find(c => c.id === quote?.client_id);
+  if (!quote || !client) return;
+  if (!canConvert(quote, { jobs: state.jobs, invoices: state.invoices })) {
+    showToast(t('quoteConverted'), 'error');
+    return;
+  }
+  if (!ensurePaymentAccount()) return;
+
+  try {
+    const saved = await database.createInvoiceFromQuote(quoteInvoice(quote, { profile: state.profile, client }));
+    await loadData();
+    showView('dashboard');
+    showToast(`Invoice ${saved.invoice_number} created successfully`);
+  } catch (err) {
+    console.error('Failed to create invoice:', err);
+    showToast('Failed to create invoice', 'error');
+  }
+};
+window.deleteQuote = async (id) => {
+  showConfirmModal(
+    t('deleteQuote'),
+    t('confirmDelete'),
+    async () => {
+      await database.deleteQuote(id);
+      await loadData();
+      showView('quotes');
+      showToast(t('deleteSuccess'));
+    }
+  );
+};
+
+window.editJob = (id) => showJobForm(id);
+window.createInvoiceFromJob = createInvoiceFromJob;
+
+// Advance invoice (proforma) for part of an unbilled job; its payments are deducted on the final invoice
+window.showAdvanceForm = (jobId) => {
+  const job = state.jobs.find(j => j.id === jobId);
+  const client = state.clients.find(c => c.id === job?.client_id);
+  if (!job || !client) return;
+  if (!ensurePaymentAccount()) return;
+
+  const currency = job.currency || client.currency || 'CZK';
+  const issued = jobAdvances(job, state.invoices);
+
+  showModal(`${t('issueAdvance')} – ${job.name || ''}`, `
+    <form id="advanceForm">
+      ${issued.length ? `
+        <p class="text-muted">${t('advances')}: ${issued.map(advance => `${escapeHtml(advance.invoice_number || '')} (${formatCurrency(Number(advance.total) || 0)} ${advance.currency || currency})`).join(', ')}</p>
+      ` : ''}
+      <div class="form-row">
+        <div class="form-group">
+          <label>${t('advanceAmount')} (${currency}) *</label>
+          <input type="number" name="amount" step="0.01" min="0.01" required>
+        </div>
+        <div class="form-group">
+          <label>${t('dueDays')}</label>
+          <input type="number" name="due_days" value="${client.due_date_days ?? 14}" min="0">
+        </div>
+      </div>
+    </form>
+  `);
+
+  document.getElementById('modalSave').addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(document.getElementById('advanceForm')));
+    const amount = parseFloat(data.amount);
+    if (!(amount > 0)) {
+      showToast(t('advanceAmountInvalid'), 'error');
+      return;
+    }
+
+    try {
+      const saved = await database.createAdvance(buildAdvance(job, { amount, profile: state.profile, client, dueDays: data.due_days }));
+      window.closeModal();
+      await loadData();
+      showView('dashboard');
+      showToast(`${t('advanceInvoice')} ${saved.invoice_number}`);
+    } catch (err) {
+      console.error('Advance invoice failed:', err);
+      showToast(t('error'), 'error');
+    }
+  });
+};
+window.deleteJob = async (id) => {
+  showConfirmModal(
+    t('deleteJob'),
+    t('confirmDelete'),
+    async () => {
+      await database.deleteJob(id);
+      await loadData();
+      showView('jobs');
+      showToast(t('deleteSuccess'));
+    }
+  );
+};
+
+window.editTimesheet = (id) => showTimesheetForm(id);
+window.deleteTimesheet = async (id) => {
+  showConfirmModal(
+    t('deleteLog'),
+    t('confirmDelete'),
+    async () => {
+      await database.deleteTimesheet(id);
+      await loadData();
+      showView('worklogs');
+      showToast(t('deleteSuccess'));
+    }
+  );
+};
+
+function invoiceDocumentFor(inv) {
+  const client = state.clients.find(c => c.id === inv.client_id);
+  return buildInvoiceDocument(inv, { profile: state.profile, client });
+}
+
+// Printable HTML version of the invoice in a new window
+window.viewInvoice = async (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+
+  const doc = invoiceDocumentFor(inv);
+  const money = (amount) => `${formatCurrency(amount)} ${doc.currency}`;
+  const party = (p) => `
+    <strong>${p.name}</strong><br>
+    ${p.address}<br>
+    ${p.ids.map(id => `${id.label}: ${id.number}`).join('<br>')}
+  `;
+
+  const win = window.open('', '_blank');
+  if (!win) return null;
   win.document.write(`
     <!DOCTYPE html>
     <html>
@@ -1483,6 +2716,7 @@ window.viewInvoice = async (id) => {
         body { font-family: Arial, sans-serif; padding: 50px; max-width: 900px; margin: 0 auto; color: #000; background: #fff; }
         .header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 30px; }
         .invoice-title { font-size: 36px; font-weight: bold; }
+        .invoice-title.tax { font-size: 24px; max-width: 50%; }
         .invoice-meta { text-align: right; font-size: 14px; line-height: 1.8; }
         .invoice-meta div { margin-bottom: 2px; }
         .separator { border-bottom: 2px solid #000; margin: 25px 0; }
@@ -1500,12 +2734,16 @@ window.viewInvoice = async (id) => {
         td { padding: 12px; font-size: 14px; border-bottom: 1px solid #e0e0e0; }
         td:first-child { max-width: 400px; word-wrap: break-word; white-space: normal; }
         td.right { text-align: right; }
+        .vat-recap { margin: 0 0 25px 0; }
+        .vat-recap h3 { font-size: 15px; font-weight: bold; }
         .totals-section { background: #f0f7ff; padding: 20px; margin: 25px 0; border-radius: 8px; }
         .total-line { display: flex; justify-content: space-between; padding: 8px 0; font-size: 15px; }
         .total-line.main { font-size: 18px; font-weight: bold; border-top: 2px solid #1976d2; padding-top: 12px; margin-top: 10px; }
         .total-line.final { font-size: 20px; font-weight: bold; color: #1976d2; border-top: 2px solid #1976d2; padding-top: 12px; margin-top: 10px; }
-        .footer-info { margin-top: 50px; font-size: 13px; line-height: 1.8; }
+        .footer-info { margin-top: 50px; font-size: 13px; line-height: 1.8; display: flex; justify-content: space-between; gap: 30px; }
         .footer-info p { margin: 3px 0; }
+        .qr-payment { width: 140px; text-align: center; font-size: 12px; font-weight: bold; }
+        .qr-payment svg { width: 140px; height: 140px; display: block; }
         @media print { body { padding: 30px; } .no-print { display: none; } }
         .print-btn { padding: 14px 28px; background: #6366f1; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 15px; margin-top: 40px; font-weight: 500; }
         .print-btn:hover { background: #4f46e5; }
@@ -1513,12 +2751,15 @@ window.viewInvoice = async (id) => {
     </head>
     <body>
       <div class="header">
-        <h1 class="invoice-title">FAKTURA / INVOICE</h1>
+        <h1 class="invoice-title${doc.vat || doc.creditNote || doc.advance ? ' tax' : ''}">${documentTitle(doc)}</h1>
         <div class="invoice-meta">
-          <div><strong>Číslo faktury / Invoice #:</strong> ${inv.invoice_number || inv.id}</div>
-          <div><strong>Datum vystavení / Issue date:</strong> ${formatDate(inv.created_at)}</div>
-          <div><strong>Datum splatnosti / Due date:</strong> ${formatDate(inv.due_date)}</div>
-          <div><strong>Forma úhrady / Payment Method:</strong> Bankovní převod / Bank transfer</div>
+          <div><strong>${doc.creditNote || doc.advanceTax ? LABELS.documentNumber : LABELS.number}:</strong> ${doc.number}</div>
+          <div><strong>${LABELS.issueDate}:</strong> ${formatDate(doc.issueDate)}</div>
+          ${doc.taxableSupplyDate ? `<div><strong>${LABELS.taxableSupplyDate}:</strong> ${formatDate(doc.taxableSupplyDate)}</div>` : ''}
+          ${doc.advanceTax ? '' : `
+            <div><strong>${LABELS.dueDate}:</strong> ${formatDate(doc.dueDate)}</div>
+            <div><strong>${LABELS.paymentMethod}:</strong> ${LABELS.bankTransfer}</div>
+          `}
         </div>
       </div>
 
@@ -1526,54 +2767,43 @@ window.viewInvoice = async (id) => {
 
       <div class="parties">
         <div class="party">
-          <h3>Dodavatel / Supplier</h3>
-          <p>
-            <strong>${state.profile?.name || 'Your Business'}</strong><br>
-            ${state.profile?.address || ''}<br>
-            ${(() => {
-              const parts = [];
-              const ids = state.profile?.id_entries || [];
-              if (Array.isArray(ids) && ids.length) return ids.map(id => `${id.label}: ${id.number}`).join('<br>');
-              for (let i=1;i<=4;i++){
-                const label = state.profile?.[`id_label_${i}`];
-                const num = state.profile?.[`id_number_${i}`];
-                if (label || num) parts.push(`${label || 'ID'}: ${num || ''}`);
-              }
-              return parts.join('<br>');
-            })() || ''}
-          </p>
+          <h3>${LABELS.supplier}</h3>
+          <p>${party(doc.supplier)}</p>
         </div>
 
         <div class="party">
-          <h3>Odběratel / Customer</h3>
-          <p>
-            <strong>${client?.name || '-'}</strong><br>
-            ${client?.address || ''}<br>
-            ${(() => {
-              const parts = [];
-              const ids = client?.id_entries || [];
-              if (Array.isArray(ids) && ids.length) return ids.map(id => `${id.label}: ${id.number}`).join('<br>');
-              for (let i=1;i<=4;i++){
-                const label = client?.[`id_label_${i}`];
-                const num = client?.[`id_number_${i}`];
-                if (label || num) parts.push(`${label || 'ID'}: ${num || ''}`);
-              }
-              return parts.join('<br>');
-            })() || ''}
-          </p>
+          <h3>${LABELS.customer}</h3>
+          <p>${party(doc.customer)}</p>
         </div>
       </div>
 
-      ${meta.job_name || meta.job_address ? `
+      ${doc.creditNote ? `
+        <div class="job-details">
+          <h3>${LABELS.correction}</h3>
+          <div class="job-detail-row"><strong>${LABELS.originalInvoice}:</strong> ${escapeHtml(doc.creditNote.originalNumber)}</div>
+          ${doc.creditNote.originalIssueDate ? `<div class="job-detail-row"><strong>${LABELS.originalIssueDate}:</strong> ${formatDate(doc.creditNote.originalIssueDate)}</div>` : ''}
+          ${doc.creditNote.reason ? `<div class="job-detail-row"><strong>${LABELS.correctionReason}:</strong> ${escapeHtml(doc.creditNote.reason)}</div>` : ''}
+        </div>
+      ` : ''}
+
+      ${doc.advanceTax ? `
         <div class="job-details">
-          <h3>Detaily zakázky / Job Details</h3>
-          ${meta.job_name ? `<div class="job-detail-row"><strong>Název / Name:</strong> ${meta.job_name}</div>` : ''}
-          ${meta.job_address ? `<div class="job-detail-row"><strong>Adresa / Address:</strong> ${meta.job_address}</div>` : ''}
-          ${meta.job_start_date || meta.job_end_date ? `
+          <h3>${LABELS.receivedPayment}</h3>
+          <div class="job-detail-row"><strong>${LABELS.advanceInvoice}:</strong> ${escapeHtml(doc.advanceTax.advanceNumber)}</div>
+          ${doc.advanceTax.paymentDate ? `<div class="job-detail-row"><strong>${LABELS.paymentDate}:</strong> ${formatDate(doc.advanceTax.paymentDate)}</div>` : ''}
+        </div>
+      ` : ''}
+
+      ${doc.job ? `
+        <div class="job-details">
+          <h3>${LABELS.jobDetails}</h3>
+          ${doc.job.name ? `<div class="job-detail-row"><strong>${LABELS.jobName}:</strong> ${doc.job.name}</div>` : ''}
+          ${doc.job.address ? `<div class="job-detail-row"><strong>${LABELS.jobAddress}:</strong> ${doc.job.address}</div>` : ''}
+          ${doc.job.startDate || doc.job.endDate ? `
             <div class="job-detail-row">
-              <strong>Období / Period:</strong>
-              ${meta.job_start_date ? formatDate(meta.job_start_date) : ''}
-              ${meta.job_end_date ? '- ' + formatDate(meta.job_end_date) : ''}
+              <strong>${LABELS.jobPeriod}:</strong>
+              ${doc.job.startDate ? formatDate(doc.job.startDate) : ''}
+              ${doc.job.endDate ? '- ' + formatDate(doc.job.endDate) : ''}
             </div>
           ` : ''}
         </div>
@@ -1582,57 +2812,124 @@ window.viewInvoice = async (id) => {
       <table>
         <thead>
           <tr>
-            <th>Položka / Description</th>
-            <th class="right">Počet hodin / Hours</th>
-            <th class="right">Sazba/hod. / Rate</th>
-            <th class="right">Částka / Amount</th>
+            <th>${LABELS.description}</th>
+            <th class="right">${LABELS.hours}</th>
+            <th class="right">${LABELS.rate}</th>
+            ${doc.vat ? `<th class="right">${LABELS.tax}</th>` : ''}
+            <th class="right">${LABELS.amount}</th>
           </tr>
         </thead>
         <tbody>
-          ${items.map(item => `
+          ${doc.items.map(item => `
             <tr>
               <td>${item.description}</td>
-              <td class="right">${item.hours !== null && item.hours !== undefined ? item.hours.toFixed(2) : '-'}</td>
-              <td class="right">${item.rate !== null && item.rate !== undefined ? formatCurrency(item.rate) + ' ' + (inv.currency || client?.currency || 'CZK') : '-'}</td>
-              <td class="right">${formatCurrency(item.amount || (item.hours * item.rate) || 0)} ${inv.currency || client?.currency || 'CZK'}</td>
+              <td class="right">${item.hours !== null ? item.hours.toFixed(2) : '-'}</td>
+              <td class="right">${item.rate !== null ? money(item.rate) : '-'}</td>
+              ${doc.vat ? `<td class="right">${item.vatRate ? vatRateLabel(item.vatRate) : '-'}</td>` : ''}
+              <td class="right">${money(item.amount)}</td>
             </tr>
           `).join('')}
         </tbody>
       </table>
 
+      ${doc.vat?.recap.length ? `
+        <div class="vat-recap">
+          <h3>${LABELS.vatRecap}</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>${LABELS.vatRate}</th>
+                <th class="right">${LABELS.vatBase}</th>
+                <th class="right">${LABELS.tax}</th>
+                <th class="right">${LABELS.vatTotal}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${doc.vat.recap.map(line => `
+                <tr>
+                  <td>${vatRateLabel(line.rate)}</td>
+                  <td class="right">${money(line.base)}</td>
+                  <td class="right">${money(line.tax)}</td>
+                  <td class="right">${money(line.total)}</td>
+                </tr>
+              `).join('')}
+              ${doc.advances.flatMap(advance => advance.vat.map(line => `
+                <tr>
+                  <td>${LABELS.advanceDeducted} ${escapeHtml(advance.number)} (${vatRateLabel(line.rate)})</td>
+                  <td class="right">${money(-line.base)}</td>
+                  <td class="right">${money(-line.tax)}</td>
+                  <td class="right">${money(-line.total)}</td>
+                </tr>
+              `)).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+
       <div class="totals-section">
-        ${meta.expenses_total > 0 || meta.deposits_total > 0 ? `
+        ${doc.totals.breakdown ? `
           <div class="total-line">
-            <span>Celkem práce / Job Total:</span>
-            <span>${formatCurrency(inv.subtotal || 0)} ${inv.currency || client?.currency || 'CZK'}</span>
+            <span>${LABELS.jobTotal}:</span>
+            <span>${money(doc.totals.jobTotal)}</span>
           </div>
-          ${meta.expenses_total > 0 ? `
+          ${doc.totals.expenses > 0 ? `
             <div class="total-line">
-              <span>Výdaje / Expenses:</span>
-              <span>${formatCurrency(meta.expenses_total)} ${inv.currency || client?.currency || 'CZK'}</span>
+              <span>${LABELS.expenses}:</span>
+              <span>${money(doc.totals.expenses)}</span>
             </div>
           ` : ''}
+        ` : ''}
+        ${doc.vat ? `
+          <div class="total-line">
+            <span>${LABELS.subtotal}:</span>
+            <span>${money(doc.totals.subtotal)}</span>
+          </div>
+          <div class="total-line">
+            <span>${LABELS.tax}:</span>
+            <span>${money(doc.totals.tax)}</span>
+          </div>
+        ` : ''}
+        ${doc.totals.breakdown || doc.vat ? `
           <div class="total-line main">
-            <span>Celková částka / Invoice Amount:</span>
-            <span>${formatCurrency(meta.invoice_amount || inv.total)} ${inv.currency || client?.currency || 'CZK'}</span>
+            <span>${LABELS.invoiceAmount}:</span>
+            <span>${money(doc.totals.invoiceAmount)}</span>
           </div>
-          ${meta.deposits_total > 0 ? `
+          ${doc.advances.map(advance => `
+            <div class="total-line">
+              <span>${LABELS.advanceDeducted} ${escapeHtml(advance.number)}${advance.taxDocuments.length ? ` (${LABELS.taxDocument} ${escapeHtml(advance.taxDocuments.join(', '))})` : ''}:</span>
+              <span>-${money(advance.amount)}</span>
+            </div>
+          `).join('')}
+          ${doc.totals.deposits - advancesTotal(doc.advances) > 0.005 ? `
             <div class="total-line">
-              <span>Zálohy / Deposits:</span>
-              <span>-${formatCurrency(meta.deposits_total)} ${inv.currency || client?.currency || 'CZK'}</span>
+              <span>${LABELS.deposits}:</span>
+              <span>-${money(doc.totals.deposits - advancesTotal(doc.advances))}</span>
             </div>
           ` : ''}
         ` : ''}
         <div class="total-line final">
-          <span>CELKEM K ÚHRADĚ / TOTAL DUE:</span>
-          <span>${formatCurrency(inv.total || 0)} ${inv.currency || client?.currency || 'CZK'}</span>
+          <span>${doc.creditNote ? LABELS.totalCredit : doc.advanceTax ? LABELS.totalReceived : LABELS.totalDue}:</span>
+          <span>${money(doc.totals.total)}</span>
         </div>
       </div>
 
       <div class="footer-info">
-        <p><strong>Bankovní spojení / Bank Details:</strong></p>
-        ${state.profile?.bank_entries?.map(acc => `<p>${acc.label}: ${acc.number}</p>`).join('') || '<p>Nezadáno / Not specified</p>'}
-        <p style="margin-top: 15px;">Nejsem plátce DPH. / Not a VAT payer.</p>
+        <div>
+          <p><strong>${LABELS.bankDetails}:</strong></p>
+          ${doc.bankAccounts.map(acc => `<p>${acc.label ? `${escapeHtml(acc.label)}: ` : ''}${escapeHtml(acc.number)}</p>`).join('') || `<p>${LABELS.notSpecified}</p>`}
+          ${doc.payment ? `
+            <p>IBAN: ${formatIban(doc.payment.iban)}</p>
+            ${doc.payment.bic ? `<p>BIC / SWIFT: ${doc.payment.bic}</p>` : ''}
+            ${doc.payment.variableSymbol ? `<p>${LABELS.variableSymbol}: ${doc.payment.variableSymbol}</p>` : ''}
+          ` : ''}
+          ${vatNote(doc) ? `<p style="margin-top: 15px;">${vatNote(doc)}</p>` : ''}
+        </div>
+        ${doc.payment?.qr ? `
+          <div class="qr-payment">
+            ${qrSvg(doc.payment.qr.payload)}
+            ${doc.payment.qr.label}
+          </div>
+        ` : ''}
       </div>
 
       <div class="no-print">
@@ -1642,38 +2939,495 @@ window.viewInvoice = async (id) => {
     </html>
   `);
   win.document.close();
-  // Return the new window object so downloadInvoice can print to it.
   return win;
 };
 
-
+// Build the PDF in the page and save it as Invoice-<number>.pdf - no popup, no print dialog
 window.downloadInvoice = async (id) => {
-  // Call viewInvoice to open the new window, and capture the window object
-  const win = await window.viewInvoice(id);
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
 
-  // Wait for a short moment (300ms) to ensure content is rendered in the new window
-  // Then call print() on the new window object instead of the main window.
-  setTimeout(() => {
-    if (win) {
-      win.print();
+  try {
+    await downloadInvoicePdf(invoiceDocumentFor(inv));
+  } catch (error) {
+    console.error('PDF generation failed:', error);
+    showToast(t('pdfFailed'), 'error');
+  }
+};
+
+
+function isdocFor(inv) {
+  const client = state.clients.find(c => c.id === inv.client_id);
+  return buildIsdoc(inv, { profile: state.profile, client });
+}
+
+window.downloadIsdoc = (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+  downloadFile(isdocFor(inv), isdocFileName(inv), 'application/xml');
+};
+
+// One .isdoc per invoice; a range goes out as a single zip
+async function exportIsdoc(invoices) {
+  if (invoices.length === 0) {
+    showToast(t('noData'), 'error');
+    return;
+  }
+  if (invoices.length === 1) {
+    window.downloadIsdoc(invoices[0].id);
+    return;
+  }
+
+  try {
+    const zip = new JSZip();
+    invoices.forEach(inv => zip.file(isdocFileName(inv), isdocFor(inv)));
+    const { from, to } = state.ledgerFilter;
+    const range = [from, to].filter(Boolean).join('_') || new Date().toISOString().split('T')[0];
+    downloadFile(await zip.generateAsync({ type: 'blob' }), `ISDOC-${range}.zip`, 'application/zip');
+  } catch (error) {
+    console.error('ISDOC export failed:', error);
+    showToast(t('isdocFailed'), 'error');
+  }
+}
+
+// Invoices issued and payments received within the ledger's date range, for the accountant
+function exportAccounting(format) {
+  const { from, to } = state.ledgerFilter;
+  const inRange = (value) => {
+    const date = xmlDate(value) || '';
+    return (!from || date >= from) && (!to || date <= to);
+  };
+  const invoices = ledgerInvoices();
+  const payments = receivedPayments(state.invoices, state.payments).filter(payment => inRange(payment.date));
+  if (invoices.length === 0 && payments.length === 0) {
+    showToast(t('noData'), 'error');
+    return;
+  }
+
+  const build = format === 'pohoda' ? buildPohodaXml : buildMoneyS3Xml;
+  const xml = build({ invoices, payments, profile: state.profile, clients: state.clients });
+  const range = [from, to].filter(Boolean).join('_') || new Date().toISOString().split('T')[0];
+  downloadFile(xml, `${format === 'pohoda' ? 'Pohoda' : 'MoneyS3'}-${range}.xml`, 'application/xml');
+}
+
+// Payment history of one invoice, with a form to record the next payment
+window.showPayments = (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+
+  const client = state.clients.find(c => c.id === inv.client_id);
+  const currency = inv.currency || client?.currency || 'CZK';
+  const money = (amount) => `${formatCurrency(amount)} ${currency}`;
+  const history = invoicePayments(state.payments, id);
+  const balance = balanceDue(inv, state.payments, state.invoices);
+  const status = paymentStatus(inv, state.payments, state.invoices);
+
+  showModal(`${t('paymentHistory')} – ${inv.invoice_number || ''}`, `
+    <div class="payment-summary mb-2">
+      <div><span class="text-muted">${t('invoiceTotal')}</span> <strong>${money(inv.total || 0)}</strong></div>
+      <div><span class="text-muted">${t('paidSoFar')}</span> <strong>${money(paidAmount(history))}</strong></div>
+      <div><span class="text-muted">${t('balanceDue')}</span> <strong>${money(balance)}</strong></div>
+      <div><span class="badge badge-${status === 'paid' ? 'success' : status === 'overpaid' ? 'danger' : 'warning'}">${t(status)}</span></div>
+    </div>
+
+    <div class="table-container mb-2">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('date')}</th>
+            <th>${t('amount')}</th>
+            <th>${t('paymentMethod')}</th>
+            <th>${t('note')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${history.length === 0 ? `
+            <tr><td colspan="5" class="text-center text-muted">${t('noPayments')}</td></tr>
+          ` : history.map(payment => `
+            <tr>
+              <td>${formatDate(payment.date)}</td>
+              <td>${money(payment.amount)}</td>
+              <td>${payment.method ? t(`method_${payment.method}`) : '-'}</td>
+              <td>${escapeHtml(payment.note || '')}</td>
+              <td><button type="button" class="action-btn delete-payment-btn" data-id="${payment.id}" title="${t('deletePayment')}">🗑️</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <h3 class="mb-2">${t('addPayment')}</h3>
+    <form id="paymentForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('paymentDate')} *</label>
+          <input type="date" name="date" value="${new Date().toISOString().split('T')[0]}" required>
+        </div>
+        <div class="form-group">
+          <label>${t('amount')} (${currency}) *</label>
+          <input type="number" name="amount" value="${balance > 0 ? balance : ''}" step="0.01" required>
+        </div>
+        <div class="form-group">
+          <label>${t('paymentMethod')}</label>
+          <select name="method">
+            ${PAYMENT_METHODS.map(method => `<option value="${method}">${t(`method_${method}`)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${t('note')}</label>
+          <input type="text" name="note">
+        </div>
+      </div>
+    </form>
+  `);
+
+  const refresh = async () => {
+    await loadData();
+    showView(state.currentView);
+    window.showPayments(id);
+  };
+
+  document.getElementById('modalSave').addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(document.getElementById('paymentForm')));
+    const amount = Math.round((parseFloat(data.amount) || 0) * 100) / 100;
+    // Negative amounts are refunds; zero is never a payment
+    if (!data.date || amount === 0) {
+      showToast(t('paymentAmountInvalid'), 'error');
+      return;
     }
-  }, 300);
+
+    const payment = { invoice_id: id, date: data.date, amount, method: data.method, note: data.note || null };
+    try {
+      await database.recordPayment(inv, payment, paymentStatus(inv, [...state.payments, payment], state.invoices));
+      showToast(t('paymentSaved'));
+      await refresh();
+    } catch (err) {
+      console.error('Payment failed:', err);
+      showToast(t('error'), 'error');
+    }
+  });
+
+  document.querySelectorAll('.delete-payment-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const payment = history.find(p => p.id === btn.dataset.id);
+      if (!payment) return;
+      try {
+        await database.deletePayment(
+          payment,
+          paymentStatus(inv, state.payments.filter(p => p.id !== payment.id), state.invoices),
+          taxDocumentFor(payment, state.invoices)
+        );
+        showToast(t('deleteSuccess'));
+        await refresh();
+      } catch (err) {
+        console.error('Payment delete failed:', err);
+        showToast(t('error'), 'error');
+      }
+    });
+  });
 };
 
+// Payment reminder for an overdue invoice, with the ones already sent
+window.showReminderForm = (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+
+  const client = state.clients.find(c => c.id === inv.client_id);
+  const currency = inv.currency || client?.currency || 'CZK';
+  const money = (amount) => `${formatCurrency(amount)} ${currency}`;
+  const sent = invoiceReminders(inv);
+  const next = nextReminderLevel(inv) || 'final';
+  const preview = buildReminder(inv, { payments: state.payments, invoices: state.invoices, level: next });
+
+  showModal(`${t('sendReminder')} – ${inv.invoice_number || ''}`, `
+    <div class="payment-summary mb-2">
+      <div><span class="text-muted">${t('invoiceTotal')}</span> <strong>${money(inv.total || 0)}</strong></div>
+      <div><span class="text-muted">${t('balanceDue')}</span> <strong>${money(preview.balance)}</strong></div>
+      <div><span class="text-muted">${t('daysOverdue')}</span> <strong>${preview.days_overdue}</strong></div>
+    </div>
+
+    <h3 class="mb-2">${t('reminderHistory')}</h3>
+    <div class="table-container mb-2">
+      <table>
+        <thead>
+          <tr>
+            <th>${t('reminderLevel')}</th>
+            <th>${t('date')}</th>
+            <th>${t('balanceDue')}</th>
+            <th>${t('interestRate')}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sent.length === 0 ? `
+            <tr><td colspan="5" class="text-center text-muted">${t('noReminders')}</td></tr>
+          ` : sent.map((reminder, i) => `
+            <tr>
+              <td>${t(`reminder_${reminder.level}`)}</td>
+              <td>${formatDate(reminder.date)}</td>
+              <td>${money(reminder.balance)}${reminder.interest > 0 ? ` + ${money(reminder.interest)}` : ''}</td>
+              <td>${reminder.interest_rate === null ? '-' : `${reminder.interest_rate} %`}</td>
+              <td><button type="button" class="action-btn download-reminder-btn" data-index="${i}" title="${t('downloadPdf')}">⬇️</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <form id="reminderForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('reminderLevel')}</label>
+          <select name="level">
+            ${REMINDER_LEVELS.map(level => `<option value="${level}" ${level === next ? 'selected' : ''}>${t(`reminder_${level}`)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${t('reminderDate')} *</label>
+          <input type="date" name="date" value="${preview.date}" required>
+        </div>
+        <div class="form-group checkbox-group">
+          <input type="checkbox" name="interest" id="reminderInterest">
+          <label for="reminderInterest">${t('chargeInterest')}</label>
+        </div>
+        <div class="form-group">
+          <label title="${t('interestHelp')}">${t('interestRate')}</label>
+          <input type="number" name="rate" value="${statutoryRate(inv, repoRates(state.profile))}" step="0.01" min="0">
+          ${repoRateKnown(inv, repoRates(state.profile)) ? '' : `<span class="badge badge-warning">${t('repoRateUnknown')}</span>`}
+        </div>
+      </div>
+    </form>
+  `);
+
+  const download = (reminder) => downloadReminderPdf(buildReminderDocument(inv, reminder, {
+    profile: state.profile,
+    client,
+    payments: state.payments
+  }));
+
+  document.querySelectorAll('.download-reminder-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await download(sent[Number(btn.dataset.index)]);
+      } catch (err) {
+        console.error('PDF generation failed:', err);
+        showToast(t('pdfFailed'), 'error');
+      }
+    });
+  });
+
+  const save = document.getElementById('modalSave');
+  save.textContent = t('createReminder');
+  save.addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(document.getElementById('reminderForm')));
+    const rate = parseFloat(data.rate);
+    const reminder = buildReminder(inv, {
+      payments: state.payments,
+      invoices: state.invoices,
+      level: data.level,
+      date: data.date || preview.date,
+      interestRate: data.interest && !isNaN(rate) ? rate : null
+    });
+
+    try {
+      await download(reminder);
+    } catch (err) {
+      console.error('PDF generation failed:', err);
+      showToast(t('pdfFailed'), 'error');
+      return;
+    }
+
+    try {
+      await database.recordReminder(inv, reminder);
+      window.closeModal();
+      await loadData();
+      showView('dashboard');
+      showToast(t('reminderRecorded'));
+    } catch (err) {
+      console.error('Reminder failed:', err);
+      showToast(t('error'), 'error');
+    }
+  });
+};
+
+// Email the invoice PDF to the client; the function marks it sent once the mail is out
+window.showEmailComposer = (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+
+  const client = state.clients.find(c => c.id === inv.client_id);
+  const doc = invoiceDocumentFor(inv);
+  const values = emailValues(doc);
+  const lang = emailLanguage(doc);
+  const template = emailTemplate(lang);
+
+  showModal(`${t('sendEmail')} – ${inv.invoice_number || ''}`, `
+    <form id="emailForm">
+      <div class="form-grid">
+        <div class="form-group">
+          <label>${t('emailTo')} *</label>
+          <input type="text" name="to" value="${escapeHtml(client?.invoice_email || client?.admin_email || '')}" required>
+        </div>
+        <div class="form-group">
+          <label>${t('emailCc')}</label>
+          <input type="text" name="cc" value="">
+        </div>
+        <p class="text-muted full-width">${t('emailRecipientsHelp')}</p>
+        <div class="form-group">
+          <label>${t('emailLanguage')}</label>
+          <select name="language">
+            ${EMAIL_LANGUAGES.map(code => `<option value="${code}" ${code === lang ? 'selected' : ''}>${t(`language_${code}`)}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${t('emailSubject')} *</label>
+        <input type="text" name="subject" value="${escapeHtml(template.subject)}" required>
+      </div>
+      <div class="form-group">
+        <label>${t('emailBody')}</label>
+        <textarea name="body" rows="10">${escapeHtml(template.body)}</textarea>
+      </div>
+      <p class="text-muted">${t('emailPlaceholders')}: ${EMAIL_PLACEHOLDERS.map(key => `<code title="${escapeHtml(values[key])}">{${key}}</code>`).join(' ')}</p>
+    </form>
+  `);
+
+  const form = document.getElementById('emailForm');
+  form.language.addEventListener('change', () => {
+    const next = emailTemplate(form.language.value);
+    form.subject.value = next.subject;
+    form.body.value = next.body;
+  });
+
+  const addresses = (value) => String(value || '').split(/[,;\s]+/).filter(Boolean);
+
+  const save = document.getElementById('modalSave');
+  save.textContent = t('send');
+  save.addEventListener('click', async () => {
+    const to = addresses(form.to.value);
+    if (!to.length) {
+      showToast(t('emailRecipientMissing'), 'error');
+      return;
+    }
+
+    save.disabled = true;
+    try {
+      const attachment = await invoicePdfAttachment(doc);
+      await database.sendInvoice({
+        invoice_id: inv.id,
+        to,
+        cc: addresses(form.cc.value),
+        ...fillEmail({ subject: form.subject.value, body: form.body.value }, doc),
+        attachments: [attachment]
+      });
+      window.closeModal();
+      await loadData();
+      showView('dashboard');
+      showToast(t('emailSent'));
+    } catch (err) {
+      console.error('Sending the invoice failed:', err);
+      const messages = {
+        mail_unavailable: 'mailUnavailable',
+        mail_not_configured: 'mailNotConfigured',
+        recipient_not_allowed: 'emailRecipientNotAllowed',
+        rate_limited: 'emailRateLimited'
+      };
+      showToast(t(messages[err.code] || 'emailFailed'), 'error');
+      save.disabled = false;
+    }
+  });
+};
+
+// Void an invoice without deleting it, so its number stays accounted for
+window.cancelInvoice = async (id) => {
+  const inv = state.invoices.find(i => i.id === id);
+  if (!inv) return;
+  if (invoicePayments(state.payments, id).length) {
+    showToast(t('cancelHasPayments'), 'error');
+    return;
+  }
 
-window.deleteInvoice = async (id) => {
   showConfirmModal(
-    t('deleteInvoice'),
-    t('confirmDelete'),
+    t('cancelInvoice'),
+    t('confirmCancelInvoice'),
     async () => {
-      await database.deleteInvoice(id);
+      await database.cancelInvoice(id);
       await loadData();
       showView('dashboard');
-      showToast(t('deleteSuccess'));
-    }
+      showToast(t('saveSuccess'));
+    },
+    t('cancelInvoice')
   );
 };
 
+// Credit note against an issued invoice: all of its lines to start with, trimmed or dropped as needed
+window.showCreditNoteForm = (id) => {
+  const original = state.invoices.find(i => i.id === id);
+  if (!original) return;
+
+  const client = state.clients.find(c => c.id === original.client_id);
+  const currency = original.currency || client?.currency || 'CZK';
+  const lines = creditLines(original);
+
+  showModal(`${t('createCreditNote')} – ${original.invoice_number || ''}`, `
+    <form id="creditNoteForm">
+      <div class="table-container mb-2">
+        <table>
+          <thead>
+            <tr>
+              <th></th>
+              <th>${t('description')}</th>
+              <th>${t('amount')} (${currency})</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lines.map((line, i) => `
+              <tr>
+                <td><input type="checkbox" name="line_${i}" checked></td>
+                <td>${escapeHtml(line.description || '')}</td>
+                <td><input type="number" name="amount_${i}" value="${Math.abs(line.amount)}" step="0.01" min="0" max="${Math.abs(line.amount)}"></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="form-group">
+        <label>${t('creditNoteReason')} *</label>
+        <textarea name="reason" required></textarea>
+      </div>
+    </form>
+  `);
+
+  document.getElementById('modalSave').addEventListener('click', async () => {
+    const data = Object.fromEntries(new FormData(document.getElementById('creditNoteForm')));
+    const items = lines
+      .map((line, i) => ({ ...line, amount: parseFloat(data[`amount_${i}`]) || 0, included: !!data[`line_${i}`] }))
+      .filter(line => line.included && line.amount > 0)
+      .map(({ included, ...line }) => line);
+    const reason = (data.reason || '').trim();
+    if (!items.length || !reason) {
+      showToast(t('creditNoteIncomplete'), 'error');
+      return;
+    }
+
+    const creditNote = { ...buildCreditNote(original, { items, reason }), ...partySnapshots({ profile: state.profile, client }) };
+    try {
+      const saved = await database.createCreditNote(
+        creditNote,
+        paymentStatus(original, state.payments, [...state.invoices, { ...creditNote, id: 'new' }])
+      );
+      window.closeModal();
+      await loadData();
+      showView('dashboard');
+      showToast(`${t('creditNote')} ${saved.invoice_number}`);
+    } catch (err) {
+      console.error('Credit note failed:', err);
+      showToast(t('error'), 'error');
+    }
+  });
+};
+
 window.restoreItem = async (table, id) => {
   showConfirmModal(
     t('restoreItem'),
@@ -1692,7 +3446,13 @@ window.deleteForever = async (table, id) => {
     t('deleteForever'),
     t('confirmDeleteForever'),
     async () => {
-      await database.hardDelete(table, id);
+      try {
+        await database.hardDelete(table, id);
+      } catch (err) {
+        console.error('Delete failed:', err);
+        showToast(t(err.code === 'invoice_locked' ? 'invoiceLocked' : 'error'), 'error');
+        return;
+      }
       await loadData();
       showView('trash');
       showToast(t('deleteSuccess'));
@@ -1721,6 +3481,11 @@ function showToast(message, type = 'success') {
   }, 3000);
 }
 
+// A failed write, with what the server or the local store said about it
+function showError(err) {
+  showToast(err?.message ? `${t('error')}: ${err.message}` : t('error'), 'error');
+}
+
 // Initialize on load
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,36 @@
+// backends/index.js
+
+// Storage backends for Database. Each one implements:
+//
+//   remote                               true when data lives on a server; Database then keeps
+//                                        the offline replica and outbox in front of it
+//   setUser(userId)
+//   list(table, { deleted })             rows, newest first; deleted true/false filters, omitted returns all
+//   load([{ key, table, deleted }])      several lists at once -> { key: rows }
+//   get(table, id)
+//   insert(table, record)
+//   update(table, id, changes, { expected })
+//   remove(table, id)
+//   transaction(ops)                     all-or-nothing [{ type: create|upsert|update|delete, table, id, record, expected }]
+//   allocateNumber(kind)                 next number of an invoice series
+//   releaseNumber(kind, number)          hand back the last number if nothing was written with it -> bool
+//   sendInvoice(message)                 email an invoice and mark it sent -> { invoice, transport, message_id }
+//   ping()
+//
+// Errors are the classes from errors.js, in the same shapes whichever backend raised them.
+
+import { ProxyBackend } from './proxy.js';
+import { IndexedDBBackend } from './indexeddb.js';
+import { MemoryBackend } from './memory.js';
+
+export const BACKENDS = {
+  proxy: ProxyBackend,
+  indexeddb: IndexedDBBackend,
+  memory: MemoryBackend
+};
+
+export function createBackend(name = 'proxy', options) {
+  const Backend = BACKENDS[name];
+  if (!Backend) throw new Error(`Unknown storage backend: ${name}`);
+  return new Backend(options);
+}
@@ -0,0 +1,33 @@
+// backends/indexeddb.js
+
+// Local-only storage: everything stays in this browser's IndexedDB, no account or server needed
+
+import { LocalStore, REPLICA_TABLES } from '../localstore.js';
+import { LocalBackend } from './local.js';
+
+export const LOCAL_TABLES = [...REPLICA_TABLES, 'invoice_series'];
+
+export class IndexedDBBackend extends LocalBackend {
+  constructor() {
+    super();
+    this.store = null;
+  }
+
+  // A separate database from the online replica, so switching modes never mixes the two
+  setUser(userId) {
+    super.setUser(userId);
+    this.store = userId ? new LocalStore(`bizzhub-local-${userId}`, LOCAL_TABLES) : null;
+  }
+
+  async rows(table) {
+    return this.store.getAll(table);
+  }
+
+  async row(table, id) {
+    return this.store.get(table, id);
+  }
+
+  async atomic(tables, fn) {
+    return this.store.transact(tables, fn);
+  }
+}
@@ -0,0 +1,220 @@
+// backends/local.js
+
+// Common ground of the backends that keep everything in the browser. They behave like
+// db-proxy / db-batch do on the server: rows belong to the current user, timestamps are
+// stamped on write, stale updates are refused and transactions are all-or-nothing.
+//
+// Subclasses provide the storage:
+//   rows(table)            every stored row of a table
+//   row(table, id)         one stored row or null
+//   atomic(tables, fn)     run fn(tx) so that either all of its writes land or none do;
+//                          tx = { all(table), get(table, id), put(table, row), remove(table, id) }
+
+import { DEFAULT_SERIES, formatNumber, nextInSeries, rewindsSeries, seriesPeriod } from '../numbering.js';
+import { ConflictError, DatabaseError, TransactionError } from '../errors.js';
+import { lockViolation } from '../lock.js';
+
+export class LocalBackend {
+  constructor() {
+    this.remote = false;
+    this.userId = null;
+  }
+
+  setUser(userId) {
+    this.userId = userId;
+  }
+
+  owned(row) {
+    return !!row && row.user_id === this.userId;
+  }
+
+  async list(table, { deleted } = {}) {
+    const order = deleted ? 'updated_at' : 'created_at';
+    return (await this.rows(table))
+      .filter(row => this.owned(row) && (deleted === undefined || !!row.deleted === deleted))
+      .sort((a, b) => String(b[order] || '').localeCompare(String(a[order] || '')));
+  }
+
+  async load(queries) {
+    const results = {};
+    for (const { key, table, deleted } of queries) {
+      results[key] = await this.list(table, { deleted });
+    }
+    return results;
+  }
+
+  async get(table, id) {
+    const row = await this.row(table, id);
+    return this.owned(row) ? row : null;
+  }
+
+  async insert(table, record) {
+    return this.write({ type: 'create', table, record });
+  }
+
+  async update(table, id, changes, { expected } = {}) {
+    return this.write({ type: 'update', table, id, record: changes, expected });
+  }
+
+  async remove(table, id) {
+    return this.write({ type: 'delete', table, id });
+  }
+
+  async write(op) {
+    return this.atomic([op.table], tx => this.apply(tx, op, new Date().toISOString()));
+  }
+
+  // Same error shapes as db-batch, so callers can't tell which backend failed
+  async transaction(ops) {
+    const tables = [...new Set(ops.map(op => op.table))];
+    const now = new Date().toISOString();
+
+    return this.atomic(tables, async tx => {
+      const results = [];
+      for (let i = 0; i < ops.length; i++) {
+        try {
+          results.push(await this.apply(tx, ops[i], now));
+        } catch (err) {
+          const status = err.status || 500;
+          const body = {
+            error: 'transaction_failed',
+            failed: i,
+            rolled_back: true,
+            results: [
+              ...results.map((data, j) => ({ key: ops[j].key ?? j, status: 200, data })),
+              { key: ops[i].key ?? i, status, error: err.body || err.message },
+              ...ops.slice(i + 1).map((op, j) => ({ key: op.key ?? i + 1 + j, status: null, skipped: true }))
+            ]
+          };
+          throw new TransactionError(`Transaction failed at operation ${i}`, { status, code: body.error, body });
+        }
+      }
+      return results;
+    });
+  }
+
+  async apply(tx, op, now) {
+    const id = op.id || op.record?.id;
+    const current = id ? await tx.get(op.table, id) : null;
+    const existing = this.owned(current) ? current : null;
+    let row;
+
+    // Issued invoices are frozen, as db-proxy / db-batch enforce (see lock.js)
+    if (op.table === 'invoices' && existing && op.type !== 'create') {
+      const violation = lockViolation(existing, op.type === 'delete' ? null : op.record);
+      if (violation) {
+        const body = { error: 'invoice_locked', id: existing.id, ...violation };
+        throw new DatabaseError(`Database error: 409 ${JSON.stringify(body)}`, { status: 409, code: body.error, body });
+      }
+    }
+
+    // Series counters only move forward, as db-proxy / db-batch enforce (see rewindsSeries)
+    if (op.table === 'invoice_series' && existing && rewindsSeries(existing, op.type === 'delete' ? null : op.record)) {
+      const body = { error: 'series_rewind', id: existing.id, kind: existing.kind, next_seq: nextInSeries(existing).seq };
+      throw new DatabaseError(`Database error: 409 ${JSON.stringify(body)}`, { status: 409, code: body.error, body });
+    }
+
+    switch (op.type) {
+      case 'create':
+        if (current) {
+          throw new DatabaseError(`Database error: ${op.table} ${id} already exists`, { status: 409, code: 'duplicate' });
+        }
+        row = {
+          ...op.record,
+          id: id || crypto.randomUUID(),
+          user_id: this.userId,
+          deleted: op.record.deleted ?? false,
+          created_at: op.record.created_at || now,
+          updated_at: now
+        };
+        break;
+      case 'upsert':
+        if (current && !existing) {
+          throw new DatabaseError(`Database error: ${op.table} ${id} belongs to another user`, { status: 403, code: 'forbidden' });
+        }
+        row = {
+          ...existing,
+          ...op.record,
+          id: id || crypto.randomUUID(),
+          user_id: this.userId,
+          deleted: op.record.deleted ?? existing?.deleted ?? false,
+          created_at: existing?.created_at || op.record.created_at || now,
+          updated_at: now
+        };
+        break;
+      case 'update':
+        if (!existing) {
+          const body = { error: 'not_found', message: 'The record no longer exists' };
+          throw new DatabaseError(`Database error: 404 ${JSON.stringify(body)}`, { status: 404, code: body.error, body });
+        }
+        if (op.expected?.updated_at && op.expected.updated_at !== existing.updated_at) {
+          const body = { error: 'conflict', message: 'The record was changed by someone else', current: existing };
+          throw new ConflictError(`Database error: ${body.message}`, { status: 409, code: body.error, body });
+        }
+        row = { ...existing, ...op.record, id: existing.id, user_id: this.userId, updated_at: now };
+        break;
+      case 'delete':
+        if (existing) await tx.remove(op.table, existing.id);
+        return true;
+      default:
+        throw new Error(`Unknown transaction operation: ${op.type}`);
+    }
+
+    await tx.put(op.table, row);
+    return row;
+  }
+
+  // One device is the only writer here, so the series counter can simply be advanced in place
+  async allocateNumber(kind = 'invoice', date = new Date()) {
+    if (!DEFAULT_SERIES[kind]) {
+      throw new DatabaseError(`Unknown number series: ${kind}`, { status: 400, code: 'series_unknown' });
+    }
+
+    return this.atomic(['invoice_series'], async tx => {
+      const now = new Date().toISOString();
+      const owned = (await tx.all('invoice_series')).filter(series => this.owned(series) && series.kind === kind);
+      const stored = owned.find(series => !series.deleted);
+      // As on the server, where (user_id, kind) is unique: a deleted series is not replaced by one
+      // starting over at 1
+      if (!stored && owned.length) {
+        throw new DatabaseError(`The ${kind} series was deleted and cannot be started over`, { status: 409, code: 'series_deleted' });
+      }
+      const series = stored || {
+        ...DEFAULT_SERIES[kind],
+        id: crypto.randomUUID(),
+        user_id: this.userId,
+        period: seriesPeriod(DEFAULT_SERIES[kind], date),
+        next_seq: 1,
+        deleted: false,
+        created_at: now
+      };
+
+      const { seq, period } = nextInSeries(series, date);
+      await tx.put('invoice_series', { ...series, next_seq: seq + 1, period, updated_at: now });
+      return formatNumber(series, seq, date);
+    });
+  }
+
+  // Same rules as releaseNumber on the server: only the last number, and only if nothing carries it
+  async releaseNumber(kind, number, date = new Date()) {
+    return this.atomic(['invoice_series', 'invoices'], async tx => {
+      const series = (await tx.all('invoice_series'))
+        .find(row => this.owned(row) && row.kind === kind && !row.deleted);
+      if (!series || series.period !== seriesPeriod(series, date) || !(series.next_seq > 1)) return false;
+      if (formatNumber(series, series.next_seq - 1, date) !== number) return false;
+      if ((await tx.all('invoices')).some(inv => this.owned(inv) && inv.invoice_number === number)) return false;
+
+      await tx.put('invoice_series', { ...series, next_seq: series.next_seq - 1, updated_at: new Date().toISOString() });
+      return true;
+    });
+  }
+
+  // Mail goes out through the send-invoice function; there is no server here to send it
+  async sendInvoice() {
+    throw new DatabaseError('Emailing invoices needs the proxy backend', { status: 501, code: 'mail_unavailable' });
+  }
+
+  async ping() {
+    await this.rows('business');
+  }
+}
@@ -0,0 +1,63 @@
+// backends/memory.js
+
+// Throwaway in-memory storage, for tests and quick local runs. Nothing survives a reload.
+//
+//   new MemoryBackend({ clients: [{ id: 'c1', user_id: 'u1', name: 'Acme' }] })
+
+import { LocalBackend } from './local.js';
+
+export class MemoryBackend extends LocalBackend {
+  constructor(seed = {}) {
+    super();
+    this.tables = new Map(Object.entries(seed).map(([table, rows]) => [table, new Map(rows.map(row => [row.id, structuredClone(row)]))]));
+    this.queue = Promise.resolve();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  // Copies, so callers mutating a returned row never change what is stored
+  async rows(table) {
+    return [...this.table(table).values()].map(row => structuredClone(row));
+  }
+
+  async row(table, id) {
+    const row = this.table(table).get(id);
+    return row ? structuredClone(row) : null;
+  }
+
+  // Work on copies of the tables and swap them in only when fn succeeds.
+  // Calls are queued so two transactions never interleave.
+  async atomic(tables, fn) {
+    const run = async () => {
+      const drafts = new Map(tables.map(name => [name, new Map(this.table(name))]));
+      const draft = name => {
+        if (!drafts.has(name)) throw new Error(`Table ${name} is not part of this transaction`);
+        return drafts.get(name);
+      };
+
+      const result = await fn({
+        all: async name => [...draft(name).values()].map(row => structuredClone(row)),
+        get: async (name, id) => {
+          const row = draft(name).get(id);
+          return row ? structuredClone(row) : null;
+        },
+        put: async (name, row) => {
+          draft(name).set(row.id, structuredClone(row));
+        },
+        remove: async (name, id) => {
+          draft(name).delete(id);
+        }
+      });
+
+      drafts.forEach((rows, name) => this.tables.set(name, rows));
+      return structuredClone(result);
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
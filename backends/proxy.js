@@ -0,0 +1,287 @@
+// backends/proxy.js
+
+// Supabase through the db-proxy / db-batch / invoice-number / send-invoice Netlify functions
+//
+// In the browser the functions are on the same origin and the token comes from Netlify Identity.
+// Elsewhere (scripts, tests against dev/postgrest-server.mjs) pass them in:
+//   new ProxyBackend({ baseUrl: 'http://localhost:8888', token })
+
+import { AuthError, DatabaseError, NetworkError, TransactionError, toDatabaseError } from '../errors.js';
+
+export class ProxyBackend {
+  constructor({ baseUrl = null, token = null } = {}) {
+    this.remote = true;
+    this.userId = null;
+    this.baseUrl = baseUrl;
+    this.token = token;
+  }
+
+  setUser(userId) {
+    this.userId = userId;
+  }
+
+  // SECURITY: Netlify Identity token; jwt() refreshes it when it has expired
+  async getAuthHeaders(forceRefresh = false) {
+    const headers = {};
+    if (this.token) {
+      headers['Authorization'] = `Bearer ${this.token}`;
+    } else if (typeof window !== 'undefined' && window.netlifyIdentity) {
+      const user = window.netlifyIdentity.currentUser();
+      if (user) {
+        const token = typeof user.jwt === 'function'
+          ? await user.jwt(forceRefresh)
+          : user.token?.access_token;
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+      }
+    }
+    return headers;
+  }
+
+  // POST a JSON payload to a Netlify function, retrying once with a fresh token on expiry
+  async callFunction(name, payload, extraHeaders = {}, retried = false) {
+    const baseUrl = this.baseUrl || (typeof window !== 'undefined' ? window.location.origin : process.env.URL || '');
+    const headers = {
+      'Content-Type': 'application/json',
+      ...extraHeaders,
+      ...(await this.getAuthHeaders(retried))
+    };
+
+    const res = await fetch(`${baseUrl}/.netlify/functions/${name}`, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(payload)
+    });
+
+    const text = await res.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (e) {
+      body = text;
+    }
+
+    if (res.status === 401 && body?.code === 'token_expired' && !retried) {
+      return this.callFunction(name, payload, extraHeaders, true);
+    }
+
+    return { res, body };
+  }
+
+  async request(endpoint, options = {}) {
+    console.info('[DB] REQUEST ->', { endpoint, options });
+
+    let res, body;
+    try {
+      const headers = {};
+
+      // CRITICAL FIX: Add Prefer header for POST and PATCH
+      if (options.method === 'POST' || options.method === 'PATCH') {
+        headers['Prefer'] = 'return=representation';
+      }
+
+      ({ res, body } = await this.callFunction('db-proxy', {
+        method: options.method || 'GET',
+        endpoint: endpoint,
+        body: options.body,
+        expected: options.expected
+      }, headers));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    console.info('[DB] RESPONSE <-', { status: res.status, ok: res.ok, body });
+
+    if (!res.ok) {
+      throw toDatabaseError('Database error', res.status, body);
+    }
+
+    return body;
+  }
+
+  // OPTIMIZED: Batch several reads into one function call
+  async batchRequest(requests) {
+    let res, body;
+    try {
+      ({ res, body } = await this.callFunction('db-batch', { requests }));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    if (!res.ok) {
+      throw toDatabaseError('Batch request failed', res.status, body);
+    }
+
+    // Partial results are no use to the caller; let it fall back
+    const failed = Object.keys(body.errors || {});
+    if (failed.length) {
+      throw new DatabaseError(`Batch request failed for: ${failed.join(', ')}`, { status: res.status, body });
+    }
+
+    return body.results;
+  }
+
+  // Rows are scoped to the signed-in user by the functions, from the token
+  byId(table, id) {
+    return `${table}?id=eq.${id}`;
+  }
+
+  listEndpoint(table, { deleted } = {}) {
+    const filter = deleted === undefined ? '' : `&deleted=eq.${deleted}`;
+    const order = deleted ? 'updated_at' : 'created_at';
+    return `${table}?order=${order}.desc${filter}&select=*`;
+  }
+
+  async list(table, options) {
+    return this.request(this.listEndpoint(table, options));
+  }
+
+  async load(queries) {
+    try {
+      const results = await this.batchRequest(queries.map(({ key, table, deleted }) => ({
+        key,
+        endpoint: this.listEndpoint(table, { deleted })
+      })));
+      // db-batch unwraps the 'business' key to a single row
+      return Object.fromEntries(queries.map(({ key }) => {
+        const rows = results[key];
+        return [key, Array.isArray(rows) ? rows : rows ? [rows] : []];
+      }));
+    } catch (e) {
+      // An invalid session fails the same way on every endpoint - don't retry it
+      if (e instanceof AuthError || e instanceof NetworkError) throw e;
+
+      // Fallback to parallel requests if batch endpoint doesn't exist
+      console.warn('[DB] Batch endpoint unavailable, using parallel requests');
+      const lists = await Promise.all(queries.map(({ table, deleted }) => this.list(table, { deleted })));
+      return Object.fromEntries(queries.map(({ key }, i) => [key, lists[i]]));
+    }
+  }
+
+  async get(table, id) {
+    const data = await this.request(this.byId(table, id));
+    return data[0] || null;
+  }
+
+  async insert(table, record) {
+    const data = await this.request(table, { method: 'POST', body: record });
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error(`Failed to create ${table} record - database returned no data`);
+    }
+    return data[0];
+  }
+
+  async update(table, id, changes, { expected } = {}) {
+    const data = await this.request(this.byId(table, id), { method: 'PATCH', body: changes, expected });
+    return data[0];
+  }
+
+  async remove(table, id) {
+    await this.request(this.byId(table, id), { method: 'DELETE' });
+    return true;
+  }
+
+  // Translate a { type, table, id, record } op into a db-batch operation
+  toOperation(op, index) {
+    const key = op.key ?? index;
+
+    switch (op.type) {
+      case 'create':
+        return { key, method: 'POST', endpoint: op.table, body: op.record };
+      case 'upsert':
+        return { key, method: 'POST', endpoint: op.table, body: op.record, prefer: 'resolution=merge-duplicates' };
+      case 'update':
+        return { key, method: 'PATCH', endpoint: this.byId(op.table, op.id), body: op.record, expected: op.expected };
+      case 'delete':
+        return { key, method: 'DELETE', endpoint: this.byId(op.table, op.id) };
+      default:
+        throw new Error(`Unknown transaction operation: ${op.type}`);
+    }
+  }
+
+  async transaction(ops) {
+    const operations = ops.map((op, i) => this.toOperation(op, i));
+
+    let res, body;
+    try {
+      ({ res, body } = await this.callFunction('db-batch', { operations }));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    if (!res.ok) {
+      if (body?.error === 'transaction_failed') {
+        throw new TransactionError(`Transaction failed at operation ${body.failed}`, { status: res.status, code: body.error, body });
+      }
+      throw toDatabaseError('Transaction failed', res.status, body);
+    }
+
+    return body.results.map((result, i) => ops[i].type === 'delete'
+      ? true
+      : (Array.isArray(result.data) ? result.data[0] : result.data));
+  }
+
+  // Numbers are allocated atomically by the invoice-number function from the user's series
+  async allocateNumber(kind = 'invoice') {
+    // Numbers must be unique across devices, so they can't be handed out offline
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new NetworkError('Invoice numbers can only be allocated while online.');
+    }
+
+    let res, body;
+    try {
+      ({ res, body } = await this.callFunction('invoice-number', { kind }));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    if (!res.ok) {
+      throw toDatabaseError('Invoice number allocation failed', res.status, body);
+    }
+
+    return body.invoice_number;
+  }
+
+  async releaseNumber(kind, number) {
+    let res, body;
+    try {
+      ({ res, body } = await this.callFunction('invoice-number', { kind, release: number }));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    if (!res.ok) {
+      throw toDatabaseError('Handing back the invoice number failed', res.status, body);
+    }
+
+    return body.released;
+  }
+
+  async sendInvoice(message) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new NetworkError('Invoices can only be emailed while online.');
+    }
+
+    let res, body;
+    try {
+      ({ res, body } = await this.callFunction('send-invoice', message));
+    } catch (err) {
+      console.error('[DB] NETWORK ERROR', err);
+      throw new NetworkError();
+    }
+
+    if (!res.ok) {
+      throw toDatabaseError('Sending the invoice failed', res.status, body);
+    }
+
+    return body;
+  }
+
+  async ping() {
+    await this.request('business?limit=1');
+  }
+}
@@ -0,0 +1,76 @@
+// creditnotes.js
+// Credit notes (dobropis): corrections of an issued invoice that leave the invoice itself alone
+//
+// A credit note is an invoices row of kind 'credit_note', numbered from its own series, with
+// original_invoice_id pointing at the invoice it corrects. Its lines are negative, so its total
+// lowers what the client owes on the original - or what we owe back once it was paid.
+
+import { parseJson } from './invoice.js';
+import { invoiceTotals, round } from './vat.js';
+
+export const CREDIT_NOTE = 'credit_note';
+
+export function isCreditNote(inv) {
+  return inv?.kind === CREDIT_NOTE;
+}
+
+// Live credit notes issued against an invoice
+export function creditNotesFor(invoice, invoices) {
+  return invoices.filter(inv =>
+    isCreditNote(inv) && inv.original_invoice_id === invoice.id && !inv.deleted && inv.status !== 'cancelled'
+  );
+}
+
+// Sum of those credit notes: zero or negative
+export function creditedAmount(invoice, invoices) {
+  return round(creditNotesFor(invoice, invoices).reduce((sum, note) => sum + (Number(note.total) || 0), 0));
+}
+
+// The original's lines with quantities and amounts negated: a full credit, to be trimmed as needed
+export function creditLines(original) {
+  return parseJson(original.items, []).map(item => {
+    const hours = parseFloat(item.hours);
+    return {
+      ...item,
+      hours: isNaN(hours) ? null : -hours,
+      amount: -Math.abs(parseFloat(item.amount) || 0)
+    };
+  });
+}
+
+// The credit note row for the lines being credited. It is taxed as the original was, and for a
+// VAT payer the date of the correction is its taxable supply date.
+export function buildCreditNote(original, { items, reason = '', date = new Date() }) {
+  const originalMeta = parseJson(original.meta, {});
+  const vatPayer = !!originalMeta.vat_payer;
+  const lines = items.map(item => {
+    const amount = round(-Math.abs(parseFloat(item.amount) || 0));
+    // A partial credit no longer matches hours x rate, so it stands as a plain amount
+    const partial = typeof item.hours === 'number' && typeof item.rate === 'number' && round(item.hours * item.rate) !== amount;
+    return partial ? { ...item, hours: null, rate: null, amount } : { ...item, amount };
+  });
+  const totals = invoiceTotals(lines);
+  const today = date.toISOString().split('T')[0];
+
+  return {
+    kind: CREDIT_NOTE,
+    original_invoice_id: original.id,
+    client_id: original.client_id,
+    job_id: original.job_id || null,
+    items: JSON.stringify(lines),
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    total: totals.total,
+    currency: original.currency || null,
+    status: 'issued',
+    due_date: today,
+    taxable_supply_date: vatPayer ? today : null,
+    meta: JSON.stringify({
+      original_number: original.invoice_number,
+      original_issue_date: original.created_at,
+      reason,
+      invoice_amount: totals.gross,
+      vat_payer: vatPayer
+    })
+  };
+}
@@ -1,17 +1,84 @@
 // db.js
 
-// Supabase Database Adapter for BizzHub - OPTIMIZED
+// Database Adapter for BizzHub - OPTIMIZED
+//
+// Storage is delegated to a backend (see backends/index.js): Supabase through the Netlify
+// functions by default, or IndexedDB / memory with no server at all. With a remote backend and
+// IndexedDB available every read is served from a local replica and every write lands in an
+// outbox that is replayed through the backend when we're online.
+
+import { LocalStore, REPLICA_TABLES, isIndexedDBAvailable } from './localstore.js';
+import { AuthError, ConflictError, NetworkError, TransactionError, toDatabaseError } from './errors.js';
+import { createBackend } from './backends/index.js';
+import { lockViolation } from './lock.js';
+import { balanceDue } from './payments.js';
+import { buildAdvanceTax, needsTaxDocument } from './advances.js';
+import { invoiceReminders } from './reminders.js';
+
+export { DatabaseError, AuthError, NetworkError, ConflictError, TransactionError } from './errors.js';
+
+// The most operations db-batch accepts in one call (MAX_OPERATIONS there)
+const MAX_TRANSACTION_OPERATIONS = 200;
 
 class Database {
   constructor() {
     this.userId = null;
     this.cache = {};
     this.cacheTimeout = 30000; // 30 seconds
+    this.local = null;
+    this.listeners = {};
+    this.syncState = 'synced';
+    this.flushing = null;
+    this.backend = createBackend('proxy');
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.sync().catch(err => console.warn('[DB] SYNC FAILED', err)));
+      window.addEventListener('offline', () => this.setSyncState('offline'));
+    }
+  }
+
+  // Pick the storage backend by name ('proxy', 'indexeddb', 'memory') or pass an instance
+  useBackend(backend) {
+    this.backend = typeof backend === 'string' ? createBackend(backend) : backend;
+    if (this.userId) this.setUser(this.userId);
   }
 
   setUser(userId) {
     this.userId = userId;
     this.cache = {}; // Clear cache on user change
+    this.backend.setUser(userId);
+    // One replica per user so switching accounts never mixes data; local backends need none
+    this.local = userId && this.backend.remote && isIndexedDBAvailable() ? new LocalStore(`bizzhub-${userId}`) : null;
+    if (!this.backend.remote) this.setSyncState('local');
+  }
+
+  // Events: 'sync' ({ state, pending }), 'change' (replica refreshed from the server),
+  // 'sync-error' ({ entry, error }) for queued writes the server rejected,
+  // 'conflict' ({ table, id, local, remote }) for each update, alone or in a transaction, that lost
+  // a race with another device
+  on(event, callback) {
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    };
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(cb => cb(payload));
+  }
+
+  async setSyncState(state) {
+    this.syncState = state;
+    const pending = this.local ? (await this.local.outbox()).length : 0;
+    this.emit('sync', { state, pending });
+  }
+
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  isReplicated(table) {
+    return !!this.local && REPLICA_TABLES.includes(table);
   }
 
   getCacheKey(endpoint) {
@@ -41,209 +108,403 @@ class Database {
     });
   }
 
-  async request(endpoint, options = {}) {
-    console.info('[DB] REQUEST ->', { endpoint, options });
+  // Run writes all-or-nothing, e.g.
+  //   transaction([{ type: 'create', table: 'invoices', record }, { type: 'update', table: 'jobs', id, record: { billed: true } }])
+  // Updates may carry `expected: { updated_at }`; a stale one fails the whole transaction with a conflict.
+  // Resolves to one row (or true for deletes) per operation, in order.
+  async transaction(ops) {
+    const prepared = ops.map(op => this.prepareOp(op));
+    if (prepared.every(op => this.isReplicated(op.table))) {
+      return this.writeLocal({ type: 'transaction', ops: prepared });
+    }
 
-    let res;
-    try {
-      const baseUrl = typeof window !== 'undefined' ? window.location.origin : process.env.URL || '';
-      const headers = { 'Content-Type': 'application/json' };
+    const results = await this.backend.transaction(prepared);
+    new Set(ops.map(op => op.table)).forEach(table => this.clearCache(table));
+    this.clearCache('dashboard');
+    this.clearCache('trash');
+    return results;
+  }
 
-      // CRITICAL FIX: Add Prefer header for POST and PATCH
-      if (options.method === 'POST' || options.method === 'PATCH') {
-        headers['Prefer'] = 'return=representation';
-      }
+  // More writes than one transaction takes, as consecutive transactions. Each lands whole or not at
+  // all, but not the lot: only for writes that can simply be run again after a failure, like the
+  // upserts of a restore. Order the ops so no chunk depends on a later one.
+  async transactionInChunks(ops, size = MAX_TRANSACTION_OPERATIONS) {
+    const results = [];
+    for (let i = 0; i < ops.length; i += size) {
+      results.push(...await this.transaction(ops.slice(i, i + size)));
+    }
+    return results;
+  }
 
-      // SECURITY: Add Netlify Identity token
-      if (typeof window !== 'undefined' && window.netlifyIdentity) {
-        const user = window.netlifyIdentity.currentUser();
-        if (user && user.token && user.token.access_token) {
-          headers['Authorization'] = `Bearer ${user.token.access_token}`;
-        }
+  // OPTIMIZED: Load all dashboard data at once
+  async loadDashboard() {
+    if (this.local) {
+      if (!(await this.local.getMeta('pulled_at'))) {
+        // First visit on this device: the replica has to be filled from the server
+        await this.sync();
+      } else {
+        this.sync({ background: true }).catch(err => console.warn('[DB] SYNC FAILED', err));
       }
+      return this.replicaDashboard();
+    }
+
+    const cacheKey = this.getCacheKey('dashboard');
+    const cached = this.getFromCache(cacheKey);
+    if (cached) return cached;
+
+    const { business, ...results } = await this.backend.load(
+      REPLICA_TABLES.map(table => ({ key: table, table, deleted: table === 'business' ? undefined : false }))
+    );
+    const data = { ...results, business: business[0] || null };
+    this.setCache(cacheKey, data);
+    return data;
+  }
+
+  // ---- Offline replica and outbox ----
+
+  async replicaRows(table, { deleted = false } = {}) {
+    const rows = await this.local.getAll(table);
+    const order = deleted ? 'updated_at' : 'created_at';
+    return rows
+      .filter(row => !!row.deleted === deleted)
+      .sort((a, b) => String(b[order] || '').localeCompare(String(a[order] || '')));
+  }
+
+  async replicaDashboard() {
+    const rows = await Promise.all(REPLICA_TABLES.map(table => this.replicaRows(table)));
+    const { business, ...tables } = Object.fromEntries(REPLICA_TABLES.map((table, i) => [table, rows[i]]));
+    return { ...tables, business: business[0] || null };
+  }
+
+  // Replica rows remember which server version they are based on; local edits leave it alone
+  fromServer(row) {
+    return { ...row, _version: row.updated_at };
+  }
 
-      res = await fetch(`${baseUrl}/.netlify/functions/db-proxy`, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify({
-          method: options.method || 'GET',
-          endpoint: endpoint,
-          body: options.body
-        })
+  // Attach the base version so the server can refuse the update if the row moved on meanwhile
+  async withExpected(op) {
+    if (op.type !== 'update') return op;
+    const row = await this.local.get(op.table, op.id);
+    return row?._version ? { ...op, expected: { updated_at: row._version } } : op;
+  }
+
+  // Cheap fingerprint used to tell whether a pull changed anything
+  async replicaSignature() {
+    const parts = await Promise.all(REPLICA_TABLES.map(async table => {
+      const rows = await this.local.getAll(table);
+      return `${table}:${rows.length}:${rows.reduce((max, r) => (r.updated_at > max ? r.updated_at : max), '')}`;
+    }));
+    return parts.join('|');
+  }
+
+  // Refresh the replica from the server, keeping rows that still have queued edits
+  async pull() {
+    const results = await this.backend.load(REPLICA_TABLES.map(table => ({ key: table, table })));
+
+    const pendingIds = {};
+    (await this.local.outbox()).forEach(entry => {
+      this.entryOps(entry).forEach(op => {
+        (pendingIds[op.table] = pendingIds[op.table] || new Set()).add(op.id || op.record?.id);
       });
-    } catch (err) {
-      console.error('[DB] NETWORK ERROR', err);
-      throw new Error('Network connection lost or function unreachable.');
+    });
+
+    for (const table of REPLICA_TABLES) {
+      await this.local.replaceAll(table, (results[table] || []).map(row => this.fromServer(row)), pendingIds[table]);
     }
+    await this.local.setMeta('pulled_at', new Date().toISOString());
+  }
 
-    const text = await res.text();
-    let body;
-    try {
-      body = text ? JSON.parse(text) : null;
-    } catch (e) {
-      body = text;
+  // Push the outbox, then pull. Background syncs are throttled and only announce real changes.
+  async sync({ background = false } = {}) {
+    if (!this.local) return;
+
+    if (background) {
+      const pulledAt = await this.local.getMeta('pulled_at');
+      if (pulledAt && Date.now() - new Date(pulledAt).getTime() < this.cacheTimeout) {
+        return this.flush();
+      }
     }
 
-    console.info('[DB] RESPONSE <-', { status: res.status, ok: res.ok, body });
+    if (!this.isOnline()) {
+      await this.setSyncState('offline');
+      if (!background) throw new NetworkError();
+      return;
+    }
 
-    if (!res.ok) {
-      throw new Error(`Database error: ${res.status} ${JSON.stringify(body)}`);
+    const before = background ? await this.replicaSignature() : null;
+    await this.flush();
+    await this.setSyncState('syncing');
+    try {
+      await this.pull();
+    } catch (err) {
+      await this.setSyncState(err instanceof NetworkError ? 'offline' : 'error');
+      throw err;
     }
+    await this.setSyncState((await this.local.outbox()).length ? 'pending' : 'synced');
 
-    return body;
+    if (background && before !== await this.replicaSignature()) {
+      this.emit('change');
+    }
   }
 
-  // OPTIMIZED: Batch load all dashboard data in one function call
-  async batchRequest(requests) {
-    const baseUrl = typeof window !== 'undefined' ? window.location.origin : process.env.URL || '';
-    const headers = { 'Content-Type': 'application/json' };
+  // The individual writes inside an outbox entry
+  entryOps(entry) {
+    return entry.type === 'transaction' ? entry.ops : [entry];
+  }
 
-    if (typeof window !== 'undefined' && window.netlifyIdentity) {
-      const user = window.netlifyIdentity.currentUser();
-      if (user && user.token && user.token.access_token) {
-        headers['Authorization'] = `Bearer ${user.token.access_token}`;
-      }
+  async applyLocal(op) {
+    if (op.type === 'delete') {
+      await this.local.remove(op.table, op.id);
+      return true;
     }
+    if (op.type === 'update') {
+      const current = await this.local.get(op.table, op.id);
+      const row = { ...current, ...op.record, id: op.id, _version: current?._version };
+      await this.local.put(op.table, row);
+      return row;
+    }
+    // create / upsert
+    const existing = op.type === 'upsert' ? await this.local.get(op.table, op.record.id) : null;
+    const row = { ...existing, ...op.record };
+    await this.local.put(op.table, row);
+    return row;
+  }
 
-    const res = await fetch(`${baseUrl}/.netlify/functions/db-batch`, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify({ requests })
-    });
+  // Give new rows their id and timestamps now, so the replica and the server agree on them
+  prepareOp(op) {
+    if (op.type === 'create' || op.type === 'upsert') {
+      return { ...op, record: this.newRecord({ id: op.record.id || crypto.randomUUID(), ...op.record }) };
+    }
+    if (op.type === 'update') {
+      return { ...op, record: this.changes(op.record) };
+    }
+    return op;
+  }
+
+  // The server refuses to change issued invoices (see lock.js); refuse here as well, so offline
+  // nothing is queued that could never be sent
+  async checkLocks(entry) {
+    for (const op of this.entryOps(entry)) {
+      if (op.table !== 'invoices' || op.type === 'create') continue;
+      const current = await this.local.get(op.table, op.id || op.record.id);
+      const violation = current && lockViolation(current, op.type === 'delete' ? null : op.record);
+      if (violation) {
+        throw toDatabaseError('Database error', 409, { error: 'invoice_locked', id: current.id, ...violation });
+      }
+    }
+  }
 
-    if (!res.ok) {
-      throw new Error(`Batch request failed: ${res.status}`);
+  // Write to the replica and queue for the server. Online, the outbox is flushed right away
+  // and a rejection by the server is thrown back to the caller.
+  async writeLocal(entry) {
+    await this.checkLocks(entry);
+    const results = [];
+    for (const op of this.entryOps(entry)) {
+      results.push(await this.applyLocal(op));
+    }
+    const seq = await this.local.enqueue(entry);
+
+    if (this.isOnline()) {
+      const rejected = await this.flush();
+      if (rejected.has(seq)) throw rejected.get(seq);
+      // Prefer the rows as the server stored them
+      return Promise.all(this.entryOps(entry).map((op, i) =>
+        op.type === 'delete' ? true : this.local.get(op.table, op.id || op.record.id).then(row => row || results[i])
+      ));
     }
 
-    return res.json();
+    await this.setSyncState('pending');
+    return results;
   }
 
-  // OPTIMIZED: Load all dashboard data at once
-  async loadDashboard() {
-    const cacheKey = this.getCacheKey('dashboard');
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
-
-    try {
-      // Try batch endpoint first (if available)
-      const requests = [
-        { key: 'clients', endpoint: `clients?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*` },
-        { key: 'jobs', endpoint: `jobs?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*` },
-        { key: 'timesheets', endpoint: `timesheets?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*` },
-
-        // FIX: include items/meta/subtotal/currency/job_id so invoice PDF has line items + job details
-        { key: 'invoices', endpoint: `invoices?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=invoice_number,id,client_id,job_id,subtotal,total,currency,status,created_at,due_date,items,meta` },
-
-        { key: 'business', endpoint: `business?user_id=eq.${this.userId}&select=*` }
-      ];
-
-      const results = await this.batchRequest(requests);
-      this.setCache(cacheKey, results);
-      return results;
-    } catch (e) {
-      // Fallback to parallel requests if batch endpoint doesn't exist
-      console.warn('[DB] Batch endpoint unavailable, using parallel requests');
-      const [clients, jobs, timesheets, invoices, business] = await Promise.all([
-        this.request(`clients?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*`),
-        this.request(`jobs?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*`),
-        this.request(`timesheets?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=*`),
-
-        // FIX: include items/meta/subtotal/currency/job_id so invoice PDF has line items + job details
-        this.request(`invoices?user_id=eq.${this.userId}&deleted=eq.false&order=created_at.desc&select=invoice_number,id,client_id,job_id,subtotal,total,currency,status,created_at,due_date,items,meta`),
-
-        this.request(`business?user_id=eq.${this.userId}&select=*`)
-      ]);
+  // Send one outbox entry; resolves to the rows the server returned per op
+  async replay(entry) {
+    if (entry.type === 'transaction') {
+      return this.backend.transaction(await Promise.all(entry.ops.map(op => this.withExpected(op))));
+    }
+    switch (entry.type) {
+      case 'create':
+        return [await this.backend.insert(entry.table, entry.record)];
+      case 'update': {
+        const { expected } = await this.withExpected(entry);
+        return [await this.backend.update(entry.table, entry.id, entry.record, { expected })];
+      }
+      case 'delete':
+        return [await this.backend.remove(entry.table, entry.id)];
+      default:
+        throw new Error(`Unknown outbox entry: ${entry.type}`);
+    }
+  }
 
-      const results = { clients, jobs, timesheets, invoices, business: business[0] || null };
-      this.setCache(cacheKey, results);
-      return results;
+  // The updates of a rejected entry that lost a race, with the row as the server has it now.
+  // A transaction reports each of its operations in err.results, in order.
+  conflicts(entry, err) {
+    if (err instanceof ConflictError) {
+      return entry.type === 'update' && err.current ? [{ op: entry, current: err.current }] : [];
     }
+    if (!(err instanceof TransactionError)) return [];
+    return entry.ops
+      .map((op, i) => ({ op, current: err.results[i]?.error?.error === 'conflict' ? err.results[i].error.current : null }))
+      .filter(({ op, current }) => op.type === 'update' && current);
   }
 
-  // NEW FUNCTION: Get the highest existing invoice number to ensure we assign a sequential number
-  async getNextInvoiceNumber() {
-    const today = new Date();
-    const yy = today.getFullYear().toString().slice(-2);
-    const mm = String(today.getMonth() + 1).padStart(2, '0');
-    const dd = String(today.getDate()).padStart(2, '0');
-    const todayPrefix = `${yy}${mm}${dd}`; // e.g., 251122
+  // Replay the outbox in order. Resolves to a Map of seq -> error for entries the server rejected.
+  async flush() {
+    if (!this.local) return new Map();
+    if (this.flushing) return this.flushing;
 
-    // Fetch the highest current invoice number for today's date prefix.
-    try {
-      // Search for invoices that start with today's date prefix
-      // Use 'like' query filter for partial string matching
-      const data = await this.request(
-        `invoices?user_id=eq.${this.userId}&deleted=eq.false&invoice_number=like.${todayPrefix}-*&order=invoice_number.desc&limit=1&select=invoice_number`
-      );
-
-      if (data && data.length > 0 && data[0].invoice_number) {
-        const lastNumber = data[0].invoice_number.toString();
-        // Extract the sequential part (e.g., '01' from '251122-01')
-        const parts = lastNumber.split('-');
-
-        if (parts.length === 2 && parts[0] === todayPrefix) {
-          const numPart = parseInt(parts[1], 10);
-          const nextNum = numPart + 1;
-          const padding = parts[1].length;
-          const nextNumStr = String(nextNum).padStart(padding, '0');
-
-          return `${todayPrefix}-${nextNumStr}`; // e.g., 251122-02
+    this.flushing = (async () => {
+      const rejected = new Map();
+      let entries = await this.local.outbox();
+      if (!entries.length) return rejected;
+
+      if (!this.isOnline()) {
+        await this.setSyncState('pending');
+        return rejected;
+      }
+
+      await this.setSyncState('syncing');
+      // Re-read after each pass: writes queued while we were sending go out in the same flush
+      while (entries.length) {
+        for (const entry of entries) {
+          try {
+            const rows = await this.replay(entry);
+            const ops = this.entryOps(entry);
+            for (let i = 0; i < ops.length; i++) {
+              if (ops[i].type !== 'delete' && rows[i] && typeof rows[i] === 'object') {
+                await this.local.put(ops[i].table, this.fromServer(rows[i]));
+              }
+            }
+            await this.local.dequeue(entry.seq);
+          } catch (err) {
+            if (err instanceof NetworkError || err.status >= 500 || err instanceof AuthError) {
+              // Try again later, keeping order: nothing after this entry may overtake it
+              await this.setSyncState(err instanceof NetworkError ? 'offline' : 'error');
+              return rejected;
+            }
+            await this.local.dequeue(entry.seq);
+            rejected.set(entry.seq, err);
+
+            const conflicts = this.conflicts(entry, err);
+            if (conflicts.length) {
+              // Someone saved first: keep their version locally and ask the user how to merge ours
+              for (const { op, current } of conflicts) {
+                await this.local.put(op.table, this.fromServer(current));
+                this.emit('conflict', { table: op.table, id: op.id, local: op.record, remote: current });
+              }
+              // Only the rest of a transaction, rolled back with it and not sent again, is reported below
+              if (this.entryOps(entry).length === conflicts.length) continue;
+            }
+
+            // The server will never accept this write; drop it and let the next pull undo it locally
+            console.error('[DB] OUTBOX ENTRY REJECTED', entry, err);
+            this.emit('sync-error', { entry, error: err });
+          }
         }
+        entries = await this.local.outbox();
       }
-    } catch (e) {
-      console.error("Failed to fetch next invoice number, falling back to default.", e);
+
+      if (rejected.size) {
+        await this.pull().catch(err => console.warn('[DB] PULL AFTER REJECTION FAILED', err));
+      }
+      await this.setSyncState('synced');
+      return rejected;
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  // Numbers come from the user's series; the backend hands each one out exactly once
+  async getNextInvoiceNumber(kind = 'invoice') {
+    return this.backend.allocateNumber(kind);
+  }
+
+  // After the write a number was allocated for failed. Best effort: if the number can't go back,
+  // the series keeps a gap, which is still better than reporting the write's error wrongly.
+  async releaseInvoiceNumber(kind, number) {
+    try {
+      return await this.backend.releaseNumber(kind, number);
+    } catch (err) {
+      console.warn(`[DB] Could not hand back ${kind} number ${number}`, err);
+      return false;
     }
+  }
+
+  async getInvoiceSeries() {
+    return this.getAll('invoice_series');
+  }
 
-    // Default starting number for today if none exist (or if the date changed)
-    return `${todayPrefix}-01`;
+  async saveInvoiceSeries(series) {
+    return series.id
+      ? this.update('invoice_series', series.id, series)
+      : this.create('invoice_series', series);
   }
 
   async getAll(table) {
+    if (this.isReplicated(table)) return this.replicaRows(table);
+
     const cacheKey = this.getCacheKey(`${table}:all`);
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
-    const softDeleteFilter = ['clients','jobs','timesheets','invoices','business'].includes(table) ? '&deleted=eq.false' : '';
-    const data = await this.request(`${table}?user_id=eq.${this.userId}${softDeleteFilter}&order=created_at.desc&select=*`);
+    const data = await this.backend.list(table, { deleted: false });
     this.setCache(cacheKey, data);
     return data;
   }
 
   async getById(table, id) {
-    const data = await this.request(`${table}?id=eq.${id}&user_id=eq.${this.userId}`);
-    return data[0] || null;
+    if (this.isReplicated(table)) return this.local.get(table, id);
+
+    return this.backend.get(table, id);
+  }
+
+  // Fields starting with "_" (_version, _table...) only exist in the browser
+  stripLocal(record) {
+    return Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_')));
+  }
+
+  newRecord(record) {
+    return {
+      ...this.stripLocal(record),
+      user_id: this.userId,
+      deleted: record.deleted ?? false,
+      created_at: record.created_at || new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  changes(updates) {
+    return {
+      ...this.stripLocal(updates),
+      updated_at: new Date().toISOString(),
+    };
   }
 
   async create(table, record) {
-    const data = await this.request(table, {
-      method: 'POST',
-      body: {
-        ...record,
-        user_id: this.userId,
-        deleted: false,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      }
-    });
-    if (!Array.isArray(data) || data.length === 0) {
-      throw new Error(`Failed to create ${table} record - database returned no data`);
+    if (this.isReplicated(table)) {
+      const [row] = await this.writeLocal(this.prepareOp({ type: 'create', table, record }));
+      return row;
     }
+
+    const row = await this.backend.insert(table, this.newRecord(record));
     this.clearCache(table);
     this.clearCache('dashboard');
-    return data[0];
+    return row;
   }
 
-  async update(table, id, updates) {
-    const data = await this.request(`${table}?id=eq.${id}&user_id=eq.${this.userId}`, {
-      method: 'PATCH',
-      body: {
-        ...updates,
-        updated_at: new Date().toISOString(),
-      }
-    });
+  // Replicated tables check the version automatically on sync; elsewhere pass { expected: { updated_at } }
+  async update(table, id, updates, { expected } = {}) {
+    if (this.isReplicated(table)) {
+      const [row] = await this.writeLocal(this.prepareOp({ type: 'update', table, id, record: updates }));
+      return row;
+    }
+
+    const row = await this.backend.update(table, id, this.changes(updates), { expected });
     this.clearCache(table);
     this.clearCache('dashboard');
-    return data[0];
+    return row;
   }
 
   async softDelete(table, id) {
@@ -253,9 +514,12 @@ class Database {
   }
 
   async hardDelete(table, id) {
-    await this.request(`${table}?id=eq.${id}&user_id=eq.${this.userId}`, {
-      method: 'DELETE',
-    });
+    if (this.isReplicated(table)) {
+      await this.writeLocal({ type: 'delete', table, id });
+      return true;
+    }
+
+    await this.backend.remove(table, id);
     this.clearCache(table);
     this.clearCache('dashboard');
     this.clearCache('trash');
@@ -269,8 +533,9 @@ class Database {
   }
 
   async getProfile() {
-    const data = await this.request(`business?user_id=eq.${this.userId}`);
-    return data[0] || null;
+    if (this.isReplicated('business')) return (await this.replicaRows('business'))[0] || null;
+
+    return (await this.backend.list('business'))[0] || null;
   }
 
   async saveProfile(profile) {
@@ -360,44 +625,165 @@ class Database {
     return this.create('invoices', invoice);
   }
 
+  // An issued invoice is refused (invoice_locked) and stays as it is: it is cancelled, not deleted
   async deleteInvoice(id) {
+    return this.softDelete('invoices', id);
+  }
+
+  async getPayments() {
+    return this.getAll('payments');
+  }
+
+  // A payment and the invoice's payment status it leads to are written together.
+  // status is the derived payment status with this payment included (see payments.js).
+  async savePayment(payment, status) {
+    const op = payment.id
+      ? { type: 'update', table: 'payments', id: payment.id, record: payment }
+      : { type: 'create', table: 'payments', record: payment };
+    const [saved] = await this.transaction([
+      op,
+      { type: 'update', table: 'invoices', id: payment.invoice_id, record: { payment_status: status } }
+    ]);
+    return saved;
+  }
+
+  // A new payment on an invoice. One a VAT payer receives on an advance invoice is taxed by a tax
+  // document, numbered from its own series and written with it (see advances.js).
+  async recordPayment(invoice, payment, status) {
+    if (!needsTaxDocument(invoice)) return this.savePayment(payment, status);
+    const record = { ...payment, id: payment.id || crypto.randomUUID() };
+    const invoice_number = await this.getNextInvoiceNumber('advance_tax');
     try {
-      return await this.softDelete('invoices', id);
-    } catch (e) {
-      return await this.hardDelete('invoices', id);
+      const [saved] = await this.transaction([
+        { type: 'create', table: 'payments', record },
+        { type: 'update', table: 'invoices', id: invoice.id, record: { payment_status: status } },
+        { type: 'create', table: 'invoices', record: { ...buildAdvanceTax(invoice, record), invoice_number } }
+      ]);
+      return saved;
+    } catch (err) {
+      // Nothing was written, so the tax document's number is not used up
+      await this.releaseInvoiceNumber('advance_tax', invoice_number);
+      throw err;
     }
   }
 
+  // Payments are removed outright: one recorded by mistake was never received, so the tax
+  // document issued for it, if any, is cancelled with it
+  async deletePayment(payment, status, taxDocument = null) {
+    await this.transaction([
+      { type: 'delete', table: 'payments', id: payment.id },
+      { type: 'update', table: 'invoices', id: payment.invoice_id, record: { payment_status: status } },
+      ...(taxDocument ? [{ type: 'update', table: 'invoices', id: taxDocument.id, record: { status: 'cancelled' } }] : [])
+    ]);
+    return true;
+  }
+
+  // Settle whatever is still owed with one payment dated today
   async markInvoicePaid(id) {
-    return this.update('invoices', id, { status: 'paid' });
+    const invoice = await this.getInvoice(id);
+    const payments = await this.getPayments();
+    const amount = balanceDue(invoice, payments);
+    if (amount <= 0) return null;
+    return this.recordPayment(invoice, {
+      invoice_id: id,
+      date: new Date().toISOString().split('T')[0],
+      amount,
+      method: 'bank_transfer'
+    }, 'paid');
   }
 
-  async deleteAllUserData(userId) {
-    const tables = ['invoices','timesheets','jobs','clients','business'];
-    await Promise.all(
-      tables.map(t => this.request(`${t}?user_id=eq.${userId}`, { method: 'DELETE' }))
-    );
-    this.clearCache();
+  // Lifecycle steps taken by hand (see lifecycle.js); paid and overdue are never stored
+  // parties: the supplier and client snapshots to freeze with it (partySnapshots in invoice.js)
+  async issueInvoice(id, parties = {}) {
+    return this.update('invoices', id, { ...parties, status: 'issued' });
+  }
+
+  async markInvoiceSent(id) {
+    return this.update('invoices', id, { status: 'sent', sent_at: new Date().toISOString() });
+  }
+
+  // The send-invoice function marks the invoice sent once the mail is out; keep the replica in step
+  async sendInvoice(message) {
+    const result = await this.backend.sendInvoice(message);
+    if (result.invoice && this.isReplicated('invoices')) {
+      await this.local.put('invoices', this.fromServer(result.invoice));
+    }
+    this.clearCache('invoices');
+    this.clearCache('dashboard');
+    return result;
+  }
+
+  // Voided, not deleted: the number stays taken and the invoice stays in the ledger
+  async cancelInvoice(id) {
+    return this.update('invoices', id, { status: 'cancelled' });
+  }
+
+  // Payment reminders are appended to the invoice, which stays writable for them once locked
+  async recordReminder(invoice, reminder) {
+    return this.update('invoices', invoice.id, { reminders: JSON.stringify([...invoiceReminders(invoice), reminder]) });
+  }
+
+  // Credit notes are numbered from their own series (see creditnotes.js for the row).
+  // paymentStatus is the original invoice's payment status once the credit note counts.
+  async createCreditNote(creditNote, paymentStatus) {
+    const invoice_number = await this.getNextInvoiceNumber('credit_note');
+    const [saved] = await this.transaction([
+      { type: 'create', table: 'invoices', record: { ...creditNote, invoice_number } },
+      { type: 'update', table: 'invoices', id: creditNote.original_invoice_id, record: { payment_status: paymentStatus } }
+    ]);
+    return saved;
+  }
+
+  // Advance invoices are numbered from their own series (see advances.js for the row)
+  async createAdvance(advance) {
+    const invoice_number = await this.getNextInvoiceNumber('advance');
+    return this.create('invoices', { ...advance, invoice_number });
+  }
+
+  // Quotes are numbered from their own series when first saved
+  async saveQuote(quote) {
+    if (quote.id) return this.update('quotes', quote.id, quote);
+    const quote_number = await this.getNextInvoiceNumber('quote');
+    return this.create('quotes', { ...quote, quote_number });
+  }
+
+  async deleteQuote(id) {
+    return this.softDelete('quotes', id);
+  }
+
+  // An invoice made straight from a quote, numbered like any other
+  async createInvoiceFromQuote(invoice) {
+    const invoice_number = await this.getNextInvoiceNumber();
+    return this.create('invoices', { ...invoice, invoice_number });
+  }
+
+  // Profiles only; their invoices are created by the recurring-invoices function (recurring.js)
+  async saveRecurringInvoice(profile) {
+    return profile.id
+      ? this.update('recurring_invoices', profile.id, profile)
+      : this.create('recurring_invoices', profile);
+  }
+
+  async deleteRecurringInvoice(id) {
+    return this.softDelete('recurring_invoices', id);
   }
 
   async getTrash() {
+    if (this.local) {
+      const tables = ['clients', 'jobs', 'timesheets', 'invoices', 'quotes', 'recurring_invoices'];
+      const rows = await Promise.all(tables.map(table => this.replicaRows(table, { deleted: true })));
+      return rows
+        .flatMap((list, i) => list.map(row => ({ ...row, _table: tables[i] })))
+        .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+    }
+
     const cacheKey = this.getCacheKey('trash');
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
 
-    const [clients, jobs, timesheets, invoices] = await Promise.all([
-      this.request(`clients?user_id=eq.${this.userId}&deleted=eq.true&order=updated_at.desc&select=*`),
-      this.request(`jobs?user_id=eq.${this.userId}&deleted=eq.true&order=updated_at.desc&select=*`),
-      this.request(`timesheets?user_id=eq.${this.userId}&deleted=eq.true&order=updated_at.desc&select=*`),
-      this.request(`invoices?user_id=eq.${this.userId}&deleted=eq.true&order=updated_at.desc&select=*`)
-    ]);
-
-    const data = [
-      ...clients.map(c => ({ ...c, _table: 'clients' })),
-      ...jobs.map(j => ({ ...j, _table: 'jobs' })),
-      ...timesheets.map(t => ({ ...t, _table: 'timesheets' })),
-      ...invoices.map(i => ({ ...i, _table: 'invoices' }))
-    ];
+    const tables = ['clients', 'jobs', 'timesheets', 'invoices', 'quotes', 'recurring_invoices'];
+    const results = await this.backend.load(tables.map(table => ({ key: table, table, deleted: true })));
+    const data = tables.flatMap(table => results[table].map(row => ({ ...row, _table: table })));
 
     this.setCache(cacheKey, data);
     return data;
@@ -405,7 +791,7 @@ class Database {
 
   async testConnection() {
     try {
-      await this.request('business?limit=1');
+      await this.backend.ping();
       return 'ok';
     } catch {
       return 'error';
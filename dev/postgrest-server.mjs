@@ -0,0 +1,389 @@
+// dev/postgrest-server.mjs
+// Local stand-in for the Supabase REST API, so the functions and db.js run without a project.
+//
+// Implements the part of PostgREST BizzHub uses, on /rest/v1/<table>:
+//   GET / POST / PATCH / DELETE
+//   filters   <column>=[not.]eq|neq|gt|gte|lt|lte|like|ilike|is|in.<value>   (like/ilike take * or % wildcards)
+//   order=<column>.asc|desc[.nullsfirst|.nullslast][,...]   limit   offset   select=*|<column>,...
+//   Prefer    return=representation (otherwise nothing is returned), resolution=merge-duplicates
+//
+// Rows live in one JSON file ({ table: [rows] }) that is seeded from dev/fixtures.json on first
+// start. The tables in the fixtures are the schema: anything else is "relation does not exist".
+//
+//   node dev/postgrest-server.mjs [--port 54321] [--data dev/data.json] [--reset]
+//
+// then point the functions at it, e.g.
+//
+//   SUPABASE_URL=http://localhost:54321 SUPABASE_KEY=local JWT_SECRET=local-dev-secret netlify dev
+//
+// and sign in with a token from dev/token.mjs. When SUPABASE_KEY is set for this server too,
+// requests must present it as the apikey header, like the real service key.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const DEV_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_FILE = path.join(DEV_DIR, 'fixtures.json');
+
+// Unique constraints besides the id primary key
+const UNIQUE_KEYS = {
+  invoice_series: [['user_id', 'kind']]
+};
+
+const QUERY_KEYWORDS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+class RestError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function parseArgs(argv) {
+  const args = {
+    port: parseInt(process.env.PORT || '54321', 10),
+    data: process.env.POSTGREST_DATA || path.join(DEV_DIR, 'data.json'),
+    reset: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--data') args.data = path.resolve(argv[++i]);
+    else if (argv[i] === '--reset') args.reset = true;
+  }
+  return args;
+}
+
+// ---- Storage ----
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadData(file, reset) {
+  const fixtures = readJson(FIXTURES_FILE);
+  if (reset || !fs.existsSync(file)) {
+    saveData(file, fixtures);
+    return fixtures;
+  }
+  // Tables added to the fixtures since the data file was created
+  const data = readJson(file);
+  Object.keys(fixtures).forEach(table => {
+    if (!Array.isArray(data[table])) data[table] = fixtures[table];
+  });
+  return data;
+}
+
+// Write to a temporary file first so a crash never leaves half a database behind
+function saveData(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ---- Query parsing ----
+
+function parseValue(op, raw) {
+  if (op === 'in') {
+    const inner = raw.replace(/^\(/, '').replace(/\)$/, '');
+    return inner === '' ? [] : inner.split(',').map(v => v.trim().replace(/^"(.*)"$/, '$1'));
+  }
+  return raw;
+}
+
+function parseFilter(column, expression) {
+  let rest = expression;
+  let negate = false;
+  if (rest.startsWith('not.')) {
+    negate = true;
+    rest = rest.slice(4);
+  }
+  const dot = rest.indexOf('.');
+  if (dot === -1) {
+    throw new RestError(400, 'PGRST100', `"failed to parse filter (${expression})"`);
+  }
+  const op = rest.slice(0, dot);
+  return { column, op, negate, value: parseValue(op, rest.slice(dot + 1)) };
+}
+
+function parseOrder(raw) {
+  return raw.split(',').filter(Boolean).map(term => {
+    const [column, ...modifiers] = term.trim().split('.');
+    const descending = modifiers.includes('desc');
+    // PostgreSQL default: nulls sort as the largest value
+    const nullsFirst = modifiers.includes('nullsfirst') || (descending && !modifiers.includes('nullslast'));
+    return { column, descending, nullsFirst };
+  });
+}
+
+function parseQuery(searchParams) {
+  const query = { filters: [], order: [], select: null, limit: null, offset: 0 };
+  for (const [key, value] of searchParams) {
+    if (key === 'select') {
+      query.select = value === '*' ? null : value.split(',').map(c => c.trim()).filter(Boolean);
+    } else if (key === 'order') {
+      query.order = parseOrder(value);
+    } else if (key === 'limit') {
+      query.limit = parseInt(value, 10);
+    } else if (key === 'offset') {
+      query.offset = parseInt(value, 10) || 0;
+    } else if (!QUERY_KEYWORDS.includes(key)) {
+      query.filters.push(parseFilter(key, value));
+    }
+  }
+  return query;
+}
+
+function parsePrefer(header) {
+  const prefer = { representation: false, mergeDuplicates: false };
+  String(header || '').split(',').map(p => p.trim()).forEach(p => {
+    if (p === 'return=representation') prefer.representation = true;
+    if (p === 'resolution=merge-duplicates') prefer.mergeDuplicates = true;
+  });
+  return prefer;
+}
+
+// ---- Evaluation ----
+
+function likePattern(pattern, flags) {
+  const source = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[*%]/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+function compare(a, b) {
+  if (typeof a === 'number' && b !== '' && !isNaN(Number(b))) return a - Number(b);
+  const left = String(a);
+  return left < b ? -1 : left > b ? 1 : 0;
+}
+
+function test(row, { column, op, negate, value }) {
+  const actual = row[column];
+  const present = actual !== null && actual !== undefined;
+  let result;
+
+  switch (op) {
+    case 'eq': result = present && String(actual) === value; break;
+    case 'neq': result = present && String(actual) !== value; break;
+    case 'gt': result = present && compare(actual, value) > 0; break;
+    case 'gte': result = present && compare(actual, value) >= 0; break;
+    case 'lt': result = present && compare(actual, value) < 0; break;
+    case 'lte': result = present && compare(actual, value) <= 0; break;
+    case 'like': result = present && likePattern(value, '').test(String(actual)); break;
+    case 'ilike': result = present && likePattern(value, 'i').test(String(actual)); break;
+    case 'in': result = present && value.includes(String(actual)); break;
+    case 'is':
+      if (value === 'null') result = !present;
+      else if (value === 'true' || value === 'false') result = actual === (value === 'true');
+      else throw new RestError(400, 'PGRST100', `"failed to parse filter (is.${value})"`);
+      break;
+    default:
+      throw new RestError(400, 'PGRST100', `"failed to parse filter (${op}.${value})"`);
+  }
+
+  return negate ? !result : result;
+}
+
+function sortRows(rows, order) {
+  if (!order.length) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of order) {
+      const x = a[column];
+      const y = b[column];
+      const xNull = x === null || x === undefined;
+      const yNull = y === null || y === undefined;
+      if (xNull || yNull) {
+        if (xNull && yNull) continue;
+        return (xNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+      }
+      const diff = typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x) < String(y) ? -1 : String(x) > String(y) ? 1 : 0;
+      if (diff !== 0) return descending ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+function project(rows, select) {
+  if (!select) return rows;
+  return rows.map(row => Object.fromEntries(select.map(column => [column, row[column] ?? null])));
+}
+
+function checkUnique(table, rows) {
+  const keys = [['id'], ...(UNIQUE_KEYS[table] || [])];
+  keys.forEach(columns => {
+    const seen = new Set();
+    rows.forEach(row => {
+      const value = JSON.stringify(columns.map(column => row[column] ?? null));
+      if (seen.has(value)) {
+        throw new RestError(409, '23505', `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+          `Key (${columns.join(', ')})=(${columns.map(c => row[c]).join(', ')}) already exists.`);
+      }
+      seen.add(value);
+    });
+  });
+}
+
+// ---- Handlers ----
+
+function selectRows(data, table, query) {
+  let rows = data[table].filter(row => query.filters.every(filter => test(row, filter)));
+  rows = sortRows(rows, query.order);
+  if (query.offset) rows = rows.slice(query.offset);
+  if (query.limit !== null && !isNaN(query.limit)) rows = rows.slice(0, query.limit);
+  return rows;
+}
+
+function insertRows(data, table, body, prefer) {
+  const incoming = (Array.isArray(body) ? body : [body]).map(row => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new RestError(400, 'PGRST102', 'All object keys must match');
+    }
+    return { ...row, id: row.id ?? crypto.randomUUID() };
+  });
+
+  const next = [...data[table]];
+  const written = incoming.map(row => {
+    const index = next.findIndex(existing => existing.id === row.id);
+    if (index !== -1 && prefer.mergeDuplicates) {
+      next[index] = { ...next[index], ...row };
+      return next[index];
+    }
+    next.push(row);
+    return row;
+  });
+
+  checkUnique(table, next);
+  data[table] = next;
+  return written;
+}
+
+function updateRows(data, table, query, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RestError(400, 'PGRST102', 'Expected a single JSON object');
+  }
+  const written = [];
+  const next = data[table].map(row => {
+    if (!query.filters.every(filter => test(row, filter))) return row;
+    const updated = { ...row, ...body, id: body.id ?? row.id };
+    written.push(updated);
+    return updated;
+  });
+  checkUnique(table, next);
+  data[table] = next;
+  return written;
+}
+
+function deleteRows(data, table, query) {
+  const removed = [];
+  data[table] = data[table].filter(row => {
+    const match = query.filters.every(filter => test(row, filter));
+    if (match) removed.push(row);
+    return !match;
+  });
+  return removed;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(new RestError(400, 'PGRST102', 'Empty or invalid json'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, payload, headers = {}) {
+  const body = payload === undefined ? '' : JSON.stringify(payload);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+export function createServer({ dataFile, reset = false, apiKey = process.env.SUPABASE_KEY } = {}) {
+  const data = loadData(dataFile, reset);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 500;
+
+    try {
+      if (apiKey && req.headers.apikey !== apiKey) {
+        throw new RestError(401, 'PGRST301', 'Invalid API key');
+      }
+
+      const match = url.pathname.match(/^\/rest\/v1\/([A-Za-z0-9_]+)\/?$/);
+      if (!match) throw new RestError(404, 'PGRST125', `Invalid path specified in request URL: ${url.pathname}`);
+
+      const table = match[1];
+      if (!Array.isArray(data[table])) {
+        throw new RestError(404, '42P01', `relation "public.${table}" does not exist`);
+      }
+
+      const query = parseQuery(url.searchParams);
+      const prefer = parsePrefer(req.headers.prefer);
+
+      if (req.method === 'GET') {
+        const rows = selectRows(data, table, query);
+        status = 200;
+        return send(res, status, project(rows, query.select), {
+          'Content-Range': rows.length ? `${query.offset}-${query.offset + rows.length - 1}/*` : '*/*'
+        });
+      }
+
+      let rows;
+      if (req.method === 'POST') {
+        rows = insertRows(data, table, await readBody(req), prefer);
+        status = 201;
+      } else if (req.method === 'PATCH') {
+        rows = updateRows(data, table, query, await readBody(req));
+        status = 200;
+      } else if (req.method === 'DELETE') {
+        rows = deleteRows(data, table, query);
+        status = 200;
+      } else {
+        throw new RestError(405, 'PGRST117', `Unsupported HTTP method: ${req.method}`);
+      }
+
+      saveData(dataFile, data);
+
+      if (!prefer.representation) {
+        status = req.method === 'POST' ? 201 : 204;
+        return send(res, status);
+      }
+      return send(res, status, project(rows, query.select));
+    } catch (err) {
+      if (!(err instanceof RestError)) console.error(err);
+      status = err.status || 500;
+      return send(res, status, {
+        code: err.code || 'XX000',
+        details: err.details || null,
+        hint: null,
+        message: err.message
+      });
+    } finally {
+      console.log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+    }
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = parseArgs(process.argv.slice(2));
+  createServer({ dataFile: args.data, reset: args.reset }).listen(args.port, () => {
+    console.log(`PostgREST stand-in on http://localhost:${args.port}/rest/v1 (data: ${args.data})`);
+  });
+}
@@ -0,0 +1,27 @@
+// dev/recurring.mjs
+// Run the recurring invoice profiles once, as the scheduled function does each day
+//
+//   SUPABASE_URL=http://localhost:54321 SUPABASE_KEY=local MAIL_TRANSPORT=file node dev/recurring.mjs [--date 2026-11-01]
+//
+// --date pretends the run happens on that day, to try out a schedule without waiting for it.
+// Profiles with auto_send mail wherever MAIL_TRANSPORT says (see netlify/functions/_shared/mail.js).
+
+import { getMailConfig } from '../netlify/functions/_shared/mail.js';
+import { runRecurringInvoices } from '../netlify/functions/_shared/recurring.js';
+import { getSupabaseConfig } from '../netlify/functions/_shared/supabase.js';
+
+const index = process.argv.indexOf('--date');
+const today = index === -1 ? new Date() : new Date(`${process.argv[index + 1]}T12:00:00Z`);
+if (isNaN(today)) {
+  console.error('--date takes YYYY-MM-DD');
+  process.exit(1);
+}
+
+const config = getSupabaseConfig();
+if (!config) {
+  console.error('Set SUPABASE_URL and SUPABASE_KEY');
+  process.exit(1);
+}
+
+const results = await runRecurringInvoices(config, { today, mailConfig: getMailConfig() });
+console.log(JSON.stringify(results, null, 2));
@@ -0,0 +1,29 @@
+// dev/token.mjs
+// Print a bearer token the functions accept, signed with JWT_SECRET, for local runs
+//
+//   JWT_SECRET=local-dev-secret node dev/token.mjs [userId] [email]
+//
+// The default user owns the rows in dev/fixtures.json.
+
+import crypto from 'node:crypto';
+
+const FIXTURE_USER = '00000000-0000-4000-8000-000000000001';
+
+const [userId = FIXTURE_USER, email = 'dev@bizzhub.local'] = process.argv.slice(2);
+const secret = process.env.JWT_SECRET || 'local-dev-secret';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = Math.floor(Date.now() / 1000);
+
+const header = encode({ alg: 'HS256', typ: 'JWT' });
+const payload = encode({
+  sub: userId,
+  email,
+  iat: now,
+  exp: now + 30 * 24 * 60 * 60,
+  ...(process.env.JWT_AUDIENCE ? { aud: process.env.JWT_AUDIENCE } : {}),
+  ...(process.env.JWT_ISSUER ? { iss: process.env.JWT_ISSUER } : {})
+});
+const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+
+console.log(`${header}.${payload}.${signature}`);
@@ -0,0 +1,59 @@
+// emails.js
+// Invoice emails: bilingual subject and body templates for the composer
+//
+// The composer shows the templates with their {placeholders}, which are filled from the invoice
+// document (buildInvoiceDocument) on sending, so the email quotes the same number, amount and
+// parties as the attached PDF. 'both' puts Czech first, as the PDF does.
+
+import { formatCurrency, formatDate } from './invoice.js';
+import { fillTemplate } from './templates.js';
+
+export const EMAIL_LANGUAGES = ['cs', 'en', 'both'];
+
+export const EMAIL_PLACEHOLDERS = ['invoice_number', 'total', 'due_date', 'issue_date', 'client_name', 'supplier_name'];
+
+export const EMAIL_TEMPLATES = {
+  cs: {
+    subject: 'Faktura {invoice_number}',
+    body: 'Dobrý den,\n\n' +
+      'v příloze zasíláme fakturu č. {invoice_number} na částku {total} se splatností {due_date}.\n\n' +
+      'Děkujeme a přejeme hezký den,\n{supplier_name}'
+  },
+  en: {
+    subject: 'Invoice {invoice_number}',
+    body: 'Hello,\n\n' +
+      'please find attached invoice {invoice_number} for {total}, due on {due_date}.\n\n' +
+      'Thank you and kind regards,\n{supplier_name}'
+  }
+};
+
+export function emailValues(doc) {
+  return {
+    invoice_number: doc.number,
+    total: `${formatCurrency(doc.totals.total)} ${doc.currency}`,
+    due_date: formatDate(doc.dueDate),
+    issue_date: formatDate(doc.issueDate),
+    client_name: doc.customer.name,
+    supplier_name: doc.supplier.name
+  };
+}
+
+// Clients billed in crowns get Czech, everyone else English
+export function emailLanguage(doc) {
+  return doc.currency === 'CZK' ? 'cs' : 'en';
+}
+
+// The templates in one language, or both of them one after the other
+export function emailTemplate(lang) {
+  if (lang !== 'both') return EMAIL_TEMPLATES[lang] || EMAIL_TEMPLATES.en;
+  return {
+    subject: `${EMAIL_TEMPLATES.cs.subject} / ${EMAIL_TEMPLATES.en.subject.replace(' {invoice_number}', '')}`,
+    body: `${EMAIL_TEMPLATES.cs.body}\n\n---\n\n${EMAIL_TEMPLATES.en.body}`
+  };
+}
+
+// A template as edited in the composer -> { subject, text } for the invoice document
+export function fillEmail({ subject, body }, doc) {
+  const values = emailValues(doc);
+  return { subject: fillTemplate(subject, values).replace(/\s+/g, ' ').trim(), text: fillTemplate(body, values) };
+}
@@ -0,0 +1,60 @@
+// errors.js
+
+// Errors raised by Database and its storage backends
+
+export class DatabaseError extends Error {
+  constructor(message, { status, code, body } = {}) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+  }
+}
+
+// Raised when the functions reject our Netlify Identity token (401 auth_error)
+export class AuthError extends DatabaseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// The request never reached the functions (offline, DNS, CORS...)
+export class NetworkError extends DatabaseError {
+  constructor(message = 'Network connection lost or function unreachable.') {
+    super(message, { code: 'network' });
+    this.name = 'NetworkError';
+  }
+}
+
+// An update was based on a version of the row that is no longer current (409 conflict)
+export class ConflictError extends DatabaseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+    this.current = details?.body?.current || null;
+  }
+}
+
+// A transaction that failed and was rolled back; `results` has one entry per operation
+export class TransactionError extends DatabaseError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TransactionError';
+    this.results = details?.body?.results || [];
+    this.rolledBack = details?.body?.rolled_back ?? true;
+  }
+}
+
+// Map an error response body (db-proxy / db-batch format) to the matching error class
+export function toDatabaseError(prefix, status, body) {
+  if (status === 401 && body && body.error === 'auth_error') {
+    return new AuthError(`${prefix}: ${body.message || body.code}`, { status, code: body.code, body });
+  }
+  if (status === 409 && body && body.error === 'conflict') {
+    return new ConflictError(`${prefix}: ${body.message}`, { status, code: body.error, body });
+  }
+  const code = body && typeof body === 'object' ? body.error : undefined;
+  return new DatabaseError(`${prefix}: ${status} ${JSON.stringify(body)}`, { status, code, body });
+}
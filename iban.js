@@ -0,0 +1,101 @@
+// iban.js
+// IBAN / BIC validation and conversion of Czech domestic account numbers (prefix-number/bank)
+
+// Expected IBAN lengths for the countries our users bill to; others are checked by checksum only
+const IBAN_LENGTHS = {
+  AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20, ES: 24, FI: 18,
+  FR: 27, GB: 22, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20,
+  LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27
+};
+
+// Weights of the Czech account number modulo-11 check, aligned to the right
+const CZ_WEIGHTS = [6, 3, 7, 9, 10, 5, 8, 4, 2, 1];
+
+export function normalizeIban(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+export function formatIban(value) {
+  return normalizeIban(value).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+// Remainder of the number spelled by the digits and letters (A=10 ... Z=35), modulo 97
+function mod97(text) {
+  let remainder = 0;
+  for (const char of text) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder;
+}
+
+export function isValidIban(value) {
+  const iban = normalizeIban(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban)) return false;
+
+  const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (expectedLength && iban.length !== expectedLength) return false;
+
+  return mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+}
+
+export function normalizeBic(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// 8 or 11 characters: bank (4 letters), country (2 letters), location (2), optional branch (3)
+export function isValidBic(value) {
+  return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(normalizeBic(value));
+}
+
+function czechChecksumOk(digits) {
+  const padded = digits.padStart(CZ_WEIGHTS.length, '0');
+  const sum = [...padded].reduce((total, digit, i) => total + Number(digit) * CZ_WEIGHTS[i], 0);
+  return sum % 11 === 0;
+}
+
+// "19-2000145399/0800" or "2000145399/0800" -> { prefix, number, bank }, or null
+export function parseCzechAccount(value) {
+  const match = String(value || '').replace(/\s+/g, '').match(/^(?:(\d{1,6})-)?(\d{2,10})\/(\d{4})$/);
+  if (!match) return null;
+
+  const [, prefix = '', number, bank] = match;
+  if (!czechChecksumOk(prefix) || !czechChecksumOk(number) || !/[1-9]/.test(number)) return null;
+  return { prefix, number, bank };
+}
+
+export function czechAccountToIban(value) {
+  const account = parseCzechAccount(value);
+  if (!account) return null;
+
+  const bban = account.bank + account.prefix.padStart(6, '0') + account.number.padStart(10, '0');
+  const check = String(98 - mod97(`${bban}CZ00`)).padStart(2, '0');
+  return `CZ${check}${bban}`;
+}
+
+// IBAN of a bank account entry: an explicit iban field, an IBAN typed as the number,
+// or a Czech domestic number converted. null when none of those is valid.
+export function accountIban(entry) {
+  const candidates = [entry?.iban, entry?.number].filter(Boolean);
+  for (const candidate of candidates) {
+    if (/^[A-Za-z]{2}/.test(String(candidate).trim())) {
+      if (isValidIban(candidate)) return normalizeIban(candidate);
+    } else {
+      const iban = czechAccountToIban(candidate);
+      if (iban) return iban;
+    }
+  }
+  return null;
+}
+
+// Check a bank account number as typed in the profile. IBANs and Czech accounts must pass
+// their checksums; other domestic formats can't be checked and are accepted as they are.
+export function isValidAccountNumber(value) {
+  const text = String(value || '').replace(/\s+/g, '');
+  if (!text) return true;
+  if (/^[A-Za-z]{2}\d/.test(text)) return isValidIban(text);
+  if (/^(\d+-)?\d+\/\d{4}$/.test(text)) return !!parseCzechAccount(text);
+  return true;
+}
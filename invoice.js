@@ -0,0 +1,406 @@
+// invoice.js
+// Invoice document model shared by the HTML view and the PDF renderer
+
+import { accountIban, formatIban, normalizeBic } from './iban.js';
+import { QR_STANDARDS, buildEpc, buildSpayd, qrStandardFor, variableSymbol } from './qrpay.js';
+import { REVERSE_CHARGE, invoiceTotals, isVatRate, resolveVatRate, round, vatRecap } from './vat.js';
+
+// Labels are bilingual on the document itself, whatever language the app is in
+export const LABELS = {
+  title: 'FAKTURA / INVOICE',
+  taxTitle: 'FAKTURA - DAŇOVÝ DOKLAD / TAX INVOICE',
+  creditNoteTitle: 'DOBROPIS / CREDIT NOTE',
+  creditNoteTaxTitle: 'OPRAVNÝ DAŇOVÝ DOKLAD - DOBROPIS / CREDIT NOTE',
+  advanceTitle: 'ZÁLOHOVÁ FAKTURA / ADVANCE INVOICE',
+  advanceTaxTitle: 'DAŇOVÝ DOKLAD K PŘIJATÉ PLATBĚ / TAX DOCUMENT FOR A RECEIVED PAYMENT',
+  correction: 'Oprava dokladu / Correction',
+  originalInvoice: 'K faktuře / Original invoice',
+  originalIssueDate: 'Vystavené dne / Issued on',
+  correctionReason: 'Důvod opravy / Reason',
+  number: 'Číslo faktury / Invoice #',
+  documentNumber: 'Číslo dokladu / Document #',
+  issueDate: 'Datum vystavení / Issue date',
+  dueDate: 'Datum splatnosti / Due date',
+  taxableSupplyDate: 'DUZP / Date of taxable supply',
+  paymentMethod: 'Forma úhrady / Payment Method',
+  bankTransfer: 'Bankovní převod / Bank transfer',
+  supplier: 'Dodavatel / Supplier',
+  customer: 'Odběratel / Customer',
+  jobDetails: 'Detaily zakázky / Job Details',
+  jobName: 'Název / Name',
+  jobAddress: 'Adresa / Address',
+  jobPeriod: 'Období / Period',
+  description: 'Položka / Description',
+  hours: 'Počet hodin / Hours',
+  rate: 'Sazba/hod. / Rate',
+  amount: 'Částka / Amount',
+  vatRate: 'Sazba DPH / VAT rate',
+  vatRecap: 'Rekapitulace DPH / VAT summary',
+  vatBase: 'Základ / Net',
+  vatTotal: 'Celkem / Gross',
+  subtotal: 'Základ daně / Subtotal',
+  tax: 'DPH / VAT',
+  jobTotal: 'Celkem práce / Job Total',
+  expenses: 'Výdaje / Expenses',
+  invoiceAmount: 'Celková částka / Invoice Amount',
+  deposits: 'Zálohy / Deposits',
+  totalDue: 'CELKEM K ÚHRADĚ / TOTAL DUE',
+  totalCredit: 'CELKEM DOBROPIS / TOTAL CREDIT',
+  bankDetails: 'Bankovní spojení / Bank Details',
+  variableSymbol: 'Variabilní symbol / Payment reference',
+  notSpecified: 'Nezadáno / Not specified',
+  notVatPayer: 'Nejsem plátce DPH. / Not a VAT payer.',
+  reverseCharge: 'Daň odvede zákazník (přenesená daňová povinnost). / Reverse charge: VAT to be accounted for by the customer.',
+  reminderDate: 'Datum upomínky / Reminder date',
+  payBy: 'Uhraďte do / Pay by',
+  overdueInvoice: 'Neuhrazená faktura / Unpaid invoice',
+  invoiceTotal: 'Částka faktury / Invoice total',
+  paid: 'Uhrazeno / Paid',
+  daysOverdue: 'Dní po splatnosti / Days overdue',
+  balanceDue: 'Zbývá uhradit / Balance due',
+  lateInterest: 'Úrok z prodlení / Late-payment interest',
+  quoteTitle: 'CENOVÁ NABÍDKA / QUOTE',
+  quoteNumber: 'Číslo nabídky / Quote #',
+  validUntil: 'Platnost do / Valid until',
+  jobDescription: 'Popis / Description',
+  quoteTotal: 'Celková cena / Total price',
+  quoteNote: 'Nabídka je nezávazná a platí do uvedeného data. / This quote is not binding and is valid until the date shown.',
+  notTaxDocument: 'Zálohová faktura není daňovým dokladem. / An advance invoice is not a tax document.',
+  receivedPayment: 'Přijatá platba / Payment received',
+  advanceInvoice: 'K zálohové faktuře / Advance invoice',
+  paymentDate: 'Datum přijetí / Received on',
+  totalReceived: 'CELKEM PŘIJATO / TOTAL RECEIVED',
+  advanceDeducted: 'Odpočet zálohy / Advance deducted',
+  taxDocument: 'daňový doklad / tax document'
+};
+
+export function documentTitle(doc) {
+  if (doc.reminder) return doc.reminder.title;
+  if (doc.quote) return LABELS.quoteTitle;
+  if (doc.advance) return LABELS.advanceTitle;
+  if (doc.advanceTax) return LABELS.advanceTaxTitle;
+  if (doc.creditNote) return doc.vat ? LABELS.creditNoteTaxTitle : LABELS.creditNoteTitle;
+  return doc.vat ? LABELS.taxTitle : LABELS.title;
+}
+
+export function vatRateLabel(rate) {
+  return rate === REVERSE_CHARGE ? 'PDP / RC' : `${rate} %`;
+}
+
+// The VAT line under the bank details: non-payers say so, reverse charge must be stated
+export function vatNote(doc) {
+  if (doc.advance) return LABELS.notTaxDocument;
+  if (!doc.vat) return LABELS.notVatPayer;
+  return doc.vat.reverseCharge ? LABELS.reverseCharge : null;
+}
+
+export function formatCurrency(amount) {
+  return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export function formatDate(dateString) {
+  if (!dateString) return '-';
+  const date = new Date(dateString);
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const year = date.getFullYear();
+  return `${day}.${month}.${year}`;
+}
+
+// YYYY-MM-DD of a date or date string, in UTC as stored
+export function isoDate(date) {
+  return (date instanceof Date ? date : new Date(date)).toISOString().split('T')[0];
+}
+
+// The YYYY-MM-DD `days` calendar days after a date
+export function addDays(date, days) {
+  const result = new Date(`${isoDate(date)}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return isoDate(result);
+}
+
+// items / meta are stored as JSON text
+export function parseJson(value, fallback) {
+  if (typeof value !== 'string') return value || fallback;
+  try {
+    return JSON.parse(value || 'null') || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Registration numbers (IČO, DIČ...) from id_entries, falling back to the older id_label_N / id_number_N columns
+export function partyIds(party) {
+  const ids = party?.id_entries || [];
+  if (Array.isArray(ids) && ids.length) return ids.map(id => ({ label: id.label, number: id.number }));
+
+  const parts = [];
+  for (let i = 1; i <= 4; i++) {
+    const label = party?.[`id_label_${i}`];
+    const number = party?.[`id_number_${i}`];
+    if (label || number) parts.push({ label: label || 'ID', number: number || '' });
+  }
+  return parts;
+}
+
+// Company number (IČO) and VAT number (DIČ) among a party's registration numbers
+export function partyRegistration(ids) {
+  const find = (pattern) => ids.find(id => pattern.test(id.label || ''))?.number || '';
+  const vatId = find(/di[cč]|vat|ust|tva|iva|nip/i)
+    || ids.find(id => /^[A-Z]{2}[0-9A-Z]{8,12}$/.test(id.number || ''))?.number || '';
+  const companyId = find(/^i[cč]o?\b|company|reg|^id$/i) || '';
+  return { companyId, vatId };
+}
+
+// Free-text address -> { street, building, postalZone, city, country } on a best-effort basis:
+//   "Dlouhá 12\n110 00 Praha 1" -> street 'Dlouhá', building '12', postalZone '110 00', city 'Praha 1'
+export function parseAddress(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const result = { street: '', building: '', postalZone: '', city: '', country: '' };
+  if (!lines.length) return result;
+
+  // A last line without digits under a postal line is the country
+  if (lines.length > 2 && !/\d/.test(lines[lines.length - 1])) result.country = lines.pop();
+
+  const postal = lines.length > 1 && lines[lines.length - 1].match(/^(\d{3} ?\d{2}|\d{4,5}|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})\s+(.+)$/);
+  if (postal) {
+    lines.pop();
+    [, result.postalZone, result.city] = postal;
+  } else if (lines.length > 1) {
+    result.city = lines.pop();
+  }
+
+  const street = lines.join(', ');
+  const numbered = street.match(/^(.*\D)\s+(\d+[\w/-]*)$/);
+  if (numbered) [, result.street, result.building] = numbered;
+  else result.street = street;
+  return result;
+}
+
+// The account an invoice in this currency is paid to: a bank entry kept in that currency,
+// else one with no currency set, else any entry with a usable IBAN
+export function paymentAccount(profile, currency) {
+  const accounts = (profile?.bank_entries || [])
+    .map(entry => ({ ...entry, iban: accountIban(entry), bic: normalizeBic(entry.bic) || null }))
+    .filter(entry => entry.iban);
+
+  return accounts.find(entry => currency && entry.currency === currency)
+    || accounts.find(entry => !entry.currency)
+    || accounts[0]
+    || null;
+}
+
+function paymentQr(standard, { inv, profile, account, amount, currency, reference }) {
+  const message = `Faktura ${inv.invoice_number || ''}`;
+  if (standard === 'epc') {
+    return buildEpc({ bic: account.bic, name: profile?.name, iban: account.iban, amount, message });
+  }
+  return buildSpayd({
+    iban: account.iban,
+    bic: account.bic,
+    amount,
+    currency,
+    dueDate: inv.due_date,
+    variableSymbol: reference,
+    message
+  });
+}
+
+// Where and how to pay; amount defaults to the invoice total (reminders ask for what is still owed)
+export function paymentDetails(inv, profile, currency, amount = Number(inv.total) || 0) {
+  const account = paymentAccount(profile, currency);
+  if (!account) return null;
+
+  const standard = qrStandardFor(currency);
+  const reference = variableSymbol(inv.invoice_number);
+  return {
+    iban: account.iban,
+    bic: account.bic,
+    variableSymbol: reference,
+    // Nothing to pay on a zero or negative total, so no code to scan
+    qr: amount > 0 ? {
+      standard,
+      label: QR_STANDARDS[standard].label,
+      payload: paymentQr(standard, { inv, profile, account, amount, currency, reference })
+    } : null
+  };
+}
+
+// "Label: number" for every account on the profile; IBAN-only entries show the IBAN
+function bankAccounts(profile) {
+  return (profile?.bank_entries || [])
+    .filter(entry => entry.number || entry.iban)
+    .map(entry => ({
+      label: entry.label || '',
+      number: entry.number || formatIban(entry.iban),
+      currency: entry.currency || null
+    }));
+}
+
+const ID_FIELDS = [1, 2, 3, 4].flatMap(i => [`id_label_${i}`, `id_number_${i}`]);
+
+// What an issued invoice keeps of the profile and the client it was made out from
+const SUPPLIER_FIELDS = ['name', 'address', 'email', 'vat_payer', 'bank_entries', 'id_entries', ...ID_FIELDS];
+const CUSTOMER_FIELDS = ['name', 'address', 'invoice_email', 'currency', 'id_entries', ...ID_FIELDS];
+
+function snapshot(party, fields) {
+  if (!party) return null;
+  return JSON.stringify(Object.fromEntries(fields.filter(field => party[field] !== undefined).map(field => [field, party[field]])));
+}
+
+// Columns to store on an invoice when it is issued, so later profile and client edits don't
+// rewrite it
+export function partySnapshots({ profile, client } = {}) {
+  return {
+    supplier_snapshot: snapshot(profile, SUPPLIER_FIELDS),
+    customer_snapshot: snapshot(client, CUSTOMER_FIELDS)
+  };
+}
+
+// Lines as entered in a form ({ description, hours, rate }), priced. Blank hours make the rate a
+// flat price, shown without hours like an expense.
+export function priceLines(items) {
+  return items.map(item => {
+    const hours = item.hours === null || item.hours === undefined || item.hours === '' ? null : parseFloat(item.hours) || 0;
+    const rate = parseFloat(item.rate) || 0;
+    return { ...item, hours, rate, amount: round((hours ?? 1) * rate) };
+  });
+}
+
+// Lines with the VAT rate they are billed at: their own if valid, else the client's, else the
+// profile's. A non-payer's lines carry none.
+export function withVatRates(items, { profile, client } = {}) {
+  const vatPayer = !!profile?.vat_payer;
+  return items.map(item => ({
+    ...item,
+    vat_rate: vatPayer ? resolveVatRate(item.vat_rate, client?.vat_rate, profile.default_vat_rate) : undefined
+  }));
+}
+
+// A new issued invoice from priced lines ({ description, hours, rate, amount, vat_rate }), ready to be
+// numbered and saved. Monthly invoices in the app and the recurring-invoices function both go through
+// here.
+export function newInvoice({ profile, client, items, dueDate, taxableSupplyDate, meta = {} }) {
+  const vatPayer = !!profile?.vat_payer;
+  const lines = withVatRates(items, { profile, client });
+  const totals = invoiceTotals(lines);
+
+  return {
+    id: crypto.randomUUID(),
+    invoice_number: null,
+    client_id: client.id,
+    items: JSON.stringify(lines),
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    total: totals.total,
+    status: 'issued',
+    due_date: dueDate,
+    taxable_supply_date: vatPayer ? taxableSupplyDate : null,
+    meta: JSON.stringify({ ...meta, invoice_amount: totals.gross, vat_payer: vatPayer }),
+    ...partySnapshots({ profile, client })
+  };
+}
+
+// The parties an invoice is rendered with: its snapshots, or for invoices issued before
+// snapshots were kept, the current profile and client
+export function invoiceParties(inv, { profile, client } = {}) {
+  return {
+    profile: parseJson(inv.supplier_snapshot, null) || profile,
+    client: parseJson(inv.customer_snapshot, null) || client
+  };
+}
+
+// Everything a rendered invoice shows, resolved from the invoice row, the profile and the client
+export function buildInvoiceDocument(inv, parties = {}) {
+  const { profile, client } = invoiceParties(inv, parties);
+  const items = parseJson(inv.items, []);
+  const meta = parseJson(inv.meta, {});
+  const currency = inv.currency || client?.currency || 'CZK';
+  // Whether the supplier was a VAT payer when the invoice was issued, not what the profile says now
+  const vatPayer = !!meta.vat_payer;
+  const lines = items.map(item => {
+    const hours = toNumber(item.hours);
+    const rate = toNumber(item.rate);
+    return {
+      description: item.description || '',
+      hours,
+      rate,
+      amount: toNumber(item.amount) || (hours || 0) * (rate || 0),
+      vatRate: vatPayer && isVatRate(item.vat_rate) ? String(item.vat_rate) : null
+    };
+  });
+  const recap = vatPayer ? vatRecap(lines.map(line => ({ amount: line.amount, vat_rate: line.vatRate }))) : [];
+  const advances = (meta.advances || []).map(advance => ({
+    number: advance.number,
+    taxDocuments: advance.tax_documents || [],
+    amount: advance.amount || 0,
+    vat: vatPayer ? advance.vat || [] : []
+  }));
+
+  return {
+    number: inv.invoice_number || inv.id,
+    // Credit notes name the invoice they correct and why
+    creditNote: inv.kind === 'credit_note' ? {
+      originalId: inv.original_invoice_id,
+      originalNumber: meta.original_number || '',
+      originalIssueDate: meta.original_issue_date || null,
+      reason: meta.reason || ''
+    } : null,
+    advance: inv.kind === 'advance' ? { vatRate: meta.vat_rate || null } : null,
+    // A tax document for a payment received on an advance (advances.js)
+    advanceTax: inv.kind === 'advance_tax' ? {
+      advanceId: inv.original_invoice_id,
+      advanceNumber: meta.advance_number || '',
+      paymentDate: meta.payment_date || null
+    } : null,
+    // Advances the final invoice of a job deducts, with the VAT their tax documents declared
+    advances,
+    issueDate: inv.created_at,
+    dueDate: inv.due_date,
+    taxableSupplyDate: vatPayer ? inv.taxable_supply_date || inv.created_at : null,
+    currency,
+    supplier: {
+      name: profile?.name || 'Your Business',
+      address: profile?.address || '',
+      ids: partyIds(profile)
+    },
+    customer: {
+      name: client?.name || '-',
+      address: client?.address || '',
+      ids: partyIds(client)
+    },
+    job: meta.job_name || meta.job_address ? {
+      name: meta.job_name || '',
+      address: meta.job_address || '',
+      startDate: meta.job_start_date || null,
+      endDate: meta.job_end_date || null
+    } : null,
+    items: lines,
+    vat: vatPayer ? {
+      recap,
+      reverseCharge: recap.some(line => line.rate === REVERSE_CHARGE)
+    } : null,
+    totals: {
+      // Job work, expenses and deposits are only broken down when there is something to break down
+      breakdown: meta.expenses_total > 0 || meta.deposits_total > 0,
+      // Before VAT support subtotal held the job work alone
+      jobTotal: meta.job_total ?? inv.subtotal ?? 0,
+      expenses: meta.expenses_total || 0,
+      subtotal: inv.subtotal || 0,
+      // The VAT of the whole supply. A final invoice stores only what its advances left due.
+      tax: advances.some(advance => advance.vat.length) ? round(recap.reduce((sum, line) => sum + line.tax, 0)) : inv.tax || 0,
+      invoiceAmount: meta.invoice_amount || inv.total || 0,
+      deposits: meta.deposits_total || 0,
+      total: inv.total || 0
+    },
+    bankAccounts: bankAccounts(profile),
+    // What a tax document for a received payment records is already paid
+    payment: inv.kind === 'advance_tax' ? null : paymentDetails(inv, profile, currency)
+  };
+}
@@ -0,0 +1,240 @@
+// isdoc.js
+// ISDOC 6.0.2 export: the Czech XML invoice format read by accounting software (Pohoda, Money, ABRA...)
+//
+// Built from the same document model as the PDF, so the numbers on both always agree.
+// Amounts are written in the invoice currency with a rate of 1: the app keeps no exchange rates,
+// and the accountant's software converts foreign-currency invoices on import.
+
+import { buildInvoiceDocument, invoiceParties, parseAddress, parseJson, partyRegistration, paymentAccount } from './invoice.js';
+import { parseCzechAccount } from './iban.js';
+import { variableSymbol } from './qrpay.js';
+import { REVERSE_CHARGE, round, vatPercent } from './vat.js';
+import { renderXml, xmlDate, xmlDecimal } from './xml.js';
+
+export const ISDOC_NAMESPACE = 'http://isdoc.cz/namespace/2013';
+export const ISDOC_VERSION = '6.0.2';
+
+// ISDOC DocumentType codes
+const DOCUMENT_TYPES = {
+  invoice: 1,
+  // Opravný daňový doklad (dobropis); amounts keep the negative sign of the credit note lines
+  credit_note: 2,
+  // Zálohová faktura (nedaňový zálohový list)
+  advance: 4,
+  // Daňový doklad při přijetí platby
+  advance_tax: 5
+};
+
+const ORIGINAL_REFERENCE = 'OD1';
+
+const COUNTRY_NAMES = {
+  CZ: 'Česká republika',
+  SK: 'Slovensko',
+  DE: 'Německo',
+  AT: 'Rakousko',
+  PL: 'Polsko',
+  HU: 'Maďarsko',
+  GB: 'Spojené království',
+  US: 'Spojené státy americké'
+};
+
+// The VAT number starts with the country code; without one, assume a Czech party
+function countryCode(vatId) {
+  const prefix = String(vatId || '').slice(0, 2).toUpperCase();
+  return /^[A-Z]{2}$/.test(prefix) ? prefix.replace('EL', 'GR') : 'CZ';
+}
+
+function party({ name, address, ids }) {
+  const { companyId, vatId } = partyRegistration(ids);
+  const postal = parseAddress(address);
+  const country = countryCode(vatId);
+
+  return ['Party',
+    ['PartyIdentification', ['ID', companyId]],
+    ['PartyName', ['Name', name]],
+    ['PostalAddress',
+      ['StreetName', postal.street],
+      ['BuildingNumber', postal.building],
+      ['CityName', postal.city],
+      ['PostalZone', postal.postalZone],
+      ['Country',
+        ['IdentificationCode', country],
+        ['Name', postal.country || COUNTRY_NAMES[country] || '']
+      ]
+    ],
+    vatId ? ['PartyTaxScheme', ['CompanyID', vatId], ['TaxScheme', 'VAT']] : null
+  ];
+}
+
+// TaxCategory of the recap. Reverse charge lines carry no Czech VAT; neither does anything a
+// non-payer sells.
+function taxCategory(doc, vatRate) {
+  return [
+    ['Percent', xmlDecimal(doc.vat ? vatPercent(vatRate) : 0, 0)],
+    ['VATApplicable', String(!!doc.vat && vatRate !== REVERSE_CHARGE)]
+  ];
+}
+
+// ClassifiedTaxCategory of lines and deposits, which also states how the VAT was computed
+// (0: from the prices without VAT)
+function classifiedTaxCategory(doc, vatRate) {
+  const [percent, applicable] = taxCategory(doc, vatRate);
+  return [percent, ['VATCalculationMethod', '0'], applicable];
+}
+
+function invoiceLine(doc, item, index) {
+  const net = round(item.amount);
+  const tax = doc.vat ? round(net * vatPercent(item.vatRate) / 100) : 0;
+  const quantity = item.hours !== null ? item.hours : 1;
+  const unitPrice = item.rate !== null ? item.rate : net;
+
+  return ['InvoiceLine',
+    ['ID', String(index + 1)],
+    doc.creditNote ? ['OriginalDocumentReference', { ref: ORIGINAL_REFERENCE }, ['LineID', String(index + 1)]] : null,
+    ['InvoicedQuantity', { unitCode: item.hours !== null ? 'HUR' : 'C62' }, xmlDecimal(quantity, 4)],
+    ['LineExtensionAmount', xmlDecimal(net)],
+    ['LineExtensionAmountTaxInclusive', xmlDecimal(net + tax)],
+    ['LineExtensionTaxAmount', xmlDecimal(tax)],
+    ['UnitPrice', xmlDecimal(unitPrice, 4)],
+    ['UnitPriceTaxInclusive', xmlDecimal(unitPrice * (1 + (doc.vat ? vatPercent(item.vatRate) : 0) / 100), 4)],
+    ['ClassifiedTaxCategory', ...classifiedTaxCategory(doc, item.vatRate)],
+    ['Item', ['Description', item.description]]
+  ];
+}
+
+// The invoice a credit note corrects
+function originalDocument(doc) {
+  if (!doc.creditNote) return null;
+  return ['OriginalDocumentReferences',
+    ['OriginalDocumentReference', { id: ORIGINAL_REFERENCE },
+      ['ID', doc.creditNote.originalNumber],
+      doc.creditNote.originalIssueDate ? ['IssueDate', xmlDate(doc.creditNote.originalIssueDate)] : null,
+      doc.creditNote.originalId ? ['UUID', String(doc.creditNote.originalId).toUpperCase()] : null
+    ]
+  ];
+}
+
+// What the advances' tax documents already declared, per rate (zeros without any)
+function claimed(doc, rate) {
+  const lines = doc.advances.flatMap(advance => advance.vat).filter(line => rate === undefined || line.rate === rate);
+  const sum = key => round(lines.reduce((total, line) => total + line[key], 0));
+  return { base: sum('base'), tax: sum('tax'), total: sum('total') };
+}
+
+// Advances deducted on a final invoice: taxed ones by their tax documents, the rest as paid
+function deposits(doc) {
+  const taxed = doc.advances.filter(advance => advance.vat.length);
+  const nonTaxed = doc.advances.filter(advance => !advance.vat.length);
+  return [
+    nonTaxed.length ? ['NonTaxedDeposits', ...nonTaxed.map(advance => ['NonTaxedDeposit',
+      ['ID', advance.number],
+      ['VariableSymbol', variableSymbol(advance.number)],
+      ['DepositAmount', xmlDecimal(advance.amount)]
+    ])] : null,
+    taxed.length ? ['TaxedDeposits', ...taxed.flatMap(advance => advance.vat.map(line => ['TaxedDeposit',
+      ['ID', advance.taxDocuments.join(', ') || advance.number],
+      ['VariableSymbol', variableSymbol(advance.number)],
+      ['TaxableDepositAmount', xmlDecimal(line.base)],
+      ['TaxInclusiveDepositAmount', xmlDecimal(line.total)],
+      ['ClassifiedTaxCategory', ...classifiedTaxCategory(doc, line.rate)]
+    ]))] : null
+  ];
+}
+
+// One TaxSubTotal per rate; the difference is what is left after the advances' tax documents
+function taxTotal(doc) {
+  const recap = doc.vat?.recap.length
+    ? doc.vat.recap
+    : [{ rate: '0', base: doc.totals.invoiceAmount, tax: 0, total: doc.totals.invoiceAmount }];
+
+  return ['TaxTotal',
+    ...recap.map(line => {
+      const already = claimed(doc, line.rate);
+      return ['TaxSubTotal',
+        ['TaxableAmount', xmlDecimal(line.base)],
+        ['TaxAmount', xmlDecimal(line.tax)],
+        ['TaxInclusiveAmount', xmlDecimal(line.total)],
+        ['AlreadyClaimedTaxableAmount', xmlDecimal(already.base)],
+        ['AlreadyClaimedTaxAmount', xmlDecimal(already.tax)],
+        ['AlreadyClaimedTaxInclusiveAmount', xmlDecimal(already.total)],
+        ['DifferenceTaxableAmount', xmlDecimal(line.base - already.base)],
+        ['DifferenceTaxAmount', xmlDecimal(line.tax - already.tax)],
+        ['DifferenceTaxInclusiveAmount', xmlDecimal(line.total - already.total)],
+        ['TaxCategory', ...taxCategory(doc, line.rate)]
+      ];
+    }),
+    ['TaxAmount', xmlDecimal(doc.totals.tax - claimed(doc).tax)]
+  ];
+}
+
+function monetaryTotal(doc) {
+  const net = doc.vat ? doc.totals.subtotal : doc.totals.invoiceAmount;
+  const already = claimed(doc);
+  return ['LegalMonetaryTotal',
+    ['TaxExclusiveAmount', xmlDecimal(net)],
+    ['TaxInclusiveAmount', xmlDecimal(doc.totals.invoiceAmount)],
+    ['AlreadyClaimedTaxExclusiveAmount', xmlDecimal(already.base)],
+    ['AlreadyClaimedTaxInclusiveAmount', xmlDecimal(already.total)],
+    ['DifferenceTaxExclusiveAmount', xmlDecimal(net - already.base)],
+    ['DifferenceTaxInclusiveAmount', xmlDecimal(doc.totals.invoiceAmount - already.total)],
+    // Deposits without a tax document; the taxed ones are already out of the difference
+    ['PaidDepositsAmount', xmlDecimal(doc.totals.deposits - already.total)],
+    ['PayableAmount', xmlDecimal(doc.totals.total)]
+  ];
+}
+
+// Bank transfer (code 42) to the account the QR code points at; Czech accounts also by number/bank code
+function paymentMeans(inv, doc, profile) {
+  const account = paymentAccount(profile, doc.currency);
+  if (!account) return null;
+
+  const domestic = parseCzechAccount(account.number);
+  return ['PaymentMeans',
+    ['Payment',
+      ['PaidAmount', xmlDecimal(doc.totals.total)],
+      ['PaymentMeansCode', '42'],
+      ['Details',
+        ['PaymentDueDate', xmlDate(doc.dueDate)],
+        ['ID', domestic ? [domestic.prefix, domestic.number].filter(Boolean).join('-') : account.iban],
+        ['BankCode', domestic ? domestic.bank : ''],
+        ['Name', account.label || ''],
+        ['IBAN', account.iban],
+        ['BIC', account.bic || ''],
+        ['VariableSymbol', variableSymbol(inv.invoice_number)]
+      ]
+    ]
+  ];
+}
+
+export function buildIsdoc(inv, parties = {}) {
+  const { profile, client } = invoiceParties(inv, parties);
+  const doc = buildInvoiceDocument(inv, { profile, client });
+  const meta = parseJson(inv.meta, {});
+
+  return renderXml(['Invoice', { xmlns: ISDOC_NAMESPACE, version: ISDOC_VERSION },
+    ['DocumentType', String(DOCUMENT_TYPES[inv.kind] || DOCUMENT_TYPES.invoice)],
+    ['ID', doc.number],
+    ['UUID', String(inv.id).toUpperCase()],
+    ['IssuingSystem', 'BizzHub'],
+    ['IssueDate', xmlDate(doc.issueDate)],
+    doc.taxableSupplyDate ? ['TaxPointDate', xmlDate(doc.taxableSupplyDate)] : null,
+    ['VATApplicable', String(!!doc.vat)],
+    ['ElectronicPossibilityAgreementReference', ''],
+    meta.job_name || meta.reason ? ['Note', meta.reason || meta.job_name] : null,
+    ['LocalCurrencyCode', doc.currency],
+    ['CurrRate', '1'],
+    ['RefCurrRate', '1'],
+    ['AccountingSupplierParty', party(doc.supplier)],
+    ['AccountingCustomerParty', party(doc.customer)],
+    originalDocument(doc),
+    ['InvoiceLines', ...doc.items.map((item, i) => invoiceLine(doc, item, i))],
+    ...deposits(doc),
+    taxTotal(doc),
+    monetaryTotal(doc),
+    paymentMeans(inv, doc, profile)
+  ]);
+}
+
+export function isdocFileName(inv) {
+  return `Invoice-${inv.invoice_number || inv.id}.isdoc`;
+}
@@ -35,6 +35,27 @@ export const LANG = {
     delete: 'Delete',
     exportCsv: 'Export CSV',
     exportXlsx: 'Export Excel',
+    exportIsdoc: 'Export ISDOC',
+    downloadIsdoc: 'Download ISDOC',
+    dateFrom: 'From',
+    dateTo: 'To',
+    isdocFailed: 'Could not create the ISDOC export',
+    format_pohoda: 'Pohoda XML',
+    format_money: 'Money S3 XML',
+    invoices: 'Invoices',
+    lineItems: 'Line Items',
+    payments: 'Payments',
+    exportColumns: 'Columns',
+    exportColumnsTitle: 'Columns to export',
+    accountingExport: 'Accounting Export',
+    accountingExportHelp: 'Codes as they are set up in your accounting program. Invoices keep their BizzHub numbers within the series.',
+    map_number_series: 'Number series',
+    map_accounting: 'Accounting code (předkontace)',
+    map_vat_domestic: 'VAT classification - domestic',
+    map_vat_reverse_charge: 'VAT classification - reverse charge',
+    map_vat_none: 'VAT classification - not a VAT payer',
+    map_bank_account: 'Bank account (for payments)',
+    map_payment_accounting: 'Accounting code for payments',
 
     // Clients
     addClient: 'Add Client',
@@ -55,6 +76,8 @@ export const LANG = {
     bankAccounts: 'Bank Accounts',
     accountLabel: 'Label',
     accountNumber: 'Account Number',
+    accountCurrency: 'Used for invoices in',
+    anyCurrency: 'Any currency',
     idNumbers: 'ID Numbers',
     idLabel: 'Label',
     idNumber: 'Number',
@@ -96,6 +119,20 @@ export const LANG = {
     businessAddress: 'Business Address',
     businessEmail: 'Business Email',
     connectBank: 'Connect Bank Account',
+    invoiceNumbering: 'Invoice Numbering',
+    seriesPatternHelp: 'Tokens: {YYYY} {YY} {MM} {DD} and {SEQ:4} for the sequence padded to 4 digits.',
+    series_invoice: 'Invoices',
+    series_credit_note: 'Credit Notes',
+    series_quote: 'Quotes',
+    series_advance: 'Advance Invoices',
+    series_advance_tax: 'Advance Tax Documents',
+    seriesPrefix: 'Prefix',
+    seriesPattern: 'Pattern',
+    seriesNextNumber: 'Next Sequence',
+    seriesResetYearly: 'Restart every year',
+    seriesPreview: 'Next Number',
+    seriesPatternInvalid: 'The pattern must contain {SEQ}',
+    seriesRewind: 'The next number can only be moved forward: lower numbers may already have been issued',
 
     // Trash
     emptyTrash: 'Trash is empty',
@@ -129,12 +166,177 @@ export const LANG = {
     unpaid: 'Unpaid',
     overdue: 'Overdue',
     pending: 'Pending',
+    draft: 'Draft',
+    issued: 'Issued',
+    sent: 'Sent',
+    cancelled: 'Cancelled',
+    paymentStatus: 'Payment status',
+    issueInvoice: 'Issue',
+    markSent: 'Mark as sent',
+    agingReport: 'Receivables aging',
+    agingHelp: 'Outstanding balances by days past the due date',
+    days: 'days',
+    noOutstanding: 'Nothing outstanding',
+    creditNote: 'Credit note',
+    documentType: 'Document type',
+    originalInvoice: 'Original invoice',
+    createCreditNote: 'Issue credit note',
+    creditNoteReason: 'Reason for the correction',
+    creditNoteIncomplete: 'Pick at least one line with an amount and give a reason',
+    cancelInvoice: 'Cancel invoice',
+    confirmCancelInvoice: 'The invoice will be voided. It keeps its number and stays in the ledger, but nothing will be owed on it.',
+    cancelHasPayments: 'This invoice has payments recorded. Issue a credit note instead.',
+    invoiceLocked: 'Issued invoices cannot be changed or deleted. Issue a credit note instead.',
+    remindersDue: 'Reminders due',
+    noRemindersDue: 'No reminders due',
+    sendReminder: 'Payment reminder',
+    reminderLevel: 'Reminder',
+    reminder_first: 'First reminder',
+    reminder_second: 'Second reminder',
+    reminder_final: 'Final notice',
+    reminderDate: 'Reminder date',
+    daysOverdue: 'Days overdue',
+    chargeInterest: 'Charge statutory late-payment interest',
+    interestRate: 'Interest rate (% a year)',
+    interestHelp: 'ČNB repo rate on the first day of the half-year the delay began in, plus 8 percentage points',
+    repoRateUnknown: 'No ČNB repo rate for this half-year yet: the last known one is used. Check it and add it on your profile.',
+    repoRates: 'ČNB repo rates',
+    repoRatesHelp: 'Repo rates for half-years the app does not know yet, for late-payment interest: one line per half-year with its first day and the rate, e.g. 2026-01-01 3.50.',
+    repoRatesInvalid: 'Each repo rate line needs a date (YYYY-MM-DD) and a rate',
+    reminderHistory: 'Reminders sent',
+    noReminders: 'No reminders sent yet',
+    createReminder: 'Download and record',
+    reminderRecorded: 'Reminder recorded',
+    sendEmail: 'Send by email',
+    emailTo: 'To',
+    emailCc: 'Cc',
+    emailSubject: 'Subject',
+    emailBody: 'Message',
+    emailLanguage: 'Email language',
+    language_cs: 'Czech',
+    language_en: 'English',
+    language_both: 'Czech and English',
+    emailPlaceholders: 'Placeholders',
+    send: 'Send',
+    emailSent: 'Invoice sent',
+    emailFailed: 'The email could not be sent',
+    emailRecipientMissing: 'Enter at least one recipient',
+    mailUnavailable: 'Emailing invoices needs an online account',
+    mailNotConfigured: 'Email is not set up on the server yet, nothing was sent',
+    emailRecipientsHelp: 'Invoices can be sent to the client emails in the client details and copied to your own email from the profile.',
+    emailRecipientNotAllowed: 'Only the client emails or your own email can receive the invoice',
+    emailRateLimited: 'Too many emails sent in the last hour, try again later',
+    recurringInvoices: 'Recurring invoices',
+    recurringHelp: 'Invoices are created automatically on each run date. Those to be emailed wait on the dashboard until you send them, unless they go out automatically.',
+    addRecurring: 'Add recurring invoice',
+    editRecurring: 'Edit recurring invoice',
+    deleteRecurring: 'Delete recurring invoice',
+    recurringName: 'Name',
+    interval: 'Interval',
+    interval_weekly: 'Weekly',
+    interval_monthly: 'Monthly',
+    interval_quarterly: 'Quarterly',
+    interval_yearly: 'Yearly',
+    nextRun: 'Next run',
+    dueDays: 'Due in (days)',
+    fromClient: 'From client',
+    quantity: 'Quantity',
+    recurringActive: 'Active',
+    recurringPaused: 'Paused',
+    recurringEnded: 'Ended',
+    recurringSendEmail: 'Queue for emailing to the client',
+    recurringAutoSend: 'Email to the client automatically, with the ISDOC file instead of the PDF',
+    emailQueue: 'Ready to email',
+    recurringItemsHelp: 'Use {period} in a description for the billed period, e.g. 10/2026.',
+    recurringIncomplete: 'Fill in the client, name, next run and at least one item',
+    recurringEndBeforeStart: 'The end date is before the next run',
+    upcomingRuns: 'Upcoming runs (90 days)',
+    noUpcomingRuns: 'No runs scheduled',
+    ratePrice: 'Rate / price',
+    lineItemsHelp: 'Leave the hours empty to charge the rate as a flat price.',
+    quotes: 'Quotes',
+    quotesHelp: 'Price quotes for the client; an accepted quote becomes a job or an invoice.',
+    addQuote: 'New Quote',
+    editQuote: 'Edit Quote',
+    deleteQuote: 'Delete this quote?',
+    quoteNumber: 'Quote No.',
+    validUntil: 'Valid until',
+    quote_draft: 'Draft',
+    quote_sent: 'Sent',
+    quote_accepted: 'Accepted',
+    quote_rejected: 'Rejected',
+    quote_expired: 'Expired',
+    markQuoteSent: 'Mark as sent',
+    acceptQuote: 'Accepted by the client',
+    rejectQuote: 'Rejected by the client',
+    convertToJob: 'Create job',
+    convertToInvoice: 'Create invoice',
+    fromQuote: 'From quote',
+    quoteIncomplete: 'Fill in the client, name, validity and at least one item',
+    quoteConverted: 'The quote has already been converted',
+    advances: 'Advance invoices',
+    noAdvances: 'No advance invoices yet. Issue one with 🧾 in the jobs list.',
+    advancesAfterSave: 'Advance invoices can be issued once the job is saved.',
+    advanceInvoice: 'Advance invoice',
+    advanceTaxDocument: 'Tax document for payment',
+    issueAdvance: 'Issue advance invoice',
+    advanceAmount: 'Advance amount incl. VAT',
+    advanceAmountInvalid: 'Enter an amount greater than zero',
+    partially_paid: 'Partially paid',
+    overpaid: 'Overpaid',
+    paymentHistory: 'Payments',
+    addPayment: 'Record payment',
+    paymentDate: 'Payment date',
+    paymentMethod: 'Method',
+    method_bank_transfer: 'Bank transfer',
+    method_cash: 'Cash',
+    method_card: 'Card',
+    method_other: 'Other',
+    note: 'Note',
+    invoiceTotal: 'Invoice total',
+    paidSoFar: 'Received',
+    balanceDue: 'Balance due',
+    noPayments: 'No payments recorded yet',
+    paymentAmountInvalid: 'Enter an amount other than zero',
+    paymentSaved: 'Payment recorded',
+    deletePayment: 'Delete payment',
 
     // Messages
     saveSuccess: 'Saved successfully',
     deleteSuccess: 'Deleted successfully',
     restoreSuccess: 'Restored successfully',
+    restoreKeptIssued: 'Restored, except issued invoices that changed since the backup',
     error: 'An error occurred',
+    sessionExpired: 'Your session has expired, please log in again',
+    sync_synced: 'Synced',
+    sync_syncing: 'Syncing…',
+    sync_pending: 'Offline changes',
+    sync_offline: 'Offline',
+    sync_error: 'Sync error',
+    sync_local: 'Stored on this device',
+    localOnly: 'Local only',
+    syncRejected: 'A change was rejected by the server and has been undone',
+    conflictTitle: 'Edited on another device',
+    conflictMessage: 'This record was changed elsewhere after you started editing. Choose which value to keep for each field.',
+    conflictKeepMine: 'Keep all mine',
+    conflictTakeTheirs: 'Take all theirs',
+    conflictField: 'Field',
+    conflictMine: 'My version',
+    conflictTheirs: 'Their version',
+    conflictResolved: 'Changes merged',
+    pdfFailed: 'Could not create the PDF',
+    ibanRequired: 'Add a bank account with a valid IBAN or Czech account number to your profile before issuing invoices',
+    bankNumberInvalid: 'A bank account number is not a valid IBAN or Czech account number',
+    ibanInvalid: 'The IBAN is not valid - check for typos',
+    bicInvalid: 'The BIC / SWIFT code must have 8 or 11 characters, e.g. GIBACZPX',
+    vat: 'VAT',
+    vatPayer: 'I am a VAT payer',
+    defaultVatRate: 'Default VAT rate',
+    vatRate: 'VAT rate',
+    reverseCharge: 'Reverse charge',
+    vatFromProfile: 'Profile default',
+    vatFromClient: 'Client default',
+    taxableSupplyDate: 'Date of taxable supply',
     confirmDelete: 'Are you sure you want to delete this?',
     confirmDeleteForever: 'This will permanently delete the item. Continue?',
     noData: 'No data available',
@@ -176,6 +378,27 @@ export const LANG = {
     delete: 'Smazat',
     exportCsv: 'Exportovat CSV',
     exportXlsx: 'Exportovat Excel',
+    exportIsdoc: 'Exportovat ISDOC',
+    downloadIsdoc: 'Stáhnout ISDOC',
+    dateFrom: 'Od',
+    dateTo: 'Do',
+    isdocFailed: 'Export ISDOC se nepodařilo vytvořit',
+    format_pohoda: 'Pohoda XML',
+    format_money: 'Money S3 XML',
+    invoices: 'Faktury',
+    lineItems: 'Položky',
+    payments: 'Platby',
+    exportColumns: 'Sloupce',
+    exportColumnsTitle: 'Sloupce v exportu',
+    accountingExport: 'Export do účetnictví',
+    accountingExportHelp: 'Zkratky tak, jak jsou nastavené ve vašem účetním programu. Faktury si v řadě ponechají čísla z BizzHubu.',
+    map_number_series: 'Číselná řada',
+    map_accounting: 'Předkontace',
+    map_vat_domestic: 'Členění DPH - tuzemsko',
+    map_vat_reverse_charge: 'Členění DPH - přenesená daňová povinnost',
+    map_vat_none: 'Členění DPH - neplátce',
+    map_bank_account: 'Bankovní účet (pro úhrady)',
+    map_payment_accounting: 'Předkontace úhrad',
 
     // Clients
     addClient: 'Přidat klienta',
@@ -196,6 +419,8 @@ export const LANG = {
     bankAccounts: 'Bankovní účty',
     accountLabel: 'Popis',
     accountNumber: 'Číslo účtu',
+    accountCurrency: 'Použít pro faktury v měně',
+    anyCurrency: 'Libovolná měna',
     idNumbers: 'Identifikační čísla',
     idLabel: 'Typ',
     idNumber: 'Číslo',
@@ -237,6 +462,20 @@ export const LANG = {
     businessAddress: 'Adresa firmy',
     businessEmail: 'Firemní email',
     connectBank: 'Připojit bankovní účet',
+    invoiceNumbering: 'Číslování faktur',
+    seriesPatternHelp: 'Zástupné znaky: {YYYY} {YY} {MM} {DD} a {SEQ:4} pro pořadové číslo doplněné na 4 číslice.',
+    series_invoice: 'Faktury',
+    series_credit_note: 'Dobropisy',
+    series_quote: 'Nabídky',
+    series_advance: 'Zálohové faktury',
+    series_advance_tax: 'Daňové doklady k platbám',
+    seriesPrefix: 'Předpona',
+    seriesPattern: 'Formát',
+    seriesNextNumber: 'Další pořadové číslo',
+    seriesResetYearly: 'Začínat každý rok znovu',
+    seriesPreview: 'Další číslo',
+    seriesPatternInvalid: 'Formát musí obsahovat {SEQ}',
+    seriesRewind: 'Další číslo lze jen posunout dopředu: nižší čísla už mohla být vydána',
 
     // Trash
     emptyTrash: 'Koš je prázdný',
@@ -270,12 +509,177 @@ export const LANG = {
     unpaid: 'Nezaplaceno',
     overdue: 'Po splatnosti',
     pending: 'Čeká',
+    draft: 'Koncept',
+    issued: 'Vystaveno',
+    sent: 'Odesláno',
+    cancelled: 'Stornováno',
+    paymentStatus: 'Stav úhrady',
+    issueInvoice: 'Vystavit',
+    markSent: 'Označit jako odeslané',
+    agingReport: 'Stárnutí pohledávek',
+    agingHelp: 'Neuhrazené částky podle počtu dní po splatnosti',
+    days: 'dní',
+    noOutstanding: 'Žádné neuhrazené pohledávky',
+    creditNote: 'Dobropis',
+    documentType: 'Typ dokladu',
+    originalInvoice: 'Původní faktura',
+    createCreditNote: 'Vystavit dobropis',
+    creditNoteReason: 'Důvod opravy',
+    creditNoteIncomplete: 'Vyberte alespoň jednu položku s částkou a uveďte důvod',
+    cancelInvoice: 'Stornovat fakturu',
+    confirmCancelInvoice: 'Faktura bude stornována. Číslo jí zůstane a zůstane v evidenci, ale nebude se z ní nic dlužit.',
+    cancelHasPayments: 'K této faktuře jsou zaznamenány platby. Vystavte místo toho dobropis.',
+    invoiceLocked: 'Vystavenou fakturu nelze měnit ani smazat. Vystavte místo toho dobropis.',
+    remindersDue: 'Upomínky k odeslání',
+    noRemindersDue: 'Žádné upomínky k odeslání',
+    sendReminder: 'Upomínka',
+    reminderLevel: 'Upomínka',
+    reminder_first: 'První upomínka',
+    reminder_second: 'Druhá upomínka',
+    reminder_final: 'Poslední upomínka',
+    reminderDate: 'Datum upomínky',
+    daysOverdue: 'Dní po splatnosti',
+    chargeInterest: 'Účtovat zákonný úrok z prodlení',
+    interestRate: 'Úroková sazba (% ročně)',
+    interestHelp: 'Repo sazba ČNB k prvnímu dni pololetí, v němž prodlení začalo, zvýšená o 8 procentních bodů',
+    repoRateUnknown: 'Repo sazbu ČNB pro toto pololetí zatím neznáme: použita je poslední známá. Ověřte ji a doplňte v profilu.',
+    repoRates: 'Repo sazby ČNB',
+    repoRatesHelp: 'Repo sazby pro pololetí, která aplikace ještě nezná, pro úrok z prodlení: na každý řádek první den pololetí a sazbu, např. 2026-01-01 3.50.',
+    repoRatesInvalid: 'Každý řádek repo sazeb potřebuje datum (RRRR-MM-DD) a sazbu',
+    reminderHistory: 'Odeslané upomínky',
+    noReminders: 'Zatím nebyla odeslána žádná upomínka',
+    createReminder: 'Stáhnout a zaznamenat',
+    reminderRecorded: 'Upomínka zaznamenána',
+    sendEmail: 'Odeslat e-mailem',
+    emailTo: 'Komu',
+    emailCc: 'Kopie',
+    emailSubject: 'Předmět',
+    emailBody: 'Zpráva',
+    emailLanguage: 'Jazyk e-mailu',
+    language_cs: 'Česky',
+    language_en: 'Anglicky',
+    language_both: 'Česky a anglicky',
+    emailPlaceholders: 'Zástupné symboly',
+    send: 'Odeslat',
+    emailSent: 'Faktura odeslána',
+    emailFailed: 'E-mail se nepodařilo odeslat',
+    emailRecipientMissing: 'Zadejte alespoň jednoho příjemce',
+    mailUnavailable: 'Odesílání faktur e-mailem vyžaduje online účet',
+    mailNotConfigured: 'Odesílání e-mailů zatím není na serveru nastavené, nic nebylo odesláno',
+    emailRecipientsHelp: 'Fakturu lze poslat na e-maily klienta uvedené v jeho údajích a v kopii na váš e-mail z profilu.',
+    emailRecipientNotAllowed: 'Fakturu mohou dostat jen e-maily klienta nebo váš vlastní e-mail',
+    emailRateLimited: 'Za poslední hodinu bylo odesláno příliš mnoho e-mailů, zkuste to později',
+    recurringInvoices: 'Opakované faktury',
+    recurringHelp: 'Faktury se vystaví automaticky v den každého běhu. Ty k odeslání e-mailem čekají na přehledu, dokud je neodešlete, pokud neodcházejí automaticky.',
+    addRecurring: 'Přidat opakovanou fakturu',
+    editRecurring: 'Upravit opakovanou fakturu',
+    deleteRecurring: 'Smazat opakovanou fakturu',
+    recurringName: 'Název',
+    interval: 'Interval',
+    interval_weekly: 'Týdně',
+    interval_monthly: 'Měsíčně',
+    interval_quarterly: 'Čtvrtletně',
+    interval_yearly: 'Ročně',
+    nextRun: 'Příští běh',
+    dueDays: 'Splatnost (dny)',
+    fromClient: 'Podle klienta',
+    quantity: 'Množství',
+    recurringActive: 'Aktivní',
+    recurringPaused: 'Pozastaveno',
+    recurringEnded: 'Ukončeno',
+    recurringSendEmail: 'Připravit k odeslání klientovi e-mailem',
+    recurringAutoSend: 'Odeslat klientovi e-mailem automaticky, se souborem ISDOC místo PDF',
+    emailQueue: 'Připraveno k odeslání',
+    recurringItemsHelp: 'Zástupný symbol {period} v popisu se nahradí fakturovaným obdobím, např. 10/2026.',
+    recurringIncomplete: 'Vyplňte klienta, název, příští běh a alespoň jednu položku',
+    recurringEndBeforeStart: 'Datum ukončení je před příštím během',
+    upcomingRuns: 'Nadcházející běhy (90 dní)',
+    noUpcomingRuns: 'Žádné naplánované běhy',
+    ratePrice: 'Sazba / cena',
+    lineItemsHelp: 'Bez vyplněných hodin se sazba účtuje jako pevná cena.',
+    quotes: 'Nabídky',
+    quotesHelp: 'Cenové nabídky pro klienty; přijatá nabídka se změní v zakázku nebo fakturu.',
+    addQuote: 'Nová nabídka',
+    editQuote: 'Upravit nabídku',
+    deleteQuote: 'Smazat tuto nabídku?',
+    quoteNumber: 'Číslo nabídky',
+    validUntil: 'Platnost do',
+    quote_draft: 'Koncept',
+    quote_sent: 'Odeslaná',
+    quote_accepted: 'Přijatá',
+    quote_rejected: 'Odmítnutá',
+    quote_expired: 'Propadlá',
+    markQuoteSent: 'Označit jako odeslanou',
+    acceptQuote: 'Klient přijal',
+    rejectQuote: 'Klient odmítl',
+    convertToJob: 'Vytvořit zakázku',
+    convertToInvoice: 'Vytvořit fakturu',
+    fromQuote: 'Z nabídky',
+    quoteIncomplete: 'Vyplňte klienta, název, platnost a alespoň jednu položku',
+    quoteConverted: 'Nabídka už byla převedena',
+    advances: 'Zálohové faktury',
+    noAdvances: 'Zatím žádné zálohové faktury. Vystavíte je přes 🧾 v seznamu zakázek.',
+    advancesAfterSave: 'Zálohové faktury lze vystavit po uložení zakázky.',
+    advanceInvoice: 'Zálohová faktura',
+    advanceTaxDocument: 'Daňový doklad k platbě',
+    issueAdvance: 'Vystavit zálohovou fakturu',
+    advanceAmount: 'Výše zálohy vč. DPH',
+    advanceAmountInvalid: 'Zadejte částku větší než nula',
+    partially_paid: 'Částečně zaplaceno',
+    overpaid: 'Přeplaceno',
+    paymentHistory: 'Platby',
+    addPayment: 'Zaznamenat platbu',
+    paymentDate: 'Datum platby',
+    paymentMethod: 'Způsob',
+    method_bank_transfer: 'Převodem',
+    method_cash: 'Hotově',
+    method_card: 'Kartou',
+    method_other: 'Jinak',
+    note: 'Poznámka',
+    invoiceTotal: 'Částka faktury',
+    paidSoFar: 'Přijato',
+    balanceDue: 'Zbývá uhradit',
+    noPayments: 'Zatím nebyly zaznamenány žádné platby',
+    paymentAmountInvalid: 'Zadejte nenulovou částku',
+    paymentSaved: 'Platba zaznamenána',
+    deletePayment: 'Smazat platbu',
 
     // Messages
     saveSuccess: 'Úspěšně uloženo',
     deleteSuccess: 'Úspěšně smazáno',
     restoreSuccess: 'Úspěšně obnoveno',
+    restoreKeptIssued: 'Obnoveno kromě vystavených faktur, které se od zálohy změnily',
     error: 'Došlo k chybě',
+    sessionExpired: 'Vaše přihlášení vypršelo, přihlaste se prosím znovu',
+    sync_synced: 'Synchronizováno',
+    sync_syncing: 'Synchronizace…',
+    sync_pending: 'Neodeslané změny',
+    sync_offline: 'Offline',
+    sync_error: 'Chyba synchronizace',
+    sync_local: 'Uloženo v tomto zařízení',
+    localOnly: 'Pouze lokálně',
+    syncRejected: 'Server změnu odmítl, byla vrácena zpět',
+    conflictTitle: 'Upraveno na jiném zařízení',
+    conflictMessage: 'Tento záznam byl mezitím změněn jinde. U každého pole vyberte, kterou hodnotu ponechat.',
+    conflictKeepMine: 'Ponechat vše moje',
+    conflictTakeTheirs: 'Převzít vše jejich',
+    conflictField: 'Pole',
+    conflictMine: 'Moje verze',
+    conflictTheirs: 'Jejich verze',
+    conflictResolved: 'Změny sloučeny',
+    pdfFailed: 'PDF se nepodařilo vytvořit',
+    ibanRequired: 'Před vystavením faktury doplňte v profilu bankovní účet s platným IBAN nebo českým číslem účtu',
+    bankNumberInvalid: 'Číslo bankovního účtu není platný IBAN ani české číslo účtu',
+    ibanInvalid: 'IBAN není platný - zkontrolujte překlepy',
+    bicInvalid: 'Kód BIC / SWIFT musí mít 8 nebo 11 znaků, např. GIBACZPX',
+    vat: 'DPH',
+    vatPayer: 'Jsem plátce DPH',
+    defaultVatRate: 'Výchozí sazba DPH',
+    vatRate: 'Sazba DPH',
+    reverseCharge: 'Přenesená daňová povinnost',
+    vatFromProfile: 'Podle profilu',
+    vatFromClient: 'Podle klienta',
+    taxableSupplyDate: 'Datum uskutečnění zdanitelného plnění',
     confirmDelete: 'Opravdu chcete toto smazat?',
     confirmDeleteForever: 'Tímto položku trvale smažete. Pokračovat?',
     noData: 'Žádná data k zobrazení',
@@ -0,0 +1,138 @@
+// ledger.js
+// Ledger export: CSV (RFC 4180, UTF-8 with BOM so Excel reads the diacritics) and multi-sheet XLSX
+
+import { t } from './lang.js';
+import { parseJson } from './invoice.js';
+import { isAdvanceTax } from './advances.js';
+import { isCreditNote } from './creditnotes.js';
+import { invoiceState } from './lifecycle.js';
+import { paymentStatus, receivedPayments } from './payments.js';
+import { xmlDate } from './xml.js';
+
+// Columns the ledger can export; the ones the dashboard table shows are picked by default
+export const LEDGER_COLUMNS = [
+  { key: 'index', label: () => '#', visible: true },
+  { key: 'dateIssued', visible: true },
+  { key: 'dateDue', visible: true },
+  { key: 'invoiceNumber', visible: true },
+  { key: 'client', visible: true },
+  { key: 'description', visible: true },
+  { key: 'amount', visible: true },
+  { key: 'currency', visible: true },
+  { key: 'status', visible: true },
+  { key: 'paymentStatus' },
+  { key: 'documentType' },
+  { key: 'originalInvoice' },
+  { key: 'taxableSupplyDate' },
+  { key: 'subtotal' },
+  { key: 'vat' }
+];
+
+export const DEFAULT_LEDGER_COLUMNS = LEDGER_COLUMNS.filter(column => column.visible).map(column => column.key);
+
+function columnLabel(column) {
+  return column.label ? column.label() : t(column.key);
+}
+
+// Language keys of the document kinds; anything else is an invoice
+const DOCUMENT_TYPES = { credit_note: 'creditNote', advance: 'advanceInvoice', advance_tax: 'advanceTaxDocument' };
+
+function invoiceCurrency(inv, client) {
+  return inv.currency || client?.currency || 'CZK';
+}
+
+function invoiceValues(inv, index, client, { payments, allInvoices }) {
+  const items = parseJson(inv.items, []);
+  return {
+    index: index + 1,
+    dateIssued: xmlDate(inv.created_at) || '',
+    dateDue: xmlDate(inv.due_date) || '',
+    invoiceNumber: inv.invoice_number || '',
+    client: client?.name || '',
+    description: items[0]?.description || '',
+    amount: Number(inv.total) || 0,
+    currency: invoiceCurrency(inv, client),
+    documentType: t(DOCUMENT_TYPES[inv.kind] || 'invoice'),
+    // The document a credit note corrects, or the advance a tax document received payment on
+    originalInvoice: isCreditNote(inv) ? parseJson(inv.meta, {}).original_number || ''
+      : isAdvanceTax(inv) ? parseJson(inv.meta, {}).advance_number || '' : '',
+    status: t(invoiceState(inv, { payments, invoices: allInvoices })),
+    paymentStatus: isCreditNote(inv) || isAdvanceTax(inv) ? '' : t(paymentStatus(inv, payments, allInvoices)),
+    taxableSupplyDate: xmlDate(inv.taxable_supply_date) || '',
+    subtotal: Number(inv.subtotal) || 0,
+    vat: Number(inv.tax) || 0
+  };
+}
+
+// Rows as arrays, header first, for the chosen column keys in ledger order.
+// allInvoices is everything loaded, so credit notes dated outside the exported range still count.
+export function invoiceSheet(invoices, { clients, payments = [], allInvoices = invoices, columns = DEFAULT_LEDGER_COLUMNS }) {
+  const picked = LEDGER_COLUMNS.filter(column => columns.includes(column.key));
+  return [
+    picked.map(columnLabel),
+    ...invoices.map((inv, i) => {
+      const values = invoiceValues(inv, i, clients.find(c => c.id === inv.client_id), { payments, allInvoices });
+      return picked.map(column => values[column.key]);
+    })
+  ];
+}
+
+export function lineItemSheet(invoices, { clients }) {
+  const rows = [[t('invoiceNumber'), t('dateIssued'), t('client'), t('description'), t('hours'), t('rate'), t('vatRate'), t('amount'), t('currency')]];
+  invoices.forEach(inv => {
+    const client = clients.find(c => c.id === inv.client_id);
+    parseJson(inv.items, []).forEach(item => {
+      const hours = item.hours === null || item.hours === undefined || item.hours === '' ? '' : Number(item.hours);
+      const rate = item.rate === null || item.rate === undefined || item.rate === '' ? '' : Number(item.rate);
+      rows.push([
+        inv.invoice_number || '',
+        xmlDate(inv.created_at) || '',
+        client?.name || '',
+        item.description || '',
+        hours,
+        rate,
+        item.vat_rate ?? '',
+        Number(item.amount) || (Number(hours) || 0) * (Number(rate) || 0),
+        invoiceCurrency(inv, client)
+      ]);
+    });
+  });
+  return rows;
+}
+
+export function paymentSheet(invoices, { clients, payments = [] }) {
+  return [
+    [t('date'), t('invoiceNumber'), t('client'), t('amount'), t('currency'), t('paymentMethod'), t('note')],
+    ...receivedPayments(invoices, payments).map(({ invoice, amount, date, method, note }) => {
+      const client = clients.find(c => c.id === invoice.client_id);
+      return [
+        xmlDate(date) || '',
+        invoice.invoice_number || '',
+        client?.name || '',
+        amount,
+        invoiceCurrency(invoice, client),
+        method ? t(`method_${method}`) : '',
+        note || ''
+      ];
+    })
+  ];
+}
+
+// RFC 4180: fields with a comma, quote or line break are quoted, quotes doubled, CRLF between records
+function csvField(value) {
+  const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Workbook with the invoices, their line items and the payments received on them
+export function ledgerWorkbook(XLSX, invoices, options) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(invoiceSheet(invoices, options)), t('invoices'));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(lineItemSheet(invoices, options)), t('lineItems'));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(paymentSheet(invoices, options)), t('payments'));
+  return wb;
+}
@@ -0,0 +1,71 @@
+// lifecycle.js
+// Invoice lifecycle: draft -> issued -> sent, then overdue or paid; cancelled at any point
+//
+// Only draft, issued, sent and cancelled are stored in invoices.status. Paid follows from the
+// recorded payments and overdue from the due date, so both are derived here and nowhere else.
+// Credit notes only ever take their stored state: they are settled through the invoice they correct.
+// A tax document for a received advance payment is paid by definition, and so is an advance the
+// job's final invoice has deducted: anything left on it is owed on the final invoice.
+
+import { isAdvance, isAdvanceTax, isDeducted } from './advances.js';
+import { isCreditNote } from './creditnotes.js';
+import { isSettled, paymentStatus } from './payments.js';
+
+export const INVOICE_STATES = ['draft', 'issued', 'sent', 'overdue', 'paid', 'cancelled'];
+export const STORED_STATES = ['draft', 'issued', 'sent', 'cancelled'];
+
+// Badge colour per state
+export const STATE_BADGES = {
+  draft: 'muted',
+  issued: 'info',
+  sent: 'info',
+  overdue: 'danger',
+  paid: 'success',
+  cancelled: 'muted'
+};
+
+// Stored state changes the user may make by hand
+export const TRANSITIONS = {
+  draft: ['issued', 'cancelled'],
+  issued: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  cancelled: []
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses saved before the lifecycle existed ('unpaid', 'paid', 'pending'...) were issued invoices
+export function storedState(invoice) {
+  return STORED_STATES.includes(invoice.status) ? invoice.status : 'issued';
+}
+
+function startOfDay(value) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+// Whole days since the due date; zero until the day after it
+export function daysOverdue(invoice, today = new Date()) {
+  if (!invoice.due_date) return 0;
+  const due = startOfDay(invoice.due_date);
+  if (isNaN(due)) return 0;
+  return Math.max(Math.round((startOfDay(today) - due) / DAY), 0);
+}
+
+// payments and invoices are everything loaded; the invoice's own payments and credit notes are found in them
+export function invoiceState(invoice, { payments = [], invoices = [] } = {}, today = new Date()) {
+  const stored = storedState(invoice);
+  if (stored === 'draft' || stored === 'cancelled' || isCreditNote(invoice)) return stored;
+  if (isAdvanceTax(invoice) || (isAdvance(invoice) && isDeducted(invoice, invoices))) return 'paid';
+  if (isSettled(paymentStatus(invoice, payments, invoices))) return 'paid';
+  if (daysOverdue(invoice, today) > 0) return 'overdue';
+  return stored;
+}
+
+// Issued to the client and still waiting for money
+export function isOutstanding(state) {
+  return state === 'issued' || state === 'sent' || state === 'overdue';
+}
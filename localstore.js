@@ -0,0 +1,140 @@
+// localstore.js
+
+// IndexedDB replica of the user's tables plus the outbox of writes waiting to sync
+
+export const REPLICA_TABLES = ['clients', 'jobs', 'timesheets', 'invoices', 'payments', 'quotes', 'recurring_invoices', 'business'];
+
+// Bumped whenever a table is added, so existing replicas create its object store
+const DB_VERSION = 4;
+const OUTBOX = 'outbox';
+const META = 'meta';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+export class LocalStore {
+  constructor(name, tables = REPLICA_TABLES) {
+    this.name = name;
+    this.tables = tables;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(this.name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        this.tables.forEach(table => {
+          if (!db.objectStoreNames.contains(table)) db.createObjectStore(table, { keyPath: 'id' });
+        });
+        if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'seq', autoIncrement: true });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'key' });
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn against the named object stores inside one IndexedDB transaction.
+  // If fn throws, the transaction is aborted and none of its writes are kept.
+  async run(storeNames, mode, fn) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const stores = Object.fromEntries([].concat(storeNames).map(name => [name, tx.objectStore(name)]));
+
+    let result;
+    try {
+      result = await fn(stores);
+    } catch (err) {
+      done.catch(() => {});
+      try {
+        tx.abort();
+      } catch (e) {
+        // Already finished or aborted by the failing request
+      }
+      throw err;
+    }
+
+    await done;
+    return result;
+  }
+
+  // Read-write transaction with a small row API: all(table), get(table, id), put(table, row), remove(table, id)
+  async transact(storeNames, fn) {
+    return this.run(storeNames, 'readwrite', stores => fn({
+      all: table => promisify(stores[table].getAll()),
+      get: async (table, id) => (await promisify(stores[table].get(id))) || null,
+      put: (table, row) => promisify(stores[table].put(row)),
+      remove: (table, id) => promisify(stores[table].delete(id))
+    }));
+  }
+
+  async getAll(table) {
+    return this.run(table, 'readonly', stores => promisify(stores[table].getAll()));
+  }
+
+  async get(table, id) {
+    const row = await this.run(table, 'readonly', stores => promisify(stores[table].get(id)));
+    return row || null;
+  }
+
+  async put(table, rows) {
+    return this.run(table, 'readwrite', stores => {
+      [].concat(rows).forEach(row => stores[table].put(row));
+    });
+  }
+
+  async remove(table, id) {
+    return this.run(table, 'readwrite', stores => {
+      stores[table].delete(id);
+    });
+  }
+
+  // Swap a table's contents for fresh server rows, leaving rows with unsynced edits untouched
+  async replaceAll(table, rows, keepIds = new Set()) {
+    return this.run(table, 'readwrite', async stores => {
+      const store = stores[table];
+      const existing = await promisify(store.getAllKeys());
+      existing.filter(id => !keepIds.has(id)).forEach(id => store.delete(id));
+      rows.filter(row => !keepIds.has(row.id)).forEach(row => store.put(row));
+    });
+  }
+
+  async enqueue(entry) {
+    return this.run(OUTBOX, 'readwrite', stores => promisify(stores[OUTBOX].add({ ...entry, queued_at: new Date().toISOString() })));
+  }
+
+  async outbox() {
+    return this.run(OUTBOX, 'readonly', stores => promisify(stores[OUTBOX].getAll()));
+  }
+
+  async dequeue(seq) {
+    return this.run(OUTBOX, 'readwrite', stores => {
+      stores[OUTBOX].delete(seq);
+    });
+  }
+
+  async getMeta(key) {
+    const entry = await this.run(META, 'readonly', stores => promisify(stores[META].get(key)));
+    return entry ? entry.value : null;
+  }
+
+  async setMeta(key, value) {
+    return this.run(META, 'readwrite', stores => {
+      stores[META].put({ key, value });
+    });
+  }
+}
@@ -0,0 +1,52 @@
+// lock.js
+// Issued invoices are frozen: shared by the browser and the Netlify functions
+//
+// Once an invoice leaves draft, its number, lines, totals, dates and parties are what the client
+// received. From then on only its lifecycle state, payment status, sent time and reminders move;
+// anything that changes what is owed on it goes through credit notes and payments instead.
+
+// Columns a locked invoice may still change (system columns are stamped by the backends)
+const MUTABLE_COLUMNS = ['status', 'payment_status', 'sent_at', 'reminders', 'deleted', 'id', 'user_id', 'updated_at'];
+
+export function isLocked(invoice) {
+  return !!invoice && invoice.status !== 'draft';
+}
+
+// JSON columns may come back parsed and with their keys reordered, numbers as numeric strings
+function canonical(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return JSON.stringify(value);
+    }
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  return JSON.stringify(value ?? null);
+}
+
+// Why writing `changes` over `current` is refused, or null when it may go ahead.
+// changes === null is a hard delete. Rewriting a column with the value it already holds
+// (e.g. restoring a backup) is not a change.
+export function lockViolation(current, changes) {
+  if (!isLocked(current)) return null;
+
+  if (changes === null) {
+    return { message: `Invoice ${current.invoice_number || current.id} is issued and can't be deleted`, columns: [] };
+  }
+
+  const columns = Object.keys(changes || {}).filter(column =>
+    !MUTABLE_COLUMNS.includes(column) && canonical(changes[column]) !== canonical(current[column])
+  );
+  if (changes?.status === 'draft') columns.push('status');
+  if (current.status === 'cancelled' && changes?.status && changes.status !== 'cancelled') columns.push('status');
+  // Taken out of the trash, never put into it
+  if (changes?.deleted && !current.deleted) columns.push('deleted');
+
+  return columns.length
+    ? { message: `Invoice ${current.invoice_number || current.id} is issued; ${columns.join(', ')} can't be changed`, columns }
+    : null;
+}
@@ -0,0 +1,161 @@
+// netlify/functions/_shared/auth.js
+// Netlify Identity JWT verification shared by the database functions
+
+import crypto from 'crypto';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Seconds of clock skew tolerated on exp/nbf checks
+const CLOCK_TOLERANCE = 30;
+
+// JWKS responses are cached per URL for this long
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+const jwksCache = {};
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+export class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function getConfig() {
+  return {
+    secret: process.env.JWT_SECRET || null,
+    jwksUrl: process.env.JWT_JWKS_URL || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    issuer: process.env.JWT_ISSUER || null
+  };
+}
+
+async function fetchJwks(url) {
+  const cached = jwksCache[url];
+  if (cached && Date.now() - cached.timestamp < JWKS_CACHE_TTL) {
+    return cached.keys;
+  }
+
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new AuthError('jwks_unavailable', `Could not fetch signing keys: ${res.status}`);
+  }
+  const { keys } = await res.json();
+  jwksCache[url] = { keys: keys || [], timestamp: Date.now() };
+  return jwksCache[url].keys;
+}
+
+function verifyHmac(alg, signingInput, signature, secret) {
+  const expected = crypto.createHmac(HMAC_ALGORITHMS[alg], secret).update(signingInput).digest();
+  return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+}
+
+async function verifyWithJwks(alg, header, signingInput, signature, jwksUrl) {
+  const keys = await fetchJwks(jwksUrl);
+  const jwk = keys.find(k => (header.kid ? k.kid === header.kid : true) && (!k.alg || k.alg === alg));
+  if (!jwk) {
+    throw new AuthError('token_key_unknown', 'No signing key matches this token');
+  }
+
+  const { hash, dsaEncoding } = ASYMMETRIC_ALGORITHMS[alg];
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  return crypto.verify(hash, Buffer.from(signingInput), dsaEncoding ? { key, dsaEncoding } : key, signature);
+}
+
+function checkAudience(claim, audience) {
+  const audiences = Array.isArray(claim) ? claim : [claim];
+  return audiences.includes(audience);
+}
+
+// Verify signature, expiry, audience and issuer. Returns the token claims.
+export async function verifyToken(token) {
+  const config = getConfig();
+  if (!config.secret && !config.jwksUrl) {
+    throw new AuthError('auth_not_configured', 'Neither JWT_SECRET nor JWT_JWKS_URL is set');
+  }
+
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('token_malformed', 'Token is not a JWT');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (e) {
+    throw new AuthError('token_malformed', 'Token segments are not valid JSON');
+  }
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+  const alg = header.alg;
+
+  let valid;
+  if (HMAC_ALGORITHMS[alg] && config.secret) {
+    valid = verifyHmac(alg, signingInput, signature, config.secret);
+  } else if (ASYMMETRIC_ALGORITHMS[alg] && config.jwksUrl) {
+    valid = await verifyWithJwks(alg, header, signingInput, signature, config.jwksUrl);
+  } else {
+    throw new AuthError('token_algorithm', `Unsupported token algorithm: ${alg}`);
+  }
+
+  if (!valid) {
+    throw new AuthError('token_signature', 'Token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE < now) {
+    throw new AuthError('token_expired', 'Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE > now) {
+    throw new AuthError('token_not_yet_valid', 'Token is not valid yet');
+  }
+  if (config.audience && !checkAudience(claims.aud, config.audience)) {
+    throw new AuthError('token_audience', 'Token audience is not accepted');
+  }
+  if (config.issuer && claims.iss !== config.issuer) {
+    throw new AuthError('token_issuer', 'Token issuer is not accepted');
+  }
+  if (!claims.sub) {
+    throw new AuthError('token_subject', 'No user ID in token');
+  }
+
+  return claims;
+}
+
+// SECURITY: Resolve the calling user from the Authorization header
+export async function authenticate(event) {
+  const headers = event.headers || {};
+  const authHeader = headers['authorization'] || headers['Authorization'];
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new AuthError('token_missing', 'Not authenticated');
+  }
+
+  const claims = await verifyToken(authHeader.slice('Bearer '.length).trim());
+  return { userId: claims.sub, claims };
+}
+
+export function authErrorResponse(error) {
+  // Misconfiguration is the server's fault, not the caller's
+  const statusCode = error.code === 'auth_not_configured' || error.code === 'jwks_unavailable' ? 502 : 401;
+  return {
+    statusCode,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ error: 'auth_error', code: error.code, message: error.message })
+  };
+}
@@ -0,0 +1,104 @@
+// netlify/functions/_shared/delivery.js
+// Mailing an issued invoice to its client, for send-invoice and the recurring run alike
+//
+// SECURITY: So this can't relay arbitrary mail from MAIL_FROM, recipients must be the invoice's
+// client (invoice_email / admin_email) or the user's own profile email, and each user may send
+// MAX_MAILS_PER_HOUR. Sent mail is counted in mail_log (id, user_id, invoice_id, recipients,
+// created_at), which only the functions use.
+
+import { MailError, addressOf, isEmailAddress, sendMail } from './mail.js';
+import { scopeEndpoint, stampWrite, supabaseFetch, withUserId } from './supabase.js';
+
+export const MAX_MAILS_PER_HOUR = 30;
+
+// Drafts were never issued and cancelled invoices are void
+const UNSENDABLE = ['draft', 'cancelled'];
+
+export class DeliveryError extends Error {
+  constructor(code, message, statusCode, details = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+async function fetchFirst(config, endpoint, userId) {
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  return res.ok && Array.isArray(res.data) ? res.data[0] || null : null;
+}
+
+// The addresses an invoice may be sent to, lower-cased
+function allowedRecipients(client, profile) {
+  return new Set([client?.invoice_email, client?.admin_email, profile?.email]
+    .filter(isEmailAddress)
+    .map(address => addressOf(address).toLowerCase()));
+}
+
+// Mails the user sent in the last hour, up to one over the limit
+async function recentMails(config, userId) {
+  const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const res = await supabaseFetch(config, scopeEndpoint(`mail_log?created_at=gte.${encodeURIComponent(since)}&select=id&limit=${MAX_MAILS_PER_HOUR + 1}`, userId));
+  if (!res.ok) throw new Error(`Could not read mail_log: ${res.status}`);
+  return res.data.length;
+}
+
+// Send a validated message { to, cc, subject, text, attachments } for one of the user's invoices and
+// mark the invoice sent. Refusals and mail failures throw DeliveryError with the status to answer.
+// Resolves to { invoice (as updated, or null), transport, messageId }.
+export async function deliverInvoice(config, mailConfig, userId, invoiceId, message) {
+  const endpoint = `invoices?id=eq.${invoiceId}`;
+  const invoice = await fetchFirst(config, endpoint, userId);
+  if (!invoice || invoice.deleted) {
+    throw new DeliveryError('not_found', 'The invoice does not exist', 404);
+  }
+  if (UNSENDABLE.includes(invoice.status)) {
+    throw new DeliveryError('invoice_not_sendable', `A ${invoice.status} invoice can't be sent`, 409);
+  }
+
+  const client = await fetchFirst(config, `clients?id=eq.${invoice.client_id}`, userId);
+  const profile = await fetchFirst(config, 'business?limit=1', userId);
+  const allowed = allowedRecipients(client, profile);
+  const outside = [...message.to, ...message.cc].filter(address => !allowed.has(addressOf(address).toLowerCase()));
+  if (outside.length) {
+    throw new DeliveryError('recipient_not_allowed', `Invoices go to the client's or your own email only, not ${outside.join(', ')}`, 403);
+  }
+
+  if (await recentMails(config, userId) >= MAX_MAILS_PER_HOUR) {
+    throw new DeliveryError('rate_limited', `At most ${MAX_MAILS_PER_HOUR} emails an hour`, 429);
+  }
+
+  const replyTo = profile?.email;
+  let sent;
+  try {
+    sent = await sendMail(mailConfig, { ...message, replyTo: isEmailAddress(replyTo) ? replyTo : null });
+  } catch (e) {
+    if (!(e instanceof MailError)) throw e;
+    console.error('[mail] sending invoice failed', invoice.id, e);
+    throw new DeliveryError('mail_error', e.message, 502, { code: e.code });
+  }
+
+  const logged = await supabaseFetch(config, 'mail_log', {
+    method: 'POST',
+    body: stampWrite('POST', withUserId({ invoice_id: invoice.id, recipients: message.to.length + message.cc.length }, userId))
+  });
+  if (!logged.ok) {
+    console.error('[mail] could not log mail', logged.status, logged.text);
+  }
+
+  // The mail is out: the invoice is sent even if recording that fails, so report it either way
+  const update = await supabaseFetch(config, scopeEndpoint(endpoint, userId), {
+    method: 'PATCH',
+    body: stampWrite('PATCH', withUserId({ status: 'sent', sent_at: new Date().toISOString() }, userId))
+  });
+  if (!update.ok) {
+    console.error('[mail] could not mark invoice sent', update.status, update.text);
+  }
+
+  return {
+    invoice: update.ok && Array.isArray(update.data) ? update.data[0] : null,
+    transport: sent.transport,
+    messageId: sent.messageId
+  };
+}
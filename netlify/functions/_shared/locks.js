@@ -0,0 +1,38 @@
+// netlify/functions/_shared/locks.js
+// Server side of lock.js: updates and hard deletes of issued invoices are refused with 409
+
+import { lockViolation } from '../../../lock.js';
+import { scopeEndpoint, supabaseFetch } from './supabase.js';
+
+// The invoices an update or delete would touch, as currently stored
+export async function currentInvoices(config, userId, endpoint) {
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  if (!res.ok) {
+    throw new Error(`Could not read invoices before writing: ${res.status}`);
+  }
+  return res.data || [];
+}
+
+// The invoices an upsert names, as stored and whoever owns them: merge-duplicates matches rows by
+// id alone, so the caller-scoped snapshot is not enough to see what it would overwrite
+export async function storedInvoices(config, ids) {
+  if (!ids.length) return [];
+  const res = await supabaseFetch(config, `invoices?id=in.(${ids.join(',')})`);
+  if (!res.ok) {
+    throw new Error(`Could not read invoices before upsert: ${res.status}`);
+  }
+  return res.data || [];
+}
+
+// Error body for the first stored row the write may not change, or null when it may go ahead.
+// body is the PATCH changes, or the POST rows of an upsert matched up by id.
+export function lockedWrite(rows, method, body) {
+  for (const row of rows) {
+    const changes = method === 'DELETE'
+      ? null
+      : Array.isArray(body) ? body.find(record => record?.id === row.id) || {} : body || {};
+    const violation = lockViolation(row, changes);
+    if (violation) return { error: 'invoice_locked', id: row.id, ...violation };
+  }
+  return null;
+}
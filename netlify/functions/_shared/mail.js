@@ -0,0 +1,275 @@
+// netlify/functions/_shared/mail.js
+// Outgoing mail for the functions: SMTP in production, a file or console transport for development
+//
+// MAIL_TRANSPORT  smtp | file | console (default: smtp when SMTP_HOST is set). The file and console
+//                 transports send nothing, so they are only used when asked for by name: a deploy
+//                 missing SMTP_HOST has no mail config at all rather than quietly logging mail.
+// MAIL_FROM       sender, e.g. "BizzHub <invoices@example.com>"
+// SMTP_HOST, SMTP_PORT (default 587), SMTP_USER, SMTP_PASS
+// SMTP_SECURE     'true' for TLS from the first byte (usually port 465); otherwise the server must
+//                 offer STARTTLS, and nothing is sent over a connection it has not upgraded
+// MAIL_DIR        where the file transport writes .eml files (default: <tmp>/bizzhub-mail)
+//
+// The SMTP client below is deliberately small rather than nodemailer: the functions have no runtime
+// dependencies to install or bundle, and sending needs one relay and one conversation - EHLO,
+// STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA - with every failure reported as a MailError (502 to the app).
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+
+// Give up on an SMTP server that stops answering
+const SMTP_TIMEOUT = 30000;
+
+export class MailError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MailError';
+    this.code = code;
+  }
+}
+
+// null when the configuration is missing or unusable
+export function getMailConfig() {
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+  if (!TRANSPORTS.includes(transport)) return null;
+
+  const config = {
+    transport,
+    from: process.env.MAIL_FROM || 'BizzHub <bizzhub@localhost>',
+    dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'bizzhub-mail')
+  };
+  if (transport !== 'smtp') return config;
+
+  if (!process.env.SMTP_HOST || !process.env.MAIL_FROM) return null;
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    ...config,
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null
+  };
+}
+
+// ---- Message ----
+
+// "Name <box@host>" or "box@host" -> box@host
+export function addressOf(value) {
+  const match = String(value || '').match(/<([^<>\s]+)>\s*$/);
+  return (match ? match[1] : String(value || '')).trim();
+}
+
+export function isEmailAddress(value) {
+  return /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/.test(addressOf(value));
+}
+
+// RFC 2047 for anything outside printable ASCII
+function encodeHeader(value) {
+  const text = String(value || '');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function encodeAddress(value) {
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^<>\s]+)>\s*$/);
+  if (!match || !match[1]) return addressOf(value);
+  return `${encodeHeader(match[1])} <${match[2]}>`;
+}
+
+function wrapBase64(base64) {
+  return base64.replace(/\s+/g, '').replace(/.{1,76}/g, line => `${line}\r\n`);
+}
+
+// A complete RFC 5322 message: a UTF-8 text part followed by base64 attachments
+export function buildMessage({ from, to, cc = [], replyTo, subject, text, attachments = [] }) {
+  const boundary = `=_bizzhub_${crypto.randomUUID()}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${to.map(encodeAddress).join(', ')}`,
+    ...(cc.length ? [`Cc: ${cc.map(encodeAddress).join(', ')}`] : []),
+    ...(replyTo ? [`Reply-To: ${encodeAddress(replyTo)}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`
+  ];
+
+  const parts = [
+    [
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      wrapBase64(Buffer.from(String(text || '').replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64'))
+    ].join('\r\n'),
+    ...attachments.map(file => [
+      `Content-Type: ${file.content_type || 'application/octet-stream'}; name="${encodeHeader(file.filename)}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${encodeHeader(file.filename)}"`,
+      '',
+      wrapBase64(file.content)
+    ].join('\r\n'))
+  ];
+
+  return `${headers.join('\r\n')}\r\n\r\n${parts.map(part => `--${boundary}\r\n${part}`).join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+// ---- SMTP ----
+
+// One SMTP conversation; replies are read in order, multi-line ones ("250-...") as a whole
+class SmtpConnection {
+  constructor(socket) {
+    this.replies = [];
+    this.waiting = [];
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    // After STARTTLS the plain socket only carries the encrypted stream
+    if (this.socket) ['data', 'close'].forEach(event => this.socket.removeAllListeners(event));
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new MailError('smtp_timeout', 'The SMTP server stopped responding')));
+    socket.on('data', chunk => this.receive(chunk.toString('utf8')));
+    socket.on('error', err => this.fail(err));
+    socket.on('close', () => this.fail(new MailError('smtp_closed', 'The SMTP server closed the connection')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(l => l.slice(4)) };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    this.error = this.error || err;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(this.error));
+  }
+
+  read() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async expect(codes, step) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new MailError('smtp_rejected', `SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async command(line, codes, step = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, step);
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host }, () => resolve(socket))
+      : net.connect({ host: config.host, port: config.port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function startTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', err => reject(new MailError('smtp_tls', `TLS with ${host} failed: ${err.message}`)));
+  });
+}
+
+async function sendSmtp(config, envelope, message) {
+  let socket;
+  try {
+    socket = await connect(config);
+  } catch (err) {
+    throw new MailError('smtp_unreachable', `Could not connect to ${config.host}:${config.port}: ${err.message}`);
+  }
+
+  const smtp = new SmtpConnection(socket);
+  const hostname = os.hostname() || 'localhost';
+  try {
+    await smtp.expect([220], 'greeting');
+    const ehlo = await smtp.command(`EHLO ${hostname}`, [250]);
+
+    // Invoices and credentials never cross the network in clear text
+    if (!config.secure) {
+      if (!ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw new MailError('smtp_insecure', `${config.host} does not offer STARTTLS; use a server that does, or SMTP_SECURE=true on its TLS port`);
+      }
+      await smtp.command('STARTTLS', [220]);
+      smtp.attach(await startTls(smtp.socket, config.host));
+      await smtp.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (config.user) {
+      if (!smtp.socket.encrypted) throw new MailError('smtp_insecure', 'Refusing to log in to the SMTP server without TLS');
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`, 'utf8').toString('base64');
+      await smtp.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await smtp.command(`MAIL FROM:<${envelope.from}>`, [250], 'MAIL FROM');
+    for (const recipient of envelope.to) {
+      await smtp.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await smtp.command('DATA', [354]);
+    // Dot-stuffing: a line starting with "." gets another one
+    smtp.socket.write(message.replace(/^\./gm, '..'));
+    await smtp.command('.', [250], 'DATA');
+    await smtp.command('QUIT', [221]).catch(() => {});
+  } catch (err) {
+    // Socket errors (reset, refused certificate...) arrive as they are
+    if (err instanceof MailError) throw err;
+    throw new MailError('smtp_failed', `Sending through ${config.host} failed: ${err.message}`);
+  } finally {
+    smtp.close();
+  }
+}
+
+// Send { from, to, cc, replyTo, subject, text, attachments }; resolves to { transport, messageId }
+export async function sendMail(config, mail) {
+  const message = buildMessage({ ...mail, from: mail.from || config.from });
+  const messageId = message.match(/^Message-ID: <([^>]+)>/m)[1];
+
+  if (config.transport === 'console') {
+    console.info(`[mail] ${mail.subject} -> ${mail.to.join(', ')}\n${mail.text}\n(${(mail.attachments || []).map(file => file.filename).join(', ')})`);
+  } else if (config.transport === 'file') {
+    await fs.mkdir(config.dir, { recursive: true });
+    const file = path.join(config.dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.split('@')[0]}.eml`);
+    await fs.writeFile(file, message);
+    console.info(`[mail] ${mail.subject} -> ${file}`);
+  } else {
+    const envelope = { from: addressOf(mail.from || config.from), to: [...mail.to, ...(mail.cc || [])].map(addressOf) };
+    await sendSmtp(config, envelope, message);
+  }
+
+  return { transport: config.transport, messageId };
+}
@@ -0,0 +1,194 @@
+// netlify/functions/_shared/policy.js
+// Server-side allowlist of the tables, methods and columns the app may reach through /rest/v1/
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// Present on every table, always readable/writable (user_id is overwritten on every row written)
+const SYSTEM_COLUMNS = ['id', 'user_id', 'deleted', 'created_at', 'updated_at'];
+
+const ID_COLUMNS = [1, 2, 3, 4].flatMap(i => [`id_label_${i}`, `id_number_${i}`]);
+
+// Query string keys that are PostgREST operators rather than column filters
+const QUERY_KEYWORDS = ['select', 'order', 'limit', 'offset'];
+
+const ALL_METHODS = ['GET', 'POST', 'PATCH', 'DELETE'];
+
+export const TABLES = {
+  clients: {
+    methods: ALL_METHODS,
+    columns: [
+      'name', 'admin_email', 'invoice_email', 'address', 'rate', 'rate_type',
+      'currency', 'due_date_days', 'vat_rate', 'id_entries', ...ID_COLUMNS
+    ]
+  },
+  jobs: {
+    methods: ALL_METHODS,
+    columns: [
+      'client_id', 'name', 'description', 'address', 'start_date', 'end_date',
+      'hours', 'rate', 'currency', 'vat_rate', 'expenses', 'deposits', 'billed', 'quote_id'
+    ]
+  },
+  timesheets: {
+    methods: ALL_METHODS,
+    columns: ['client_id', 'date', 'hours', 'notes', 'rate', 'currency', 'billed']
+  },
+  invoices: {
+    methods: ALL_METHODS,
+    columns: [
+      'invoice_number', 'kind', 'original_invoice_id', 'client_id', 'job_id', 'items', 'subtotal', 'tax', 'total',
+      'currency', 'status', 'payment_status', 'sent_at', 'due_date', 'taxable_supply_date', 'meta',
+      'supplier_snapshot', 'customer_snapshot', 'reminders', 'quote_id'
+    ]
+  },
+  quotes: {
+    methods: ALL_METHODS,
+    columns: [
+      'quote_number', 'client_id', 'name', 'description', 'address', 'items', 'currency',
+      'subtotal', 'tax', 'total', 'valid_until', 'status'
+    ]
+  },
+  payments: {
+    methods: ALL_METHODS,
+    columns: ['invoice_id', 'date', 'amount', 'method', 'note']
+  },
+  recurring_invoices: {
+    methods: ALL_METHODS,
+    columns: [
+      'client_id', 'name', 'items', 'interval', 'start_date', 'next_run', 'end_date', 'due_days',
+      'send_email', 'auto_send', 'active'
+    ]
+  },
+  business: {
+    // The profile is only ever created or edited, never removed from the app
+    methods: ['GET', 'POST', 'PATCH'],
+    columns: [
+      'name', 'address', 'email', 'currency', 'vat_payer', 'default_vat_rate',
+      'bank_entries', 'id_entries', 'accounting_export', 'repo_rates', ...ID_COLUMNS
+    ]
+  },
+  invoice_series: {
+    // Numbers themselves are only ever allocated by the invoice-number function. next_seq and period
+    // may be written to continue a series further on, but db-proxy / db-batch refuse moving them back.
+    methods: ['GET', 'POST', 'PATCH'],
+    columns: ['kind', 'prefix', 'pattern', 'reset', 'period', 'next_seq']
+  }
+};
+
+export class PolicyError extends Error {
+  constructor(code, message, statusCode = 403) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function parseEndpoint(endpoint) {
+  const [path, query = ''] = endpoint.split('?');
+  const params = query
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1
+        ? { key: pair, value: '' }
+        : { key: pair.slice(0, index), value: pair.slice(index + 1) };
+    });
+  return { table: path.replace(/^\/+|\/+$/g, ''), params };
+}
+
+function allowedColumns(table) {
+  return new Set([...SYSTEM_COLUMNS, ...TABLES[table].columns]);
+}
+
+function checkBodyColumns(table, body) {
+  const allowed = allowedColumns(table);
+  const rows = Array.isArray(body) ? body : [body];
+  const rejected = new Set();
+  rows.forEach(row => {
+    Object.keys(row || {}).forEach(col => {
+      if (!allowed.has(col)) rejected.add(col);
+    });
+  });
+
+  if (rejected.size) {
+    throw new PolicyError('column_not_allowed', `Columns not writable on ${table}: ${[...rejected].join(', ')}`, 400);
+  }
+}
+
+function checkQueryColumns(table, params) {
+  const allowed = allowedColumns(table);
+  params.forEach(({ key, value }) => {
+    if (QUERY_KEYWORDS.includes(key)) {
+      if (key === 'select' && value !== '*') {
+        const unknown = decodeURIComponent(value).split(',').filter(col => !allowed.has(col.trim()));
+        if (unknown.length) {
+          throw new PolicyError('column_not_allowed', `Columns not readable on ${table}: ${unknown.join(', ')}`, 400);
+        }
+      }
+      return;
+    }
+    // SECURITY: Rows are scoped by the functions alone (scopeEndpoint); any user_id filter from
+    // the caller, whatever its operator, could widen that scope to other users' rows
+    if (key === 'user_id') {
+      throw new PolicyError('filter_not_allowed', 'Requests may not filter on user_id', 400);
+    }
+    if (!allowed.has(key)) {
+      throw new PolicyError('filter_not_allowed', `Filter on unknown column ${table}.${key}`, 400);
+    }
+  });
+}
+
+// SECURITY: Throws a PolicyError unless the request targets an allowlisted table, method and columns
+export function checkRequest({ method = 'GET', endpoint, body, expected }) {
+  if (typeof endpoint !== 'string' || !endpoint) {
+    throw new PolicyError('endpoint_missing', 'No endpoint given', 400);
+  }
+
+  const { table, params } = parseEndpoint(endpoint);
+
+  if (table.startsWith('rpc/') || table === 'rpc') {
+    throw new PolicyError('rpc_forbidden', 'RPC calls are not allowed');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(TABLES, table)) {
+    throw new PolicyError('table_not_allowed', `Table not allowed: ${table}`);
+  }
+
+  const policy = TABLES[table];
+  if (!policy.methods.includes(method)) {
+    throw new PolicyError('method_not_allowed', `${method} is not allowed on ${table}`, 405);
+  }
+
+  checkQueryColumns(table, params);
+
+  // Only single-row writes by primary key: no "delete everything for this user"
+  const hasIdFilter = params.some(p => p.key === 'id' && p.value.startsWith('eq.') && p.value.length > 3);
+  if (method === 'DELETE' && !hasIdFilter) {
+    throw new PolicyError('bulk_delete_forbidden', 'DELETE requires an id=eq. filter');
+  }
+  if (method === 'PATCH' && !hasIdFilter) {
+    throw new PolicyError('bulk_update_forbidden', 'PATCH requires an id=eq. filter');
+  }
+
+  if ((method === 'POST' || method === 'PATCH') && body) {
+    checkBodyColumns(table, body);
+  }
+
+  // Version preconditions only make sense on updates, and only on updated_at
+  if (expected !== undefined && expected !== null) {
+    if (method !== 'PATCH' || typeof expected !== 'object' || Object.keys(expected).some(k => k !== 'updated_at')) {
+      throw new PolicyError('precondition_not_allowed', 'Only PATCH may carry an expected updated_at', 400);
+    }
+  }
+
+  return { table, params };
+}
+
+export function policyErrorResponse(error) {
+  return {
+    statusCode: error.statusCode,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ error: 'policy_error', code: error.code, message: error.message })
+  };
+}
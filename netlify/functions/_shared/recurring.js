@@ -0,0 +1,138 @@
+// netlify/functions/_shared/recurring.js
+// Create the invoices of every recurring profile that is due, for all users
+//
+// Each run first moves the profile's next_run on, guarded by its current value, so two overlapping
+// runs never bill the same date twice; if the invoice can't be created the run is handed back.
+// Invoices of profiles with send_email wait in the app's email queue (emailQueue), to be sent with
+// their PDF, which is only rendered in the browser. Profiles with auto_send have them mailed from
+// here with their ISDOC file instead, through the same checks as send-invoice (deliverInvoice).
+
+import { buildInvoiceDocument, paymentAccount } from '../../../invoice.js';
+import { buildIsdoc, isdocFileName } from '../../../isdoc.js';
+import { emailLanguage, emailTemplate, fillEmail } from '../../../emails.js';
+import { dueRuns, recurringInvoice, runAfter } from '../../../recurring.js';
+import { DeliveryError, deliverInvoice } from './delivery.js';
+import { isEmailAddress } from './mail.js';
+import { allocateNumber } from './series.js';
+import { scopeEndpoint, stampWrite, supabaseFetch, withUserId } from './supabase.js';
+
+export class RecurringError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RecurringError';
+    this.code = code;
+  }
+}
+
+async function fetchRow(config, endpoint, userId) {
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  if (!res.ok) throw new RecurringError('fetch_failed', `GET ${endpoint} failed: ${res.status} ${res.text}`);
+  return Array.isArray(res.data) ? res.data[0] || null : null;
+}
+
+async function patch(config, endpoint, userId, body) {
+  return supabaseFetch(config, scopeEndpoint(endpoint, userId), {
+    method: 'PATCH',
+    body: stampWrite('PATCH', withUserId(body, userId))
+  });
+}
+
+// Move next_run from `date` to the run after it; false when another run got there first
+async function claimRun(config, profile, date) {
+  const next = runAfter(profile, date);
+  const res = await patch(config, `recurring_invoices?id=eq.${profile.id}&next_run=eq.${date}`, profile.user_id, {
+    next_run: next,
+    active: !profile.end_date || next <= profile.end_date
+  });
+  if (!res.ok) throw new RecurringError('claim_failed', `Could not advance profile ${profile.id}: ${res.status} ${res.text}`);
+  return Array.isArray(res.data) && res.data.length > 0;
+}
+
+async function releaseRun(config, profile, date) {
+  const res = await patch(config, `recurring_invoices?id=eq.${profile.id}`, profile.user_id, { next_run: date, active: true });
+  if (!res.ok) console.error('[recurring] could not hand back run', profile.id, date, res.status, res.text);
+}
+
+// Mail a new invoice as the composer would by default; a refusal leaves it in the email queue
+async function emailInvoice(config, mailConfig, { invoice, business, client }) {
+  const to = [client.invoice_email || client.admin_email].filter(isEmailAddress);
+  if (!to.length) throw new DeliveryError('no_recipient', `Client ${client.name} has no invoice email`, 400);
+
+  const doc = buildInvoiceDocument(invoice, { profile: business, client });
+  return deliverInvoice(config, mailConfig, invoice.user_id, invoice.id, {
+    to,
+    cc: [],
+    ...fillEmail(emailTemplate(emailLanguage(doc)), doc),
+    attachments: [{
+      filename: isdocFileName(invoice),
+      content_type: 'application/xml',
+      content: Buffer.from(buildIsdoc(invoice, { profile: business, client }), 'utf8').toString('base64')
+    }]
+  });
+}
+
+async function runProfile(config, profile, { today, mailConfig }) {
+  const userId = profile.user_id;
+  const client = await fetchRow(config, `clients?id=eq.${profile.client_id}&deleted=eq.false`, userId);
+  if (!client) throw new RecurringError('client_missing', `Client ${profile.client_id} no longer exists`);
+  const business = await fetchRow(config, 'business?limit=1', userId);
+  // Every invoice carries a QR payment code, as in the app
+  if (!business || !paymentAccount(business)) {
+    throw new RecurringError('payment_account_missing', 'The profile has no bank account with a valid IBAN');
+  }
+
+  const result = { profile_id: profile.id, user_id: userId, invoices: [], emailed: 0, queued: 0, errors: [] };
+  for (const date of dueRuns(profile, today)) {
+    if (!(await claimRun(config, profile, date))) break;
+
+    let invoice;
+    try {
+      const invoice_number = await allocateNumber(config, userId, 'invoice');
+      const res = await supabaseFetch(config, 'invoices', {
+        method: 'POST',
+        body: stampWrite('POST', withUserId({ ...recurringInvoice(profile, { business, client, date }), invoice_number }, userId))
+      });
+      if (!res.ok) throw new RecurringError('invoice_failed', `Could not create invoice: ${res.status} ${res.text}`);
+      invoice = res.data[0];
+    } catch (e) {
+      await releaseRun(config, profile, date);
+      throw e;
+    }
+    result.invoices.push(invoice.invoice_number);
+
+    if (profile.auto_send && mailConfig) {
+      try {
+        await emailInvoice(config, mailConfig, { invoice, business, client });
+        result.emailed++;
+        continue;
+      } catch (e) {
+        // The invoice stands and waits in the queue
+        if (!(e instanceof DeliveryError)) throw e;
+        result.errors.push({ code: e.code, message: e.message });
+      }
+    }
+    if (profile.send_email || profile.auto_send) result.queued++;
+  }
+  return result;
+}
+
+// One pass over every due profile; a failing profile doesn't stop the others.
+// Resolves to a result per profile: { profile_id, user_id, invoices, emailed, queued, errors }.
+// Without a mailConfig nothing is emailed; auto_send invoices are queued like the others.
+export async function runRecurringInvoices(config, { today = new Date(), mailConfig = null } = {}) {
+  const day = today.toISOString().split('T')[0];
+  // SECURITY: The only unscoped query; everything after it is scoped to the profile's owner
+  const res = await supabaseFetch(config, `recurring_invoices?active=eq.true&deleted=eq.false&next_run=lte.${day}&order=next_run.asc`);
+  if (!res.ok) throw new RecurringError('fetch_failed', `Could not read recurring profiles: ${res.status} ${res.text}`);
+
+  const results = [];
+  for (const profile of res.data) {
+    try {
+      results.push(await runProfile(config, profile, { today, mailConfig }));
+    } catch (e) {
+      console.error('[recurring] profile failed', profile.id, e);
+      results.push({ profile_id: profile.id, user_id: profile.user_id, invoices: [], emailed: 0, queued: 0, errors: [{ code: e.code || 'error', message: e.message }] });
+    }
+  }
+  return results;
+}
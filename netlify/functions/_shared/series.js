@@ -0,0 +1,135 @@
+// netlify/functions/_shared/series.js
+// Atomic allocation of document numbers from the invoice_series table
+//
+// invoice_series: id, user_id, kind, prefix, pattern, reset ('yearly' | 'never'),
+// period (year the counter belongs to, 0 for never), next_seq, deleted, created_at, updated_at
+// with a unique (user_id, kind) constraint.
+
+import { DEFAULT_SERIES, formatNumber, nextInSeries, rewindsSeries, seriesPeriod } from '../../../numbering.js';
+import { scopeEndpoint, supabaseFetch } from './supabase.js';
+
+// Compare-and-swap attempts before giving up under heavy contention
+const MAX_ATTEMPTS = 8;
+
+export class SeriesError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SeriesError';
+    this.code = code;
+  }
+}
+
+async function loadSeries(config, userId, kind) {
+  const res = await supabaseFetch(config, scopeEndpoint(`invoice_series?kind=eq.${kind}&deleted=eq.false&limit=1`, userId));
+  if (!res.ok) throw new SeriesError('series_unavailable', `Could not read ${kind} series: ${res.status}`);
+  return res.data[0] || null;
+}
+
+async function createDefaultSeries(config, userId, kind, date) {
+  const defaults = DEFAULT_SERIES[kind];
+  const now = new Date().toISOString();
+  const res = await supabaseFetch(config, 'invoice_series', {
+    method: 'POST',
+    body: {
+      ...defaults,
+      user_id: userId,
+      period: seriesPeriod(defaults, date),
+      next_seq: 1,
+      deleted: false,
+      created_at: now,
+      updated_at: now
+    }
+  });
+
+  // 409: another request created it first - use theirs. If there is none to read, the row in the
+  // way is a deleted series of this kind, which must not be replaced by one starting over at 1.
+  if (res.status === 409) {
+    const series = await loadSeries(config, userId, kind);
+    if (!series) throw new SeriesError('series_deleted', `The ${kind} series was deleted and cannot be started over`);
+    return series;
+  }
+  if (!res.ok) throw new SeriesError('series_unavailable', `Could not create ${kind} series: ${res.status}`);
+  return res.data[0];
+}
+
+// The series an update touches, as currently stored
+export async function currentSeries(config, userId, endpoint) {
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  if (!res.ok) throw new SeriesError('series_unavailable', `Could not read series before writing: ${res.status}`);
+  return res.data || [];
+}
+
+// Error body for the first stored series a write would rewind (see rewindsSeries), or null.
+// body is the PATCH changes, or the POST rows of an upsert matched up by id.
+export function rewoundSeries(rows, body) {
+  for (const row of rows) {
+    const changes = Array.isArray(body) ? body.find(record => record?.id === row.id) || {} : body || {};
+    if (rewindsSeries(row, changes)) {
+      return {
+        error: 'series_rewind',
+        id: row.id,
+        kind: row.kind,
+        next_seq: nextInSeries(row).seq,
+        message: `The ${row.kind} series has already allocated numbers below ${nextInSeries(row).seq}; it can only move on`
+      };
+    }
+  }
+  return null;
+}
+
+// Reserve the next number of a series. Two callers can never receive the same number:
+// the counter only moves through a PATCH conditioned on the value we read.
+export async function allocateNumber(config, userId, kind = 'invoice', date = new Date()) {
+  if (!DEFAULT_SERIES[kind]) {
+    throw new SeriesError('series_unknown', `Unknown number series: ${kind}`);
+  }
+
+  let series = await loadSeries(config, userId, kind) || await createDefaultSeries(config, userId, kind, date);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const { seq, period } = nextInSeries(series, date);
+
+    const guard = `next_seq=eq.${series.next_seq}&period=${series.period === null ? 'is.null' : `eq.${series.period}`}`;
+    const res = await supabaseFetch(config, scopeEndpoint(`invoice_series?id=eq.${series.id}&${guard}`, userId), {
+      method: 'PATCH',
+      body: { next_seq: seq + 1, period, updated_at: new Date().toISOString() }
+    });
+    if (!res.ok) throw new SeriesError('series_unavailable', `Could not advance ${kind} series: ${res.status}`);
+
+    if (Array.isArray(res.data) && res.data.length === 1) {
+      return formatNumber(series, seq, date);
+    }
+
+    // Someone else advanced the counter in between; re-read and try again
+    series = await loadSeries(config, userId, kind);
+    if (!series) throw new SeriesError('series_unavailable', `The ${kind} series disappeared`);
+  }
+
+  throw new SeriesError('series_contention', `Could not allocate a ${kind} number, please retry`);
+}
+
+// Hand back a number whose document could not be written, so the series has no gap. Only the last
+// number allocated can go back, while no later one was taken and no document carries it; otherwise
+// the gap stays. Resolves to whether the counter moved back.
+export async function releaseNumber(config, userId, kind, number, date = new Date()) {
+  if (!DEFAULT_SERIES[kind]) {
+    throw new SeriesError('series_unknown', `Unknown number series: ${kind}`);
+  }
+
+  const series = await loadSeries(config, userId, kind);
+  if (!series || series.period !== seriesPeriod(series, date) || !(series.next_seq > 1)) return false;
+  const seq = series.next_seq - 1;
+  if (formatNumber(series, seq, date) !== number) return false;
+
+  const used = await supabaseFetch(config, scopeEndpoint(`invoices?invoice_number=eq.${encodeURIComponent(number)}&select=id&limit=1`, userId));
+  if (!used.ok) throw new SeriesError('series_unavailable', `Could not check ${kind} number ${number}: ${used.status}`);
+  if (used.data.length) return false;
+
+  const guard = `next_seq=eq.${series.next_seq}&period=${series.period === null ? 'is.null' : `eq.${series.period}`}`;
+  const res = await supabaseFetch(config, scopeEndpoint(`invoice_series?id=eq.${series.id}&${guard}`, userId), {
+    method: 'PATCH',
+    body: { next_seq: seq, updated_at: new Date().toISOString() }
+  });
+  if (!res.ok) throw new SeriesError('series_unavailable', `Could not hand back ${kind} number ${number}: ${res.status}`);
+  return Array.isArray(res.data) && res.data.length === 1;
+}
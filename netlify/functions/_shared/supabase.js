@@ -0,0 +1,71 @@
+// netlify/functions/_shared/supabase.js
+// Supabase REST access shared by the database functions
+
+export function getSupabaseConfig() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_KEY;
+  if (!url || !key) return null;
+  return { url: url.replace(/\/$/, ''), key };
+}
+
+// SECURITY: Always add the user_id filter from the verified JWT sub claim. Callers' own user_id
+// filters are refused by the policy (checkRequest), so this is the only one on the request.
+export function scopeEndpoint(endpoint, userId) {
+  return endpoint + (endpoint.includes('?') ? '&' : '?') + `user_id=eq.${userId}`;
+}
+
+// Call /rest/v1/ with the service key. The endpoint must already be scoped.
+export async function supabaseFetch(config, endpoint, { method = 'GET', body, prefer } = {}) {
+  const headers = {
+    'apikey': config.key,
+    'Authorization': `Bearer ${config.key}`,
+    'Content-Type': 'application/json',
+    'Prefer': ['return=representation', prefer].filter(Boolean).join(',')
+  };
+
+  const res = await fetch(`${config.url}/rest/v1/${endpoint}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const text = await res.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    data = text;
+  }
+
+  return { ok: res.ok, status: res.status, data, text };
+}
+
+// Attach the caller's user_id to every row written
+export function withUserId(body, userId) {
+  if (Array.isArray(body)) return body.map(row => ({ ...row, user_id: userId }));
+  return { ...body, user_id: userId };
+}
+
+// Timestamps come from the server clock, never from the browser
+export function stampWrite(method, body) {
+  const now = new Date().toISOString();
+  if (method === 'PATCH') return { ...body, updated_at: now };
+  const stamp = row => ({ ...row, created_at: row.created_at || now, updated_at: now });
+  return Array.isArray(body) ? body.map(stamp) : stamp(body);
+}
+
+// PATCH only if the row is still at the version the caller edited (expected.updated_at).
+// A lost race comes back as 409 { error: 'conflict', current } so the client can merge.
+export async function patchWithPrecondition(config, userId, endpoint, body, expected) {
+  const guard = expected?.updated_at ? `&updated_at=eq.${encodeURIComponent(expected.updated_at)}` : '';
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint + guard, userId), { method: 'PATCH', body });
+  if (!guard || !res.ok || (Array.isArray(res.data) && res.data.length > 0)) return res;
+
+  // Nothing matched: either someone else saved first or the row is gone
+  const current = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  const row = Array.isArray(current.data) ? current.data[0] : null;
+  const data = row
+    ? { error: 'conflict', message: 'The record was changed by someone else', current: row }
+    : { error: 'not_found', message: 'The record no longer exists' };
+  return { ok: false, status: row ? 409 : 404, data, text: JSON.stringify(data) };
+}
@@ -1,5 +1,36 @@
 // functions/db-batch.js
 // Batch multiple Supabase requests into one function call (Netlify Functions version)
+//
+// Two modes:
+//   { requests: [{ key, endpoint }] }                 parallel GETs, results keyed by `key`
+//   { operations: [{ key, method, endpoint, body, expected }] }  POST/PATCH/DELETE run in order, all-or-nothing
+//
+// All-or-nothing is by compensation, not a database transaction. Operations are applied one by one;
+// when one fails, those before it are undone newest first by writing back the rows as read before
+// them (rows they created are deleted, rows they deleted re-inserted). A write by anyone else to the
+// same rows between the two is overwritten by the undo, and an undo that fails itself leaves the
+// batch half applied, reported as rolled_back: false.
+// At most MAX_OPERATIONS per call; larger sets (e.g. restoring a backup) have to be split by the
+// caller into several calls, each all-or-nothing on its own (Database.transactionInChunks).
+
+import { authenticate, authErrorResponse, AuthError } from './_shared/auth.js';
+import { lockedWrite, storedInvoices } from './_shared/locks.js';
+import { checkRequest, policyErrorResponse, PolicyError } from './_shared/policy.js';
+import { rewoundSeries } from './_shared/series.js';
+import { getSupabaseConfig, patchWithPrecondition, scopeEndpoint, stampWrite, supabaseFetch, withUserId } from './_shared/supabase.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+const WRITE_METHODS = ['POST', 'PATCH', 'DELETE'];
+
+// Prefer values a caller may add on top of return=representation
+const ALLOWED_PREFER = ['resolution=merge-duplicates'];
+
+// Upper bound so one call stays inside the function timeout
+const MAX_OPERATIONS = 200;
+
+// Row ids an upsert may name; they go into an id=in.(...) filter unescaped
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
 
 export async function handler(event, context) {
   try {
@@ -8,114 +39,260 @@ export async function handler(event, context) {
     }
 
     // SECURITY: Verify authentication
-    const authHeader = event.headers['authorization'] || event.headers['Authorization'];
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Not authenticated' })
-      };
-    }
-
-    const token = authHeader.replace('Bearer ', '');
     let authenticatedUserId;
-
     try {
-      // JWT DECODING: Extract user ID from token payload
-      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-      authenticatedUserId = payload.sub;
+      ({ userId: authenticatedUserId } = await authenticate(event));
     } catch (e) {
-      return {
-        statusCode: 401,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
-    }
-
-    if (!authenticatedUserId) {
-      return {
-        statusCode: 401,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'No user ID in token' })
-      };
+      if (e instanceof AuthError) return authErrorResponse(e);
+      throw e;
     }
 
     // Get Supabase config from environment
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SUPABASE_KEY = process.env.SUPABASE_KEY;
+    const config = getSupabaseConfig();
 
-    if (!SUPABASE_URL || !SUPABASE_KEY) {
+    if (!config) {
       return {
         statusCode: 502,
-        headers: { 'Content-Type': 'application/json' },
+        headers: JSON_HEADERS,
         body: JSON.stringify({ error: 'server_configuration_missing' })
       };
     }
 
-    const { requests } = JSON.parse(event.body || '{}');
+    const { requests, operations } = JSON.parse(event.body || '{}');
+
+    if (Array.isArray(operations)) {
+      return runOperations(config, authenticatedUserId, operations);
+    }
 
     if (!Array.isArray(requests)) {
       return {
         statusCode: 400,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ error: 'requests must be an array' })
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ error: 'requests or operations must be an array' })
       };
     }
 
-    // Execute all requests in parallel
-    const results = await Promise.all(
-      requests.map(async (req) => {
-        const { key, endpoint } = req;
-
-        // SECURITY: Force user_id filter
-        let safeEndpoint = endpoint;
-        if (safeEndpoint.includes('user_id=')) {
-          safeEndpoint = safeEndpoint.replace(/user_id=eq\.[^&]+/g, `user_id=eq.${authenticatedUserId}`);
-        } else {
-          safeEndpoint += (safeEndpoint.includes('?') ? '&' : '?') + `user_id=eq.${authenticatedUserId}`;
-        }
+    return runReads(config, authenticatedUserId, requests);
 
-        const url = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/${safeEndpoint}`;
-
-        try {
-          const res = await fetch(url, {
-            method: 'GET',
-            headers: {
-              'apikey': SUPABASE_KEY,
-              'Authorization': `Bearer ${SUPABASE_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          });
-
-          const data = await res.json();
-          return { key, data, status: res.status };
-        } catch (error) {
-          return { key, error: error.message, status: 500 };
-        }
-      })
-    );
-
-    // Convert array to object keyed by request key
-    const response = {};
-    results.forEach(result => {
-      if (result.status === 200) {
-        // Business should be a single object, not array
-        response[result.key] = result.key === 'business' ? result.data[0] : result.data;
+  } catch (error) {
+    return {
+      statusCode: 500,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ error: 'function_error', message: error.message })
+    };
+  }
+}
+
+async function runReads(config, userId, requests) {
+  // SECURITY: Reject the whole batch if any read falls outside the allowlist
+  try {
+    requests.forEach(req => checkRequest({ method: 'GET', endpoint: req.endpoint }));
+  } catch (e) {
+    if (e instanceof PolicyError) return policyErrorResponse(e);
+    throw e;
+  }
+
+  // Execute all requests in parallel
+  const settled = await Promise.all(
+    requests.map(async ({ key, endpoint }) => {
+      try {
+        const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+        return { key, data: res.data, status: res.status };
+      } catch (error) {
+        return { key, error: error.message, status: 500 };
       }
-    });
+    })
+  );
+
+  // Successful reads keyed by request key; failures are reported, not dropped
+  const results = {};
+  const errors = {};
+  settled.forEach(result => {
+    if (result.status === 200) {
+      // Business should be a single object, not array
+      results[result.key] = result.key === 'business' ? result.data[0] : result.data;
+    } else {
+      errors[result.key] = { status: result.status, error: result.error || result.data };
+    }
+  });
+
+  return {
+    statusCode: 200,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ results, errors })
+  };
+}
+
+function validateOperation(op) {
+  if (!WRITE_METHODS.includes(op.method)) {
+    throw new PolicyError('method_not_allowed', `Operations must be one of ${WRITE_METHODS.join(', ')}`, 400);
+  }
+  if (op.prefer && (op.method !== 'POST' || !ALLOWED_PREFER.includes(op.prefer))) {
+    throw new PolicyError('prefer_not_allowed', `Prefer header not allowed: ${op.prefer}`, 400);
+  }
+  return checkRequest({ method: op.method, endpoint: op.endpoint, body: op.body, expected: op.expected });
+}
+
+function upsertIds(op) {
+  if (op.method !== 'POST' || !op.prefer) return [];
+  const rows = Array.isArray(op.body) ? op.body : [op.body];
+  return rows.map(row => row?.id).filter(id => id !== undefined && id !== null);
+}
 
+// SECURITY: merge-duplicates updates whatever row has the id, whoever owns it, and the user_id
+// written with it would hand the row to the caller. So the ids an upsert names are looked up
+// without the user scope, and the operation is refused if any of them belongs to someone else.
+async function checkUpsertOwner(config, userId, op, table) {
+  const ids = upsertIds(op);
+  if (!ids.length) return;
+  if (ids.some(id => !ID_PATTERN.test(String(id)))) {
+    throw new PolicyError('invalid_id', `Invalid id in upsert on ${table}`, 400);
+  }
+
+  const res = await supabaseFetch(config, `${table}?id=in.(${ids.join(',')})&select=id,user_id`);
+  if (!res.ok) {
+    throw new Error(`Could not look up ${table} before upsert: ${res.status}`);
+  }
+  const foreign = (res.data || []).find(row => row.user_id !== userId);
+  if (foreign) {
+    throw new PolicyError('not_owner', `${table} ${foreign.id} belongs to another user`);
+  }
+}
+
+// Read the rows an operation is about to touch so it can be reverted
+async function snapshot(config, userId, op, table) {
+  let endpoint;
+  if (op.method === 'POST') {
+    const ids = upsertIds(op);
+    // Plain inserts of new rows have nothing to restore
+    if (ids.length === 0) return [];
+    endpoint = `${table}?id=in.(${ids.join(',')})`;
+  } else {
+    endpoint = op.endpoint;
+  }
+
+  const res = await supabaseFetch(config, scopeEndpoint(endpoint, userId));
+  if (!res.ok) {
+    throw new Error(`Could not snapshot ${table} before ${op.method}: ${res.status}`);
+  }
+  return res.data || [];
+}
+
+// Build the requests that revert one applied operation
+function undoSteps(op, table, before, after) {
+  const previous = new Map(before.map(row => [row.id, row]));
+  const touched = Array.isArray(after) ? after : [];
+
+  if (op.method === 'DELETE') {
+    return before.length ? [{ method: 'POST', endpoint: table, body: before }] : [];
+  }
+
+  return touched.map(row => previous.has(row.id)
+    ? { method: 'PATCH', endpoint: `${table}?id=eq.${row.id}`, body: previous.get(row.id) }
+    : { method: 'DELETE', endpoint: `${table}?id=eq.${row.id}` });
+}
+
+async function rollback(config, userId, applied) {
+  const failures = [];
+  for (const steps of applied.reverse()) {
+    for (const step of steps) {
+      try {
+        const res = await supabaseFetch(config, scopeEndpoint(step.endpoint, userId), {
+          method: step.method,
+          body: step.body
+        });
+        if (!res.ok) failures.push({ ...step, status: res.status });
+      } catch (e) {
+        failures.push({ ...step, error: e.message });
+      }
+    }
+  }
+  return failures;
+}
+
+async function runOperations(config, userId, operations) {
+  if (operations.length > MAX_OPERATIONS) {
     return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(response)
+      statusCode: 400,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ error: 'too_many_operations', message: `At most ${MAX_OPERATIONS} operations per call` })
     };
+  }
+
+  // SECURITY: Validate everything up front so a policy violation never leaves partial writes
+  let tables;
+  try {
+    tables = operations.map(op => validateOperation(op).table);
+    for (let i = 0; i < operations.length; i++) {
+      await checkUpsertOwner(config, userId, operations[i], tables[i]);
+    }
+  } catch (e) {
+    if (e instanceof PolicyError) return policyErrorResponse(e);
+    throw e;
+  }
+
+  const results = [];
+  const applied = [];
+
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i];
+    const table = tables[i];
+    const key = op.key ?? i;
+
+    let failure;
+    try {
+      const before = await snapshot(config, userId, op, table);
+      // Issued invoices are frozen (see lock.js). Updates and deletes only reach the rows just read;
+      // an upsert is checked against every stored row it names.
+      const stored = table === 'invoices' && op.method === 'POST' ? await storedInvoices(config, upsertIds(op)) : before;
+      // Series counters only move forward (see rewindsSeries)
+      const refused = table === 'invoices' ? lockedWrite(stored, op.method, op.body)
+        : table === 'invoice_series' && op.method !== 'DELETE' ? rewoundSeries(before, op.body) : null;
+      if (refused) {
+        failure = { key, status: 409, error: refused };
+      } else {
+        const body = op.body && op.method !== 'DELETE' ? stampWrite(op.method, withUserId(op.body, userId)) : undefined;
+        const res = op.method === 'PATCH' && op.expected
+          ? await patchWithPrecondition(config, userId, op.endpoint, body, op.expected)
+          : await supabaseFetch(config, scopeEndpoint(op.endpoint, userId), { method: op.method, body, prefer: op.prefer });
+
+        if (res.ok) {
+          results.push({ key, status: res.status, data: res.data });
+          applied.push(undoSteps(op, table, before, res.data));
+          continue;
+        }
+        failure = { key, status: res.status, error: res.data };
+      }
+    } catch (e) {
+      failure = { key, status: 500, error: e.message };
+    }
+
+    // Undo everything already written, newest first
+    const rollbackFailures = await rollback(config, userId, applied);
+    if (rollbackFailures.length) {
+      console.error('[db-batch] rollback incomplete', rollbackFailures);
+    }
+
+    results.push(failure);
+    operations.slice(i + 1).forEach((rest, j) => {
+      results.push({ key: rest.key ?? i + 1 + j, status: null, skipped: true });
+    });
 
-  } catch (error) {
     return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ error: 'function_error', message: error.message })
+      statusCode: failure.status >= 400 && failure.status < 500 ? failure.status : 502,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({
+        error: 'transaction_failed',
+        failed: i,
+        rolled_back: rollbackFailures.length === 0,
+        results
+      })
     };
   }
+
+  return {
+    statusCode: 200,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ results })
+  };
 }
@@ -1,64 +1,73 @@
 // Netlify function proxy to Supabase
+import { authenticate, authErrorResponse, AuthError } from './_shared/auth.js';
+import { currentInvoices, lockedWrite } from './_shared/locks.js';
+import { checkRequest, policyErrorResponse, PolicyError } from './_shared/policy.js';
+import { currentSeries, rewoundSeries } from './_shared/series.js';
+import { getSupabaseConfig, patchWithPrecondition, scopeEndpoint, stampWrite, supabaseFetch, withUserId } from './_shared/supabase.js';
+
 export async function handler(event, context) {
   try {
     if (event.httpMethod !== 'POST') {
       return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
     }
 
-    const authHeader = event.headers['authorization'] || event.headers['Authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { statusCode: 401, body: JSON.stringify({ error: 'Not authenticated' }) };
-    }
-
-    const token = authHeader.replace('Bearer ', '');
-
-    // JWT DECODING: Extract user ID from token payload
     let authenticatedUserId;
     try {
-      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-      authenticatedUserId = payload.sub;
+      ({ userId: authenticatedUserId } = await authenticate(event));
     } catch (e) {
-      return { statusCode: 401, body: JSON.stringify({ error: 'Invalid token' }) };
-    }
-
-    if (!authenticatedUserId) {
-      return { statusCode: 401, body: JSON.stringify({ error: 'No user ID in token' }) };
+      if (e instanceof AuthError) return authErrorResponse(e);
+      throw e;
     }
 
     const body = JSON.parse(event.body || '{}');
-    const { method, endpoint, body: payload } = body;
+    const { method, endpoint, body: payload, expected } = body;
 
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SUPABASE_KEY = process.env.SUPABASE_KEY;
+    // SECURITY: Only allowlisted tables, methods and columns reach Supabase
+    let table;
+    try {
+      ({ table } = checkRequest({ method: method || 'GET', endpoint, body: payload, expected }));
+    } catch (e) {
+      if (e instanceof PolicyError) return policyErrorResponse(e);
+      throw e;
+    }
 
-    if (!SUPABASE_URL || !SUPABASE_KEY) {
+    const config = getSupabaseConfig();
+    if (!config) {
       return { statusCode: 502, body: JSON.stringify({ error: 'Supabase config missing' }) };
     }
 
-    // SECURITY: Force user_id filter using decoded JWT sub claim
-    let safeEndpoint = endpoint;
-    if (safeEndpoint.includes('user_id=')) {
-      safeEndpoint = safeEndpoint.replace(/user_id=eq\.[^&]+/g, `user_id=eq.${authenticatedUserId}`);
-    } else {
-      safeEndpoint += (safeEndpoint.includes('?') ? '&' : '?') + `user_id=eq.${authenticatedUserId}`;
+    // Issued invoices are frozen (see lock.js): only their state and payment status may move
+    if (table === 'invoices' && (method === 'PATCH' || method === 'DELETE')) {
+      const locked = lockedWrite(await currentInvoices(config, authenticatedUserId, endpoint), method, payload);
+      if (locked) {
+        return { statusCode: 409, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(locked) };
+      }
     }
 
-    const res = await fetch(`${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/${safeEndpoint}`, {
-      method: method || 'GET',
-      headers: {
-        'apikey': SUPABASE_KEY,
-        'Authorization': `Bearer ${SUPABASE_KEY}`,
-        'Content-Type': 'application/json',
-        'Prefer': 'return=representation'
-      },
-      body: payload && (method === 'POST' || method === 'PATCH') ? JSON.stringify({ ...payload, user_id: authenticatedUserId }) : undefined
-    });
+    // Series counters only move forward; numbers already handed out are never allocated again
+    if (table === 'invoice_series' && method === 'PATCH') {
+      const rewound = rewoundSeries(await currentSeries(config, authenticatedUserId, endpoint), payload);
+      if (rewound) {
+        return { statusCode: 409, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(rewound) };
+      }
+    }
+
+    const writeBody = payload && (method === 'POST' || method === 'PATCH')
+      ? stampWrite(method, withUserId(payload, authenticatedUserId))
+      : undefined;
+
+    // Updates may carry the version they were based on; stale ones are rejected with 409
+    const res = method === 'PATCH' && expected
+      ? await patchWithPrecondition(config, authenticatedUserId, endpoint, writeBody, expected)
+      : await supabaseFetch(config, scopeEndpoint(endpoint, authenticatedUserId), {
+        method: method || 'GET',
+        body: writeBody
+      });
 
-    const data = await res.text();
     return {
       statusCode: res.status,
       headers: { 'Content-Type': 'application/json' },
-      body: data
+      body: res.text
     };
   } catch (err) {
     return { statusCode: 500, body: JSON.stringify({ error: 'function_error', message: err.message }) };
@@ -0,0 +1,66 @@
+// functions/invoice-number.js
+// Allocate the next document number from the caller's number series
+//
+// POST { kind } -> { kind, invoice_number }
+// POST { kind, release: number } -> { kind, released }: hand back a number whose document could not
+// be written (see releaseNumber)
+
+import { authenticate, authErrorResponse, AuthError } from './_shared/auth.js';
+import { getSupabaseConfig } from './_shared/supabase.js';
+import { allocateNumber, releaseNumber, SeriesError } from './_shared/series.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export async function handler(event, context) {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    let authenticatedUserId;
+    try {
+      ({ userId: authenticatedUserId } = await authenticate(event));
+    } catch (e) {
+      if (e instanceof AuthError) return authErrorResponse(e);
+      throw e;
+    }
+
+    const config = getSupabaseConfig();
+    if (!config) {
+      return {
+        statusCode: 502,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ error: 'server_configuration_missing' })
+      };
+    }
+
+    const { kind = 'invoice', release } = JSON.parse(event.body || '{}');
+
+    try {
+      if (release !== undefined) {
+        const released = typeof release === 'string' && await releaseNumber(config, authenticatedUserId, kind, release);
+        return { statusCode: 200, headers: JSON_HEADERS, body: JSON.stringify({ kind, released }) };
+      }
+
+      const number = await allocateNumber(config, authenticatedUserId, kind);
+      return {
+        statusCode: 200,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ kind, invoice_number: number })
+      };
+    } catch (e) {
+      if (!(e instanceof SeriesError)) throw e;
+      return {
+        statusCode: e.code === 'series_unknown' ? 400 : ['series_contention', 'series_deleted'].includes(e.code) ? 409 : 502,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ error: 'series_error', code: e.code, message: e.message })
+      };
+    }
+  } catch (error) {
+    return {
+      statusCode: 500,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ error: 'function_error', message: error.message })
+    };
+  }
+}
@@ -0,0 +1,39 @@
+// functions/recurring-invoices.js
+// Daily run of the recurring invoice profiles (the schedule is in netlify.toml)
+//
+// Scheduled functions can't be called over HTTP once deployed. Locally, run it with
+// `netlify functions:invoke recurring-invoices` or dev/recurring.mjs.
+
+import { getMailConfig } from './_shared/mail.js';
+import { runRecurringInvoices } from './_shared/recurring.js';
+import { getSupabaseConfig } from './_shared/supabase.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export async function handler(event, context) {
+  try {
+    const config = getSupabaseConfig();
+    if (!config) {
+      return {
+        statusCode: 502,
+        headers: JSON_HEADERS,
+        body: JSON.stringify({ error: 'server_configuration_missing' })
+      };
+    }
+
+    const results = await runRecurringInvoices(config, { mailConfig: getMailConfig() });
+    console.info(`[recurring] ${results.reduce((sum, r) => sum + r.invoices.length, 0)} invoices from ${results.length} profiles`);
+    return {
+      statusCode: 200,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ results })
+    };
+  } catch (error) {
+    console.error('[recurring] run failed', error);
+    return {
+      statusCode: 500,
+      headers: JSON_HEADERS,
+      body: JSON.stringify({ error: 'function_error', message: error.message })
+    };
+  }
+}
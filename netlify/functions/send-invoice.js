@@ -0,0 +1,111 @@
+// functions/send-invoice.js
+// Email an invoice to the client with its PDF attached, then mark it sent
+//
+// POST { invoice_id, to: [..], cc: [..], subject, text, attachments: [{ filename, content_type, content }] }
+// The PDF is rendered in the browser, like the download, and arrives base64 encoded. The sender is
+// MAIL_FROM (see _shared/mail.js); replies go to the email on the user's profile.
+//
+// Who may receive it and how often is checked in _shared/delivery.js.
+
+import { authenticate, authErrorResponse, AuthError } from './_shared/auth.js';
+import { DeliveryError, deliverInvoice } from './_shared/delivery.js';
+import { getMailConfig, isEmailAddress } from './_shared/mail.js';
+import { getSupabaseConfig } from './_shared/supabase.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+const MAX_RECIPIENTS = 10;
+const MAX_ATTACHMENTS = 3;
+// Netlify caps request bodies at 6 MB, base64 included
+const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+
+class MessageError extends Error {}
+
+function respond(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+function recipients(value, field) {
+  const list = (Array.isArray(value) ? value : [value]).map(v => String(v || '').trim()).filter(Boolean);
+  const invalid = list.filter(address => !isEmailAddress(address) || /[\r\n]/.test(address));
+  if (invalid.length) throw new MessageError(`Invalid ${field} address: ${invalid.join(', ')}`);
+  return list;
+}
+
+// SECURITY: Nothing from the browser reaches the message headers unchecked
+function validateMessage(body) {
+  const to = recipients(body.to, 'to');
+  const cc = recipients(body.cc || [], 'cc');
+  if (!to.length) throw new MessageError('No recipient given');
+  if (to.length + cc.length > MAX_RECIPIENTS) throw new MessageError(`At most ${MAX_RECIPIENTS} recipients`);
+
+  const subject = String(body.subject || '').trim();
+  if (!subject || /[\r\n]/.test(subject) || subject.length > 200) {
+    throw new MessageError('The subject must be one line of at most 200 characters');
+  }
+
+  const attachments = Array.isArray(body.attachments) ? body.attachments : [];
+  if (attachments.length > MAX_ATTACHMENTS) throw new MessageError(`At most ${MAX_ATTACHMENTS} attachments`);
+  let size = 0;
+  const files = attachments.map(file => {
+    const content = String(file?.content || '');
+    if (!/^[A-Za-z0-9+/=\s]+$/.test(content)) throw new MessageError('Attachments must be base64 encoded');
+    size += Math.floor(content.replace(/\s+/g, '').length * 3 / 4);
+    return {
+      filename: String(file.filename || 'attachment').replace(/[\r\n"\\/]+/g, '-').slice(0, 120),
+      content_type: /^[\w.+-]+\/[\w.+-]+$/.test(file.content_type || '') ? file.content_type : 'application/octet-stream',
+      content
+    };
+  });
+  if (size > MAX_ATTACHMENT_BYTES) throw new MessageError('Attachments are too large');
+
+  return { to, cc, subject, text: String(body.text || ''), attachments: files };
+}
+
+export async function handler(event, context) {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    let authenticatedUserId;
+    try {
+      ({ userId: authenticatedUserId } = await authenticate(event));
+    } catch (e) {
+      if (e instanceof AuthError) return authErrorResponse(e);
+      throw e;
+    }
+
+    const config = getSupabaseConfig();
+    if (!config) {
+      return respond(502, { error: 'server_configuration_missing' });
+    }
+    // Nothing may be marked sent unless a transport was really set up
+    const mailConfig = getMailConfig();
+    if (!mailConfig) {
+      return respond(502, { error: 'mail_not_configured', message: 'Set SMTP_HOST and MAIL_FROM, or MAIL_TRANSPORT for development' });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    let message;
+    try {
+      if (typeof body.invoice_id !== 'string' || !/^[\w-]+$/.test(body.invoice_id)) {
+        throw new MessageError('invoice_id missing');
+      }
+      message = validateMessage(body);
+    } catch (e) {
+      if (e instanceof MessageError) return respond(400, { error: 'invalid_message', message: e.message });
+      throw e;
+    }
+
+    try {
+      const sent = await deliverInvoice(config, mailConfig, authenticatedUserId, body.invoice_id, message);
+      return respond(200, { invoice: sent.invoice, transport: sent.transport, message_id: sent.messageId });
+    } catch (e) {
+      if (!(e instanceof DeliveryError)) throw e;
+      return respond(e.statusCode, { error: e.code, message: e.message, ...e.details });
+    }
+  } catch (error) {
+    return respond(500, { error: 'function_error', message: error.message });
+  }
+}
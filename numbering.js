@@ -0,0 +1,63 @@
+// numbering.js
+// Invoice number series: pattern expansion shared by the browser and the Netlify functions
+
+// Pattern tokens: {YYYY} {YY} {MM} {DD} and {SEQ} / {SEQ:n} (sequence zero-padded to n digits)
+export const DEFAULT_SERIES = {
+  invoice: { kind: 'invoice', prefix: '', pattern: '{YYYY}{SEQ:4}', reset: 'yearly' },
+  credit_note: { kind: 'credit_note', prefix: 'D', pattern: '{YYYY}{SEQ:4}', reset: 'yearly' },
+  quote: { kind: 'quote', prefix: 'N', pattern: '{YYYY}{SEQ:4}', reset: 'yearly' },
+  advance: { kind: 'advance', prefix: 'Z', pattern: '{YYYY}{SEQ:4}', reset: 'yearly' },
+  advance_tax: { kind: 'advance_tax', prefix: 'ZD', pattern: '{YYYY}{SEQ:4}', reset: 'yearly' }
+};
+
+export const SERIES_KINDS = Object.keys(DEFAULT_SERIES);
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+export function isValidPattern(pattern) {
+  return typeof pattern === 'string' && SEQ_TOKEN.test(pattern);
+}
+
+// The counter restarts whenever this value changes (0 = never restarts)
+export function seriesPeriod(series, date = new Date()) {
+  return series.reset === 'never' ? 0 : date.getFullYear();
+}
+
+// The sequence number the next allocation takes, and the period it belongs to
+export function nextInSeries(series, date = new Date()) {
+  const period = seriesPeriod(series, date);
+  const seq = series.period === period && series.next_seq ? series.next_seq : 1;
+  return { seq, period };
+}
+
+// Whether changing a stored series would make it hand out a number it has already handed out.
+// The counter may be moved on (e.g. to continue after another invoicing tool), never back. Once a
+// series has handed out numbers it also keeps its kind and is never deleted (changes null): its kind
+// would otherwise start over at 1 in a new default series.
+export function rewindsSeries(stored, changes, date = new Date()) {
+  if (stored.next_seq > 1 && retiresSeries(stored, changes)) return true;
+  if (!['next_seq', 'period', 'reset'].some(field => field in (changes || {}))) return false;
+  return nextInSeries({ ...stored, ...changes }, date).seq < nextInSeries(stored, date).seq;
+}
+
+function retiresSeries(stored, changes) {
+  if (changes === null) return true;
+  return ('kind' in changes && changes.kind !== stored.kind) || (!!changes.deleted && !stored.deleted);
+}
+
+export function formatNumber(series, seq, date = new Date()) {
+  const pattern = isValidPattern(series.pattern) ? series.pattern : DEFAULT_SERIES.invoice.pattern;
+  const yyyy = String(date.getFullYear());
+  const body = pattern
+    .replace(/\{YYYY\}/g, yyyy)
+    .replace(/\{YY\}/g, yyyy.slice(-2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{DD\}/g, String(date.getDate()).padStart(2, '0'))
+    .replace(new RegExp(SEQ_TOKEN.source, 'g'), (_, width) => String(seq).padStart(parseInt(width || '1', 10), '0'));
+  return `${series.prefix || ''}${body}`;
+}
+
+// The number the next allocation will produce, for previews in the profile form
+export function previewNumber(series, date = new Date()) {
+  return formatNumber(series, nextInSeries(series, date).seq, date);
+}
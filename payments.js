@@ -0,0 +1,60 @@
+// payments.js
+// Payments received against invoices, and the invoice status that follows from them
+//
+// An invoice may be paid in instalments, short-paid or overpaid; its status is never set by hand
+// but derived from what has been recorded: unpaid, partially_paid, paid or overpaid.
+// Credit notes issued against an invoice lower what is owed on it, so the functions that
+// compare against the total also take the list of invoices to find them in.
+
+import { creditedAmount } from './creditnotes.js';
+import { round } from './vat.js';
+
+export const PAYMENT_METHODS = ['bank_transfer', 'cash', 'card', 'other'];
+export const PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'paid', 'overpaid'];
+
+// Amounts within half a cent count as equal
+const TOLERANCE = 0.005;
+
+// Live payments of one invoice, oldest first
+export function invoicePayments(payments, invoiceId) {
+  return payments
+    .filter(payment => payment.invoice_id === invoiceId && !payment.deleted)
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')) ||
+      String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+export function paidAmount(payments) {
+  return round(payments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0));
+}
+
+// What is still owed after payments and credit notes; negative when the client paid too much
+export function balanceDue(invoice, payments, invoices = []) {
+  const own = invoicePayments(payments, invoice.id);
+  if (own.length === 0 && invoice.status === 'paid') return 0;
+  return round((Number(invoice.total) || 0) + creditedAmount(invoice, invoices) - paidAmount(own));
+}
+
+export function paymentStatus(invoice, payments, invoices = []) {
+  const own = invoicePayments(payments, invoice.id);
+  // Invoices marked paid before payments were recorded on their own have no payment rows
+  if (own.length === 0 && invoice.status === 'paid') return 'paid';
+
+  // A balance of zero is paid even without payments: the invoice was credited in full
+  const balance = balanceDue(invoice, payments, invoices);
+  if (Math.abs(balance) < TOLERANCE) return 'paid';
+  if (balance < 0) return 'overpaid';
+  return paidAmount(own) > 0 ? 'partially_paid' : 'unpaid';
+}
+
+export function isSettled(status) {
+  return status === 'paid' || status === 'overpaid';
+}
+
+// Payments joined with their invoice, e.g. for the accounting and ledger exports
+export function receivedPayments(invoices, payments) {
+  return invoices.flatMap(invoice => invoicePayments(payments, invoice.id).map(payment => ({
+    ...payment,
+    invoice,
+    amount: parseFloat(payment.amount) || 0
+  })));
+}
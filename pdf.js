@@ -0,0 +1,640 @@
+// pdf.js
+// Invoice and reminder PDFs drawn with jsPDF (loaded from the CDN in app.html, like qrcode-generator)
+//
+// The standard PDF fonts have no Czech diacritics, so DejaVu Sans is fetched once per session
+// and embedded in every document.
+
+import { advancesTotal } from './advances.js';
+import { LABELS, documentTitle, formatCurrency, formatDate, vatNote, vatRateLabel } from './invoice.js';
+import { formatIban } from './iban.js';
+import { qrMatrix } from './qrpay.js';
+
+const FONT_URL = 'https://cdn.jsdelivr.net/npm/dejavu-fonts-ttf@2.37.3/ttf/';
+const FONT_FAMILY = 'DejaVuSans';
+const FONT_FILES = { normal: 'DejaVuSans.ttf', bold: 'DejaVuSans-Bold.ttf' };
+
+// A4 portrait, millimetres
+const PAGE = { width: 210, height: 297, margin: 18 };
+const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin;
+
+const COLORS = {
+  text: [0, 0, 0],
+  muted: [102, 102, 102],
+  rule: [224, 224, 224],
+  header: [248, 248, 248],
+  jobBox: [249, 249, 249],
+  totalsBox: [240, 247, 255],
+  accent: [25, 118, 210]
+};
+
+let fontData = null;
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Fonts are cached as base64 for the session; a failed download is retried next time
+function loadFontData() {
+  if (!fontData) {
+    fontData = Promise.all(Object.entries(FONT_FILES).map(async ([style, file]) => {
+      const res = await fetch(FONT_URL + file);
+      if (!res.ok) throw new Error(`Could not load font ${file}: ${res.status}`);
+      return { style, file, data: toBase64(await res.arrayBuffer()) };
+    })).catch(err => {
+      fontData = null;
+      throw err;
+    });
+  }
+  return fontData;
+}
+
+async function createPdf() {
+  const jsPDF = globalThis.jspdf?.jsPDF;
+  if (!jsPDF) throw new Error('jsPDF is not loaded');
+
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4', compress: true });
+  (await loadFontData()).forEach(({ style, file, data }) => {
+    pdf.addFileToVFS(file, data);
+    pdf.addFont(file, FONT_FAMILY, style);
+  });
+  pdf.setFont(FONT_FAMILY, 'normal');
+  return pdf;
+}
+
+// Small drawing helper that tracks the vertical position and starts new pages as needed
+class Layout {
+  constructor(pdf) {
+    this.pdf = pdf;
+    this.y = PAGE.margin;
+    this.onNewPage = null;
+  }
+
+  font(size, style = 'normal', color = COLORS.text) {
+    this.pdf.setFont(FONT_FAMILY, style);
+    this.pdf.setFontSize(size);
+    this.pdf.setTextColor(...color);
+  }
+
+  lineHeight(size) {
+    return size * 0.3528 * 1.35; // pt -> mm, plus leading
+  }
+
+  wrap(text, width) {
+    return this.pdf.splitTextToSize(String(text ?? ''), width);
+  }
+
+  ensureSpace(height) {
+    if (this.y + height <= PAGE.height - PAGE.margin) return;
+    this.pdf.addPage();
+    this.y = PAGE.margin;
+    if (this.onNewPage) this.onNewPage();
+  }
+
+  text(text, x, options = {}) {
+    this.pdf.text(text, x, this.y, { baseline: 'top', ...options });
+  }
+
+  rule(color = COLORS.rule, width = 0.2) {
+    this.pdf.setDrawColor(...color);
+    this.pdf.setLineWidth(width);
+    this.pdf.line(PAGE.margin, this.y, PAGE.width - PAGE.margin, this.y);
+  }
+
+  box(height, color) {
+    this.pdf.setFillColor(...color);
+    this.pdf.roundedRect(PAGE.margin, this.y, CONTENT_WIDTH, height, 2, 2, 'F');
+  }
+}
+
+function drawHeader(layout, doc) {
+  const right = PAGE.width - PAGE.margin;
+  const top = layout.y;
+
+  // The longer tax document, credit note, advance and reminder titles go smaller, over two lines
+  const titleSize = doc.vat || doc.creditNote || doc.advance || doc.reminder ? 14 : 20;
+  layout.font(titleSize, 'bold');
+  const titleLines = layout.wrap(documentTitle(doc), 70);
+  titleLines.forEach((line, i) => {
+    layout.y = top + i * layout.lineHeight(titleSize);
+    layout.text(line, PAGE.margin);
+  });
+
+  const meta = doc.reminder ? [
+    [LABELS.reminderDate, formatDate(doc.reminder.date)],
+    [LABELS.number, doc.number],
+    [LABELS.dueDate, formatDate(doc.dueDate)],
+    [LABELS.payBy, formatDate(doc.reminder.pay_by)]
+  ] : doc.advanceTax ? [
+    [LABELS.documentNumber, doc.number],
+    [LABELS.issueDate, formatDate(doc.issueDate)],
+    [LABELS.taxableSupplyDate, formatDate(doc.taxableSupplyDate)]
+  ] : doc.quote ? [
+    [LABELS.quoteNumber, doc.number],
+    [LABELS.issueDate, formatDate(doc.issueDate)],
+    [LABELS.validUntil, formatDate(doc.quote.validUntil)]
+  ] : [
+    [doc.creditNote ? LABELS.documentNumber : LABELS.number, doc.number],
+    [LABELS.issueDate, formatDate(doc.issueDate)],
+    ...(doc.taxableSupplyDate ? [[LABELS.taxableSupplyDate, formatDate(doc.taxableSupplyDate)]] : []),
+    [LABELS.dueDate, formatDate(doc.dueDate)],
+    [LABELS.paymentMethod, LABELS.bankTransfer]
+  ];
+  const size = 9;
+  meta.forEach(([label, value], i) => {
+    layout.y = top + i * layout.lineHeight(size);
+    layout.font(size, 'normal');
+    const valueWidth = layout.pdf.getTextWidth(` ${value}`);
+    layout.text(` ${value}`, right, { align: 'right' });
+    layout.font(size, 'bold');
+    layout.text(`${label}:`, right - valueWidth, { align: 'right' });
+  });
+
+  layout.y = top + Math.max(meta.length * layout.lineHeight(size), titleLines.length * layout.lineHeight(titleSize)) + 6;
+  layout.rule(COLORS.text, 0.6);
+  layout.y += 8;
+}
+
+function partyLines(layout, party, width) {
+  return [
+    ...String(party.address || '').split('\n').flatMap(line => layout.wrap(line, width)),
+    ...party.ids.flatMap(id => layout.wrap(`${id.label}: ${id.number}`, width))
+  ];
+}
+
+function drawParties(layout, doc) {
+  const columnWidth = CONTENT_WIDTH / 2 - 4;
+  const columns = [
+    { x: PAGE.margin, title: LABELS.supplier, party: doc.supplier },
+    { x: PAGE.margin + CONTENT_WIDTH / 2 + 4, title: LABELS.customer, party: doc.customer }
+  ];
+  const top = layout.y;
+  let bottom = top;
+
+  columns.forEach(({ x, title, party }) => {
+    layout.y = top;
+    layout.font(10.5, 'bold');
+    layout.text(title, x);
+    layout.y += layout.lineHeight(10.5) + 1;
+
+    layout.font(10, 'bold');
+    layout.wrap(party.name, columnWidth).forEach(line => {
+      layout.text(line, x);
+      layout.y += layout.lineHeight(10);
+    });
+
+    layout.font(10, 'normal');
+    partyLines(layout, party, columnWidth).forEach(line => {
+      layout.text(line, x);
+      layout.y += layout.lineHeight(10);
+    });
+    bottom = Math.max(bottom, layout.y);
+  });
+
+  layout.y = bottom + 8;
+}
+
+// The reminder letter, Czech first
+function drawLetter(layout, doc) {
+  layout.font(10, 'normal');
+  doc.reminder.text.forEach(paragraph => {
+    layout.wrap(paragraph, CONTENT_WIDTH).forEach(line => {
+      layout.ensureSpace(layout.lineHeight(10));
+      layout.text(line, PAGE.margin);
+      layout.y += layout.lineHeight(10);
+    });
+    layout.y += 4;
+  });
+  layout.y += 4;
+}
+
+// The invoice a reminder is about
+function drawOverdueInvoice(layout, doc) {
+  const money = amount => `${formatCurrency(amount)} ${doc.currency}`;
+  drawInfoBox(layout, LABELS.overdueInvoice, [
+    [LABELS.number, doc.number],
+    [LABELS.issueDate, formatDate(doc.issueDate)],
+    [LABELS.dueDate, formatDate(doc.dueDate)],
+    [LABELS.invoiceTotal, money(doc.totals.total)],
+    [LABELS.paid, money(doc.reminder.paid)],
+    [LABELS.daysOverdue, String(doc.reminder.days_overdue)]
+  ]);
+}
+
+function drawJob(layout, doc) {
+  if (!doc.job) return;
+
+  const rows = [];
+  if (doc.job.name) rows.push([LABELS.jobName, doc.job.name]);
+  if (doc.job.address) rows.push([LABELS.jobAddress, doc.job.address]);
+  if (doc.job.description) rows.push([LABELS.jobDescription, doc.job.description]);
+  if (doc.job.startDate || doc.job.endDate) {
+    const period = [doc.job.startDate ? formatDate(doc.job.startDate) : '', doc.job.endDate ? `- ${formatDate(doc.job.endDate)}` : '']
+      .filter(Boolean).join(' ');
+    rows.push([LABELS.jobPeriod, period]);
+  }
+
+  drawInfoBox(layout, LABELS.jobDetails, rows);
+}
+
+// What a credit note corrects, in the same box as the job details of an invoice
+function drawCorrection(layout, doc) {
+  if (!doc.creditNote) return;
+
+  const rows = [[LABELS.originalInvoice, doc.creditNote.originalNumber]];
+  if (doc.creditNote.originalIssueDate) rows.push([LABELS.originalIssueDate, formatDate(doc.creditNote.originalIssueDate)]);
+  if (doc.creditNote.reason) rows.push([LABELS.correctionReason, doc.creditNote.reason]);
+
+  drawInfoBox(layout, LABELS.correction, rows);
+}
+
+// The advance whose payment a tax document records
+function drawAdvanceReference(layout, doc) {
+  if (!doc.advanceTax) return;
+
+  const rows = [[LABELS.advanceInvoice, doc.advanceTax.advanceNumber]];
+  if (doc.advanceTax.paymentDate) rows.push([LABELS.paymentDate, formatDate(doc.advanceTax.paymentDate)]);
+
+  drawInfoBox(layout, LABELS.receivedPayment, rows);
+}
+
+// Shaded box with a title and label: value rows
+function drawInfoBox(layout, title, rows) {
+  layout.font(10, 'bold');
+  const labelWidth = Math.max(42, ...rows.map(([label]) => layout.pdf.getTextWidth(`${label}:`) + 3));
+  const valueWidth = CONTENT_WIDTH - labelWidth - 12;
+  layout.font(10, 'normal');
+  const wrapped = rows.map(([label, value]) => [label, layout.wrap(value, valueWidth)]);
+  const height = 6 + layout.lineHeight(10.5) + 2
+    + wrapped.reduce((sum, [, lines]) => sum + lines.length * layout.lineHeight(10) + 1, 0) + 4;
+
+  layout.ensureSpace(height);
+  layout.box(height, COLORS.jobBox);
+  layout.y += 6;
+  layout.font(10.5, 'bold');
+  layout.text(title, PAGE.margin + 6);
+  layout.y += layout.lineHeight(10.5) + 2;
+
+  wrapped.forEach(([label, lines]) => {
+    layout.font(10, 'bold');
+    layout.text(`${label}:`, PAGE.margin + 6);
+    layout.font(10, 'normal');
+    lines.forEach(line => {
+      layout.text(line, PAGE.margin + 6 + labelWidth);
+      layout.y += layout.lineHeight(10);
+    });
+    layout.y += 1;
+  });
+
+  layout.y += 4 + 6;
+}
+
+const COLUMNS = [
+  { key: 'description', label: LABELS.description, width: 76 },
+  { key: 'hours', label: LABELS.hours, width: 26, align: 'right' },
+  { key: 'rate', label: LABELS.rate, width: 36, align: 'right' },
+  { key: 'amount', label: LABELS.amount, width: CONTENT_WIDTH - 76 - 26 - 36, align: 'right' }
+];
+
+// A VAT payer's lines also show their rate, taken out of the description column
+const VAT_COLUMNS = [
+  { ...COLUMNS[0], width: 56 },
+  COLUMNS[1],
+  COLUMNS[2],
+  { key: 'vatRate', label: LABELS.tax, width: 20, align: 'right' },
+  COLUMNS[3]
+];
+
+const RECAP_COLUMNS = [
+  { label: LABELS.vatRate, width: CONTENT_WIDTH - 3 * 36 },
+  { label: LABELS.vatBase, width: 36, align: 'right' },
+  { label: LABELS.tax, width: 36, align: 'right' },
+  { label: LABELS.vatTotal, width: 36, align: 'right' }
+];
+
+const CELL_PADDING = 2.5;
+
+function drawRow(layout, columns, cells, { bold = false, fill = null, size = 9 } = {}) {
+  layout.font(size, bold ? 'bold' : 'normal');
+  const wrapped = columns.map((column, i) => layout.wrap(cells[i], column.width - 2 * CELL_PADDING));
+  const height = Math.max(...wrapped.map(lines => lines.length)) * layout.lineHeight(size) + 2 * CELL_PADDING;
+
+  layout.ensureSpace(height);
+  if (fill) {
+    layout.pdf.setFillColor(...fill);
+    layout.pdf.rect(PAGE.margin, layout.y, CONTENT_WIDTH, height, 'F');
+  }
+
+  let x = PAGE.margin;
+  const top = layout.y;
+  columns.forEach((column, i) => {
+    layout.y = top + CELL_PADDING;
+    layout.font(size, bold ? 'bold' : 'normal');
+    wrapped[i].forEach(line => {
+      if (column.align === 'right') layout.text(line, x + column.width - CELL_PADDING, { align: 'right' });
+      else layout.text(line, x + CELL_PADDING);
+      layout.y += layout.lineHeight(size);
+    });
+    x += column.width;
+  });
+
+  layout.y = top + height;
+  layout.rule(bold ? [51, 51, 51] : COLORS.rule, bold ? 0.5 : 0.2);
+}
+
+function drawItems(layout, doc) {
+  const money = amount => `${formatCurrency(amount)} ${doc.currency}`;
+  const columns = doc.vat ? VAT_COLUMNS : COLUMNS;
+  const header = () => drawRow(layout, columns, columns.map(column => column.label), { bold: true, fill: COLORS.header, size: 8.5 });
+
+  layout.ensureSpace(30);
+  header();
+  // Long invoices repeat the column headings on every page
+  layout.onNewPage = header;
+
+  doc.items.forEach(item => {
+    drawRow(layout, columns, [
+      item.description,
+      item.hours !== null ? item.hours.toFixed(2) : '-',
+      item.rate !== null ? money(item.rate) : '-',
+      ...(doc.vat ? [item.vatRate ? vatRateLabel(item.vatRate) : '-'] : []),
+      money(item.amount)
+    ]);
+  });
+
+  layout.onNewPage = null;
+  layout.y += 8;
+}
+
+function drawVatRecap(layout, doc) {
+  if (!doc.vat?.recap.length) return;
+  const money = amount => `${formatCurrency(amount)} ${doc.currency}`;
+
+  const deducted = doc.advances.flatMap(advance => advance.vat.map(line => ({ ...line, number: advance.number })));
+  layout.ensureSpace(14 + (doc.vat.recap.length + deducted.length + 1) * 10);
+  layout.font(10.5, 'bold');
+  layout.text(LABELS.vatRecap, PAGE.margin);
+  layout.y += layout.lineHeight(10.5) + 1;
+
+  drawRow(layout, RECAP_COLUMNS, RECAP_COLUMNS.map(column => column.label), { bold: true, fill: COLORS.header, size: 8.5 });
+  doc.vat.recap.forEach(line => {
+    drawRow(layout, RECAP_COLUMNS, [vatRateLabel(line.rate), money(line.base), money(line.tax), money(line.total)]);
+  });
+  // VAT already declared on the advances' tax documents comes off the final invoice
+  deducted.forEach(line => {
+    drawRow(layout, RECAP_COLUMNS, [
+      `${LABELS.advanceDeducted} ${line.number} (${vatRateLabel(line.rate)})`,
+      money(-line.base), money(-line.tax), money(-line.total)
+    ]);
+  });
+
+  layout.y += 8;
+}
+
+function totalLines(doc) {
+  const money = amount => `${formatCurrency(amount)} ${doc.currency}`;
+  if (doc.reminder) {
+    return [
+      { label: LABELS.balanceDue, value: money(doc.reminder.balance) },
+      ...(doc.reminder.interest > 0 ? [{ label: `${LABELS.lateInterest} (${doc.reminder.interest_rate} %)`, value: money(doc.reminder.interest) }] : []),
+      { label: LABELS.totalDue, value: money(doc.reminder.totalDue), final: true }
+    ];
+  }
+
+  if (doc.quote) {
+    return [
+      ...(doc.vat ? [{ label: LABELS.subtotal, value: money(doc.totals.subtotal) }, { label: LABELS.tax, value: money(doc.totals.tax) }] : []),
+      { label: LABELS.quoteTotal, value: money(doc.totals.total), final: true }
+    ];
+  }
+
+  const lines = [];
+  if (doc.totals.breakdown) {
+    lines.push({ label: LABELS.jobTotal, value: money(doc.totals.jobTotal) });
+    if (doc.totals.expenses > 0) lines.push({ label: LABELS.expenses, value: money(doc.totals.expenses) });
+  }
+  if (doc.vat) {
+    lines.push({ label: LABELS.subtotal, value: money(doc.totals.subtotal) });
+    lines.push({ label: LABELS.tax, value: money(doc.totals.tax) });
+  }
+  if (doc.totals.breakdown || doc.vat) {
+    lines.push({ label: LABELS.invoiceAmount, value: money(doc.totals.invoiceAmount), strong: true });
+    // Advances by number, then whatever was entered as a plain deposit before advance invoices existed
+    doc.advances.forEach(advance => {
+      const taxDocuments = advance.taxDocuments.length ? ` (${LABELS.taxDocument} ${advance.taxDocuments.join(', ')})` : '';
+      lines.push({ label: `${LABELS.advanceDeducted} ${advance.number}${taxDocuments}`, value: `-${money(advance.amount)}` });
+    });
+    const deposits = doc.totals.deposits - advancesTotal(doc.advances);
+    if (deposits > 0.005) lines.push({ label: LABELS.deposits, value: `-${money(deposits)}` });
+  }
+  const finalLabel = doc.creditNote ? LABELS.totalCredit : doc.advanceTax ? LABELS.totalReceived : LABELS.totalDue;
+  lines.push({ label: finalLabel, value: money(doc.totals.total), final: true });
+  return lines;
+}
+
+function drawTotals(layout, doc) {
+  const lines = totalLines(doc);
+  const sizeOf = line => (line.final ? 13 : line.strong ? 11.5 : 10);
+  const height = 12 + lines.reduce((sum, line) => sum + layout.lineHeight(sizeOf(line)) + (line.final || line.strong ? 5 : 0) + (line.final ? 0 : 2), 0);
+
+  layout.ensureSpace(height);
+  layout.box(height, COLORS.totalsBox);
+  layout.y += 6;
+
+  const left = PAGE.margin + 6;
+  const right = PAGE.width - PAGE.margin - 6;
+  lines.forEach(line => {
+    const size = sizeOf(line);
+    if (line.final || line.strong) {
+      layout.y += 2;
+      layout.pdf.setDrawColor(...COLORS.accent);
+      layout.pdf.setLineWidth(0.5);
+      layout.pdf.line(left, layout.y, right, layout.y);
+      layout.y += 3;
+    }
+    const color = line.final ? COLORS.accent : COLORS.text;
+    layout.font(size, line.final || line.strong ? 'bold' : 'normal', color);
+    layout.text(`${line.label}:`, left);
+    layout.text(line.value, right, { align: 'right' });
+    layout.y += layout.lineHeight(size) + (line.final ? 0 : 2);
+  });
+
+  layout.y += 6 + 8;
+}
+
+// Payment QR code with its caption, drawn as vector squares so it stays sharp when printed
+function drawQr(layout, qr, x, y, size) {
+  const { size: modules, isDark } = qrMatrix(qr.payload);
+  const cell = size / modules;
+
+  layout.pdf.setFillColor(0, 0, 0);
+  for (let row = 0; row < modules; row++) {
+    for (let col = 0; col < modules; col++) {
+      if (isDark(row, col)) layout.pdf.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+    }
+  }
+
+  layout.font(9, 'bold');
+  layout.pdf.text(qr.label, x + size / 2, y + size + 2, { baseline: 'top', align: 'center' });
+}
+
+function drawFooter(layout, doc) {
+  const qr = doc.payment?.qr;
+  const qrSize = 34;
+  const textWidth = qr ? CONTENT_WIDTH - qrSize - 10 : CONTENT_WIDTH;
+
+  const lines = doc.bankAccounts.length
+    ? doc.bankAccounts.map(acc => acc.label ? `${acc.label}: ${acc.number}` : acc.number)
+    : [LABELS.notSpecified];
+  if (doc.payment) {
+    lines.push(`IBAN: ${formatIban(doc.payment.iban)}`);
+    if (doc.payment.bic) lines.push(`BIC / SWIFT: ${doc.payment.bic}`);
+    if (doc.payment.variableSymbol) lines.push(`${LABELS.variableSymbol}: ${doc.payment.variableSymbol}`);
+  }
+
+  layout.font(9.5, 'normal');
+  const wrapped = lines.flatMap(line => layout.wrap(line, textWidth));
+  // A reminder is no tax document, so it makes no VAT statement
+  const note = doc.reminder ? null : vatNote(doc);
+  const noteLines = note ? layout.wrap(note, textWidth) : [];
+  const textHeight = layout.lineHeight(9.5) * (wrapped.length + 1 + noteLines.length) + 8;
+  layout.ensureSpace(Math.max(textHeight, qr ? qrSize + 8 : 0));
+
+  const top = layout.y;
+  if (qr) drawQr(layout, qr, PAGE.width - PAGE.margin - qrSize, top, qrSize);
+
+  layout.y = top;
+  layout.font(9.5, 'bold');
+  layout.text(`${LABELS.bankDetails}:`, PAGE.margin);
+  layout.y += layout.lineHeight(9.5);
+
+  layout.font(9.5, 'normal');
+  wrapped.forEach(line => {
+    layout.text(line, PAGE.margin);
+    layout.y += layout.lineHeight(9.5);
+  });
+
+  if (noteLines.length) {
+    layout.y += 4;
+    noteLines.forEach(line => {
+      layout.text(line, PAGE.margin);
+      layout.y += layout.lineHeight(9.5);
+    });
+  }
+  layout.y = Math.max(layout.y, qr ? top + qrSize + 8 : 0);
+}
+
+function drawPageNumbers(pdf, doc) {
+  const pages = pdf.getNumberOfPages();
+  if (pages < 2) return;
+  for (let page = 1; page <= pages; page++) {
+    pdf.setPage(page);
+    pdf.setFont(FONT_FAMILY, 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(...COLORS.muted);
+    pdf.text(`${doc.number} - ${page} / ${pages}`, PAGE.width - PAGE.margin, PAGE.height - PAGE.margin / 2, { align: 'right' });
+  }
+}
+
+// Render a document from buildInvoiceDocument() to a jsPDF instance
+export async function renderInvoicePdf(doc) {
+  const pdf = await createPdf();
+  pdf.setProperties({ title: `${documentTitle(doc)} ${doc.number}`, subject: doc.number, author: doc.supplier.name });
+
+  const layout = new Layout(pdf);
+  drawHeader(layout, doc);
+  drawParties(layout, doc);
+  drawCorrection(layout, doc);
+  drawAdvanceReference(layout, doc);
+  drawJob(layout, doc);
+  drawItems(layout, doc);
+  drawVatRecap(layout, doc);
+  drawTotals(layout, doc);
+  drawFooter(layout, doc);
+  drawPageNumbers(pdf, doc);
+
+  return pdf;
+}
+
+// What a quote says under its totals in place of bank details
+function drawQuoteNote(layout, doc) {
+  const lines = [LABELS.quoteNote, vatNote(doc)].filter(Boolean).flatMap(line => layout.wrap(line, CONTENT_WIDTH));
+  layout.font(9.5, 'normal');
+  layout.ensureSpace(lines.length * layout.lineHeight(9.5));
+  lines.forEach(line => {
+    layout.text(line, PAGE.margin);
+    layout.y += layout.lineHeight(9.5);
+  });
+}
+
+// Render a document from buildQuoteDocument() (quotes.js)
+export async function renderQuotePdf(doc) {
+  const pdf = await createPdf();
+  pdf.setProperties({ title: `${documentTitle(doc)} ${doc.number}`, subject: doc.number, author: doc.supplier.name });
+
+  const layout = new Layout(pdf);
+  drawHeader(layout, doc);
+  drawParties(layout, doc);
+  drawJob(layout, doc);
+  drawItems(layout, doc);
+  drawVatRecap(layout, doc);
+  drawTotals(layout, doc);
+  drawQuoteNote(layout, doc);
+  drawPageNumbers(pdf, doc);
+
+  return pdf;
+}
+
+// Render a document from buildReminderDocument() (reminders.js)
+export async function renderReminderPdf(doc) {
+  const pdf = await createPdf();
+  pdf.setProperties({ title: `${documentTitle(doc)} ${doc.number}`, subject: doc.number, author: doc.supplier.name });
+
+  const layout = new Layout(pdf);
+  drawHeader(layout, doc);
+  drawParties(layout, doc);
+  drawLetter(layout, doc);
+  drawOverdueInvoice(layout, doc);
+  drawTotals(layout, doc);
+  drawFooter(layout, doc);
+  drawPageNumbers(pdf, doc);
+
+  return pdf;
+}
+
+export function invoiceFileName(doc) {
+  return `Invoice-${String(doc.number).replace(/[\\/:*?"<>|\s]+/g, '-')}.pdf`;
+}
+
+export async function downloadInvoicePdf(doc) {
+  const pdf = await renderInvoicePdf(doc);
+  pdf.save(invoiceFileName(doc));
+}
+
+export function quoteFileName(doc) {
+  return `Quote-${String(doc.number).replace(/[\\/:*?"<>|\s]+/g, '-')}.pdf`;
+}
+
+export async function downloadQuotePdf(doc) {
+  const pdf = await renderQuotePdf(doc);
+  pdf.save(quoteFileName(doc));
+}
+
+export function reminderFileName(doc) {
+  return `Reminder-${doc.reminder.level}-${String(doc.number).replace(/[\\/:*?"<>|\s]+/g, '-')}.pdf`;
+}
+
+export async function downloadReminderPdf(doc) {
+  const pdf = await renderReminderPdf(doc);
+  pdf.save(reminderFileName(doc));
+}
+
+// The PDF as an email attachment for the send-invoice function
+export async function invoicePdfAttachment(doc) {
+  const pdf = await renderInvoicePdf(doc);
+  return { filename: invoiceFileName(doc), content_type: 'application/pdf', content: toBase64(pdf.output('arraybuffer')) };
+}
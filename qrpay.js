@@ -0,0 +1,107 @@
+// qrpay.js
+// Payment QR codes printed on invoices
+//
+// QR Platba (SPAYD): the Czech "Short Payment Descriptor" read by Czech banking apps, e.g.
+//   SPD*1.0*ACC:CZ6508000000192000145399*AM:21200.00*CC:CZK*DT:20261015*X-VS:20260001*MSG:FAKTURA 20260001
+//
+// EPC QR (EPC069-12, "GiroCode"): SEPA credit transfer in EUR, one field per line:
+//   BCD / 002 / 1 / SCT / BIC / beneficiary name / IBAN / EUR amount / purpose / reference / text
+//
+// The QR matrix comes from qrcode-generator, loaded from the CDN in app.html.
+
+const SPAYD_MESSAGE_LENGTH = 60;
+const EPC_NAME_LENGTH = 70;
+const EPC_TEXT_LENGTH = 140;
+
+export const QR_STANDARDS = {
+  spayd: { label: 'QR Platba' },
+  epc: { label: 'EPC QR / GiroCode' }
+};
+
+// SEPA payments are in EUR only; everything else goes through QR Platba
+export function qrStandardFor(currency) {
+  return currency === 'EUR' ? 'epc' : 'spayd';
+}
+
+// Payment codes read best as plain ASCII: drop diacritics and anything the format reserves
+function asciiText(text, maxLength) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '')
+    .replace(/\*/g, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
+// Variable symbol: the digits of the invoice number, at most 10 of them
+export function variableSymbol(invoiceNumber) {
+  const digits = String(invoiceNumber || '').replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+  return digits.slice(-10);
+}
+
+// Due dates are stored as YYYY-MM-DD, which parses as UTC midnight: read it back in UTC too,
+// or west of Greenwich the code asks for payment a day early
+function spaydDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return `${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}${String(date.getUTCDate()).padStart(2, '0')}`;
+}
+
+export function buildSpayd({ iban, bic, amount, currency, dueDate, variableSymbol: vs, message }) {
+  const fields = [
+    ['ACC', bic ? `${iban}+${bic}` : iban],
+    ['AM', amount > 0 ? amount.toFixed(2) : null],
+    ['CC', currency],
+    ['DT', spaydDate(dueDate)],
+    ['X-VS', vs || null],
+    ['MSG', asciiText(message, SPAYD_MESSAGE_LENGTH) || null]
+  ];
+  return ['SPD', '1.0', ...fields.filter(([, value]) => value).map(([key, value]) => `${key}:${value}`)].join('*');
+}
+
+// Version 002 makes the BIC optional within the EEA; character set 1 is UTF-8
+export function buildEpc({ bic, name, iban, amount, message }) {
+  const lines = [
+    'BCD',
+    '002',
+    '1',
+    'SCT',
+    bic || '',
+    String(name || '').replace(/\s+/g, ' ').trim().slice(0, EPC_NAME_LENGTH),
+    iban,
+    amount > 0 ? `EUR${amount.toFixed(2)}` : '',
+    '',
+    '',
+    String(message || '').replace(/\s+/g, ' ').trim().slice(0, EPC_TEXT_LENGTH)
+  ];
+  return lines.join('\n').replace(/\n+$/, '');
+}
+
+// Modules of the QR code for a payload: { size, isDark(row, col) }
+export function qrMatrix(text) {
+  const qrcode = globalThis.qrcode;
+  if (!qrcode) throw new Error('qrcode-generator is not loaded');
+
+  // qrcode-generator writes one byte per character, so hand it the UTF-8 bytes
+  const bytes = new TextEncoder().encode(text);
+  const qr = qrcode(0, 'M');
+  qr.addData(String.fromCharCode(...bytes));
+  qr.make();
+  return { size: qr.getModuleCount(), isDark: (row, col) => qr.isDark(row, col) };
+}
+
+// Inline SVG of a QR code, quiet zone included, scaling to its container
+export function qrSvg(text, { modules = 4 } = {}) {
+  const { size, isDark } = qrMatrix(text);
+  const total = size + 2 * modules;
+  const path = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (isDark(row, col)) path.push(`M${col + modules} ${row + modules}h1v1h-1z`);
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+    + `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
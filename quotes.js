@@ -0,0 +1,133 @@
+// quotes.js
+// Price quotes (cenové nabídky): sent before a job starts, turned into a job or an invoice once accepted
+//
+// quotes: id, user_id, quote_number, client_id, name, description, address, items (JSON text, lines
+// as on invoices), currency, subtotal, tax, total, valid_until, status, deleted, created_at, updated_at.
+// The job or invoice made from a quote keeps its id in quote_id, which is also how a quote knows
+// it has been converted.
+
+import { addDays, buildInvoiceDocument, isoDate, newInvoice, parseJson, priceLines, withVatRates } from './invoice.js';
+import { invoiceTotals, round } from './vat.js';
+
+// Stored statuses; 'expired' is derived from valid_until
+export const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'rejected'];
+
+export const QUOTE_BADGES = {
+  draft: 'muted',
+  sent: 'info',
+  accepted: 'success',
+  rejected: 'danger',
+  expired: 'warning'
+};
+
+export const QUOTE_VALIDITY_DAYS = 30;
+
+// A quote nobody answered is expired the day after its validity ends
+export function quoteState(quote, today = new Date()) {
+  const status = QUOTE_STATUSES.includes(quote.status) ? quote.status : 'draft';
+  if (['draft', 'sent'].includes(status) && quote.valid_until && quote.valid_until < isoDate(today)) return 'expired';
+  return status;
+}
+
+export function quoteLines(quote) {
+  return priceLines(parseJson(quote.items, []));
+}
+
+// The columns a quote is saved with, from the fields of the form and its entered lines
+export function quoteRecord(fields, lines, { profile, client }) {
+  const items = withVatRates(priceLines(lines), { profile, client });
+  const totals = invoiceTotals(items);
+  return {
+    ...fields,
+    items: JSON.stringify(items),
+    currency: fields.currency || client?.currency || 'CZK',
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    total: totals.gross
+  };
+}
+
+// The job and invoice made from a quote, when it has been converted
+export function quoteConversions(quote, { jobs = [], invoices = [] }) {
+  return {
+    job: jobs.find(job => job.quote_id === quote.id && !job.deleted) || null,
+    invoice: invoices.find(inv => inv.quote_id === quote.id && !inv.deleted) || null
+  };
+}
+
+export function canConvert(quote, context, today = new Date()) {
+  const { job, invoice } = quoteConversions(quote, context);
+  return quoteState(quote, today) === 'accepted' && !job && !invoice;
+}
+
+// The fields showJobForm is pre-filled with. Lines with hours become the job's hours at their
+// average rate, flat-priced lines its expenses.
+export function quoteJob(quote) {
+  const lines = quoteLines(quote);
+  const work = lines.filter(line => line.hours !== null);
+  const hours = round(work.reduce((sum, line) => sum + line.hours, 0));
+  const amount = work.reduce((sum, line) => sum + line.amount, 0);
+  const rates = [...new Set(work.map(line => line.vat_rate ?? null))];
+
+  return {
+    client_id: quote.client_id,
+    name: quote.name,
+    description: quote.description,
+    address: quote.address,
+    hours: hours || '',
+    rate: hours ? round(amount / hours) : '',
+    currency: quote.currency,
+    vat_rate: rates.length === 1 ? rates[0] : null,
+    expenses: lines
+      .filter(line => line.hours === null)
+      .map(line => ({ label: line.description, amount: line.amount, ...(line.vat_rate ? { vat_rate: line.vat_rate } : {}) })),
+    quote_id: quote.id
+  };
+}
+
+// An invoice straight from the quote's lines, still without its number
+export function quoteInvoice(quote, { profile, client, today = new Date() }) {
+  const day = isoDate(today);
+  const due = addDays(day, parseInt(client.due_date_days, 10) || 30);
+
+  return {
+    ...newInvoice({
+      profile,
+      client,
+      items: quoteLines(quote),
+      dueDate: due,
+      taxableSupplyDate: day,
+      meta: { job_name: quote.name, job_address: quote.address, quote_number: quote.quote_number }
+    }),
+    currency: quote.currency || client.currency || 'CZK',
+    quote_id: quote.id
+  };
+}
+
+// The quote in the invoice document model, so it prints with the invoice layout (pdf.js)
+export function buildQuoteDocument(quote, { profile, client } = {}) {
+  const doc = buildInvoiceDocument({
+    invoice_number: quote.quote_number,
+    client_id: quote.client_id,
+    items: quote.items,
+    subtotal: quote.subtotal,
+    tax: quote.tax,
+    total: quote.total,
+    currency: quote.currency,
+    created_at: quote.created_at,
+    due_date: null,
+    // Lines only carry VAT rates if the supplier was a payer when the quote was saved
+    meta: JSON.stringify({ vat_payer: quoteLines(quote).some(line => line.vat_rate) })
+  }, { profile, client });
+
+  return {
+    ...doc,
+    taxableSupplyDate: null,
+    job: quote.name || quote.address || quote.description
+      ? { name: quote.name || '', address: quote.address || '', description: quote.description || '', startDate: null, endDate: null }
+      : null,
+    quote: { validUntil: quote.valid_until },
+    // Nothing is paid against a quote
+    payment: null
+  };
+}
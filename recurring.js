@@ -0,0 +1,119 @@
+// recurring.js
+// Recurring invoice profiles: the schedule and the invoice each run creates
+//
+// recurring_invoices: id, user_id, client_id, name, items (JSON text, like on invoices), interval,
+// start_date, next_run, end_date, due_days, send_email, auto_send, active, deleted, created_at, updated_at.
+// Runs fall on start_date plus whole intervals, so a profile started on the 31st bills on the last
+// day of shorter months and goes back to the 31st after them. The recurring-invoices function
+// creates the invoices; the app only edits the profiles and shows what is coming. Invoices of a
+// profile with send_email are marked for the email queue, to be sent from the composer with their PDF.
+// With auto_send as well, the run mails them itself with their ISDOC file; one it can't send stays queued.
+
+import { addDays, formatDate, isoDate, newInvoice, parseJson, priceLines } from './invoice.js';
+import { fillTemplate } from './templates.js';
+
+export const RECURRING_INTERVALS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Runs missed while nothing was running (e.g. a long outage) are caught up, up to this many at once
+export const MAX_CATCH_UP = 12;
+
+// Used when neither the profile nor the client sets payment terms
+const DEFAULT_DUE_DAYS = 14;
+
+// The n-th run after start (n = 0 is start itself)
+export function runDate(start, interval, n) {
+  if (interval === 'weekly') return addDays(start, 7 * n);
+
+  const [year, month, day] = isoDate(start).split('-').map(Number);
+  const months = month - 1 + INTERVAL_MONTHS[interval] * n;
+  const target = new Date(Date.UTC(year + Math.floor(months / 12), months % 12, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return isoDate(target);
+}
+
+// The first run after `date` on the profile's schedule
+export function runAfter(profile, date) {
+  const start = profile.start_date || profile.next_run;
+  const day = isoDate(date);
+  let n = 0;
+  while (runDate(start, profile.interval, n) <= day) n++;
+  return runDate(start, profile.interval, n);
+}
+
+export function isRunning(profile) {
+  return !!profile.active && !profile.deleted && !!profile.next_run &&
+    (!profile.end_date || profile.next_run <= profile.end_date);
+}
+
+// Runs from next_run up to and including `until`, stopping at the end date
+export function scheduledRuns(profile, until, limit = Infinity) {
+  const runs = [];
+  if (!isRunning(profile)) return runs;
+  const last = profile.end_date && profile.end_date < isoDate(until) ? profile.end_date : isoDate(until);
+  for (let date = profile.next_run; date <= last && runs.length < limit; date = runAfter(profile, date)) {
+    runs.push(date);
+  }
+  return runs;
+}
+
+// Runs that should have happened by today and have not
+export function dueRuns(profile, today = new Date()) {
+  return scheduledRuns(profile, today, MAX_CATCH_UP);
+}
+
+// Every profile's runs in the coming days, soonest first
+export function upcomingRuns(profiles, { today = new Date(), days = 90 } = {}) {
+  return profiles
+    .flatMap(profile => scheduledRuns(profile, addDays(today, days)).map(date => ({ profile, date })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Lines as entered on the profile, priced
+export function recurringLines(profile) {
+  return priceLines(parseJson(profile.items, []));
+}
+
+// What one run bills, before VAT
+export function recurringAmount(profile) {
+  return recurringLines(profile).reduce((sum, line) => sum + line.amount, 0);
+}
+
+// The billing period a run covers, for {period} in line descriptions
+export function periodLabel(date, interval) {
+  const [year, month] = isoDate(date).split('-').map(Number);
+  if (interval === 'weekly') return `${formatDate(date)} - ${formatDate(addDays(date, 6))}`;
+  if (interval === 'monthly') return `${month}/${year}`;
+  if (interval === 'quarterly') return `Q${Math.ceil(month / 3)}/${year}`;
+  return String(year);
+}
+
+// The invoice a run on `date` creates, still without its number
+export function recurringInvoice(profile, { business, client, date }) {
+  const day = isoDate(date);
+  const period = periodLabel(day, profile.interval);
+  const dueDays = parseInt(profile.due_days ?? client.due_date_days, 10);
+
+  return newInvoice({
+    profile: business,
+    client,
+    items: recurringLines(profile).map(line => ({
+      ...line,
+      date: day,
+      description: fillTemplate(line.description, { period })
+    })),
+    dueDate: addDays(day, isNaN(dueDays) ? DEFAULT_DUE_DAYS : dueDays),
+    taxableSupplyDate: day,
+    meta: { recurring_id: profile.id, recurring_name: profile.name || '', period, send_email: !!profile.send_email || !!profile.auto_send }
+  });
+}
+
+// Invoices waiting to be emailed from the app, oldest first; sending one takes it off the queue
+export function emailQueue(invoices) {
+  return invoices
+    .filter(inv => !inv.deleted && !inv.sent_at && !['draft', 'cancelled'].includes(inv.status) &&
+      parseJson(inv.meta, {}).send_email)
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
@@ -0,0 +1,207 @@
+// reminders.js
+// Dunning: payment reminders for invoices left unpaid past their due date
+//
+// An invoice gets at most three reminders - first, second and final - each due a set number of
+// days after the due date or after the previous one. Every reminder sent is recorded in the
+// invoice's reminders column (JSON text, like items), which stays writable once it is locked.
+//
+// Late-payment interest follows nařízení vlády 351/2013 Sb.: the ČNB repo rate in force on the
+// first day of the calendar half-year the delay began in, plus 8 percentage points a year.
+
+import { addDays, buildInvoiceDocument, formatCurrency, formatDate, invoiceParties, isoDate, parseJson, paymentDetails } from './invoice.js';
+import { isCreditNote } from './creditnotes.js';
+import { daysOverdue, invoiceState } from './lifecycle.js';
+import { balanceDue, invoicePayments, paidAmount } from './payments.js';
+import { fillTemplate } from './templates.js';
+import { round } from './vat.js';
+
+export const REMINDER_LEVELS = ['first', 'second', 'final'];
+
+// after: days past the due date (first) or past the previous reminder (the others) before it is due;
+// payWithin: days the reminder gives the client to pay
+export const REMINDER_SCHEDULE = {
+  first: { after: 7, payWithin: 10 },
+  second: { after: 14, payWithin: 7 },
+  final: { after: 14, payWithin: 5 }
+};
+
+// ČNB two-week repo rate on the first day of each half-year. Add a row every January and July.
+// Until then users add the new half-years on their profile (business.repo_rates, rows like these);
+// a delay that began after the last known row uses that row's rate and is flagged (repoRateKnown).
+export const REPO_RATES = [
+  ['2020-01-01', 2.00],
+  ['2020-07-01', 0.25],
+  ['2021-01-01', 0.25],
+  ['2021-07-01', 0.50],
+  ['2022-01-01', 3.75],
+  ['2022-07-01', 7.00],
+  ['2023-01-01', 7.00],
+  ['2023-07-01', 7.00],
+  ['2024-01-01', 6.75],
+  ['2024-07-01', 4.75],
+  ['2025-01-01', 4.00],
+  ['2025-07-01', 3.50]
+];
+
+const STATUTORY_MARGIN = 8;
+
+// Bilingual letters; placeholders are filled from reminderValues()
+export const REMINDER_TEMPLATES = {
+  first: {
+    title: 'UPOMÍNKA / PAYMENT REMINDER',
+    cs: 'Dovolujeme si Vás upozornit, že faktura č. {invoice_number} splatná {due_date} dosud nebyla uhrazena. ' +
+      'Zbývá uhradit {balance}. Pokud jste platbu již odeslali, považujte prosím tuto upomínku za bezpředmětnou, ' +
+      'v opačném případě Vás prosíme o úhradu do {pay_by}.',
+    en: 'This is a reminder that invoice {invoice_number}, due on {due_date}, has not been paid yet. ' +
+      'The outstanding amount is {balance}. If you have already sent the payment, please disregard this reminder; ' +
+      'otherwise kindly pay by {pay_by}.'
+  },
+  second: {
+    title: '2. UPOMÍNKA / SECOND REMINDER',
+    cs: 'Ani po naší upomínce ze dne {previous_date} jsme neobdrželi úhradu faktury č. {invoice_number} splatné {due_date}. ' +
+      'Dlužná částka činí {balance}. Žádáme Vás o její neprodlenou úhradu, nejpozději do {pay_by}.',
+    en: 'Despite our reminder of {previous_date}, invoice {invoice_number} due on {due_date} remains unpaid. ' +
+      'The outstanding amount is {balance}. Please settle it without delay, by {pay_by} at the latest.'
+  },
+  final: {
+    title: 'POSLEDNÍ UPOMÍNKA / FINAL NOTICE',
+    cs: 'Přes opakované upomínky zůstává faktura č. {invoice_number} splatná {due_date} neuhrazena, {days_overdue} dní po splatnosti. ' +
+      'Dlužná částka činí {balance}. Nebude-li uhrazena do {pay_by}, budeme nuceni předat pohledávku k vymáhání.',
+    en: 'Despite repeated reminders, invoice {invoice_number} due on {due_date} remains unpaid, {days_overdue} days overdue. ' +
+      'The outstanding amount is {balance}. If it is not paid by {pay_by}, we will have to pass the claim on for collection.'
+  }
+};
+
+// Appended to any of the letters when interest is charged
+export const INTEREST_TEMPLATE = {
+  cs: 'Zákonný úrok z prodlení {interest_rate} % ročně za {days_overdue} dní činí {interest}.',
+  en: 'Statutory late-payment interest of {interest_rate}% a year for {days_overdue} days amounts to {interest}.'
+};
+
+// Reminders already sent for an invoice, oldest first
+export function invoiceReminders(invoice) {
+  return parseJson(invoice.reminders, []);
+}
+
+export function nextReminderLevel(invoice) {
+  return REMINDER_LEVELS[invoiceReminders(invoice).length] || null;
+}
+
+// The date the next reminder falls due, or null once the final one went out
+export function reminderDueDate(invoice) {
+  const level = nextReminderLevel(invoice);
+  if (!level || !invoice.due_date) return null;
+  const previous = invoiceReminders(invoice).at(-1);
+  return addDays(previous?.date || invoice.due_date, REMINDER_SCHEDULE[level].after);
+}
+
+// Overdue invoices whose next reminder is due by today, longest overdue first
+export function remindersDue(invoices, { payments = [], today = new Date() } = {}) {
+  return invoices
+    .filter(inv => !isCreditNote(inv) && invoiceState(inv, { payments, invoices }, today) === 'overdue')
+    .filter(inv => {
+      const due = reminderDueDate(inv);
+      return due && due <= isoDate(today);
+    })
+    .map(inv => ({
+      invoice: inv,
+      level: nextReminderLevel(inv),
+      days: daysOverdue(inv, today),
+      balance: balanceDue(inv, payments, invoices)
+    }))
+    .sort((a, b) => b.days - a.days);
+}
+
+// The built-in rates with the profile's own rows, which win on the same date; oldest first
+export function repoRates(profile) {
+  const own = parseJson(profile?.repo_rates, [])
+    .filter(row => Array.isArray(row) && /^\d{4}-\d{2}-\d{2}$/.test(row[0]) && Number.isFinite(row[1]));
+  return [...new Map([...REPO_RATES, ...own]).entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+export function repoRate(date, rates = REPO_RATES) {
+  const day = isoDate(date);
+  const row = [...rates].reverse().find(([from]) => from <= day) || rates[0];
+  return row[1];
+}
+
+// The half-year that fixes an invoice's rate: the one its first day of delay fell in
+function delayHalfYear(invoice) {
+  const [year, month] = addDays(invoice.due_date, 1).split('-').map(Number);
+  return `${year}-${month < 7 ? '01' : '07'}-01`;
+}
+
+export function statutoryRate(invoice, rates = REPO_RATES) {
+  return repoRate(delayHalfYear(invoice), rates) + STATUTORY_MARGIN;
+}
+
+// Whether the rates reach the half-year the invoice's delay began in. If not, statutoryRate has
+// carried the last known rate forward and it should be checked against ČNB's before charging.
+export function repoRateKnown(invoice, rates = REPO_RATES) {
+  return rates[rates.length - 1][0] >= delayHalfYear(invoice);
+}
+
+// Simple interest on what is owed today, over every day since the due date
+export function lateInterest(balance, days, rate) {
+  return balance > 0 && days > 0 ? round(balance * rate / 100 * days / 365) : 0;
+}
+
+// The record kept on the invoice. interestRate null leaves interest out.
+export function buildReminder(invoice, { payments = [], invoices = [], level = nextReminderLevel(invoice), date = new Date(), interestRate = null }) {
+  const day = isoDate(date);
+  const days = daysOverdue(invoice, date);
+  const balance = balanceDue(invoice, payments, invoices);
+  return {
+    level,
+    date: day,
+    balance,
+    days_overdue: days,
+    interest_rate: interestRate,
+    interest: interestRate === null ? 0 : lateInterest(balance, days, interestRate),
+    pay_by: addDays(day, REMINDER_SCHEDULE[level].payWithin)
+  };
+}
+
+function reminderValues(doc, reminder, previous) {
+  const money = amount => `${formatCurrency(amount)} ${doc.currency}`;
+  return {
+    invoice_number: doc.number,
+    due_date: formatDate(doc.dueDate),
+    balance: money(reminder.balance),
+    pay_by: formatDate(reminder.pay_by),
+    previous_date: previous ? formatDate(previous.date) : '-',
+    days_overdue: reminder.days_overdue,
+    interest_rate: reminder.interest_rate,
+    interest: money(reminder.interest)
+  };
+}
+
+// The invoice document (for parties and bank details) with the reminder letter on top.
+// payments are everything loaded; the paid amount shown is the invoice's own.
+export function buildReminderDocument(invoice, reminder, { profile, client, payments = [] } = {}) {
+  const parties = invoiceParties(invoice, { profile, client });
+  const doc = buildInvoiceDocument(invoice, parties);
+  const sent = invoiceReminders(invoice);
+  const index = sent.findIndex(r => r.level === reminder.level && r.date === reminder.date);
+  const previous = (index === -1 ? sent : sent.slice(0, index)).at(-1);
+  const values = reminderValues(doc, reminder, previous);
+  const template = REMINDER_TEMPLATES[reminder.level];
+  const charged = reminder.interest > 0;
+  const totalDue = round(reminder.balance + reminder.interest);
+
+  return {
+    ...doc,
+    reminder: {
+      ...reminder,
+      title: template.title,
+      paid: paidAmount(invoicePayments(payments, invoice.id)),
+      totalDue,
+      text: ['cs', 'en'].map(lang => [
+        fillTemplate(template[lang], values),
+        charged ? fillTemplate(INTEREST_TEMPLATE[lang], values) : ''
+      ].filter(Boolean).join(' '))
+    },
+    // The QR code asks for what is owed now rather than the invoice total
+    payment: paymentDetails(invoice, parties.profile, doc.currency, totalDue)
+  };
+}
@@ -0,0 +1,9 @@
+// templates.js
+// Text templates with {placeholder} fields, filled in for reminder letters and emails
+
+// Unknown placeholders are left as they are, so a typo shows up in the result instead of vanishing
+export function fillTemplate(template, values) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  );
+}
@@ -0,0 +1,182 @@
+// test/auth.test.js
+// Token verification (netlify/functions/_shared/auth.js) with locally signed tokens
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+import { AuthError, authErrorResponse, authenticate, verifyToken } from '../netlify/functions/_shared/auth.js';
+import { SECRET, USER, jsonResponse, mockFetch, signToken, useEnv } from './helpers.js';
+
+const JWKS_URL = 'https://identity.test/.well-known/jwks.json';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'key-1';
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] };
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function hmacEnv(t, vars = {}) {
+  useEnv(t, { JWT_SECRET: SECRET, JWT_JWKS_URL: undefined, JWT_AUDIENCE: undefined, JWT_ISSUER: undefined, ...vars });
+}
+
+// Every test gets its own JWKS URL: auth.js caches the keys per URL
+let jwksFetches = 0;
+function jwksEnv(t, vars = {}, respond = () => jsonResponse(200, JWKS)) {
+  const url = `${JWKS_URL}?test=${++jwksFetches}`;
+  useEnv(t, { JWT_SECRET: undefined, JWT_JWKS_URL: url, JWT_AUDIENCE: undefined, JWT_ISSUER: undefined, ...vars });
+  return mockFetch(t, { other: (requested) => (requested === url ? respond() : jsonResponse(404, {})) });
+}
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, err => {
+    assert.ok(err instanceof AuthError, `expected an AuthError, got ${err}`);
+    assert.equal(err.code, code);
+    return true;
+  });
+}
+
+describe('HS256 tokens', () => {
+  it('accepts a valid token', async (t) => {
+    hmacEnv(t, { JWT_AUDIENCE: 'bizzhub', JWT_ISSUER: 'https://identity.test' });
+    const claims = await verifyToken(signToken({ aud: ['other', 'bizzhub'], iss: 'https://identity.test' }));
+    assert.equal(claims.sub, USER);
+  });
+
+  it('rejects an expired token', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken(signToken({ exp: now() - 120 })), 'token_expired');
+  });
+
+  it('tolerates a little clock skew', async (t) => {
+    hmacEnv(t);
+    assert.equal((await verifyToken(signToken({ exp: now() - 5 }))).sub, USER);
+  });
+
+  it('rejects a token without an expiry', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken(signToken({ exp: undefined })), 'token_expired');
+  });
+
+  it('rejects a token that is not valid yet', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken(signToken({ nbf: now() + 600 })), 'token_not_yet_valid');
+  });
+
+  it('rejects the wrong audience', async (t) => {
+    hmacEnv(t, { JWT_AUDIENCE: 'bizzhub' });
+    await rejectsWith(verifyToken(signToken({ aud: 'someone-else' })), 'token_audience');
+    await rejectsWith(verifyToken(signToken()), 'token_audience');
+  });
+
+  it('rejects the wrong issuer', async (t) => {
+    hmacEnv(t, { JWT_ISSUER: 'https://identity.test' });
+    await rejectsWith(verifyToken(signToken({ iss: 'https://evil.test' })), 'token_issuer');
+  });
+
+  it('rejects a bad signature', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken(signToken({}, { secret: 'not-the-secret' })), 'token_signature');
+  });
+
+  it('rejects claims changed after signing', async (t) => {
+    hmacEnv(t);
+    const [header, , signature] = signToken().split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', exp: now() + 3600 })).toString('base64url');
+    await rejectsWith(verifyToken(`${header}.${forged}.${signature}`), 'token_signature');
+  });
+
+  it('rejects an unsigned token', async (t) => {
+    hmacEnv(t);
+    const [, payload] = signToken().split('.');
+    const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    await rejectsWith(verifyToken(`${header}.${payload}.`), 'token_algorithm');
+  });
+
+  it('rejects a token without a subject', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken(signToken({ sub: undefined })), 'token_subject');
+  });
+
+  it('rejects something that is not a JWT', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(verifyToken('not-a-token'), 'token_malformed');
+    await rejectsWith(verifyToken('a.b.c'), 'token_malformed');
+  });
+});
+
+describe('JWKS tokens', () => {
+  it('accepts a valid RS256 token', async (t) => {
+    jwksEnv(t, { JWT_AUDIENCE: 'bizzhub' });
+    const claims = await verifyToken(signToken({ aud: 'bizzhub' }, { alg: 'RS256', privateKey, kid: KID }));
+    assert.equal(claims.sub, USER);
+  });
+
+  it('fetches the keys once and caches them', async (t) => {
+    const fetchMock = jwksEnv(t);
+    await verifyToken(signToken({}, { alg: 'RS256', privateKey, kid: KID }));
+    await verifyToken(signToken({}, { alg: 'RS256', privateKey, kid: KID }));
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it('rejects a token signed by another key', async (t) => {
+    jwksEnv(t);
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    await rejectsWith(verifyToken(signToken({}, { alg: 'RS256', privateKey: other, kid: KID })), 'token_signature');
+  });
+
+  it('rejects a key id the JWKS does not have', async (t) => {
+    jwksEnv(t);
+    await rejectsWith(verifyToken(signToken({}, { alg: 'RS256', privateKey, kid: 'rotated-away' })), 'token_key_unknown');
+  });
+
+  it('rejects an expired token', async (t) => {
+    jwksEnv(t);
+    await rejectsWith(verifyToken(signToken({ exp: now() - 120 }, { alg: 'RS256', privateKey, kid: KID })), 'token_expired');
+  });
+
+  // Algorithm confusion: with only a JWKS configured, an HMAC token must not be checked at all,
+  // in particular not with the public key (or anything else public) as the HMAC secret
+  it('rejects an HS256 token when only a JWKS is configured', async (t) => {
+    jwksEnv(t);
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+    await rejectsWith(verifyToken(signToken({}, { secret: publicPem, kid: KID })), 'token_algorithm');
+    await rejectsWith(verifyToken(signToken({}, { secret: '', kid: KID })), 'token_algorithm');
+  });
+
+  it('reports unreachable keys as a server problem', async (t) => {
+    jwksEnv(t, {}, () => jsonResponse(503, {}));
+    const err = await verifyToken(signToken({}, { alg: 'RS256', privateKey, kid: KID })).catch(e => e);
+    assert.equal(err.code, 'jwks_unavailable');
+    assert.equal(authErrorResponse(err).statusCode, 502);
+  });
+});
+
+describe('authenticate', () => {
+  it('reads the bearer token from the Authorization header', async (t) => {
+    hmacEnv(t);
+    const { userId } = await authenticate({ headers: { authorization: `Bearer ${signToken()}` } });
+    assert.equal(userId, USER);
+    assert.equal((await authenticate({ headers: { Authorization: `Bearer ${signToken()}` } })).userId, USER);
+  });
+
+  it('rejects a request without a token as token_missing', async (t) => {
+    hmacEnv(t);
+    await rejectsWith(authenticate({ headers: {} }), 'token_missing');
+    await rejectsWith(authenticate({}), 'token_missing');
+    await rejectsWith(authenticate({ headers: { authorization: `Basic ${Buffer.from('a:b').toString('base64')}` } }), 'token_missing');
+  });
+
+  it('refuses everything when no key is configured', async (t) => {
+    useEnv(t, { JWT_SECRET: undefined, JWT_JWKS_URL: undefined });
+    const err = await authenticate({ headers: { authorization: `Bearer ${signToken()}` } }).catch(e => e);
+    assert.equal(err.code, 'auth_not_configured');
+    assert.equal(authErrorResponse(err).statusCode, 502);
+  });
+
+  it('answers 401 with the error code for a bad token', () => {
+    const res = authErrorResponse(new AuthError('token_expired', 'Token has expired'));
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(JSON.parse(res.body), { error: 'auth_error', code: 'token_expired', message: 'Token has expired' });
+  });
+});
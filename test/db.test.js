@@ -0,0 +1,363 @@
+// test/db.test.js
+// Database (db.js) over the proxy backend, driving the real function handlers against FakeSupabase
+
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { db, AuthError } from '../db.js';
+import { ProxyBackend } from '../backends/proxy.js';
+import { REPLICA_TABLES } from '../localstore.js';
+import { handler as dbProxy } from '../netlify/functions/db-proxy.js';
+import { handler as dbBatch } from '../netlify/functions/db-batch.js';
+import { handler as invoiceNumber } from '../netlify/functions/invoice-number.js';
+import { APP_URL, FakeLocalStore, FakeSupabase, USER, functionCalls, functionEnv, mockFetch, signToken } from './helpers.js';
+
+const FUNCTIONS = { 'db-proxy': dbProxy, 'db-batch': dbBatch, 'invoice-number': invoiceNumber };
+
+const YEAR = new Date().getFullYear();
+
+function tables(rows = {}) {
+  return { ...Object.fromEntries([...REPLICA_TABLES, 'invoice_series'].map(table => [table, []])), ...rows };
+}
+
+function client(fields = {}) {
+  return { id: 'c1', user_id: USER, name: 'Acme', deleted: false, created_at: '2026-01-01T00:00:00.000Z', ...fields };
+}
+
+function series(fields = {}) {
+  return {
+    id: 's1', user_id: USER, kind: 'invoice', prefix: '', pattern: '{YYYY}{SEQ:4}', reset: 'yearly',
+    period: YEAR, next_seq: 1, deleted: false, ...fields
+  };
+}
+
+// db.js narrates every request
+mock.method(console, 'info', () => {});
+mock.method(console, 'warn', () => {});
+
+beforeEach(() => {
+  db.useBackend(new ProxyBackend({ baseUrl: APP_URL, token: signToken() }));
+  db.setUser(USER);
+});
+
+describe('getNextInvoiceNumber', () => {
+  it('continues the series within its year', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({ invoice_series: [series({ next_seq: 42 })] }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    assert.equal(await db.getNextInvoiceNumber(), `${YEAR}0042`);
+    assert.equal(await db.getNextInvoiceNumber(), `${YEAR}0043`);
+    assert.equal(supabase.find('invoice_series', 's1').next_seq, 44);
+  });
+
+  it('starts again at 1 when the year rolls over', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({ invoice_series: [series({ period: YEAR - 1, next_seq: 318 })] }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    assert.equal(await db.getNextInvoiceNumber(), `${YEAR}0001`);
+    assert.deepEqual(
+      { period: supabase.find('invoice_series', 's1').period, next_seq: supabase.find('invoice_series', 's1').next_seq },
+      { period: YEAR, next_seq: 2 }
+    );
+  });
+
+  it('never restarts a series that does not reset', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({
+      invoice_series: [series({ pattern: 'F{SEQ:5}', reset: 'never', period: 0, next_seq: 318 })]
+    }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    assert.equal(await db.getNextInvoiceNumber(), 'F00318');
+  });
+
+  it('creates the default series of a kind on first use', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables());
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    assert.equal(await db.getNextInvoiceNumber('credit_note'), `D${YEAR}0001`);
+    assert.equal(await db.getNextInvoiceNumber('credit_note'), `D${YEAR}0002`);
+    assert.equal(supabase.rows('invoice_series').length, 1);
+    assert.equal(supabase.rows('invoice_series')[0].user_id, USER);
+  });
+
+  it('retries when another request advanced the counter in between', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({ invoice_series: [series({ next_seq: 7 })] }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    // The first compare-and-swap loses: someone took number 7 after we read the series
+    const handle = supabase.handle.bind(supabase);
+    let raced = false;
+    t.mock.method(supabase, 'handle', async (url, init) => {
+      if (!raced && init.method === 'PATCH') {
+        raced = true;
+        supabase.find('invoice_series', 's1').next_seq = 8;
+      }
+      return handle(url, init);
+    });
+
+    assert.equal(await db.getNextInvoiceNumber(), `${YEAR}0008`);
+    assert.equal(supabase.find('invoice_series', 's1').next_seq, 9);
+  });
+});
+
+describe('deleteInvoice', () => {
+  it('reports an issued invoice as locked and leaves it in place', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({
+      invoices: [{ id: 'i1', user_id: USER, client_id: 'c1', invoice_number: `${YEAR}0001`, total: 100, status: 'issued', deleted: false }]
+    }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    await assert.rejects(db.deleteInvoice('i1'), err => err.code === 'invoice_locked');
+    assert.equal(supabase.find('invoices', 'i1').deleted, false);
+    assert.equal(supabase.requests.filter(r => r.method === 'DELETE').length, 0);
+  });
+});
+
+describe('recordPayment', () => {
+  const advance = () => ({
+    id: 'a1', user_id: USER, client_id: 'c1', kind: 'advance', invoice_number: `Z${YEAR}0001`, total: 1210,
+    status: 'issued', meta: JSON.stringify({ tax_document: true, vat_rate: 21 }), deleted: false
+  });
+
+  it('hands the tax document number back when the payment could not be saved', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({
+      invoices: [advance()],
+      invoice_series: [series({ kind: 'advance_tax', pattern: 'DD{YYYY}{SEQ:4}', next_seq: 5 })]
+    }));
+    supabase.failNext(request => request.method === 'POST' && request.table === 'payments');
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    await assert.rejects(db.markInvoicePaid('a1'));
+    assert.equal(supabase.rows('payments').length, 0);
+    assert.equal(supabase.find('invoice_series', 's1').next_seq, 5);
+
+    await db.markInvoicePaid('a1');
+    assert.equal(supabase.rows('invoices').find(inv => inv.kind === 'advance_tax').invoice_number, `DD${YEAR}0005`);
+  });
+
+  it('does not hand back a number a document carries', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({
+      invoices: [{ ...advance(), invoice_number: `${YEAR}0004` }],
+      invoice_series: [series({ next_seq: 5 })]
+    }));
+    mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    assert.equal(await db.releaseInvoiceNumber('invoice', `${YEAR}0004`), false);
+    assert.equal(await db.releaseInvoiceNumber('invoice', `${YEAR}0003`), false);
+    assert.equal(supabase.find('invoice_series', 's1').next_seq, 5);
+  });
+});
+
+describe('outbox', () => {
+  // The replica holds c1 and j1 as last pulled; on the server another device has since renamed c1
+  const PULLED = '2026-03-01T10:00:00.000Z';
+  const pulled = row => ({ ...row, updated_at: PULLED, _version: PULLED });
+  const job = (fields = {}) => ({ id: 'j1', user_id: USER, client_id: 'c1', name: 'Website', billed: false, deleted: false, ...fields });
+
+  function setup(t, { online = true } = {}) {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({
+      clients: [client({ name: 'Acme Europe', updated_at: '2026-03-02T08:00:00.000Z' })],
+      jobs: [job({ updated_at: PULLED })]
+    }));
+    const fetchMock = mockFetch(t, { supabase, functions: FUNCTIONS });
+    db.local = new FakeLocalStore({ clients: [pulled(client())], jobs: [pulled(job())] });
+    t.mock.method(db, 'isOnline', () => online);
+    t.after(() => {
+      db.local = null;
+    });
+
+    const conflicts = [];
+    t.after(db.on('conflict', conflict => conflicts.push(conflict)));
+    return { supabase, fetchMock, conflicts };
+  }
+
+  it('keeps writes made offline and sends them in order once online', async (t) => {
+    const { supabase, fetchMock } = setup(t, { online: false });
+
+    await db.saveClient({ name: 'Globex' });
+    await db.update('jobs', 'j1', { billed: true });
+    assert.equal((await db.local.outbox()).length, 2);
+    assert.equal((await db.local.get('jobs', 'j1')).billed, true);
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, 0);
+
+    db.isOnline.mock.mockImplementation(() => true);
+    assert.equal((await db.flush()).size, 0);
+    assert.deepEqual(await db.local.outbox(), []);
+    assert.ok(supabase.rows('clients').some(row => row.name === 'Globex'));
+    assert.equal(supabase.find('jobs', 'j1').billed, true);
+  });
+
+  it('reports an update that lost a race and keeps the other version', async (t) => {
+    const { supabase, conflicts } = setup(t);
+
+    await assert.rejects(db.update('clients', 'c1', { name: 'Acme Ltd' }), err => err.status === 409);
+    assert.equal(conflicts.length, 1);
+    assert.deepEqual(
+      { table: conflicts[0].table, id: conflicts[0].id, local: conflicts[0].local.name, remote: conflicts[0].remote.name },
+      { table: 'clients', id: 'c1', local: 'Acme Ltd', remote: 'Acme Europe' }
+    );
+    assert.equal((await db.local.get('clients', 'c1')).name, 'Acme Europe');
+    assert.equal(supabase.find('clients', 'c1').name, 'Acme Europe');
+  });
+
+  it('reports the update of a transaction that lost a race', async (t) => {
+    const { supabase, conflicts } = setup(t);
+    // The job's half is dropped along with it, and said so
+    const errors = t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(db.transaction([
+      { type: 'update', table: 'jobs', id: 'j1', record: { billed: true } },
+      { type: 'update', table: 'clients', id: 'c1', record: { name: 'Acme Ltd' } }
+    ]), err => err.code === 'transaction_failed');
+
+    assert.deepEqual(conflicts.map(c => [c.table, c.id, c.local.name, c.remote.name]), [['clients', 'c1', 'Acme Ltd', 'Acme Europe']]);
+    assert.deepEqual(await db.local.outbox(), []);
+    // Rolled back with it: the job is as the server has it
+    assert.equal(supabase.find('jobs', 'j1').billed, false);
+    assert.equal((await db.local.get('jobs', 'j1')).billed, false);
+    assert.equal(errors.mock.callCount(), 1);
+  });
+});
+
+describe('cache', () => {
+  async function setup(t) {
+    functionEnv(t);
+    const supabase = new FakeSupabase(tables({ clients: [client()] }));
+    const fetchMock = mockFetch(t, { supabase, functions: FUNCTIONS });
+    return { supabase, proxyCalls: () => functionCalls(fetchMock, 'db-proxy').length };
+  }
+
+  it('serves repeated reads from the cache', async (t) => {
+    const { proxyCalls } = await setup(t);
+    await db.getClients();
+    await db.getClients();
+    assert.equal(proxyCalls(), 1);
+  });
+
+  it('is invalidated by create', async (t) => {
+    const { proxyCalls } = await setup(t);
+    await db.getClients();
+    await db.saveClient({ name: 'Globex' });
+    const clients = await db.getClients();
+    assert.equal(proxyCalls(), 3);
+    assert.deepEqual(clients.map(c => c.name).sort(), ['Acme', 'Globex']);
+  });
+
+  it('is invalidated by update', async (t) => {
+    const { proxyCalls } = await setup(t);
+    await db.getClients();
+    await db.saveClient({ id: 'c1', name: 'Acme Ltd' });
+    const clients = await db.getClients();
+    assert.equal(proxyCalls(), 3);
+    assert.equal(clients[0].name, 'Acme Ltd');
+  });
+
+  it('is invalidated by softDelete, including the trash', async (t) => {
+    const { supabase, proxyCalls } = await setup(t);
+    assert.equal((await db.getTrash()).length, 0);
+    await db.getClients();
+    await db.deleteClient('c1');
+    assert.deepEqual(await db.getClients(), []);
+    assert.deepEqual((await db.getTrash()).map(row => row.id), ['c1']);
+    assert.equal(proxyCalls(), 3);
+    assert.equal(supabase.find('clients', 'c1').deleted, true);
+  });
+
+  it('drops the dashboard after a write', async (t) => {
+    const { supabase } = await setup(t);
+    await db.loadDashboard();
+    await db.saveClient({ name: 'Globex' });
+    const dashboard = await db.loadDashboard();
+    assert.equal(dashboard.clients.length, 2);
+    assert.equal(supabase.requests.filter(r => r.method === 'GET' && r.table === 'clients').length, 2);
+  });
+});
+
+describe('loadDashboard', () => {
+  const rows = () => tables({
+    business: [{ id: 'b1', user_id: USER, name: 'Me', deleted: false }],
+    clients: [client()],
+    invoices: [{ id: 'i1', user_id: USER, client_id: 'c1', invoice_number: `${YEAR}0001`, total: 100, status: 'issued', deleted: false }]
+  });
+
+  it('reads every table in one db-batch call', async (t) => {
+    functionEnv(t);
+    const fetchMock = mockFetch(t, { supabase: new FakeSupabase(rows()), functions: FUNCTIONS });
+
+    const data = await db.loadDashboard();
+    assert.equal(functionCalls(fetchMock, 'db-batch').length, 1);
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, 0);
+    assert.equal(data.business.name, 'Me');
+    assert.deepEqual(data.clients.map(c => c.id), ['c1']);
+    assert.deepEqual(data.invoices.map(i => i.id), ['i1']);
+    assert.deepEqual(data.jobs, []);
+  });
+
+  it('falls back to one request per table without db-batch', async (t) => {
+    functionEnv(t);
+    const { 'db-batch': _, ...withoutBatch } = FUNCTIONS;
+    const fetchMock = mockFetch(t, { supabase: new FakeSupabase(rows()), functions: withoutBatch });
+
+    const data = await db.loadDashboard();
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, REPLICA_TABLES.length);
+    assert.equal(data.business.name, 'Me');
+    assert.deepEqual(data.invoices.map(i => i.id), ['i1']);
+  });
+
+  it('falls back when part of the batch failed', async (t) => {
+    functionEnv(t);
+    const supabase = new FakeSupabase(rows());
+    supabase.failNext(request => request.table === 'jobs');
+    const fetchMock = mockFetch(t, { supabase, functions: FUNCTIONS });
+
+    const data = await db.loadDashboard();
+    assert.equal(functionCalls(fetchMock, 'db-batch').length, 1);
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, REPLICA_TABLES.length);
+    assert.deepEqual(data.jobs, []);
+    assert.deepEqual(data.clients.map(c => c.id), ['c1']);
+  });
+
+  it('does not fall back when the session is invalid', async (t) => {
+    functionEnv(t);
+    db.useBackend(new ProxyBackend({ baseUrl: APP_URL, token: signToken({}, { secret: 'someone-elses' }) }));
+    const fetchMock = mockFetch(t, { supabase: new FakeSupabase(rows()), functions: FUNCTIONS });
+
+    await assert.rejects(db.loadDashboard(), err => err instanceof AuthError && err.code === 'token_signature');
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, 0);
+  });
+});
+
+describe('auth errors', () => {
+  it('retries an expired token once, then reports it', async (t) => {
+    functionEnv(t);
+    db.useBackend(new ProxyBackend({ baseUrl: APP_URL, token: signToken({ exp: Math.floor(Date.now() / 1000) - 3600 }) }));
+    const fetchMock = mockFetch(t, { supabase: new FakeSupabase(tables()), functions: FUNCTIONS });
+
+    await assert.rejects(db.getClients(), err => err instanceof AuthError && err.status === 401 && err.code === 'token_expired');
+    assert.equal(functionCalls(fetchMock, 'db-proxy').length, 2);
+  });
+
+  it('reports a missing token as token_missing', async (t) => {
+    functionEnv(t);
+    db.useBackend(new ProxyBackend({ baseUrl: APP_URL }));
+    mockFetch(t, { supabase: new FakeSupabase(tables()), functions: FUNCTIONS });
+
+    await assert.rejects(db.getNextInvoiceNumber(), err => err instanceof AuthError && err.code === 'token_missing');
+  });
+
+  it('tells a server without auth configured apart from a bad session', async (t) => {
+    functionEnv(t, { JWT_SECRET: undefined });
+    mockFetch(t, { supabase: new FakeSupabase(tables()), functions: FUNCTIONS });
+
+    await assert.rejects(db.getClients(), err => !(err instanceof AuthError) && err.status === 502);
+  });
+});
@@ -0,0 +1,278 @@
+// test/functions.test.js
+// db-proxy and db-batch: user scoping, the policy allowlist, invoice locks, series and rollback
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { handler as dbProxy } from '../netlify/functions/db-proxy.js';
+import { handler as dbBatch } from '../netlify/functions/db-batch.js';
+import { handler as invoiceNumber } from '../netlify/functions/invoice-number.js';
+import { FakeSupabase, OTHER_USER, USER, functionEnv, invoke, mockFetch, signToken } from './helpers.js';
+
+const YEAR = new Date().getFullYear();
+
+function fixtures() {
+  return {
+    clients: [
+      { id: 'c1', user_id: USER, name: 'Mine', deleted: false },
+      { id: 'c2', user_id: OTHER_USER, name: 'Theirs', deleted: false }
+    ],
+    invoices: [
+      { id: 'i1', user_id: USER, invoice_number: `${YEAR}0001`, status: 'issued', total: 1210, items: '[]', deleted: false },
+      { id: 'i2', user_id: USER, invoice_number: null, status: 'draft', total: 500, items: '[]', deleted: false }
+    ],
+    invoice_series: [
+      { id: 's1', user_id: USER, kind: 'invoice', prefix: '', pattern: '{YYYY}{SEQ:4}', reset: 'yearly', period: YEAR, next_seq: 12, deleted: false }
+    ]
+  };
+}
+
+function setup(t) {
+  functionEnv(t);
+  const supabase = new FakeSupabase(fixtures());
+  mockFetch(t, { supabase });
+  return supabase;
+}
+
+const proxy = (body, token = signToken()) => invoke(dbProxy, { body, token });
+const batch = (body, token = signToken()) => invoke(dbBatch, { body, token });
+
+describe('db-proxy', () => {
+  it('scopes reads to the token subject', async (t) => {
+    const supabase = setup(t);
+    const res = await proxy({ method: 'GET', endpoint: 'clients?select=*' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.map(row => row.id), ['c1']);
+    assert.match(supabase.requests[0].url, new RegExp(`[?&]user_id=eq\\.${USER}$`));
+  });
+
+  for (const filter of [`user_id=eq.${OTHER_USER}`, 'user_id=neq.nobody', `user_id=in.(${USER},${OTHER_USER})`, 'user_id=is.null']) {
+    it(`refuses a caller's ${filter} filter`, async (t) => {
+      const supabase = setup(t);
+      const res = await proxy({ method: 'GET', endpoint: `clients?${filter}` });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.code, 'filter_not_allowed');
+      assert.equal(supabase.requests.length, 0);
+    });
+  }
+
+  it('writes new rows for the token subject whatever user_id they carry', async (t) => {
+    const supabase = setup(t);
+    const res = await proxy({ method: 'POST', endpoint: 'clients', body: { id: 'c3', name: 'New', user_id: OTHER_USER } });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(supabase.find('clients', 'c3').user_id, USER);
+  });
+
+  it("can't reach another user's rows by id", async (t) => {
+    const supabase = setup(t);
+    const res = await proxy({ method: 'PATCH', endpoint: 'clients?id=eq.c2', body: { name: 'Taken' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, []);
+    assert.equal(supabase.find('clients', 'c2').name, 'Theirs');
+    assert.equal(supabase.find('clients', 'c2').user_id, OTHER_USER);
+  });
+
+  it('refuses tables, methods and columns outside the allowlist', async (t) => {
+    const supabase = setup(t);
+    assert.equal((await proxy({ method: 'GET', endpoint: 'mail_log' })).body.code, 'table_not_allowed');
+    assert.equal((await proxy({ method: 'DELETE', endpoint: 'business?id=eq.b1' })).body.code, 'method_not_allowed');
+    assert.equal((await proxy({ method: 'DELETE', endpoint: 'clients' })).body.code, 'bulk_delete_forbidden');
+    assert.equal((await proxy({ method: 'POST', endpoint: 'clients', body: { name: 'x', is_admin: true } })).body.code, 'column_not_allowed');
+    assert.equal((await proxy({ method: 'GET', endpoint: 'rpc/anything' })).body.code, 'rpc_forbidden');
+    assert.equal(supabase.requests.length, 0);
+  });
+
+  it('refuses changes to an issued invoice but lets its state move', async (t) => {
+    const supabase = setup(t);
+    const changed = await proxy({ method: 'PATCH', endpoint: 'invoices?id=eq.i1', body: { total: 1 } });
+    assert.equal(changed.statusCode, 409);
+    assert.equal(changed.body.error, 'invoice_locked');
+    assert.deepEqual(changed.body.columns, ['total']);
+    assert.equal(supabase.find('invoices', 'i1').total, 1210);
+
+    const sent = await proxy({ method: 'PATCH', endpoint: 'invoices?id=eq.i1', body: { status: 'sent' } });
+    assert.equal(sent.statusCode, 200);
+    assert.equal(supabase.find('invoices', 'i1').status, 'sent');
+
+    assert.equal((await proxy({ method: 'DELETE', endpoint: 'invoices?id=eq.i1' })).statusCode, 409);
+    assert.equal((await proxy({ method: 'DELETE', endpoint: 'invoices?id=eq.i2' })).statusCode, 200);
+  });
+
+  it('moves a series counter on but never back', async (t) => {
+    const supabase = setup(t);
+    const back = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { next_seq: 3 } });
+    assert.equal(back.statusCode, 409);
+    assert.equal(back.body.error, 'series_rewind');
+    assert.equal(back.body.next_seq, 12);
+
+    const period = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { period: YEAR - 1 } });
+    assert.equal(period.statusCode, 409);
+
+    const on = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { next_seq: 100 } });
+    assert.equal(on.statusCode, 200);
+    assert.equal(supabase.find('invoice_series', 's1').next_seq, 100);
+  });
+
+  it('keeps the kind of a series that handed out numbers and never deletes it', async (t) => {
+    const supabase = setup(t);
+    const renamed = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { kind: 'quote' } });
+    assert.equal(renamed.statusCode, 409);
+    assert.equal(renamed.body.error, 'series_rewind');
+
+    const deleted = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { deleted: true } });
+    assert.equal(deleted.statusCode, 409);
+    assert.deepEqual(supabase.find('invoice_series', 's1'), { ...fixtures().invoice_series[0] });
+
+    const prefix = await proxy({ method: 'PATCH', endpoint: 'invoice_series?id=eq.s1', body: { prefix: 'F', deleted: false } });
+    assert.equal(prefix.statusCode, 200);
+  });
+
+  it('does not start a deleted series over at 1', async (t) => {
+    const supabase = setup(t);
+    supabase.rows('invoice_series').push({ ...fixtures().invoice_series[0], id: 's2', kind: 'credit_note', next_seq: 5, deleted: true });
+
+    const res = await invoke(invoiceNumber, { body: { kind: 'credit_note' }, token: signToken() });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'series_deleted');
+    assert.equal(supabase.rows('invoice_series').length, 2);
+  });
+});
+
+describe('db-batch', () => {
+  it('scopes every read to the token subject', async (t) => {
+    const supabase = setup(t);
+    const res = await batch({ requests: [{ key: 'clients', endpoint: 'clients?select=*' }, { key: 'invoices', endpoint: 'invoices?select=*' }] });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results.clients.map(row => row.id), ['c1']);
+    assert.ok(supabase.requests.every(request => request.url.endsWith(`user_id=eq.${USER}`)));
+  });
+
+  it('refuses the whole batch if one read filters on user_id', async (t) => {
+    const supabase = setup(t);
+    const res = await batch({ requests: [{ key: 'a', endpoint: 'clients' }, { key: 'b', endpoint: `clients?user_id=eq.${OTHER_USER}` }] });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'filter_not_allowed');
+    assert.equal(supabase.requests.length, 0);
+  });
+
+  it('writes rows for the token subject', async (t) => {
+    const supabase = setup(t);
+    const res = await batch({ operations: [
+      { method: 'POST', endpoint: 'clients', body: { id: 'c3', name: 'New', user_id: OTHER_USER } },
+      { method: 'PATCH', endpoint: 'clients?id=eq.c1', body: { name: 'Renamed', user_id: OTHER_USER } }
+    ] });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(supabase.find('clients', 'c3').user_id, USER);
+    assert.equal(supabase.find('clients', 'c1').user_id, USER);
+    assert.equal(supabase.find('clients', 'c1').name, 'Renamed');
+  });
+
+  it("refuses an upsert naming another user's row", async (t) => {
+    const supabase = setup(t);
+    const res = await batch({ operations: [
+      { method: 'POST', endpoint: 'clients', body: { id: 'c2', name: 'Mine now' }, prefer: 'resolution=merge-duplicates' }
+    ] });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'not_owner');
+    assert.deepEqual(supabase.find('clients', 'c2'), fixtures().clients[1]);
+  });
+
+  it('refuses an upsert with an id that is not a plain key', async (t) => {
+    setup(t);
+    const res = await batch({ operations: [
+      { method: 'POST', endpoint: 'clients', body: { id: 'c1),user_id.neq.(x', name: 'x' }, prefer: 'resolution=merge-duplicates' }
+    ] });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'invalid_id');
+  });
+
+  it('lets an upsert rewrite an issued invoice only with what it already holds', async (t) => {
+    const supabase = setup(t);
+    const stored = fixtures().invoices[0];
+    const upsert = body => batch({ operations: [{ method: 'POST', endpoint: 'invoices', body, prefer: 'resolution=merge-duplicates' }] });
+
+    const changed = await upsert({ ...stored, total: 1 });
+    assert.equal(changed.statusCode, 409);
+    assert.equal(changed.body.results[0].error.error, 'invoice_locked');
+    assert.equal(supabase.find('invoices', 'i1').total, 1210);
+
+    assert.equal((await upsert(stored)).statusCode, 200);
+  });
+
+  it('undoes earlier operations when a later one fails', async (t) => {
+    const supabase = setup(t);
+    const res = await batch({ operations: [
+      { method: 'POST', endpoint: 'clients', body: { id: 'c3', name: 'New' } },
+      { method: 'PATCH', endpoint: 'clients?id=eq.c1', body: { name: 'Renamed' } },
+      // Based on a version of c1 older than the rename just before it
+      { method: 'PATCH', endpoint: 'clients?id=eq.c1', body: { name: 'Stale' }, expected: { updated_at: '2026-01-01T00:00:00.000Z' } },
+      { method: 'DELETE', endpoint: 'clients?id=eq.c1' }
+    ] });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'transaction_failed');
+    assert.equal(res.body.failed, 2);
+    assert.equal(res.body.rolled_back, true);
+    assert.equal(res.body.results[3].skipped, true);
+    assert.equal(supabase.find('clients', 'c3'), null);
+    assert.equal(supabase.find('clients', 'c1').name, 'Mine');
+  });
+
+  it('reports a failure of the database as 502 after undoing', async (t) => {
+    const supabase = setup(t);
+    supabase.failNext(request => request.method === 'DELETE');
+    const res = await batch({ operations: [
+      { method: 'PATCH', endpoint: 'clients?id=eq.c1', body: { name: 'Renamed' } },
+      { method: 'DELETE', endpoint: 'invoices?id=eq.i2' }
+    ] });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.rolled_back, true);
+    assert.equal(supabase.find('clients', 'c1').name, 'Mine');
+    assert.ok(supabase.find('invoices', 'i2'));
+  });
+
+  it('takes at most 200 operations per call', async (t) => {
+    const supabase = setup(t);
+    const operations = Array.from({ length: 201 }, (_, i) => ({ method: 'POST', endpoint: 'clients', body: { name: `Client ${i}` } }));
+    const res = await batch({ operations });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'too_many_operations');
+    assert.equal(supabase.requests.length, 0);
+  });
+});
+
+describe('authentication', () => {
+  for (const [name, handler] of [['db-proxy', dbProxy], ['db-batch', dbBatch]]) {
+    it(`${name} answers 401 token_missing without a token`, async (t) => {
+      const supabase = setup(t);
+      const res = await invoke(handler, { body: { method: 'GET', endpoint: 'clients', requests: [] } });
+
+      assert.equal(res.statusCode, 401);
+      assert.deepEqual([res.body.error, res.body.code], ['auth_error', 'token_missing']);
+      assert.equal(supabase.requests.length, 0);
+    });
+
+    it(`${name} answers 401 for a forged token`, async (t) => {
+      const supabase = setup(t);
+      const res = await invoke(handler, {
+        body: { method: 'GET', endpoint: 'clients', requests: [] },
+        token: signToken({ sub: OTHER_USER }, { secret: 'guessed' })
+      });
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.code, 'token_signature');
+      assert.equal(supabase.requests.length, 0);
+    });
+  }
+});
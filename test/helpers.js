@@ -0,0 +1,280 @@
+// test/helpers.js
+// Shared pieces of the test suite: locally signed tokens, an in-memory stand-in for the Supabase
+// REST API, a fetch mock that routes to it and to the Netlify function handlers, and an in-memory
+// stand-in for the browser replica (localstore.js).
+//
+// Only the PostgREST subset the functions use is understood: eq / neq / in / is filters, limit,
+// select of plain columns, and POST with resolution=merge-duplicates.
+
+import crypto from 'node:crypto';
+
+export const USER = '00000000-0000-4000-8000-000000000001';
+export const OTHER_USER = '00000000-0000-4000-8000-000000000002';
+export const SECRET = 'test-secret';
+
+export const SUPABASE_URL = 'http://supabase.test';
+export const APP_URL = 'http://app.test';
+
+const QUERY_KEYWORDS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+// Unique constraints besides the id primary key, as in the real schema
+const UNIQUE_KEYS = {
+  invoice_series: ['user_id', 'kind']
+};
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// A JWT for USER valid for an hour. HS* tokens are signed with `secret`, RS* with `privateKey`.
+// Claims given as undefined are left out.
+export function signToken(claims = {}, { alg = 'HS256', secret = SECRET, privateKey = null, kid } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Object.fromEntries(Object.entries({ sub: USER, iat: now, exp: now + 3600, ...claims })
+    .filter(([, value]) => value !== undefined));
+  const input = `${encodeSegment({ alg, typ: 'JWT', ...(kid ? { kid } : {}) })}.${encodeSegment(payload)}`;
+  const hash = `sha${alg.slice(2)}`;
+  const signature = alg.startsWith('HS')
+    ? crypto.createHmac(hash, secret).update(input).digest()
+    : crypto.sign(hash, Buffer.from(input), privateKey);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+// Set environment variables for one test; undefined unsets them
+export function useEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  const apply = values => Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  apply(vars);
+  t.after(() => apply(saved));
+}
+
+// What the functions need to reach FakeSupabase and accept tokens from signToken
+export function functionEnv(t, vars = {}) {
+  useEnv(t, {
+    SUPABASE_URL,
+    SUPABASE_KEY: 'service-key',
+    JWT_SECRET: SECRET,
+    JWT_JWKS_URL: undefined,
+    JWT_AUDIENCE: undefined,
+    JWT_ISSUER: undefined,
+    ...vars
+  });
+}
+
+export function jsonResponse(status, data) {
+  // Responses without content may not carry a body
+  const body = data === undefined || [204, 205, 304].includes(status) ? null : JSON.stringify(data);
+  return new Response(body, { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function parseFilter(expression) {
+  const negate = expression.startsWith('not.');
+  const rest = negate ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const op = rest.slice(0, dot);
+  const raw = decodeURIComponent(rest.slice(dot + 1));
+  const value = op === 'in' ? raw.replace(/^\(|\)$/g, '').split(',') : raw;
+  return { op, negate, value };
+}
+
+function matches(row, filters) {
+  return filters.every(({ column, op, negate, value }) => {
+    const cell = row[column];
+    let result;
+    if (op === 'eq') result = cell !== null && cell !== undefined && String(cell) === value;
+    else if (op === 'neq') result = cell === null || cell === undefined || String(cell) !== value;
+    else if (op === 'in') result = cell !== null && cell !== undefined && value.includes(String(cell));
+    else if (op === 'is') result = value === 'null' ? cell === null || cell === undefined : String(cell) === value;
+    else if (['gt', 'gte', 'lt', 'lte'].includes(op)) {
+      // Numbers as numbers, dates and other text in string order, as ISO dates sort
+      const [left, right] = typeof cell === 'number' ? [cell, Number(value)] : [String(cell ?? ''), value];
+      result = cell !== null && cell !== undefined &&
+        ({ gt: left > right, gte: left >= right, lt: left < right, lte: left <= right })[op];
+    }
+    else throw new Error(`FakeSupabase: unsupported operator ${op}`);
+    return negate ? !result : result;
+  });
+}
+
+// Tables are { name: [rows] }; every request is kept in `requests` as { method, table, url, body }
+export class FakeSupabase {
+  constructor(tables = {}) {
+    this.tables = structuredClone(tables);
+    this.requests = [];
+    this.failures = [];
+  }
+
+  rows(table) {
+    return this.tables[table] || [];
+  }
+
+  find(table, id) {
+    return this.rows(table).find(row => row.id === id) || null;
+  }
+
+  // Answer the next request the predicate matches with a 500 instead
+  failNext(predicate) {
+    this.failures.push(predicate);
+  }
+
+  async handle(url, init = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const table = pathname.replace(/^\/rest\/v1\//, '');
+    const method = init.method || 'GET';
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    const request = { method, table, url, body };
+    this.requests.push(request);
+
+    const failure = this.failures.findIndex(predicate => predicate(request));
+    if (failure !== -1) {
+      this.failures.splice(failure, 1);
+      return jsonResponse(500, { message: 'simulated failure' });
+    }
+    if (!this.tables[table]) {
+      return jsonResponse(404, { code: '42P01', message: `relation "${table}" does not exist` });
+    }
+
+    const filters = [...searchParams.entries()]
+      .filter(([key]) => !QUERY_KEYWORDS.includes(key))
+      .map(([column, expression]) => ({ column, ...parseFilter(expression) }));
+    const selected = this.tables[table].filter(row => matches(row, filters));
+
+    if (method === 'GET') {
+      const limit = searchParams.has('limit') ? parseInt(searchParams.get('limit'), 10) : Infinity;
+      const select = searchParams.get('select');
+      const rows = selected.slice(0, limit);
+      return jsonResponse(200, !select || select === '*'
+        ? rows
+        : rows.map(row => Object.fromEntries(select.split(',').map(column => [column, row[column]]))));
+    }
+    if (method === 'POST') return this.insert(table, body, init.headers?.Prefer || '');
+    if (method === 'PATCH') {
+      selected.forEach(row => Object.assign(row, body));
+      return jsonResponse(200, selected);
+    }
+    if (method === 'DELETE') {
+      this.tables[table] = this.tables[table].filter(row => !selected.includes(row));
+      return jsonResponse(200, selected);
+    }
+    return jsonResponse(405, { message: `Unsupported method ${method}` });
+  }
+
+  insert(table, body, prefer) {
+    const merge = prefer.includes('resolution=merge-duplicates');
+    const written = [];
+    for (const record of Array.isArray(body) ? body : [body]) {
+      const existing = record.id !== undefined ? this.find(table, record.id) : null;
+      if (existing && !merge) {
+        return jsonResponse(409, { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` });
+      }
+      const unique = UNIQUE_KEYS[table];
+      if (!existing && unique && this.tables[table].some(row => unique.every(column => row[column] === record[column]))) {
+        return jsonResponse(409, { code: '23505', message: `duplicate key value violates unique constraint on ${unique.join(', ')}` });
+      }
+      if (existing) {
+        written.push(Object.assign(existing, record));
+      } else {
+        const row = { id: crypto.randomUUID(), ...record };
+        this.tables[table].push(row);
+        written.push(row);
+      }
+    }
+    return jsonResponse(201, written);
+  }
+}
+
+// The LocalStore API without IndexedDB: tables are { name: [rows] }, the outbox numbers its entries
+export class FakeLocalStore {
+  constructor(tables = {}) {
+    this.tables = new Map(Object.entries(structuredClone(tables)).map(([table, rows]) => [table, new Map(rows.map(row => [row.id, row]))]));
+    this.entries = new Map();
+    this.seq = 0;
+    this.meta = new Map();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  async getAll(table) {
+    return structuredClone([...this.table(table).values()]);
+  }
+
+  async get(table, id) {
+    return structuredClone(this.table(table).get(id) || null);
+  }
+
+  async put(table, rows) {
+    [].concat(rows).forEach(row => this.table(table).set(row.id, structuredClone(row)));
+  }
+
+  async remove(table, id) {
+    this.table(table).delete(id);
+  }
+
+  async replaceAll(table, rows, keepIds = new Set()) {
+    const store = this.table(table);
+    [...store.keys()].filter(id => !keepIds.has(id)).forEach(id => store.delete(id));
+    rows.filter(row => !keepIds.has(row.id)).forEach(row => store.set(row.id, structuredClone(row)));
+  }
+
+  async enqueue(entry) {
+    const seq = ++this.seq;
+    this.entries.set(seq, { ...structuredClone(entry), seq, queued_at: new Date().toISOString() });
+    return seq;
+  }
+
+  async outbox() {
+    return structuredClone([...this.entries.values()]);
+  }
+
+  async dequeue(seq) {
+    this.entries.delete(seq);
+  }
+
+  async getMeta(key) {
+    return this.meta.has(key) ? this.meta.get(key) : null;
+  }
+
+  async setMeta(key, value) {
+    this.meta.set(key, value);
+  }
+}
+
+// Call a Netlify function handler the way Netlify does
+export async function invoke(handler, { body, token, headers = {} } = {}) {
+  const res = await handler({
+    httpMethod: 'POST',
+    headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }, {});
+  return { statusCode: res.statusCode, body: res.body ? JSON.parse(res.body) : null };
+}
+
+// Replace fetch for one test. Requests to SUPABASE_URL go to `supabase`, requests to
+// APP_URL/.netlify/functions/<name> to functions[name], anything else to `other` (or fail).
+export function mockFetch(t, { supabase = null, functions = {}, other = null } = {}) {
+  return t.mock.method(globalThis, 'fetch', async (input, init = {}) => {
+    const url = String(input);
+    if (supabase && url.startsWith(`${SUPABASE_URL}/rest/v1/`)) {
+      return supabase.handle(url, init);
+    }
+    if (url.startsWith(`${APP_URL}/.netlify/functions/`)) {
+      const handler = functions[url.slice(`${APP_URL}/.netlify/functions/`.length)];
+      if (!handler) return new Response('Function not found', { status: 404 });
+      const res = await handler({ httpMethod: init.method || 'GET', headers: init.headers || {}, body: init.body }, {});
+      return new Response([204, 205, 304].includes(res.statusCode) ? null : res.body, { status: res.statusCode, headers: res.headers });
+    }
+    if (other) return other(url, init);
+    throw new TypeError(`fetch failed: no route for ${url}`);
+  });
+}
+
+// The function calls made through a fetch mock, by function name
+export function functionCalls(fetchMock, name) {
+  return fetchMock.mock.calls.filter(call => String(call.arguments[0]) === `${APP_URL}/.netlify/functions/${name}`);
+}
@@ -0,0 +1,160 @@
+// test/isdoc.test.js
+// ISDOC export (isdoc.js) validated against the ISDOC 6.0.2 schema
+//
+// The schema is the isdoc-invoice-6.0.2.xsd shipped in @deltazero/isdoc; xmllint-wasm is libxml2's
+// xmllint compiled to WebAssembly, so no native tools are needed.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { validateXML } from 'xmllint-wasm';
+
+import { ISDOC_VERSION, buildIsdoc, isdocFileName } from '../isdoc.js';
+import { buildAdvance, buildAdvanceTax } from '../advances.js';
+import { buildCreditNote } from '../creditnotes.js';
+import { invoiceTotals } from '../vat.js';
+
+const require = createRequire(import.meta.url);
+const SCHEMA_FILE = path.join(path.dirname(require.resolve('@deltazero/isdoc/package.json')), 'lib', `isdoc-invoice-${ISDOC_VERSION}.xsd`);
+
+const profile = {
+  id: 'b1',
+  name: 'Jan Novák',
+  address: 'Dlouhá 12\n110 00 Praha 1',
+  email: 'jan@example.cz',
+  currency: 'CZK',
+  vat_payer: false,
+  bank_entries: [
+    { label: 'Účet', number: '19-2000145399/0800', iban: 'CZ6508000000192000145399', bic: 'GIBACZPX', currency: 'CZK' },
+    { label: 'EUR', number: '', iban: 'DE89370400440532013000', bic: 'COBADEFFXXX', currency: 'EUR' }
+  ],
+  id_entries: [{ label: 'IČO', number: '12345678' }]
+};
+const vatProfile = { ...profile, vat_payer: true, id_entries: [...profile.id_entries, { label: 'DIČ', number: 'CZ12345678' }] };
+
+const client = {
+  id: 'c1',
+  name: 'Acme s.r.o. & syn <CZ>',
+  address: 'Vinohradská 1\n120 00 Praha 2',
+  currency: 'CZK',
+  due_date_days: 14,
+  id_entries: [{ label: 'IČO', number: '87654321' }, { label: 'DIČ', number: 'CZ87654321' }]
+};
+const foreignClient = { ...client, name: 'Globex GmbH', address: 'Hauptstraße 5\n10115 Berlin\nDeutschland', currency: 'EUR', id_entries: [{ label: 'VAT', number: 'DE123456789' }] };
+
+function invoice(items, { vatPayer = false, deposits = 0, meta = {}, ...fields } = {}) {
+  const totals = invoiceTotals(vatPayer ? items : items.map(({ vat_rate, ...item }) => item), { deposits });
+  return {
+    id: 'e0000000-0000-4000-8000-000000000001',
+    invoice_number: '20260001',
+    kind: 'invoice',
+    client_id: 'c1',
+    items: JSON.stringify(items),
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    total: totals.total,
+    currency: 'CZK',
+    status: 'issued',
+    due_date: '2026-10-15',
+    taxable_supply_date: vatPayer ? '2026-09-30' : null,
+    created_at: '2026-10-01T09:00:00.000Z',
+    meta: JSON.stringify({ job_name: 'Website redesign', vat_payer: vatPayer, invoice_amount: totals.gross, deposits_total: deposits, ...meta }),
+    ...fields
+  };
+}
+
+const work = [
+  { description: 'Website redesign', hours: 24, rate: 1200, amount: 28800, vat_rate: '21' },
+  { description: 'Hosting (12 months)', hours: null, rate: null, amount: 2400, vat_rate: '21' }
+];
+
+let schema;
+async function assertValid(xml, name) {
+  schema ??= await fs.readFile(SCHEMA_FILE, 'utf8');
+  const result = await validateXML({ xml: [{ fileName: name, contents: xml }], schema: [schema] });
+  assert.ok(result.valid, `${name} does not match the ISDOC ${ISDOC_VERSION} schema:\n${result.rawOutput}`);
+}
+
+describe('ISDOC export', () => {
+  it('is valid for an invoice of a non-payer', async () => {
+    const inv = invoice(work.map(({ vat_rate, ...item }) => item));
+    await assertValid(buildIsdoc(inv, { profile, client }), isdocFileName(inv));
+  });
+
+  it('is valid for a VAT payer with several rates and reverse charge', async () => {
+    const inv = invoice([
+      ...work,
+      { description: 'Books', hours: null, rate: null, amount: 1000, vat_rate: '12' },
+      { description: 'Zero-rated export', hours: null, rate: null, amount: 500, vat_rate: '0' },
+      { description: 'Construction work', hours: null, rate: null, amount: 5000, vat_rate: 'reverse_charge' }
+    ], { vatPayer: true });
+    await assertValid(buildIsdoc(inv, { profile: vatProfile, client }), 'vat.isdoc');
+  });
+
+  it('is valid for a final invoice deducting advances', async () => {
+    const advances = [
+      { number: 'Z20260001', tax_documents: ['ZD20260001'], amount: 12100, vat: [{ rate: '21', base: 10000, tax: 2100, total: 12100 }] },
+      { number: 'Z20260002', tax_documents: [], amount: 1000, vat: [] }
+    ];
+    const inv = invoice(work, { vatPayer: true, deposits: 13100, meta: { advances } });
+    await assertValid(buildIsdoc(inv, { profile: vatProfile, client }), 'final.isdoc');
+
+    const nonPayer = invoice(work.map(({ vat_rate, ...item }) => item), { deposits: 10000, meta: { advances: [advances[1]] } });
+    await assertValid(buildIsdoc(nonPayer, { profile, client }), 'final-non-payer.isdoc');
+  });
+
+  it('is valid for a credit note', async () => {
+    const original = invoice(work, { vatPayer: true });
+    const note = {
+      ...buildCreditNote(original, { items: [work[1]], reason: 'Hosting cancelled', date: new Date(2026, 9, 20) }),
+      id: 'e0000000-0000-4000-8000-000000000002',
+      invoice_number: 'D20260001',
+      created_at: '2026-10-20T09:00:00.000Z'
+    };
+    const xml = buildIsdoc(note, { profile: vatProfile, client });
+    assert.match(xml, /<DocumentType>2<\/DocumentType>/);
+    await assertValid(xml, 'credit-note.isdoc');
+  });
+
+  it('is valid for an advance and the tax document of its payment', async () => {
+    const job = { id: 'j1', client_id: 'c1', name: 'Website redesign', currency: 'CZK', vat_rate: '21' };
+    const advance = {
+      ...buildAdvance(job, { amount: 12100, profile: vatProfile, client, date: new Date(2026, 8, 1) }),
+      id: 'e0000000-0000-4000-8000-000000000003',
+      invoice_number: 'Z20260001',
+      created_at: '2026-09-01T09:00:00.000Z'
+    };
+    await assertValid(buildIsdoc(advance, { profile: vatProfile, client }), 'advance.isdoc');
+
+    const taxDocument = {
+      ...buildAdvanceTax(advance, { id: 'p1', amount: 12100, date: '2026-09-10' }),
+      id: 'e0000000-0000-4000-8000-000000000004',
+      invoice_number: 'ZD20260001',
+      created_at: '2026-09-10T09:00:00.000Z'
+    };
+    await assertValid(buildIsdoc(taxDocument, { profile: vatProfile, client }), 'advance-tax.isdoc');
+  });
+
+  it('is valid for a foreign-currency invoice to a client abroad', async () => {
+    const inv = invoice([{ description: 'Consulting', hours: 10, rate: 80, amount: 800 }], { currency: 'EUR' });
+    await assertValid(buildIsdoc(inv, { profile, client: foreignClient }), 'eur.isdoc');
+  });
+
+  it('is valid from the frozen party snapshots alone', async () => {
+    const inv = invoice(work, {
+      vatPayer: true,
+      supplier_snapshot: JSON.stringify(vatProfile),
+      customer_snapshot: JSON.stringify(client)
+    });
+    await assertValid(buildIsdoc(inv), 'snapshot.isdoc');
+  });
+
+  it('is caught by the schema check when broken', async () => {
+    const xml = buildIsdoc(invoice(work), { profile, client }).replace(/<IssueDate>[^<]*<\/IssueDate>/, '<IssueDate>1. 10. 2026</IssueDate>');
+    schema ??= await fs.readFile(SCHEMA_FILE, 'utf8');
+    const result = await validateXML({ xml: [{ fileName: 'broken.isdoc', contents: xml }], schema: [schema] });
+    assert.equal(result.valid, false);
+  });
+});
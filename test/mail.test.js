@@ -0,0 +1,64 @@
+// test/mail.test.js
+// The SMTP transport of the functions (netlify/functions/_shared/mail.js) against a local fake server
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+
+import { MailError, sendMail } from '../netlify/functions/_shared/mail.js';
+
+const MAIL = { to: ['client@example.com'], subject: 'Faktura 20260001', text: 'Dobrý den', attachments: [] };
+
+// A plain-text SMTP server on a free port, recording the commands it receives. Its EHLO offers
+// STARTTLS when asked to, but it cannot actually speak TLS.
+async function fakeServer(t, { starttls = false } = {}) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    socket.write('220 fake ESMTP\r\n');
+    socket.on('data', chunk => {
+      for (const line of chunk.toString('utf8').split('\r\n').filter(Boolean)) {
+        commands.push(line.split(' ')[0]);
+        if (line.startsWith('EHLO')) socket.write(`250-fake\r\n${starttls ? '250-STARTTLS\r\n' : ''}250 AUTH PLAIN\r\n`);
+        else if (line === 'STARTTLS') socket.end('220 Go ahead\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { port: server.address().port, commands };
+}
+
+function smtpConfig(port, fields = {}) {
+  return {
+    transport: 'smtp', from: 'BizzHub <invoices@example.cz>', host: '127.0.0.1', port,
+    secure: false, user: 'invoices@example.cz', pass: 'secret', ...fields
+  };
+}
+
+describe('SMTP transport', () => {
+  it('sends nothing over a connection without STARTTLS', async (t) => {
+    const server = await fakeServer(t);
+    await assert.rejects(
+      sendMail(smtpConfig(server.port), MAIL),
+      err => err instanceof MailError && err.code === 'smtp_insecure' && /STARTTLS/.test(err.message)
+    );
+    assert.deepEqual(server.commands, ['EHLO']);
+  });
+
+  it('reports a failed TLS upgrade as a mail error', async (t) => {
+    const server = await fakeServer(t, { starttls: true });
+    await assert.rejects(sendMail(smtpConfig(server.port), MAIL), err => err instanceof MailError);
+    assert.deepEqual(server.commands, ['EHLO', 'STARTTLS']);
+  });
+
+  it('reports a server that cannot be reached', async () => {
+    // A port that was free a moment ago
+    const port = await new Promise(resolve => net.createServer().listen(0, '127.0.0.1', function () {
+      const { port } = this.address();
+      this.close(() => resolve(port));
+    }));
+    await assert.rejects(sendMail(smtpConfig(port), MAIL), err => err instanceof MailError && err.code === 'smtp_unreachable');
+  });
+});
@@ -0,0 +1,91 @@
+// test/money.test.js
+// VAT recap and totals (vat.js), payment status (payments.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { REVERSE_CHARGE, invoiceTotals, resolveVatRate, round, vatRecap } from '../vat.js';
+import { balanceDue, paymentStatus } from '../payments.js';
+
+describe('vat', () => {
+  it('rounds to whole hundredths', () => {
+    assert.equal(round(0.1 + 0.2), 0.3);
+    assert.equal(round(1.005 * 1000) / 1000, 1.005);
+    assert.equal(round(-2.675), -2.67);
+  });
+
+  it('takes the most specific valid rate', () => {
+    assert.equal(resolveVatRate(null, '12', '21'), '12');
+    assert.equal(resolveVatRate('15', undefined, 0), '0');
+    assert.equal(resolveVatRate(), '21');
+  });
+
+  it('rounds the VAT once per rate, not per line', () => {
+    const items = [{ amount: 0.3, vat_rate: '21' }, { amount: 0.3, vat_rate: '21' }, { amount: 0.3, vat_rate: '21' }];
+    // Per line that would be 3 x 0.06 = 0.18
+    assert.deepEqual(vatRecap(items), [{ rate: '21', base: 0.9, tax: 0.19, total: 1.09 }]);
+  });
+
+  it('orders the recap from the highest rate, reverse charge last', () => {
+    const recap = vatRecap([
+      { amount: 100, vat_rate: REVERSE_CHARGE },
+      { amount: 100, vat_rate: '12' },
+      { amount: 100, vat_rate: '21' },
+      { amount: 100, vat_rate: '0' },
+      { amount: 100 }
+    ]);
+    assert.deepEqual(recap.map(line => [line.rate, line.tax]), [['21', 21], ['12', 12], ['0', 0], [REVERSE_CHARGE, 0]]);
+  });
+
+  it('totals net, tax and gross, less deposits', () => {
+    const totals = invoiceTotals([
+      { amount: '1000', vat_rate: '21' },
+      { amount: 250.5, vat_rate: '12' },
+      { amount: 99.99 }
+    ], { deposits: 500 });
+    assert.deepEqual(
+      { subtotal: totals.subtotal, tax: totals.tax, gross: totals.gross, total: totals.total },
+      { subtotal: 1350.49, tax: 240.06, gross: 1590.55, total: 1090.55 }
+    );
+  });
+});
+
+describe('payments', () => {
+  const invoice = { id: 'i1', total: 1210, status: 'issued' };
+  const pay = (amount, fields = {}) => ({ invoice_id: 'i1', amount, date: '2026-03-01', ...fields });
+
+  it('derives the status from what was paid', () => {
+    assert.equal(paymentStatus(invoice, []), 'unpaid');
+    assert.equal(paymentStatus(invoice, [pay(1000)]), 'partially_paid');
+    assert.equal(paymentStatus(invoice, [pay(1000), pay('210')]), 'paid');
+    assert.equal(paymentStatus(invoice, [pay(1000), pay(300)]), 'overpaid');
+  });
+
+  it('ignores deleted payments and those of other invoices', () => {
+    const payments = [pay(1210, { deleted: true }), pay(1210, { invoice_id: 'i2' })];
+    assert.equal(paymentStatus(invoice, payments), 'unpaid');
+    assert.equal(balanceDue(invoice, payments), 1210);
+  });
+
+  it('sums instalments without float drift', () => {
+    const thirds = [pay(403.33), pay(403.33), pay(403.34)];
+    assert.equal(balanceDue(invoice, thirds), 0);
+    assert.equal(paymentStatus(invoice, thirds), 'paid');
+  });
+
+  it('lowers the balance by live credit notes', () => {
+    const invoices = [
+      { id: 'd1', kind: 'credit_note', original_invoice_id: 'i1', total: -210, status: 'issued' },
+      { id: 'd2', kind: 'credit_note', original_invoice_id: 'i1', total: -1000, status: 'cancelled' }
+    ];
+    assert.equal(balanceDue(invoice, [pay(500)], invoices), 500);
+    assert.equal(paymentStatus(invoice, [pay(1000)], invoices), 'paid');
+    // Credited in full: nothing to pay, nothing paid
+    assert.equal(paymentStatus(invoice, [], [...invoices, { id: 'd3', kind: 'credit_note', original_invoice_id: 'i1', total: -1000, status: 'issued' }]), 'paid');
+  });
+
+  it('treats an invoice marked paid before payments were recorded as settled', () => {
+    assert.equal(paymentStatus({ ...invoice, status: 'paid' }, []), 'paid');
+    assert.equal(balanceDue({ ...invoice, status: 'paid' }, []), 0);
+  });
+});
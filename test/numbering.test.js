@@ -0,0 +1,80 @@
+// test/numbering.test.js
+// Number series (numbering.js) and invoice locks (lock.js), shared by the browser and the functions
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SERIES, formatNumber, nextInSeries, previewNumber, rewindsSeries } from '../numbering.js';
+import { isLocked, lockViolation } from '../lock.js';
+
+const series = (fields = {}) => ({ ...DEFAULT_SERIES.invoice, period: 2026, next_seq: 42, ...fields });
+
+describe('numbering', () => {
+  it('expands the pattern tokens', () => {
+    const date = new Date(2026, 2, 7);
+    assert.equal(formatNumber(series(), 42, date), '20260042');
+    assert.equal(formatNumber({ prefix: 'FV-', pattern: '{YY}{MM}{DD}-{SEQ}' }, 5, date), 'FV-260307-5');
+    assert.equal(formatNumber({ pattern: '{SEQ:3}/{YYYY}' }, 1234, date), '1234/2026');
+    // Without a sequence token the default pattern is used
+    assert.equal(formatNumber({ prefix: 'X', pattern: '{YYYY}' }, 1, date), 'X20260001');
+  });
+
+  it('restarts a yearly series in a new year', () => {
+    assert.deepEqual(nextInSeries(series(), new Date(2026, 11, 31)), { seq: 42, period: 2026 });
+    assert.deepEqual(nextInSeries(series(), new Date(2027, 0, 1)), { seq: 1, period: 2027 });
+    assert.equal(previewNumber(series(), new Date(2027, 0, 1)), '20270001');
+  });
+
+  it('keeps counting a series that never resets', () => {
+    assert.deepEqual(nextInSeries(series({ reset: 'never', period: 0 }), new Date(2030, 0, 1)), { seq: 42, period: 0 });
+  });
+
+  it('starts a new series at 1', () => {
+    assert.equal(nextInSeries({ ...DEFAULT_SERIES.invoice }, new Date(2026, 0, 1)).seq, 1);
+  });
+
+  it('lets a counter move on but never back', () => {
+    const date = new Date(2026, 5, 1);
+    assert.equal(rewindsSeries(series(), { next_seq: 100 }, date), false);
+    assert.equal(rewindsSeries(series(), { next_seq: 42 }, date), false);
+    assert.equal(rewindsSeries(series(), { next_seq: 41 }, date), true);
+    assert.equal(rewindsSeries(series(), { period: 2025 }, date), true);
+    assert.equal(rewindsSeries(series(), { reset: 'never', period: 0, next_seq: 1 }, date), true);
+    assert.equal(rewindsSeries(series(), { prefix: 'F' }, date), false);
+    // Last year's counter is spent once the year turns
+    assert.equal(rewindsSeries(series({ period: 2025 }), { next_seq: 1, period: 2026 }, date), false);
+  });
+});
+
+describe('lock', () => {
+  const issued = {
+    id: 'i1', invoice_number: '20260001', status: 'issued', total: 1210,
+    items: '[{"description":"Work","amount":1000,"vat_rate":"21"}]', deleted: false
+  };
+
+  it('only locks invoices that left draft', () => {
+    assert.equal(isLocked({ status: 'draft' }), false);
+    assert.equal(isLocked(issued), true);
+    assert.equal(lockViolation({ ...issued, status: 'draft' }, { total: 1 }), null);
+  });
+
+  it('refuses changes to what was issued', () => {
+    assert.deepEqual(lockViolation(issued, { total: 1, invoice_number: 'X' }).columns, ['total', 'invoice_number']);
+    assert.deepEqual(lockViolation(issued, { status: 'draft' }).columns, ['status']);
+    assert.deepEqual(lockViolation({ ...issued, status: 'cancelled' }, { status: 'sent' }).columns, ['status']);
+    assert.deepEqual(lockViolation(issued, { deleted: true }).columns, ['deleted']);
+    assert.ok(lockViolation(issued, null), 'hard delete');
+  });
+
+  it('lets the state, payment status, sending and reminders move', () => {
+    assert.equal(lockViolation(issued, { status: 'sent', sent_at: '2026-03-01T10:00:00Z', payment_status: 'paid', reminders: '[]' }), null);
+    assert.equal(lockViolation({ ...issued, deleted: true }, { deleted: false }), null);
+  });
+
+  it('accepts a column rewritten with the value it holds', () => {
+    assert.equal(lockViolation(issued, {
+      total: 1210,
+      items: [{ amount: 1000, vat_rate: '21', description: 'Work' }]
+    }), null);
+  });
+});
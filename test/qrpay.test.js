@@ -0,0 +1,90 @@
+// test/qrpay.test.js
+// Payment QR payloads (qrpay.js) and the bank account checks behind them (iban.js)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildEpc, buildSpayd, qrStandardFor, variableSymbol } from '../qrpay.js';
+import { accountIban, czechAccountToIban, isValidAccountNumber, isValidBic, isValidIban } from '../iban.js';
+
+const IBAN = 'CZ6508000000192000145399';
+
+describe('SPAYD', () => {
+  it('builds the payload from the example in the format', () => {
+    assert.equal(
+      buildSpayd({ iban: IBAN, amount: 21200, currency: 'CZK', dueDate: '2026-10-15', variableSymbol: '20260001', message: 'Faktura 20260001' }),
+      `SPD*1.0*ACC:${IBAN}*AM:21200.00*CC:CZK*DT:20261015*X-VS:20260001*MSG:Faktura 20260001`
+    );
+  });
+
+  it('keeps the due date west of Greenwich', (t) => {
+    const tz = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    t.after(() => {
+      if (tz === undefined) delete process.env.TZ;
+      else process.env.TZ = tz;
+    });
+
+    assert.match(buildSpayd({ iban: IBAN, amount: 100, currency: 'CZK', dueDate: '2026-11-01' }), /\*DT:20261101(\*|$)/);
+  });
+
+  it('leaves out what is missing and strips what the format reserves', () => {
+    assert.equal(
+      buildSpayd({ iban: IBAN, bic: 'GIBACZPX', amount: 0, currency: 'CZK', dueDate: 'not a date', message: 'Záloha *č. 7*' }),
+      `SPD*1.0*ACC:${IBAN}+GIBACZPX*CC:CZK*MSG:Zaloha c. 7`
+    );
+  });
+
+  it('takes the variable symbol from the digits of the invoice number', () => {
+    assert.equal(variableSymbol('FV-2026/0042'), '20260042');
+    assert.equal(variableSymbol('D0000123'), '123');
+    assert.equal(variableSymbol('2026123456789'), '6123456789');
+  });
+});
+
+describe('EPC QR', () => {
+  it('writes one field per line and drops the empty tail', () => {
+    assert.equal(
+      buildEpc({ bic: 'GIBACZPX', name: 'Jan  Novák', iban: 'DE89370400440532013000', amount: 99.5, message: 'Faktura 20260001' }),
+      'BCD\n002\n1\nSCT\nGIBACZPX\nJan Novák\nDE89370400440532013000\nEUR99.50\n\n\nFaktura 20260001'
+    );
+    assert.equal(
+      buildEpc({ name: 'Jan Novák', iban: 'DE89370400440532013000', amount: 0 }),
+      'BCD\n002\n1\nSCT\n\nJan Novák\nDE89370400440532013000'
+    );
+  });
+
+  it('is used for EUR only', () => {
+    assert.equal(qrStandardFor('EUR'), 'epc');
+    assert.equal(qrStandardFor('CZK'), 'spayd');
+  });
+});
+
+describe('IBAN', () => {
+  it('accepts valid IBANs however they are spaced', () => {
+    assert.equal(isValidIban(IBAN), true);
+    assert.equal(isValidIban('cz65 0800 0000 1920 0014 5399'), true);
+    assert.equal(isValidIban('DE89370400440532013000'), true);
+  });
+
+  it('refuses a wrong checksum or length', () => {
+    assert.equal(isValidIban('CZ6608000000192000145399'), false);
+    assert.equal(isValidIban('CZ650800000019200014539'), false);
+    assert.equal(isValidIban(''), false);
+  });
+
+  it('converts a Czech account number', () => {
+    assert.equal(czechAccountToIban('19-2000145399/0800'), IBAN);
+    assert.equal(czechAccountToIban('19-2000145398/0800'), null);
+    assert.equal(accountIban({ number: '19-2000145399/0800' }), IBAN);
+    assert.equal(accountIban({ iban: 'CZ6608000000192000145399', number: '19-2000145399/0800' }), IBAN);
+  });
+
+  it('checks what it can of an account number as typed', () => {
+    assert.equal(isValidAccountNumber('19-2000145399/0800'), true);
+    assert.equal(isValidAccountNumber('19-2000145398/0800'), false);
+    assert.equal(isValidAccountNumber('12-34-56'), true);
+    assert.equal(isValidBic('GIBACZPX'), true);
+    assert.equal(isValidBic('GIBACZ'), false);
+  });
+});
@@ -0,0 +1,85 @@
+// test/recurring.test.js
+// The daily recurring run (netlify/functions/_shared/recurring.js): the email queue and sending on its own
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runRecurringInvoices } from '../netlify/functions/_shared/recurring.js';
+import { getSupabaseConfig } from '../netlify/functions/_shared/supabase.js';
+import { FakeSupabase, USER, functionEnv, mockFetch } from './helpers.js';
+
+const TODAY = new Date('2026-10-31T06:00:00Z');
+const MAIL = { transport: 'console', from: 'BizzHub <invoices@example.cz>' };
+
+function fixtures(profile = {}, rows = {}) {
+  return {
+    business: [{
+      id: 'b1', user_id: USER, name: 'Jan Novák', email: 'jan@example.cz', currency: 'CZK', vat_payer: false, deleted: false,
+      bank_entries: [{ label: 'Účet', number: '19-2000145399/0800', iban: 'CZ6508000000192000145399', currency: 'CZK' }]
+    }],
+    clients: [{ id: 'c1', user_id: USER, name: 'Acme', invoice_email: 'billing@acme.example', currency: 'CZK', deleted: false }],
+    recurring_invoices: [{
+      id: 'r1', user_id: USER, client_id: 'c1', name: 'Hosting', interval: 'monthly',
+      items: JSON.stringify([{ description: 'Hosting {period}', hours: 1, rate: 500 }]),
+      start_date: '2026-09-30', next_run: '2026-10-31', end_date: null, due_days: 14,
+      send_email: true, auto_send: false, active: true, deleted: false, ...profile
+    }],
+    invoices: [],
+    invoice_series: [],
+    mail_log: [],
+    ...rows
+  };
+}
+
+function setup(t, tables) {
+  functionEnv(t);
+  const supabase = new FakeSupabase(tables);
+  mockFetch(t, { supabase });
+  return supabase;
+}
+
+// The console transport narrates every mail
+mock.method(console, 'info', () => {});
+mock.method(console, 'error', () => {});
+
+describe('recurring run', () => {
+  it('queues the invoice of a profile that only marks it for emailing', async (t) => {
+    const supabase = setup(t, fixtures());
+    const [result] = await runRecurringInvoices(getSupabaseConfig(), { today: TODAY, mailConfig: MAIL });
+
+    assert.equal(result.invoices.length, 1);
+    assert.deepEqual({ emailed: result.emailed, queued: result.queued }, { emailed: 0, queued: 1 });
+    assert.equal(supabase.rows('invoices')[0].sent_at, undefined);
+    assert.equal(supabase.rows('mail_log').length, 0);
+  });
+
+  it('mails the invoice of an auto_send profile and marks it sent', async (t) => {
+    const supabase = setup(t, fixtures({ auto_send: true }));
+    const [result] = await runRecurringInvoices(getSupabaseConfig(), { today: TODAY, mailConfig: MAIL });
+
+    assert.deepEqual({ emailed: result.emailed, queued: result.queued, errors: result.errors }, { emailed: 1, queued: 0, errors: [] });
+    const [invoice] = supabase.rows('invoices');
+    assert.equal(invoice.status, 'sent');
+    assert.ok(invoice.sent_at);
+    assert.equal(supabase.rows('mail_log').length, 1);
+  });
+
+  it('leaves the invoice queued when the hourly limit is reached', async (t) => {
+    const now = new Date().toISOString();
+    const log = Array.from({ length: 30 }, (_, i) => ({ id: `m${i}`, user_id: USER, invoice_id: 'x', recipients: 1, created_at: now }));
+    const supabase = setup(t, fixtures({ auto_send: true }, { mail_log: log }));
+    const [result] = await runRecurringInvoices(getSupabaseConfig(), { today: TODAY, mailConfig: MAIL });
+
+    assert.deepEqual({ emailed: result.emailed, queued: result.queued }, { emailed: 0, queued: 1 });
+    assert.equal(result.errors[0].code, 'rate_limited');
+    assert.equal(supabase.rows('invoices')[0].status, 'issued');
+  });
+
+  it('queues instead of mailing when mail is not configured', async (t) => {
+    const supabase = setup(t, fixtures({ auto_send: true }));
+    const [result] = await runRecurringInvoices(getSupabaseConfig(), { today: TODAY });
+
+    assert.deepEqual({ emailed: result.emailed, queued: result.queued }, { emailed: 0, queued: 1 });
+    assert.equal(supabase.rows('mail_log').length, 0);
+  });
+});
@@ -0,0 +1,54 @@
+// vat.js
+// VAT (DPH) rates on invoice lines and the per-rate recap of a tax document
+//
+// A line's vat_rate is one of VAT_RATES: a percentage as text, or 'reverse_charge' when the
+// customer accounts for the tax (přenesená daňová povinnost). Lines of a non-payer carry no rate.
+
+export const REVERSE_CHARGE = 'reverse_charge';
+export const VAT_RATES = ['21', '12', '0', REVERSE_CHARGE];
+export const DEFAULT_VAT_RATE = '21';
+
+export function isVatRate(value) {
+  return VAT_RATES.includes(String(value));
+}
+
+// First valid rate among the candidates, most specific first (line, job, client, profile)
+export function resolveVatRate(...candidates) {
+  const rate = candidates.find(value => value !== null && value !== undefined && isVatRate(value));
+  return rate === undefined ? DEFAULT_VAT_RATE : String(rate);
+}
+
+export function vatPercent(rate) {
+  return rate === REVERSE_CHARGE ? 0 : parseFloat(rate) || 0;
+}
+
+// Money is kept to whole hundredths (haléře / cents)
+export function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Net base per rate, with the VAT rounded once per rate as the recap shows it.
+// Ordered from the highest rate down, reverse charge last.
+export function vatRecap(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!isVatRate(item.vat_rate)) continue;
+    const rate = String(item.vat_rate);
+    groups.set(rate, (groups.get(rate) || 0) + (parseFloat(item.amount) || 0));
+  }
+
+  return VAT_RATES.filter(rate => groups.has(rate)).map(rate => {
+    const base = round(groups.get(rate));
+    const tax = round(base * vatPercent(rate) / 100);
+    return { rate, base, tax, total: round(base + tax) };
+  });
+}
+
+// Subtotal (net), tax and gross amount of the lines; total is what is left to pay after deposits
+export function invoiceTotals(items, { deposits = 0 } = {}) {
+  const subtotal = round(items.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0));
+  const recap = vatRecap(items);
+  const tax = round(recap.reduce((sum, line) => sum + line.tax, 0));
+  const gross = round(subtotal + tax);
+  return { subtotal, tax, gross, total: round(gross - deposits), recap };
+}
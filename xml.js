@@ -0,0 +1,61 @@
+// xml.js
+// Minimal XML writer for the accounting exports (ISDOC, Pohoda, Money S3)
+//
+// Documents are plain nested arrays: [name, attributes?, ...children], where a child is another
+// element, a string / number (text), or null / undefined / false (skipped). For example
+//   ['Party', ['PartyName', ['Name', 'Acme s.r.o.']]]
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isAttributes(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function renderAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+}
+
+function renderNode(node, depth) {
+  const indent = '  '.repeat(depth);
+  const [name, ...rest] = node;
+  const attributes = isAttributes(rest[0]) ? rest.shift() : {};
+  const children = rest.filter(child => child !== null && child !== undefined && child !== false);
+  const open = `${indent}<${name}${renderAttributes(attributes)}`;
+
+  if (children.length === 0) return `${open}/>`;
+  if (children.every(child => !Array.isArray(child))) {
+    return `${open}>${children.map(escapeXml).join('')}</${name}>`;
+  }
+  const inner = children.map(child => Array.isArray(child)
+    ? renderNode(child, depth + 1)
+    : `${'  '.repeat(depth + 1)}${escapeXml(child)}`);
+  return [`${open}>`, ...inner, `${indent}</${name}>`].join('\n');
+}
+
+export function renderXml(root, { encoding = 'UTF-8' } = {}) {
+  return `<?xml version="1.0" encoding="${encoding}"?>\n${renderNode(root, 0)}\n`;
+}
+
+// Decimal as XML Schema expects it: a dot and no thousands separators
+export function xmlDecimal(value, digits = 2) {
+  return (Number(value) || 0).toFixed(digits);
+}
+
+// xs:date from a date or timestamp, in local time so a late-evening invoice keeps its day
+export function xmlDate(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}